@@ -12,13 +12,37 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import winston from 'winston';
 import dotenv from 'dotenv';
+import { TaskExecutor } from './task-executor.js';
+import { CompanyManager } from './company/company-manager.js';
+import { MergerEngine } from './merger/merger-engine.js';
+import { DAOManager } from './governance/dao-manager.js';
+import { ParameterValidator } from './validation/parameter-validator.js';
+import { DomainError } from './validation/domain-error.js';
+import { EventStream } from './events/event-stream.js';
+import { WorkflowRunner } from './workflow/workflow-runner.js';
+import { TaskScheduler } from './scheduler/task-scheduler.js';
+import { ExecutionQueue, classifyError } from './queue/execution-queue.js';
+import { PrometheusExporter } from './monitoring/prometheus-exporter.js';
+import { TaskRegistry } from './plugins/task-registry.js';
+import { ToolSchemaExporter } from './llm/tool-schema-exporter.js';
+import { ToolCallDispatcher } from './llm/tool-call-dispatcher.js';
+import { StateStore } from './storage/state-store.js';
+import { SnapshotManager } from './storage/snapshot-manager.js';
+import { SimulationClock } from './clock/simulation-clock.js';
+import { SeededRandom } from './random/seeded-random.js';
+import { GameEngine } from './game/game-engine.js';
+import { LeaderboardManager } from './leaderboard/leaderboard-manager.js';
+import { AMMManager } from './amm/amm-manager.js';
 
-// Load environment variables
-dotenv.config();
+// Load environment variables (quietly: stdout carries the MCP stdio protocol)
+dotenv.config({ quiet: true });
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Wall-clock milliseconds at microsecond precision, so fast in-process tasks never report 0ms
+const elapsedSince = (start) => Math.round((performance.now() - start) * 1000) / 1000;
+
 /**
  * Corporate Merge Tycoon Agent
  * Orchestrates blockchain-based corporate simulations on MultiversX
@@ -27,11 +51,13 @@ export class CorporateMergeTycoonAgent {
   constructor(config = {}) {
     this.config = {
       network: config.network || 'mainnet',
+      mode: config.mode || process.env.AGENT_MODE || 'live', // 'live' or 'demo'
       endpoints: config.endpoints || [
         'https://gateway.multiversx.com',
         'https://api.multiversx.com'
       ],
       contracts: config.contracts || {},
+      shutdownTimeout: config.shutdownTimeout ?? Number(process.env.SHUTDOWN_TIMEOUT ?? 10000),
       monitoring: {
         sla_uptime: '99.9%',
         response_time_p95: '2000ms',
@@ -58,9 +84,96 @@ export class CorporateMergeTycoonAgent {
       ]
     });
 
-    // Load task catalog
+    // Load task catalog and tool-call specifications
     this.taskCatalog = this.loadTaskCatalog();
+    this.refreshCatalogTotals();
+    this.toolCatalog = this.loadToolCatalog();
+    this.parameterValidator = new ParameterValidator(this.taskCatalog, this.toolCatalog);
+
+    // Durable manager state (DATABASE_URL selects the backend); recovered before the managers start
+    this.store = this.config.store || new StateStore(this.config.storage);
+    this.store.on('flushFailed', ({ error }) => this.logger.error('Failed to persist state', { error }));
+
+    // Simulated time for vesting, voting windows and background loops (CLOCK_MODE: real, manual, accelerated)
+    this.clock = this.config.clock instanceof SimulationClock ? this.config.clock : new SimulationClock(this.config.clock);
+    this.clock.on('timerError', ({ error }) => this.logger.error('Clock timer failed', { error }));
+
+    // One seeded PRNG for every simulated number (SIMULATION_SEED); the seed is reported with each result
+    this.random = this.config.random instanceof SeededRandom ? this.config.random : new SeededRandom(this.config.random);
+
+    // Shared domain managers
+    const shared = { store: this.store, clock: this.clock, random: this.random };
+    this.companyManager = new CompanyManager({ ...this.config.company, ...shared });
+    this.mergerEngine = new MergerEngine({ ...this.config.merger, ...shared });
+    this.daoManager = new DAOManager({ ...this.config.governance, ...shared, ledger: this.companyManager.ledger });
+
+    // Proposal outcomes move the token price of the company whose holders voted
+    this.daoManager.on('votingEnded', ({ companyId, result }) => {
+      if (companyId && this.companyManager.getCompany(companyId)) {
+        this.companyManager.applyMarketShock(companyId, `proposal_${result}`)
+          .catch(error => this.logger.error('Failed to apply market shock', { companyId, error: error.message }));
+      }
+    });
+
+    this.taskExecutor = new TaskExecutor(
+      { network: this.config.network, endpoints: this.config.endpoints },
+      {
+        companyManager: this.companyManager,
+        mergerEngine: this.mergerEngine,
+        daoManager: this.daoManager,
+        clock: this.clock,
+        random: this.random
+      }
+    );
+
+    // Priority-ordered execution with concurrency cap, timeouts and retries
+    this.executionQueue = new ExecutionQueue(this.config.queue);
+
+    // Sequenced stream of all manager events
+    this.eventStream = new EventStream(this.config.events);
+    this.eventStream.track('tasks', this.taskExecutor);
+    this.eventStream.track('companies', this.companyManager);
+    this.eventStream.track('mergers', this.mergerEngine);
+    this.eventStream.track('governance', this.daoManager);
+
+    // Dependency-aware workflow execution over the catalog
+    this.workflowRunner = new WorkflowRunner(this, this.config.workflows);
+    this.eventStream.track('workflows', this.workflowRunner);
+
+    // Recurring executions (jobs are registered explicitly, nothing starts here)
+    this.scheduler = new TaskScheduler(this, this.config.scheduler);
+    this.eventStream.track('scheduler', this.scheduler);
     
+    // Plugin tasks: definitions join the catalog, handlers join the executor
+    this.taskRegistry = new TaskRegistry(this);
+    this.eventStream.track('plugins', this.taskRegistry);
+    for (const plugin of this.config.plugins || []) {
+      this.taskRegistry.registerPlugin(plugin);
+    }
+
+    // LLM tool-calling: schemas generated from the catalogs, calls routed to executeTask
+    this.toolSchemas = new ToolSchemaExporter(this);
+    this.toolDispatcher = new ToolCallDispatcher(this, this.toolSchemas);
+
+    // Constant-product liquidity pools: company tokens against the simulated base asset
+    this.amm = new AMMManager(this, this.config.amm);
+    this.eventStream.track('amm', this.amm);
+
+    // Turn-based tycoon sessions: players, actions, turn resolution and victory conditions
+    this.game = new GameEngine(this, this.config.game);
+    this.eventStream.track('games', this.game);
+
+    // Rankings with per-sector boards and weekly / season resets, pushed through the event stream
+    this.leaderboards = new LeaderboardManager(this, this.config.leaderboards);
+    this.eventStream.track('leaderboards', this.leaderboards);
+
+    // Save games: the whole simulation as one versioned JSON document
+    this.snapshots = new SnapshotManager(this);
+    this.eventStream.track('snapshots', this.snapshots);
+
+    // Prometheus exposition of execution, queue and domain metrics
+    this.metricsExporter = new PrometheusExporter(this, this.config.prometheus);
+
     // Performance metrics
     this.metrics = {
       tasks_executed: 0,
@@ -72,9 +185,21 @@ export class CorporateMergeTycoonAgent {
 
     this.logger.info('Corporate Merge Tycoon Agent initialized', {
       network: this.config.network,
+      mode: this.config.mode,
       total_tasks: this.taskCatalog.agent_info.total_tasks,
-      categories: this.taskCatalog.agent_info.categories
+      categories: this.taskCatalog.agent_info.categories,
+      storage: this.store.backend.describe(),
+      seed: this.random.seed,
+      recovered: this.store.recovered ? this.store.getStats().collections : false
     });
+
+    // Lifecycle: background loops run between start() and stop(); shutdown() drains and closes
+    this.running = false;
+    this.shutdownHooks = new Set();
+    this.shutdownPromise = null;
+    if (this.config.autoStart !== false) {
+      this.start();
+    }
   }
 
   /**
@@ -91,6 +216,19 @@ export class CorporateMergeTycoonAgent {
     }
   }
 
+  /**
+   * Load MultiversX tool-call specifications from JSON file
+   */
+  loadToolCatalog() {
+    try {
+      const toolsPath = join(__dirname, '../catalog/multiversx_tool_calls.json');
+      return JSON.parse(readFileSync(toolsPath, 'utf8'));
+    } catch (error) {
+      this.logger?.error('Failed to load tool catalog', { error: error.message });
+      throw new Error(`Failed to load tool catalog: ${error.message}`);
+    }
+  }
+
   /**
    * Execute a specific task by ID
    * @param {string} taskId - Task identifier (e.g., 'BLK002')
@@ -98,26 +236,36 @@ export class CorporateMergeTycoonAgent {
    * @returns {Promise<object>} Task execution result
    */
   async executeTask(taskId, parameters = {}) {
-    const startTime = Date.now();
+    const startTime = performance.now();
     
     try {
       this.logger.info('Executing task', { taskId, parameters });
-      
+
+      if (this.shutdownPromise) {
+        throw new Error('Agent is shutting down');
+      }
+
       // Find task in catalog
       const task = this.findTaskById(taskId);
       if (!task) {
-        throw new Error(`Task ${taskId} not found in catalog`);
+        throw DomainError.notFound(`Task ${taskId} not found in catalog`);
       }
 
-      // Validate task parameters
-      this.validateTaskParameters(task, parameters);
+      // Validate task parameters and apply spec defaults
+      const validatedParameters = this.validateTaskParameters(task, parameters);
 
-      // Mock execution for demonstration
-      const result = await this.mockTaskExecution(task, parameters);
+      // Demo mode echoes the catalog instead of running the managers
+      const { result, attempts, wait_ms } = await this.executionQueue.enqueue(
+        { taskId, priority: task.priority },
+        (signal) => (this.config.mode === 'demo'
+          ? this.mockTaskExecution(task, validatedParameters, signal)
+          : this.taskExecutor.execute(task, validatedParameters, signal))
+      );
 
       // Update metrics
-      const executionTime = Date.now() - startTime;
+      const executionTime = elapsedSince(startTime);
       this.updateMetrics(true, executionTime);
+      this.metricsExporter.recordExecution(taskId, task.category, true, executionTime);
 
       this.logger.info('Task executed successfully', {
         taskId,
@@ -129,17 +277,23 @@ export class CorporateMergeTycoonAgent {
         success: true,
         taskId,
         executionTime,
+        queueTime: wait_ms,
+        attempts,
         result,
+        seed: this.random.seed,
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
-      const executionTime = Date.now() - startTime;
+      const executionTime = elapsedSince(startTime);
       this.updateMetrics(false, executionTime);
-      
+      this.metricsExporter.recordExecution(taskId, this.findTaskById(taskId)?.category, false, executionTime);
+
       this.logger.error('Task execution failed', {
         taskId,
         error: error.message,
+        errorType: classifyError(error),
+        attempts: error.attempts || 0,
         executionTime: `${executionTime}ms`
       });
 
@@ -147,16 +301,180 @@ export class CorporateMergeTycoonAgent {
         success: false,
         taskId,
         error: error.message,
+        error_type: classifyError(error),
+        ...(error.errors ? { validation_errors: error.errors } : {}),
+        attempts: error.attempts || 0,
         executionTime,
+        seed: this.random.seed,
         timestamp: new Date().toISOString()
       };
     }
   }
 
   /**
-   * Mock task execution for demonstration purposes
+   * Register a custom task and its handler
+   * @param {object} definition - { task_id, name, category, parameters, priority, complexity, ... }
+   * @param {Function} handler - `async (parameters, context) => result`
+   * @returns {object} The registered catalog task
+   */
+  registerTask(definition, handler) {
+    return this.taskRegistry.registerTask(definition, handler);
+  }
+
+  /**
+   * Register a plugin module exposing `tasks` and/or `register(api)`
+   */
+  registerPlugin(plugin) {
+    return this.taskRegistry.registerPlugin(plugin);
+  }
+
+  /**
+   * Remove a task added through registerTask or a plugin
+   */
+  unregisterTask(taskId) {
+    return this.taskRegistry.unregisterTask(taskId);
+  }
+
+  /**
+   * Export task definitions as LLM tool schemas
+   * @param {string} format - 'openai', 'anthropic' or 'json'
+   * @param {object} filter - { taskIds, categories, priorities }
+   */
+  getToolSchemas(format = 'openai', filter = {}) {
+    return this.toolSchemas.export(format, filter);
+  }
+
+  /**
+   * Validate and execute a tool call produced by a chat model
+   * @param {object} call - OpenAI tool call, Anthropic tool_use block or { name, arguments }
+   */
+  async dispatchToolCall(call) {
+    return this.toolDispatcher.dispatch(call);
+  }
+
+  /**
+   * Write pending manager state to the storage backend
+   * @returns {Promise<boolean>} Whether anything was written
+   */
+  async saveState() {
+    return this.store.flush();
+  }
+
+  /**
+   * Start the managers' background work (vesting, performance monitoring, voting deadlines) and scheduled jobs
    */
-  async mockTaskExecution(task, parameters) {
+  start() {
+    if (this.running) return this;
+    if (this.shutdownPromise) {
+      throw new Error('Agent has been shut down');
+    }
+
+    this.companyManager.start();
+    this.mergerEngine.start();
+    this.daoManager.start();
+    this.leaderboards.start();
+    this.scheduler.startAll();
+    this.running = true;
+    return this;
+  }
+
+  /**
+   * Pause background work and scheduled jobs; state and registrations are kept
+   */
+  stop() {
+    this.scheduler.stopAll();
+    this.companyManager.stop();
+    this.mergerEngine.stop();
+    this.daoManager.stop();
+    this.leaderboards.stop();
+    this.running = false;
+    return this;
+  }
+
+  /**
+   * Stop and cancel every clock timer and pending flush; the agent is not reused afterwards
+   */
+  dispose() {
+    this.stop();
+    this.executionQueue.clear('Agent disposed');
+    this.companyManager.dispose();
+    this.mergerEngine.dispose();
+    this.daoManager.dispose();
+    this.leaderboards.dispose();
+    this.amm.dispose();
+    this.clock.clearAll();
+    this.shutdownHooks.clear();
+  }
+
+  /**
+   * Register a closer (e.g. an HTTP server) to run when the agent shuts down
+   * @returns {Function} Unregisters the hook
+   */
+  onShutdown(hook) {
+    this.shutdownHooks.add(hook);
+    return () => this.shutdownHooks.delete(hook);
+  }
+
+  /**
+   * Graceful shutdown: refuse new tasks, close servers, drain in-flight tasks
+   * (up to `shutdownTimeout` ms), flush state and dispose. Safe to call repeatedly.
+   * @returns {Promise<{drained: boolean, flushed: boolean}>}
+   */
+  shutdown(options = {}) {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this.performShutdown(options.timeout ?? this.config.shutdownTimeout);
+    }
+    return this.shutdownPromise;
+  }
+
+  /**
+   * Move simulated time forward (manual or accelerated clock), firing vesting
+   * releases, voting deadlines and other timers that fall due
+   * @param {object} options - { days, ms, to }
+   */
+  async advanceTime({ days, ms, to } = {}) {
+    if (to !== undefined) return this.clock.advanceTo(to);
+    if (days !== undefined) return this.clock.advanceDays(days);
+    return this.clock.advance(ms ?? 0);
+  }
+
+  /**
+   * Capture companies, history, vesting, proposals, votes, mergers and metrics
+   * @param {object} options - { name, description }
+   */
+  createSnapshot(options = {}) {
+    return this.snapshots.create(options);
+  }
+
+  /**
+   * Replace the simulation state with a snapshot
+   * @throws {SnapshotError} When the snapshot is malformed or from an incompatible version
+   */
+  restoreSnapshot(snapshot) {
+    return this.snapshots.restore(snapshot);
+  }
+
+  /**
+   * Execute a goal task together with its catalog dependencies
+   * @param {string} goalTaskId - Task to reach (e.g., 'MRG003')
+   * @param {object} options - { parameters, stepParameters, bindings }
+   * @returns {Promise<object>} Run summary with per-step trace
+   */
+  async runWorkflow(goalTaskId, options = {}) {
+    return this.workflowRunner.run(goalTaskId, options);
+  }
+
+  /**
+   * Resume a failed workflow run from its failed steps
+   */
+  async resumeWorkflow(runId, options = {}) {
+    return this.workflowRunner.resume(runId, options);
+  }
+
+  /**
+   * Mock task execution for demonstration purposes (mode: 'demo')
+   */
+  async mockTaskExecution(task, parameters, signal) {
     // Simulate execution time based on complexity
     const complexityDelay = {
       'Low': 100,
@@ -165,7 +483,13 @@ export class CorporateMergeTycoonAgent {
     };
     
     const delay = complexityDelay[task.complexity] || 300;
-    await new Promise(resolve => setTimeout(resolve, delay));
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, delay);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      });
+    });
 
     return {
       summary: `${task.name} executed successfully`,
@@ -197,24 +521,38 @@ export class CorporateMergeTycoonAgent {
   }
 
   /**
-   * Validate task parameters
+   * Derive task and category totals from the catalog contents
    */
-  validateTaskParameters(task, parameters) {
-    if (!task.parameters || !Array.isArray(task.parameters)) {
-      return; // No validation required
+  refreshCatalogTotals() {
+    const categories = Object.values(this.taskCatalog.task_categories);
+
+    for (const category of categories) {
+      category.task_count = Object.keys(category.tasks || {}).length;
     }
 
-    const requiredParams = task.parameters;
-    const providedParams = Object.keys(parameters);
-    
-    // Check for missing required parameters
-    const missingParams = requiredParams.filter(param => 
-      !providedParams.includes(param)
-    );
+    this.taskCatalog.agent_info.total_tasks = categories.reduce((sum, category) => sum + category.task_count, 0);
+    this.taskCatalog.agent_info.categories = categories.length;
+  }
+
+  /**
+   * Validate task parameters against the task's tool-call specification
+   * @returns {object} Parameters with spec defaults applied
+   * @throws {ValidationError} With per-field `errors` when validation fails
+   */
+  validateTaskParameters(task, parameters) {
+    return this.parameterValidator.assertValid(task, parameters);
+  }
 
-    if (missingParams.length > 0) {
-      throw new Error(`Missing required parameters: ${missingParams.join(', ')}`);
+  /**
+   * Validate task parameters without throwing
+   * @returns {{valid: boolean, errors: Array<object>, parameters: object}}
+   */
+  checkTaskParameters(taskId, parameters = {}) {
+    const task = this.findTaskById(taskId);
+    if (!task) {
+      throw DomainError.notFound(`Task ${taskId} not found in catalog`);
     }
+    return this.parameterValidator.validate(task, parameters);
   }
 
   /**
@@ -241,7 +579,7 @@ export class CorporateMergeTycoonAgent {
     }
 
     return tasks.sort((a, b) => {
-      const priorityOrder = { 'Critical': 0, 'High': 1, 'Medium': 2 };
+      const priorityOrder = { 'Critical': 0, 'High': 1, 'Medium': 2, 'Low': 3 };
       return priorityOrder[a.priority] - priorityOrder[b.priority];
     });
   }
@@ -255,12 +593,45 @@ export class CorporateMergeTycoonAgent {
     return {
       ...this.metrics,
       uptime_seconds: Math.floor(uptime / 1000),
+      queue: this.executionQueue.getStats(),
+      storage: this.store.getStats(),
+      clock: this.clock.getStatus(),
+      random: this.random.getStatus(),
       success_rate: this.metrics.tasks_executed > 0 
         ? (this.metrics.successful_executions / this.metrics.tasks_executed * 100).toFixed(2)
         : 0
     };
   }
 
+  /**
+   * Shutdown steps; the shutdown hooks and the queue drain share one deadline
+   */
+  async performShutdown(timeout) {
+    this.logger.info('Shutting down agent', { queue: this.executionQueue.getStats(), timeout });
+    this.scheduler.stopAll();
+
+    // Servers stop accepting first; their in-flight requests finish with the queue
+    const closing = Promise.all([...this.shutdownHooks].map(hook =>
+      Promise.resolve().then(hook).catch(error => this.logger.error('Shutdown hook failed', { error: error.message }))));
+
+    let timer;
+    const drained = await Promise.race([
+      Promise.all([this.executionQueue.onIdle(), closing]).then(() => true),
+      new Promise(resolve => { timer = setTimeout(() => resolve(false), timeout); })
+    ]);
+    clearTimeout(timer);
+
+    if (!drained) {
+      this.logger.warn('Shutdown timeout reached, abandoning queued tasks', { queue: this.executionQueue.getStats() });
+    }
+
+    this.dispose();
+    const flushed = await this.store.close();
+
+    this.logger.info('Agent shut down', { drained, flushed });
+    return { drained, flushed };
+  }
+
   /**
    * Update performance metrics
    */
@@ -0,0 +1,545 @@
+/**
+ * AMM Manager
+ * Constant-product (x · y = k) liquidity pools pairing company tokens with the
+ * simulated base asset: pools seeded from treasury allocations, LP share
+ * accounting, swaps with fees and slippage limits, and price impact quotes
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { ValidationError } from '../validation/parameter-validator.js';
+import { DomainError } from '../validation/domain-error.js';
+import { SYSTEM_ACCOUNTS } from '../company/shareholder-ledger.js';
+
+// Ledger account holding every pool's company tokens (public float, like any holder)
+export const POOL_ACCOUNT = 'amm_pool';
+
+// buy: base asset in, company tokens out; sell: company tokens in, base asset out
+export const SWAP_SIDES = ['buy', 'sell'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUST = 1e-9;
+const LOCKED_SHARES = 'locked';
+
+/**
+ * AMMManager - One constant-product pool per company token against the base asset
+ *
+ * Pool tokens sit in the company ledger's `amm_pool` account; the base asset is
+ * kept in simulated wallets funded with deposit(). A company's treasury seeds its
+ * pool (the base side at the current token price) and holds the LP shares as
+ * `treasury`; its base-asset wallet is named after the company. Every swap feeds
+ * the pool's spot price and traded value into the company's token_price and
+ * volume_24h, and market ticks reach pooled tokens as arbitrage trades against
+ * the public float (see rebalance()). When a pooled company merges or is removed,
+ * its pool is closed and the reserves are paid out to the LPs (see delist()).
+ */
+export class AMMManager extends EventEmitter {
+  constructor(agent, config = {}) {
+    super();
+    this.agent = agent;
+    this.config = {
+      baseAsset: config.baseAsset || 'EGLD',
+      feeBps: config.feeBps ?? 30, // 0.3% of every swap input stays in the pool
+      minimumShares: config.minimumShares ?? 1, // LP shares locked at creation so a pool never empties
+      ...config
+    };
+
+    // Pools and base-asset wallets are persisted with the rest of the simulation state
+    this.pools = agent.store.map('amm_pools');
+    this.wallets = agent.store.map('amm_wallets');
+
+    agent.companyManager.setPriceFeed(this);
+  }
+
+  dispose() {
+    if (this.agent.companyManager.priceFeed === this) {
+      this.agent.companyManager.setPriceFeed(null);
+    }
+    this.removeAllListeners();
+  }
+
+  // Pools
+
+  /**
+   * Open a company's pool with tokens from its treasury
+   * @param {object} params - { tokenAmount, baseAmount (defaults to tokenAmount × token_price), feeBps }
+   */
+  async createPool(companyId, { tokenAmount, baseAmount, feeBps = this.config.feeBps } = {}) {
+    const company = this.requireTradingCompany(companyId);
+    if (this.pools.has(company.id)) {
+      throw DomainError.conflict(`Pool for ${company.id} already exists`);
+    }
+
+    const base = baseAmount ?? tokenAmount * company.performance.token_price;
+    this.validateAmounts({ tokenAmount, baseAmount: base });
+    if (!(Number.isFinite(feeBps) && feeBps >= 0 && feeBps < 10000)) {
+      throw new ValidationError([{ field: 'feeBps', code: 'range', message: 'must be between 0 and 9999 basis points' }]);
+    }
+
+    const shares = Math.sqrt(tokenAmount * base);
+    if (shares <= this.config.minimumShares) {
+      throw new ValidationError([{ field: 'tokenAmount', code: 'minimum', message: `pool must mint more than ${this.config.minimumShares} LP shares` }]);
+    }
+
+    await this.agent.companyManager.transferTokens(company.id, {
+      from: SYSTEM_ACCOUNTS.treasury, to: POOL_ACCOUNT, amount: tokenAmount, memo: 'AMM pool liquidity'
+    });
+
+    const now = this.agent.clock.toISOString();
+    const pool = {
+      company_id: company.id,
+      ticker: company.ticker,
+      base_asset: this.config.baseAsset,
+      token_reserve: tokenAmount,
+      base_reserve: base,
+      fee_bps: feeBps,
+      total_shares: shares,
+      shares: { [LOCKED_SHARES]: this.config.minimumShares, [SYSTEM_ACCOUNTS.treasury]: shares - this.config.minimumShares },
+      fees: { token: 0, base: 0 },
+      volume_24h: 0,
+      swaps: 0,
+      last_trade_at: null,
+      created_at: now,
+      updated_at: now
+    };
+    this.pools.set(company.id, pool);
+    this.agent.companyManager.recordTrade(company.id, { price: this.spotPrice(pool), volume: 0 });
+
+    this.emit('poolCreated', { companyId: company.id, tokenReserve: tokenAmount, baseReserve: base, price: this.spotPrice(pool) });
+    return { success: true, pool: this.describePool(pool) };
+  }
+
+  /**
+   * Deposit tokens plus the matching base asset at the pool ratio for LP shares
+   * Treasury liquidity is paid from the company's wallet.
+   */
+  async addLiquidity(companyId, { provider, tokenAmount } = {}) {
+    const pool = this.requirePool(companyId);
+    this.requireProvider(provider);
+    this.validateAmounts({ tokenAmount });
+
+    const baseAmount = tokenAmount * pool.base_reserve / pool.token_reserve;
+    const wallet = this.walletOf(pool, provider);
+    this.checkBalance(wallet, baseAmount);
+
+    await this.agent.companyManager.transferTokens(pool.company_id, {
+      from: provider, to: POOL_ACCOUNT, amount: tokenAmount, memo: 'AMM liquidity added'
+    });
+    this.debit(wallet, baseAmount);
+
+    const shares = (tokenAmount / pool.token_reserve) * pool.total_shares;
+    pool.token_reserve += tokenAmount;
+    pool.base_reserve += baseAmount;
+    pool.total_shares += shares;
+    pool.shares[provider] = (pool.shares[provider] || 0) + shares;
+    this.save(pool);
+
+    this.emit('liquidityAdded', { companyId: pool.company_id, provider, tokenAmount, baseAmount, shares });
+    return { success: true, shares, token_amount: tokenAmount, base_amount: baseAmount, pool: this.describePool(pool) };
+  }
+
+  /**
+   * Redeem LP shares for their part of both reserves (fees included)
+   */
+  async removeLiquidity(companyId, { provider, shares } = {}) {
+    const pool = this.requirePool(companyId);
+    this.requireProvider(provider);
+    this.validateAmounts({ shares });
+
+    const held = pool.shares[provider] || 0;
+    if (shares > held + DUST) {
+      throw DomainError.conflict(`Insufficient LP shares: ${provider} holds ${held} ${pool.company_id} pool shares`);
+    }
+
+    const portion = Math.min(shares, held) / pool.total_shares;
+    const tokenAmount = pool.token_reserve * portion;
+    const baseAmount = pool.base_reserve * portion;
+
+    await this.agent.companyManager.transferTokens(pool.company_id, {
+      from: POOL_ACCOUNT, to: provider, amount: tokenAmount, memo: 'AMM liquidity removed'
+    });
+    this.credit(this.walletOf(pool, provider), baseAmount);
+
+    pool.token_reserve -= tokenAmount;
+    pool.base_reserve -= baseAmount;
+    pool.total_shares -= Math.min(shares, held);
+    pool.shares[provider] = held - Math.min(shares, held);
+    if (pool.shares[provider] < DUST) delete pool.shares[provider];
+    this.save(pool);
+
+    this.emit('liquidityRemoved', { companyId: pool.company_id, provider, tokenAmount, baseAmount, shares });
+    return { success: true, shares, token_amount: tokenAmount, base_amount: baseAmount, pool: this.describePool(pool) };
+  }
+
+  // Trading
+
+  /**
+   * Price a swap without executing it
+   * @returns {object} amount_out, fee, spot prices before / after, execution_price and
+   *   price_impact (% the trade moves the pool price)
+   */
+  quote(companyId, { side, amountIn } = {}) {
+    const pool = this.requirePool(companyId);
+    this.validateSwap({ side, amountIn });
+    return this.calculateQuote(pool, side, amountIn);
+  }
+
+  /**
+   * Execute a swap
+   * @param {object} params - { trader, side, amountIn, minAmountOut, maxPriceImpact (%) }
+   * @throws {Error} When the quote breaks the trader's slippage limits (nothing is traded)
+   */
+  async swap(companyId, { trader, side, amountIn, minAmountOut, maxPriceImpact } = {}) {
+    const pool = this.requirePool(companyId);
+    this.requireTrader(trader);
+    this.validateSwap({ side, amountIn });
+
+    const quote = this.calculateQuote(pool, side, amountIn);
+    if (minAmountOut !== undefined && quote.amount_out < minAmountOut) {
+      throw DomainError.conflict(`Slippage exceeded: ${quote.amount_out} ${quote.asset_out} out, minimum ${minAmountOut}`);
+    }
+    if (maxPriceImpact !== undefined && quote.price_impact > maxPriceImpact) {
+      throw DomainError.conflict(`Slippage exceeded: price impact ${quote.price_impact.toFixed(2)}% is above the ${maxPriceImpact}% limit`);
+    }
+
+    const value = await this.executeSwap(pool, trader, quote);
+    this.agent.companyManager.recordTrade(pool.company_id, { price: quote.spot_price_after, volume: value });
+
+    const swap = { ...quote, trader, value, executed_at: this.agent.clock.toISOString() };
+    this.emit('swapExecuted', {
+      companyId: pool.company_id,
+      trader,
+      side,
+      amountIn,
+      amountOut: quote.amount_out,
+      price: quote.spot_price_after
+    });
+    return { success: true, swap, pool: this.describePool(pool) };
+  }
+
+  /**
+   * Arbitrage a pool to a market price: the public float trades against the pool
+   * until its spot reaches `targetPrice` (sells are limited by the public balance)
+   * @returns {{price: number, volume: number}} Pool spot price afterwards and value traded
+   */
+  async rebalance(companyId, targetPrice) {
+    const pool = this.requirePool(companyId);
+    const spot = this.spotPrice(pool);
+    if (!(targetPrice > 0) || Math.abs(targetPrice / spot - 1) < DUST) return { price: spot, volume: 0 };
+
+    // Input that leaves the spot at the target with the fee kept in the pool:
+    // f·a² + (1 + f)·R·a + R² − c = 0, with R the input reserve and c = B·T·p (buy) or B·T / p (sell)
+    const feeShare = 1 - pool.fee_bps / 10000;
+    const side = targetPrice > spot ? 'buy' : 'sell';
+    const [reserve, product] = side === 'buy'
+      ? [pool.base_reserve, pool.base_reserve * pool.token_reserve * targetPrice]
+      : [pool.token_reserve, pool.base_reserve * pool.token_reserve / targetPrice];
+    const b = (1 + feeShare) * reserve;
+    let amountIn = (Math.sqrt(b ** 2 - 4 * feeShare * (reserve ** 2 - product)) - b) / (2 * feeShare);
+    if (side === 'sell') {
+      amountIn = Math.min(amountIn, this.agent.companyManager.ledger.balanceOf(companyId, SYSTEM_ACCOUNTS.public));
+    }
+    if (!(amountIn > DUST)) return { price: spot, volume: 0 };
+
+    const quote = this.calculateQuote(pool, side, amountIn);
+    const volume = await this.executeSwap(pool, SYSTEM_ACCOUNTS.public, quote);
+    return { price: quote.spot_price_after, volume };
+  }
+
+  /**
+   * Close a company's pool and pay the LPs their part of the reserves: the base asset
+   * to their wallets and, after a merger, the acquirer tokens the pool's reserve was
+   * exchanged for (the treasury's go to the acquirer's public float, like its other
+   * allocations). The locked minimum is shared out with the rest.
+   * @returns {object|null} Settlement, or null when the company has no pool
+   */
+  async delist(companyId, { acquirerId = null } = {}) {
+    const pool = this.pools.get(companyId);
+    if (!pool) return null;
+
+    const providers = Object.entries(pool.shares).filter(([provider]) => provider !== LOCKED_SHARES);
+    const providerShares = providers.reduce((sum, [, shares]) => sum + shares, 0);
+    const exchangeRatio = acquirerId ? this.agent.companyManager.ledger.get(companyId).exchanged_into?.ratio || 0 : 0;
+    const acquirerTokens = pool.token_reserve * exchangeRatio;
+
+    const payouts = {};
+    for (const [provider, shares] of providers) {
+      const portion = providerShares > 0 ? shares / providerShares : 0;
+      const payout = { base_amount: pool.base_reserve * portion, token_amount: acquirerTokens * portion };
+      this.credit(this.walletOf(pool, provider), payout.base_amount);
+
+      if (payout.token_amount > DUST) {
+        await this.agent.companyManager.transferTokens(acquirerId, {
+          from: POOL_ACCOUNT,
+          to: provider === SYSTEM_ACCOUNTS.treasury ? SYSTEM_ACCOUNTS.public : provider,
+          amount: payout.token_amount,
+          memo: `AMM pool ${pool.ticker} settled`
+        });
+      }
+      payouts[provider] = payout;
+    }
+
+    this.pools.delete(companyId);
+    const settlement = { company_id: companyId, acquirer_id: acquirerId, base_reserve: pool.base_reserve, acquirer_tokens: acquirerTokens, payouts };
+    this.emit('poolSettled', settlement);
+    return settlement;
+  }
+
+  hasPool(companyId) {
+    return this.pools.has(companyId) && this.agent.companyManager.getCompany(companyId)?.metadata.status !== 'merged';
+  }
+
+  // Wallets
+
+  /**
+   * Fund a wallet with the simulated base asset
+   */
+  deposit(holder, amount) {
+    if (!holder) {
+      throw new ValidationError([{ field: 'holder', code: 'required', message: 'is required' }]);
+    }
+    this.validateAmounts({ amount });
+    this.credit(holder, amount);
+
+    this.emit('walletFunded', { holder, amount, balance: this.wallets.get(holder) });
+    return this.getWallet(holder);
+  }
+
+  getWallet(holder) {
+    return { holder, asset: this.config.baseAsset, balance: this.wallets.get(holder) || 0 };
+  }
+
+  // Public query methods
+
+  getPool(companyId) {
+    const pool = this.pools.get(companyId);
+    return pool ? this.describePool(pool) : null;
+  }
+
+  getPools() {
+    return Array.from(this.pools.values()).map(pool => this.describePool(pool));
+  }
+
+  /**
+   * A provider's LP position: shares, share of the pool and the reserves they redeem for
+   */
+  getPosition(companyId, provider) {
+    const pool = this.requirePool(companyId);
+    const shares = pool.shares[provider] || 0;
+    const portion = shares / pool.total_shares;
+
+    return {
+      company_id: pool.company_id,
+      provider,
+      shares,
+      pool_share: portion * 100,
+      token_amount: pool.token_reserve * portion,
+      base_amount: pool.base_reserve * portion
+    };
+  }
+
+  /**
+   * Liquidity summary for performance analysis: reserves, value locked, and the
+   * tokens that can be bought before the price moves 2%
+   */
+  getLiquidity(companyId) {
+    const pool = this.requirePool(companyId);
+
+    return {
+      token_reserve: pool.token_reserve,
+      base_reserve: pool.base_reserve,
+      spot_price: this.spotPrice(pool),
+      total_value_locked: pool.base_reserve * 2,
+      depth_2pct: pool.token_reserve * (1 - 1 / Math.sqrt(1.02)),
+      volume_24h: this.decayedVolume(pool),
+      swaps: pool.swaps
+    };
+  }
+
+  // Helper methods
+
+  calculateQuote(pool, side, amountIn) {
+    const buying = side === 'buy';
+    const fee = amountIn * pool.fee_bps / 10000;
+    const net = amountIn - fee;
+    const [reserveIn, reserveOut] = buying ? [pool.base_reserve, pool.token_reserve] : [pool.token_reserve, pool.base_reserve];
+    const amountOut = reserveOut * net / (reserveIn + net);
+
+    const before = this.spotPrice(pool);
+    const after = buying
+      ? (pool.base_reserve + amountIn) / (pool.token_reserve - amountOut)
+      : (pool.base_reserve - amountOut) / (pool.token_reserve + amountIn);
+
+    return {
+      company_id: pool.company_id,
+      side,
+      asset_in: buying ? this.config.baseAsset : pool.ticker,
+      asset_out: buying ? pool.ticker : this.config.baseAsset,
+      amount_in: amountIn,
+      fee,
+      amount_out: amountOut,
+      spot_price_before: before,
+      spot_price_after: after,
+      execution_price: buying ? amountIn / amountOut : amountOut / amountIn,
+      price_impact: Math.abs(after / before - 1) * 100
+    };
+  }
+
+  /**
+   * Settle a quoted swap: tokens through the company ledger, the base asset through
+   * the trader's wallet (the public float is the outside market and has no wallet)
+   * @returns {number} Value traded in the base asset
+   */
+  async executeSwap(pool, trader, quote) {
+    const buying = quote.side === 'buy';
+    const wallet = trader === SYSTEM_ACCOUNTS.public ? null : this.walletOf(pool, trader);
+    if (buying && wallet) this.checkBalance(wallet, quote.amount_in);
+
+    await this.agent.companyManager.transferTokens(pool.company_id, buying
+      ? { from: POOL_ACCOUNT, to: trader, amount: quote.amount_out, memo: 'AMM swap' }
+      : { from: trader, to: POOL_ACCOUNT, amount: quote.amount_in, memo: 'AMM swap' });
+    if (wallet) {
+      if (buying) this.debit(wallet, quote.amount_in);
+      else this.credit(wallet, quote.amount_out);
+    }
+
+    if (buying) {
+      pool.base_reserve += quote.amount_in;
+      pool.token_reserve -= quote.amount_out;
+      pool.fees.base += quote.fee;
+    } else {
+      pool.token_reserve += quote.amount_in;
+      pool.base_reserve -= quote.amount_out;
+      pool.fees.token += quote.fee;
+    }
+
+    const value = buying ? quote.amount_in : quote.amount_out;
+    pool.volume_24h = this.decayedVolume(pool) + value;
+    pool.swaps += 1;
+    pool.last_trade_at = this.agent.clock.toISOString();
+    this.save(pool);
+    return value;
+  }
+
+  describePool(pool) {
+    return {
+      ...pool,
+      shares: { ...pool.shares },
+      fees: { ...pool.fees },
+      spot_price: this.spotPrice(pool),
+      total_value_locked: pool.base_reserve * 2,
+      volume_24h: this.decayedVolume(pool)
+    };
+  }
+
+  spotPrice(pool) {
+    return pool.base_reserve / pool.token_reserve;
+  }
+
+  /**
+   * Traded value over roughly the last 24 hours (exponentially decayed since the last trade)
+   */
+  decayedVolume(pool) {
+    if (!pool.last_trade_at) return pool.volume_24h;
+    const elapsed = Math.max(0, this.agent.clock.now() - Date.parse(pool.last_trade_at));
+    return pool.volume_24h * Math.exp(-elapsed / DAY_MS);
+  }
+
+  /**
+   * Base-asset wallet of a provider or trader (the company's own wallet for its treasury)
+   */
+  walletOf(pool, provider) {
+    return provider === SYSTEM_ACCOUNTS.treasury ? pool.company_id : provider;
+  }
+
+  credit(holder, amount) {
+    this.wallets.set(holder, (this.wallets.get(holder) || 0) + amount);
+  }
+
+  debit(holder, amount) {
+    this.checkBalance(holder, amount);
+    const balance = (this.wallets.get(holder) || 0) - amount;
+    if (balance < DUST) this.wallets.delete(holder);
+    else this.wallets.set(holder, balance);
+  }
+
+  checkBalance(holder, amount) {
+    const balance = this.wallets.get(holder) || 0;
+    if (amount > balance + DUST) {
+      throw DomainError.conflict(`Insufficient ${this.config.baseAsset} balance: ${holder} holds ${balance} ${this.config.baseAsset}`);
+    }
+  }
+
+  save(pool) {
+    pool.updated_at = this.agent.clock.toISOString();
+    this.pools.set(pool.company_id, pool);
+  }
+
+  requireTradingCompany(companyId) {
+    const company = this.agent.companyManager.getCompany(companyId);
+    if (!company) {
+      throw DomainError.notFound(`Company ${companyId} not found`);
+    }
+    if (company.metadata.status === 'merged') {
+      throw DomainError.conflict(`Company ${company.id} has already merged`);
+    }
+    return company;
+  }
+
+  requirePool(companyId) {
+    const company = this.requireTradingCompany(companyId);
+    const pool = this.pools.get(company.id);
+    if (!pool) {
+      throw DomainError.notFound(`Pool for ${company.id} not found`);
+    }
+    return pool;
+  }
+
+  requireProvider(provider) {
+    if (!provider) {
+      throw new ValidationError([{ field: 'provider', code: 'required', message: 'is required' }]);
+    }
+    if (provider === POOL_ACCOUNT || provider === LOCKED_SHARES) {
+      throw new ValidationError([{ field: 'provider', code: 'reserved', message: `${provider} is a reserved account` }]);
+    }
+  }
+
+  /**
+   * The public float and employee pool only trade through arbitrage and vesting
+   */
+  requireTrader(trader) {
+    if (!trader) {
+      throw new ValidationError([{ field: 'trader', code: 'required', message: 'is required' }]);
+    }
+    if ([POOL_ACCOUNT, SYSTEM_ACCOUNTS.public, SYSTEM_ACCOUNTS.employees].includes(trader)) {
+      throw new ValidationError([{ field: 'trader', code: 'reserved', message: `${trader} is a reserved account` }]);
+    }
+  }
+
+  validateSwap({ side, amountIn }) {
+    const errors = [];
+    if (!SWAP_SIDES.includes(side)) {
+      errors.push({ field: 'side', code: 'enum', message: `must be one of ${SWAP_SIDES.join(', ')}` });
+    }
+    if (!(Number.isFinite(amountIn) && amountIn > 0)) {
+      errors.push({ field: 'amountIn', code: 'minimum', message: 'must be a positive number' });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  validateAmounts(amounts) {
+    const errors = Object.entries(amounts)
+      .filter(([, value]) => !(Number.isFinite(value) && value > 0))
+      .map(([field]) => ({ field, code: 'minimum', message: 'must be a positive number' }));
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+}
+
+export default AMMManager;
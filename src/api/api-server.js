@@ -0,0 +1,738 @@
+/**
+ * API Server
+ * REST layer exposing the Corporate Merge Tycoon Agent over HTTP
+ * Covers task execution, metrics, companies, DAO governance, mergers, scheduled jobs, LLM tools, snapshots,
+ * the clock, game sessions and leaderboards
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import { ValidationError } from '../validation/parameter-validator.js';
+import { SnapshotError } from '../storage/snapshot-manager.js';
+import { CompanyError } from '../company/company-validation.js';
+import { DomainError } from '../validation/domain-error.js';
+import { WebSocketGateway } from './websocket-gateway.js';
+
+/**
+ * ApiError - Error carrying an HTTP status and a machine-readable code
+ */
+export class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  static notFound(message) {
+    return new ApiError(404, 'NOT_FOUND', message);
+  }
+
+  /**
+   * Map an error thrown by the agent or a manager onto an ApiError
+   */
+  static from(error) {
+    if (error instanceof ApiError) return error;
+
+    if (error instanceof ValidationError) {
+      return new ApiError(400, 'VALIDATION_ERROR', error.message, error.errors);
+    }
+
+    if (error instanceof SnapshotError) {
+      return new ApiError(400, 'INVALID_SNAPSHOT', error.message, error.details);
+    }
+
+    // Registry conflicts, invariant violations and refused requests carry their own status and code
+    if (error instanceof CompanyError || error instanceof DomainError) {
+      return new ApiError(error.status, error.code, error.message, error.details);
+    }
+
+    if (error.type === 'entity.parse.failed') {
+      return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+    }
+
+    return new ApiError(500, 'INTERNAL_ERROR', error.message);
+  }
+}
+
+/**
+ * ApiServer - Express application bound to an agent instance
+ */
+export class ApiServer {
+  constructor(agent, config = {}) {
+    this.agent = agent;
+    this.config = {
+      port: Number(config.port ?? process.env.PORT ?? process.env.API_PORT ?? 3000),
+      host: config.host || process.env.HOST || process.env.API_HOST || '0.0.0.0',
+      ...config
+    };
+
+    this.logger = agent.logger;
+    this.server = null;
+    this.app = this.createApp();
+    this.gateway = new WebSocketGateway(agent.eventStream, { path: this.config.wsPath });
+  }
+
+  /**
+   * Build the express application with all routes registered
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    app.get('/health', (req, res) => {
+      res.json({ status: 'ok', uptime_seconds: this.agent.getMetrics().uptime_seconds });
+    });
+
+    app.get('/metrics', (req, res) => {
+      res.type(this.agent.metricsExporter.contentType).send(this.agent.metricsExporter.render());
+    });
+
+    app.use('/api', this.createAgentRouter());
+    app.use('/api/companies', this.createCompanyRouter());
+    app.use('/api/dao', this.createGovernanceRouter());
+    app.use('/api/mergers', this.createMergerRouter());
+    app.use('/api/scheduler', this.createSchedulerRouter());
+    app.use('/api/tools', this.createToolRouter());
+    app.use('/api/snapshot', this.createSnapshotRouter());
+    app.use('/api/clock', this.createClockRouter());
+    app.use('/api/games', this.createGameRouter());
+    app.use('/api/leaderboards', this.createLeaderboardRouter());
+    app.use('/api/amm', this.createAmmRouter());
+
+    app.use((req, res, next) => {
+      next(ApiError.notFound(`Route ${req.method} ${req.path} not found`));
+    });
+
+    // eslint-disable-next-line no-unused-vars
+    app.use((error, req, res, next) => {
+      const apiError = ApiError.from(error);
+
+      if (apiError.status >= 500) {
+        this.logger.error('API request failed', {
+          method: req.method,
+          path: req.path,
+          error: error.message
+        });
+      }
+
+      res.status(apiError.status).json({
+        success: false,
+        error: {
+          code: apiError.code,
+          message: apiError.message,
+          ...(apiError.details ? { details: apiError.details } : {})
+        }
+      });
+    });
+
+    return app;
+  }
+
+  createAgentRouter() {
+    const router = express.Router();
+
+    router.get('/agent/status', (req, res) => {
+      res.json(this.ok({
+        name: this.agent.taskCatalog.agent_info.name,
+        version: this.agent.taskCatalog.agent_info.version,
+        network: this.agent.config.network,
+        mode: this.agent.config.mode,
+        metrics: this.agent.getMetrics()
+      }));
+    });
+
+    router.get('/agent/metrics', (req, res) => {
+      res.json(this.ok(this.agent.getMetrics()));
+    });
+
+    router.get(['/agent/tasks', '/tasks'], (req, res) => {
+      const { priority, category } = req.query;
+      const tasks = this.agent.getAvailableTasks()
+        .filter(task => !priority || task.priority === priority)
+        .filter(task => !category || task.category === category);
+      res.json(this.ok(tasks));
+    });
+
+    router.get('/tasks/:taskId', (req, res) => {
+      const task = this.agent.findTaskById(req.params.taskId);
+      if (!task) {
+        throw ApiError.notFound(`Task ${req.params.taskId} not found`);
+      }
+      res.json(this.ok(task));
+    });
+
+    router.post('/tasks/:taskId/execute', this.route(async (req, res) => {
+      const { taskId } = req.params;
+      if (!this.agent.findTaskById(taskId)) {
+        throw ApiError.notFound(`Task ${taskId} not found`);
+      }
+
+      const result = await this.agent.executeTask(taskId, req.body?.parameters || {});
+
+      if (result.validation_errors) {
+        throw new ApiError(400, 'VALIDATION_ERROR', result.error, result.validation_errors);
+      }
+      if (!result.success) {
+        throw new ApiError(422, 'TASK_FAILED', result.error, { taskId, executionTime: result.executionTime });
+      }
+
+      res.json(this.ok(result));
+    }));
+
+    return router;
+  }
+
+  createCompanyRouter() {
+    const router = express.Router();
+    const companies = this.agent.companyManager;
+
+    router.get('/', (req, res) => {
+      const { sector } = req.query;
+      res.json(this.ok(
+        companies.getAllCompanies().filter(c => !sector || c.metadata.sector === sector)
+      ));
+    });
+
+    router.post(['/', '/register'], this.route(async (req, res) => {
+      this.requireFields(req.body, ['companyId', 'name', 'ticker', 'totalSupply']);
+      const { company } = await companies.registerCompany(req.body);
+      res.status(201).json(this.ok(company));
+    }));
+
+    router.get('/:companyId', (req, res) => {
+      res.json(this.ok(this.findCompany(req.params.companyId)));
+    });
+
+    router.patch('/:companyId', this.route(async (req, res) => {
+      const company = this.findCompany(req.params.companyId);
+      const result = await companies.updateCompany(company.id, req.body || {});
+      res.json(this.ok(result.company));
+    }));
+
+    router.delete('/:companyId', this.route(async (req, res) => {
+      const company = this.findCompany(req.params.companyId);
+      await companies.removeCompany(company.id);
+      res.status(204).end();
+    }));
+
+    router.get('/:companyId/performance', this.route(async (req, res) => {
+      const company = this.findCompany(req.params.companyId);
+      const { analysis } = await companies.analyzePerformance({
+        companyId: company.id,
+        timeframe: req.query.timeframe,
+        includeComparisons: req.query.comparisons === 'true',
+        includePredictions: req.query.predictions === 'true'
+      });
+      res.json(this.ok(analysis));
+    }));
+
+    router.post('/:companyId/optimize-distribution', this.route(async (req, res) => {
+      const company = this.findCompany(req.params.companyId);
+      const { optimization } = await companies.optimizeDistribution({ ...req.body, companyId: company.id });
+      res.json(this.ok(optimization));
+    }));
+
+    router.post('/:companyId/vesting', this.route(async (req, res) => {
+      const company = this.findCompany(req.params.companyId);
+      const result = await companies.manageEmployeeVesting({ ...req.body, companyId: company.id });
+      res.json(this.ok(result));
+    }));
+
+    router.get('/:companyId/cap-table', (req, res) => {
+      const company = this.findCompany(req.params.companyId);
+      const limit = req.query.limit ? Number(req.query.limit) : undefined;
+      res.json(this.ok(companies.getCapTable(company.id, { limit })));
+    });
+
+    router.get('/:companyId/market', (req, res) => {
+      res.json(this.ok(companies.getMarket(this.findCompany(req.params.companyId).id)));
+    });
+
+    router.get('/:companyId/transfers', (req, res) => {
+      const company = this.findCompany(req.params.companyId);
+      res.json(this.ok(companies.ledger.getHistory(company.id, req.query.limit ? Number(req.query.limit) : undefined)));
+    });
+
+    router.post('/:companyId/transfers', this.route(async (req, res) => {
+      const company = this.findCompany(req.params.companyId);
+      const { transfer } = await companies.transferTokens(company.id, req.body);
+      res.status(201).json(this.ok(transfer));
+    }));
+
+    router.post('/:companyId/burn', this.route(async (req, res) => {
+      this.requireFields(req.body, ['amount']);
+      const company = this.findCompany(req.params.companyId);
+      const result = await companies.burnTokens(company.id, req.body.amount, { from: req.body.from });
+      res.json(this.ok(result.company));
+    }));
+
+    return router;
+  }
+
+  createGovernanceRouter() {
+    const router = express.Router();
+    const dao = this.agent.daoManager;
+
+    router.get('/proposals', (req, res) => {
+      const proposals = req.query.status === 'active'
+        ? dao.getActiveProposals()
+        : dao.getAllProposals().filter(p => !req.query.status || p.status === req.query.status);
+      res.json(this.ok(proposals));
+    });
+
+    router.post('/proposals', this.route(async (req, res) => {
+      this.requireFields(req.body, ['title', 'description', 'proposer']);
+      const { proposal } = await dao.createProposal(req.body);
+      res.status(201).json(this.ok(proposal));
+    }));
+
+    router.get('/proposals/:proposalId', (req, res) => {
+      res.json(this.ok(this.findProposal(req.params.proposalId)));
+    });
+
+    router.get('/proposals/:proposalId/votes', (req, res) => {
+      this.findProposal(req.params.proposalId);
+      res.json(this.ok(dao.getProposalVotes(req.params.proposalId)));
+    });
+
+    router.post('/proposals/:proposalId/vote', this.route(async (req, res) => {
+      this.requireFields(req.body, ['voter', 'vote']);
+      const result = await dao.submitVote({ ...req.body, proposalId: req.params.proposalId });
+      res.status(201).json(this.ok(result));
+    }));
+
+    router.post('/proposals/:proposalId/execute', this.route(async (req, res) => {
+      this.requireFields(req.body, ['executor']);
+      const result = await dao.executeDecision({ ...req.body, proposalId: req.params.proposalId });
+      res.json(this.ok(result));
+    }));
+
+    router.get('/voters/:voter/votes', (req, res) => {
+      res.json(this.ok(dao.getVoterHistory(req.params.voter)));
+    });
+
+    router.get('/monitor', this.route(async (req, res) => {
+      const { results } = await dao.monitorVotes({
+        proposalId: req.query.proposalId || null,
+        includeHistory: req.query.history === 'true',
+        limit: req.query.limit ? Number(req.query.limit) : undefined
+      });
+      res.json(this.ok(results));
+    }));
+
+    return router;
+  }
+
+  createMergerRouter() {
+    const router = express.Router();
+    const mergers = this.agent.mergerEngine;
+    const executor = this.agent.taskExecutor;
+
+    router.get('/', (req, res) => {
+      res.json(this.ok(mergers.getAllMergers()));
+    });
+
+    router.get('/:mergerId', (req, res) => {
+      const merger = mergers.getMerger(req.params.mergerId);
+      if (!merger) {
+        throw ApiError.notFound(`Merger ${req.params.mergerId} not found`);
+      }
+      res.json(this.ok(merger));
+    });
+
+    router.post('/due-diligence', this.route(async (req, res) => {
+      this.requireFields(req.body, ['targetCompany', 'acquirerCompany']);
+      const { analysis } = await mergers.performDueDiligence({
+        ...req.body,
+        targetCompany: executor.resolveMergerProfile(req.body.targetCompany),
+        acquirerCompany: executor.resolveMergerProfile(req.body.acquirerCompany)
+      });
+      res.json(this.ok(analysis));
+    }));
+
+    router.post('/valuations', this.route(async (req, res) => {
+      this.requireFields(req.body, ['targetCompany', 'acquirerCompany']);
+      const { result } = await mergers.calculateValuations({
+        ...req.body,
+        targetCompany: executor.resolveMergerProfile(req.body.targetCompany),
+        acquirerCompany: executor.resolveMergerProfile(req.body.acquirerCompany)
+      });
+      res.json(this.ok(result));
+    }));
+
+    router.post('/', this.route(async (req, res) => {
+      this.requireFields(req.body, ['mergerId', 'targetTokens', 'exchangeRatio']);
+      if (mergers.getMerger(req.body.mergerId)) {
+        throw new ApiError(409, 'CONFLICT', `Merger ${req.body.mergerId} already exists`);
+      }
+
+      const ratio = req.body.exchangeRatio;
+      const { integration } = await mergers.executePostMergerIntegration({
+        ...req.body,
+        exchangeRatio: typeof ratio === 'object' ? ratio : { ratio }
+      });
+      res.status(201).json(this.ok(integration));
+    }));
+
+    return router;
+  }
+
+  createSchedulerRouter() {
+    const router = express.Router();
+    const scheduler = this.agent.scheduler;
+
+    router.get('/jobs', (req, res) => {
+      res.json(this.ok(scheduler.getJobs()));
+    });
+
+    router.post('/jobs', this.route(async (req, res) => {
+      this.requireFields(req.body, ['taskId']);
+      const { taskId, ...options } = req.body;
+      res.status(201).json(this.ok(scheduler.schedule(taskId, options)));
+    }));
+
+    router.post('/jobs/catalog-defaults', this.route(async (req, res) => {
+      res.status(201).json(this.ok(scheduler.scheduleCatalogDefaults(req.body?.parameters)));
+    }));
+
+    router.get('/jobs/:jobId', (req, res) => {
+      const job = scheduler.getJob(req.params.jobId);
+      if (!job) {
+        throw ApiError.notFound(`Job ${req.params.jobId} not found`);
+      }
+      res.json(this.ok(job));
+    });
+
+    router.delete('/jobs/:jobId', this.route(async (req, res) => {
+      scheduler.unschedule(req.params.jobId);
+      res.status(204).end();
+    }));
+
+    router.get('/jobs/:jobId/history', this.route(async (req, res) => {
+      res.json(this.ok(scheduler.getHistory(req.params.jobId)));
+    }));
+
+    router.post('/jobs/:jobId/pause', this.route(async (req, res) => {
+      res.json(this.ok(scheduler.pause(req.params.jobId)));
+    }));
+
+    router.post('/jobs/:jobId/resume', this.route(async (req, res) => {
+      res.json(this.ok(scheduler.resume(req.params.jobId)));
+    }));
+
+    router.post('/jobs/:jobId/run', this.route(async (req, res) => {
+      res.json(this.ok(await scheduler.runNow(req.params.jobId)));
+    }));
+
+    return router;
+  }
+
+  createToolRouter() {
+    const router = express.Router();
+    const list = (value) => (value ? String(value).split(',') : undefined);
+
+    router.get('/', this.route(async (req, res) => {
+      const { format = 'openai', taskIds, categories, priorities } = req.query;
+      if (!['openai', 'anthropic', 'json'].includes(format)) {
+        throw new ApiError(400, 'INVALID_FORMAT', `Unknown tool schema format: ${format}`);
+      }
+
+      res.json(this.ok({
+        format,
+        system_prompt: this.agent.toolSchemas.getSystemPrompt(),
+        tools: this.agent.getToolSchemas(format, {
+          taskIds: list(taskIds),
+          categories: list(categories),
+          priorities: list(priorities)
+        })
+      }));
+    }));
+
+    router.post('/dispatch', this.route(async (req, res) => {
+      const calls = Array.isArray(req.body?.tool_calls) ? req.body.tool_calls : [req.body];
+      const outcomes = await this.agent.toolDispatcher.dispatchAll(calls);
+      res.json(this.ok(outcomes));
+    }));
+
+    return router;
+  }
+
+  createSnapshotRouter() {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+      const snapshot = this.agent.createSnapshot({ name: req.query.name, description: req.query.description });
+      if (req.query.download === 'true') {
+        res.attachment(`${snapshot.name || 'snapshot'}-${snapshot.created_at.slice(0, 10)}.json`);
+        return res.send(JSON.stringify(snapshot, null, 2));
+      }
+      res.json(this.ok(snapshot));
+    });
+
+    router.post('/restore', (req, res) => {
+      const counts = this.agent.restoreSnapshot(req.body);
+      res.json(this.ok({ restored: counts }));
+    });
+
+    return router;
+  }
+
+  createClockRouter() {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+      res.json(this.ok(this.agent.clock.getStatus()));
+    });
+
+    router.post('/advance', this.route(async (req, res) => {
+      const { days, ms, to } = req.body || {};
+      if (days === undefined && ms === undefined && to === undefined) {
+        throw new ValidationError([{ field: 'days', code: 'required', message: 'is required (or ms, to)' }]);
+      }
+
+      const result = await this.agent.advanceTime({ days, ms, to });
+      res.json(this.ok({ ...result, clock: this.agent.clock.getStatus() }));
+    }));
+
+    return router;
+  }
+
+  createGameRouter() {
+    const router = express.Router();
+    const game = this.agent.game;
+
+    const findSession = (sessionId) => {
+      const session = game.getSession(sessionId);
+      if (!session) {
+        throw ApiError.notFound(`Game session ${sessionId} not found`);
+      }
+      return session;
+    };
+
+    router.get('/', (req, res) => {
+      const sessions = game.getSessions().filter(session => !req.query.status || session.status === req.query.status);
+      res.json(this.ok(sessions));
+    });
+
+    router.post('/', this.route(async (req, res) => {
+      res.status(201).json(this.ok(game.createSession(req.body || {})));
+    }));
+
+    router.get('/:sessionId', (req, res) => {
+      res.json(this.ok(findSession(req.params.sessionId)));
+    });
+
+    router.post('/:sessionId/players', this.route(async (req, res) => {
+      this.requireFields(req.body, ['playerId', 'company']);
+      res.status(201).json(this.ok(await game.joinSession(req.params.sessionId, req.body)));
+    }));
+
+    router.post('/:sessionId/bots', this.route(async (req, res) => {
+      this.requireFields(req.body, ['personality']);
+      res.status(201).json(this.ok(await game.addBot(req.params.sessionId, req.body)));
+    }));
+
+    router.get('/:sessionId/bots/log', this.route(async (req, res) => {
+      res.json(this.ok(game.getBotLog(req.params.sessionId, req.query)));
+    }));
+
+    router.post('/:sessionId/start', this.route(async (req, res) => {
+      res.json(this.ok(game.startSession(req.params.sessionId)));
+    }));
+
+    router.post('/:sessionId/actions', this.route(async (req, res) => {
+      this.requireFields(req.body, ['playerId', 'type']);
+      const { playerId, ...action } = req.body;
+      res.status(201).json(this.ok(game.submitAction(req.params.sessionId, playerId, action)));
+    }));
+
+    router.post('/:sessionId/turns', this.route(async (req, res) => {
+      res.json(this.ok(await game.endTurn(req.params.sessionId)));
+    }));
+
+    router.get('/:sessionId/turns', (req, res) => {
+      res.json(this.ok(findSession(req.params.sessionId).turns));
+    });
+
+    router.get('/:sessionId/standings', this.route(async (req, res) => {
+      res.json(this.ok(game.getStandings(req.params.sessionId)));
+    }));
+
+    return router;
+  }
+
+  createLeaderboardRouter() {
+    const router = express.Router();
+    const leaderboards = this.agent.leaderboards;
+
+    router.get('/', this.route(async (req, res) => {
+      res.json(this.ok(leaderboards.getLeaderboard(req.query)));
+    }));
+
+    router.get('/periods', (req, res) => {
+      res.json(this.ok(leaderboards.getPeriods()));
+    });
+
+    router.post('/periods/:period/reset', this.route(async (req, res) => {
+      res.json(this.ok(leaderboards.closePeriod(req.params.period)));
+    }));
+
+    router.get('/archives', (req, res) => {
+      res.json(this.ok(leaderboards.getArchives({ period: req.query.period })));
+    });
+
+    router.get('/archives/:archiveId', (req, res) => {
+      const archive = leaderboards.getArchive(req.params.archiveId);
+      if (!archive) {
+        throw ApiError.notFound(`Leaderboard archive ${req.params.archiveId} not found`);
+      }
+      res.json(this.ok(archive));
+    });
+
+    router.post('/scores', this.route(async (req, res) => {
+      res.json(this.ok(await leaderboards.refreshScores()));
+    }));
+
+    return router;
+  }
+
+  createAmmRouter() {
+    const router = express.Router();
+    const amm = this.agent.amm;
+    const poolOf = identifier => this.findCompany(identifier).id;
+
+    router.get('/pools', (req, res) => {
+      res.json(this.ok(amm.getPools()));
+    });
+
+    router.post('/pools', this.route(async (req, res) => {
+      this.requireFields(req.body, ['companyId', 'tokenAmount']);
+      const { companyId, ...params } = req.body;
+      const { pool } = await amm.createPool(poolOf(companyId), params);
+      res.status(201).json(this.ok(pool));
+    }));
+
+    router.get('/pools/:companyId', (req, res) => {
+      const pool = amm.getPool(poolOf(req.params.companyId));
+      if (!pool) {
+        throw ApiError.notFound(`Pool for ${req.params.companyId} not found`);
+      }
+      res.json(this.ok(pool));
+    });
+
+    router.get('/pools/:companyId/quote', this.route(async (req, res) => {
+      const amountIn = req.query.amountIn === undefined ? undefined : Number(req.query.amountIn);
+      res.json(this.ok(amm.quote(poolOf(req.params.companyId), { side: req.query.side, amountIn })));
+    }));
+
+    router.post('/pools/:companyId/swaps', this.route(async (req, res) => {
+      this.requireFields(req.body, ['trader', 'side', 'amountIn']);
+      res.status(201).json(this.ok(await amm.swap(poolOf(req.params.companyId), req.body)));
+    }));
+
+    router.post('/pools/:companyId/liquidity', this.route(async (req, res) => {
+      this.requireFields(req.body, ['provider', 'tokenAmount']);
+      res.json(this.ok(await amm.addLiquidity(poolOf(req.params.companyId), req.body)));
+    }));
+
+    router.post('/pools/:companyId/liquidity/remove', this.route(async (req, res) => {
+      this.requireFields(req.body, ['provider', 'shares']);
+      res.json(this.ok(await amm.removeLiquidity(poolOf(req.params.companyId), req.body)));
+    }));
+
+    router.get('/pools/:companyId/positions/:provider', this.route(async (req, res) => {
+      res.json(this.ok(amm.getPosition(poolOf(req.params.companyId), req.params.provider)));
+    }));
+
+    router.get('/wallets/:holder', (req, res) => {
+      res.json(this.ok(amm.getWallet(req.params.holder)));
+    });
+
+    router.post('/wallets/:holder/deposits', this.route(async (req, res) => {
+      this.requireFields(req.body, ['amount']);
+      res.json(this.ok(amm.deposit(req.params.holder, req.body.amount)));
+    }));
+
+    return router;
+  }
+
+  // Helper methods
+
+  ok(data) {
+    return { success: true, data };
+  }
+
+  /**
+   * Wrap an async handler so rejections reach the error middleware
+   */
+  route(handler) {
+    return (req, res, next) => {
+      Promise.resolve(handler(req, res, next)).catch(next);
+    };
+  }
+
+  requireFields(body = {}, fields) {
+    const errors = fields
+      .filter(field => body?.[field] === undefined || body?.[field] === null)
+      .map(field => ({ field, code: 'required', message: 'is required' }));
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  findCompany(identifier) {
+    const company = this.agent.companyManager.getCompany(identifier);
+    if (!company) {
+      throw ApiError.notFound(`Company ${identifier} not found`);
+    }
+    return company;
+  }
+
+  findProposal(proposalId) {
+    const proposal = this.agent.daoManager.getProposal(proposalId);
+    if (!proposal) {
+      throw ApiError.notFound(`Proposal ${proposalId} not found`);
+    }
+    return proposal;
+  }
+
+  /**
+   * Start listening for HTTP connections
+   */
+  async start() {
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.config.port, this.config.host, resolve);
+      this.server.once('error', reject);
+    });
+    this.gateway.attach(this.server);
+    this.unregisterShutdown = this.agent.onShutdown(() => this.stop());
+
+    this.logger.info('API server listening', {
+      host: this.config.host,
+      port: this.server.address().port
+    });
+
+    return this.server;
+  }
+
+  /**
+   * Stop accepting connections and close the HTTP server
+   */
+  async stop() {
+    if (!this.server) return;
+
+    this.unregisterShutdown();
+    await this.gateway.close();
+    await new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+    });
+    this.server = null;
+  }
+}
+
+export default ApiServer;
@@ -0,0 +1,163 @@
+/**
+ * WebSocket Gateway
+ * Pushes the agent's event stream to WebSocket clients
+ * Supports filtering by event type, company ID and proposal ID, and resuming by sequence number
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+import { EventStream } from '../events/event-stream.js';
+
+/**
+ * WebSocketGateway - Fan-out of EventStream events to subscribed clients
+ *
+ * Clients connect to `path` and may pass `types`, `companyId`, `proposalId`
+ * (comma-separated) and `since` (last seen sequence number) as query
+ * parameters, or send `{ "type": "subscribe", "filter": {...}, "since": n }`.
+ * Events are delivered as `{ seq, type, source, payload, timestamp }`.
+ */
+export class WebSocketGateway {
+  constructor(eventStream, config = {}) {
+    this.eventStream = eventStream;
+    this.config = {
+      path: config.path || '/ws',
+      ...config
+    };
+
+    this.wss = null;
+    this.clients = new Map();
+    this.onEvent = (event) => this.broadcast(event);
+  }
+
+  /**
+   * Attach to a running HTTP server
+   */
+  attach(httpServer) {
+    this.wss = new WebSocketServer({ server: httpServer, path: this.config.path });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+    this.eventStream.on('event', this.onEvent);
+  }
+
+  handleConnection(socket, req) {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const client = { filter: this.parseFilter(query) };
+    this.clients.set(socket, client);
+
+    socket.on('message', (data) => this.handleMessage(socket, data));
+    socket.on('close', () => this.clients.delete(socket));
+
+    this.subscribe(socket, client.filter, query.has('since') ? Number(query.get('since')) : null);
+  }
+
+  handleMessage(socket, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.send(socket, { type: 'error', message: 'Message is not valid JSON' });
+      return;
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      this.send(socket, { type: 'error', message: 'Message must be a JSON object' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'subscribe':
+        this.subscribe(socket, this.normalizeFilter(message.filter), message.since ?? null);
+        break;
+      case 'ping':
+        this.send(socket, { type: 'pong', latest_seq: this.eventStream.getLatestSequence() });
+        break;
+      default:
+        this.send(socket, { type: 'error', message: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  /**
+   * Set a client's filter and replay missed events when `since` is given
+   */
+  subscribe(socket, filter, since) {
+    const client = this.clients.get(socket);
+    if (!client) return;
+    client.filter = filter;
+
+    this.send(socket, {
+      type: 'subscribed',
+      filter,
+      latest_seq: this.eventStream.getLatestSequence()
+    });
+
+    if (since === null || Number.isNaN(since)) return;
+
+    const { events, complete } = this.eventStream.getEventsSince(since, filter);
+    if (!complete) {
+      this.send(socket, {
+        type: 'resync_required',
+        message: `Events after ${since} are no longer buffered`,
+        latest_seq: this.eventStream.getLatestSequence()
+      });
+    }
+
+    for (const event of events) {
+      this.send(socket, event);
+    }
+  }
+
+  broadcast(event) {
+    for (const [socket, client] of this.clients) {
+      if (EventStream.matches(event, client.filter)) {
+        this.send(socket, event);
+      }
+    }
+  }
+
+  send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  // Filter helpers
+
+  parseFilter(query) {
+    const list = (key) => (query.get(key) || '').split(',').map(v => v.trim()).filter(Boolean);
+
+    return {
+      types: list('types'),
+      companyIds: list('companyId'),
+      proposalIds: list('proposalId')
+    };
+  }
+
+  normalizeFilter(filter) {
+    if (!filter || typeof filter !== 'object') filter = {};
+    const list = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+    return {
+      types: list(filter.types),
+      companyIds: list(filter.companyIds ?? filter.companyId),
+      proposalIds: list(filter.proposalIds ?? filter.proposalId)
+    };
+  }
+
+  /**
+   * Disconnect all clients and stop listening to the event stream
+   */
+  async close() {
+    this.eventStream.off('event', this.onEvent);
+    if (!this.wss) return;
+
+    for (const socket of this.clients.keys()) {
+      socket.terminate();
+    }
+    this.clients.clear();
+
+    await new Promise(resolve => this.wss.close(() => resolve()));
+    this.wss = null;
+  }
+}
+
+export default WebSocketGateway;
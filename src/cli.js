@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/**
+ * CLI Entry Point
+ * `tycoon` command for operating the Corporate Merge Tycoon Agent from a shell
+ * 
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { TycoonCli } from './cli/tycoon-cli.js';
+
+// stdout carries command output; agent logs from the in-process server go to stderr
+const commandOutput = { write: process.stdout.write.bind(process.stdout) };
+process.stdout.write = process.stderr.write.bind(process.stderr);
+
+const cli = new TycoonCli({ stdout: commandOutput });
+const exitCode = await cli.run(process.argv.slice(2));
+
+// Exit explicitly once output is flushed
+commandOutput.write('', () => process.exit(exitCode));
@@ -0,0 +1,92 @@
+/**
+ * API Client
+ * Minimal client for the agent's REST API and WebSocket event stream, used by the CLI
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import WebSocket from 'ws';
+
+/**
+ * ApiClientError - Error response from the API, or the server being unreachable (status 0)
+ */
+export class ApiClientError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiClientError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * ApiClient - Unwraps `{ success, data }` envelopes and raises API errors
+ */
+export class ApiClient {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  get(path, query = {}) {
+    return this.request('GET', `${path}${this.toQueryString(query)}`);
+  }
+
+  post(path, body = {}) {
+    return this.request('POST', path, body);
+  }
+
+  /**
+   * Send a request and return the response's `data`
+   * @throws {ApiClientError}
+   */
+  async request(method, path, body = undefined) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new ApiClientError(0, 'UNAVAILABLE', `Cannot reach ${this.baseUrl}: ${error.cause?.message || error.message}`);
+    }
+
+    if (response.status === 204) return null;
+
+    const payload = await response.json().catch(() => null);
+    if (!response.ok || payload?.success === false) {
+      throw new ApiClientError(
+        response.status,
+        payload?.error?.code || 'HTTP_ERROR',
+        payload?.error?.message || `HTTP ${response.status}`,
+        payload?.error?.details || null
+      );
+    }
+
+    return payload.data;
+  }
+
+  /**
+   * Open the event stream WebSocket
+   * @param {object} query - { types, companyId, proposalId, since }
+   */
+  openEventStream(query = {}) {
+    const url = `${this.baseUrl.replace(/^http/, 'ws')}/ws${this.toQueryString(query)}`;
+    return new WebSocket(url);
+  }
+
+  // Helper methods
+
+  toQueryString(query) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+    }
+    const search = params.toString();
+    return search ? `?${search}` : '';
+  }
+}
+
+export default ApiClient;
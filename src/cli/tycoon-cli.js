@@ -0,0 +1,638 @@
+/**
+ * Tycoon CLI
+ * Command-line front end for the agent: tasks, companies, proposals, mergers and events
+ * Talks to a running API server (--server / TYCOON_SERVER) or to an in-process one
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { parseArgs } from 'util';
+import { readFile } from 'fs/promises';
+import { CorporateMergeTycoonAgent } from '../agent.js';
+import { ApiServer } from '../api/api-server.js';
+import { ApiClient, ApiClientError } from './api-client.js';
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1, // API error or failed task
+  USAGE: 2,
+  UNAVAILABLE: 3 // Server unreachable
+};
+
+// Share of the total supply per allocation when `companies register` is not given explicit amounts
+// (the treasury takes the remainder, so rounding never leaves the allocations short of the supply)
+const DEFAULT_ALLOCATION = { founderAllocation: 0.25, employeeAllocation: 0.2, publicAllocation: 0.3 };
+
+const OPTIONS = {
+  help: { type: 'boolean', short: 'h' },
+  json: { type: 'boolean' },
+  server: { type: 'string', short: 's' },
+  param: { type: 'string', short: 'p', multiple: true },
+  params: { type: 'string' },
+  priority: { type: 'string' },
+  category: { type: 'string' },
+  sector: { type: 'string' },
+  status: { type: 'string' },
+  id: { type: 'string' },
+  name: { type: 'string' },
+  ticker: { type: 'string' },
+  supply: { type: 'string' },
+  'token-address': { type: 'string' },
+  title: { type: 'string' },
+  description: { type: 'string' },
+  proposer: { type: 'string' },
+  voter: { type: 'string' },
+  vote: { type: 'string' },
+  power: { type: 'string' },
+  executor: { type: 'string' },
+  force: { type: 'boolean' },
+  target: { type: 'string' },
+  acquirer: { type: 'string' },
+  types: { type: 'string' },
+  company: { type: 'string' },
+  proposal: { type: 'string' },
+  since: { type: 'string' },
+  limit: { type: 'string' }
+};
+
+const USAGE = `Usage: tycoon <command> [options]
+
+Tasks
+  tasks list [--priority P] [--category C]
+  tasks describe <taskId>
+  tasks run <taskId> [-p key=value ...] [--params JSON|@file]
+
+Companies
+  companies list [--sector S]
+  companies show <companyId>
+  companies register --id ID --name NAME --ticker TICKER --supply N [--sector S] [--token-address A] [-p key=value ...]
+
+Proposals
+  proposals list [--status S]
+  proposals show <proposalId>
+  proposals create --title T --description D --proposer ADDR [--category C] [-p key=value ...]
+  proposals vote <proposalId> --voter ADDR --vote for|against|abstain [--power N]
+  proposals execute <proposalId> --executor ADDR [--force]
+
+Mergers
+  mergers due-diligence --target ID --acquirer ID [-p key=value ...]
+  mergers valuation --target ID --acquirer ID [-p key=value ...]
+
+Events
+  events [--types a,b] [--company ID] [--proposal ID] [--since SEQ] [--limit N]
+
+Options
+  -s, --server URL   API server (default: TYCOON_SERVER, else an in-process agent)
+      --json         Print JSON instead of tables
+  -h, --help         Show this help
+
+Exit codes: 0 success, 1 API error or failed task, 2 usage error, 3 server unavailable`;
+
+/**
+ * UsageError - Invalid command line; printed with a hint and exit code 2
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * TycoonCli - Parses a command line, calls the API and prints the result
+ */
+export class TycoonCli {
+  /**
+   * @param {object} options - { stdout, stderr, env, agent } (agent is used for the in-process server)
+   */
+  constructor(options = {}) {
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+    this.env = options.env || process.env;
+    this.agent = options.agent || null;
+    this.json = false;
+
+    this.commands = {
+      'tasks list': (client, args, values) => this.listTasks(client, values),
+      'tasks describe': (client, args) => this.describeTask(client, args),
+      'tasks run': (client, args, values) => this.runTask(client, args, values),
+      'companies list': (client, args, values) => this.listCompanies(client, values),
+      'companies show': (client, args) => this.showCompany(client, args),
+      'companies register': (client, args, values) => this.registerCompany(client, values),
+      'proposals list': (client, args, values) => this.listProposals(client, values),
+      'proposals show': (client, args) => this.showProposal(client, args),
+      'proposals create': (client, args, values) => this.createProposal(client, values),
+      'proposals vote': (client, args, values) => this.vote(client, args, values),
+      'proposals execute': (client, args, values) => this.executeProposal(client, args, values),
+      'mergers due-diligence': (client, args, values) => this.dueDiligence(client, values),
+      'mergers valuation': (client, args, values) => this.valuation(client, values),
+      'events': (client, args, values) => this.tailEvents(client, values)
+    };
+  }
+
+  /**
+   * Run one command line
+   * @param {string[]} argv - Arguments without the node/script prefix
+   * @returns {Promise<number>} Exit code
+   */
+  async run(argv = process.argv.slice(2)) {
+    let values, positionals;
+    try {
+      ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+    } catch (error) {
+      return this.usageError(error.message);
+    }
+
+    this.json = Boolean(values.json);
+
+    if (values.help || positionals.length === 0) {
+      this.print(USAGE);
+      return values.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+    }
+
+    const [group, action] = positionals;
+    const key = this.commands[group] ? group : `${group} ${action}`;
+    const command = this.commands[key];
+    if (!command) {
+      return this.usageError(`Unknown command: ${positionals.slice(0, 2).join(' ')}`);
+    }
+
+    let connection = null;
+    try {
+      connection = await this.connect(values.server || this.env.TYCOON_SERVER);
+      const args = positionals.slice(key.split(' ').length);
+      return (await command(connection.client, args, values)) ?? EXIT_CODES.SUCCESS;
+    } catch (error) {
+      return this.fail(error);
+    } finally {
+      await connection?.close();
+    }
+  }
+
+  /**
+   * Use the given server, or start an in-process API server on a free loopback port
+   */
+  async connect(serverUrl) {
+    if (serverUrl) {
+      return { client: new ApiClient(serverUrl), close: async () => {} };
+    }
+
+    const agent = this.agent || new CorporateMergeTycoonAgent();
+    const api = new ApiServer(agent, { port: 0, host: '127.0.0.1' });
+    const server = await api.start();
+
+    return {
+      client: new ApiClient(`http://127.0.0.1:${server.address().port}`),
+      close: async () => {
+        if (this.agent) {
+          // A caller-supplied agent stays usable
+          await api.stop();
+          await agent.saveState();
+        } else {
+          await agent.shutdown();
+        }
+      }
+    };
+  }
+
+  // Tasks
+
+  async listTasks(client, values) {
+    const tasks = await client.get('/api/tasks', { priority: values.priority, category: values.category });
+    this.output(tasks, () => this.formatTable(tasks, [
+      ['ID', 'id'], ['Name', 'name'], ['Priority', 'priority'], ['Category', 'category'],
+      ['Complexity', 'complexity'], ['Frequency', 'frequency']
+    ]));
+  }
+
+  async describeTask(client, args) {
+    const [taskId] = this.requireArgs(args, ['taskId']);
+    const task = await client.get(`/api/tasks/${encodeURIComponent(taskId)}`);
+    const { tools: [tool] } = await client.get('/api/tools', { format: 'json', taskIds: taskId });
+    const schema = tool?.parameters || { properties: {} };
+    const required = new Set(schema.required || []);
+
+    this.output({ ...task, tool: tool?.name, input_schema: schema }, () => [
+      `${task.task_id}  ${task.name}`,
+      task.description,
+      '',
+      this.formatFields({
+        Category: task.category,
+        Priority: task.priority,
+        Complexity: task.complexity,
+        Frequency: task.frequency,
+        Duration: task.estimated_duration,
+        Tool: tool?.name,
+        Dependencies: task.dependencies?.join(', ') || '-',
+        Output: task.expected_output
+      }),
+      '',
+      this.formatTable(Object.entries(schema.properties).map(([name, property]) => ({
+        name,
+        type: [].concat(property.type || 'any').join('|'),
+        required: required.has(name) ? 'yes' : '',
+        description: property.description
+      })), [['Parameter', 'name'], ['Type', 'type'], ['Required', 'required'], ['Description', 'description']])
+    ].join('\n'));
+  }
+
+  async runTask(client, args, values) {
+    const [taskId] = this.requireArgs(args, ['taskId']);
+    const parameters = await this.parseParameters(values);
+    const execution = await client.post(`/api/tasks/${encodeURIComponent(taskId)}/execute`, { parameters });
+
+    this.output(execution, () => [
+      `${taskId} succeeded in ${execution.executionTime}ms (attempts: ${execution.attempts}, queued: ${execution.queueTime}ms)`,
+      JSON.stringify(execution.result, null, 2)
+    ].join('\n'));
+  }
+
+  // Companies
+
+  async listCompanies(client, values) {
+    const companies = await client.get('/api/companies', { sector: values.sector });
+    this.output(companies, () => this.formatTable(companies.map(company => ({
+      id: company.id,
+      name: company.name,
+      ticker: company.ticker,
+      supply: company.token.total_supply,
+      sector: company.metadata.sector,
+      status: company.metadata.status
+    })), [['ID', 'id'], ['Name', 'name'], ['Ticker', 'ticker'], ['Supply', 'supply'], ['Sector', 'sector'], ['Status', 'status']]));
+  }
+
+  async showCompany(client, args) {
+    const [companyId] = this.requireArgs(args, ['companyId']);
+    const company = await client.get(`/api/companies/${encodeURIComponent(companyId)}`);
+    this.output(company, () => this.formatCompany(company));
+  }
+
+  async registerCompany(client, values) {
+    this.requireOptions(values, ['id', 'name', 'ticker', 'supply']);
+    const totalSupply = this.toNumber(values.supply, 'supply');
+    const allocations = Object.fromEntries(Object.entries(DEFAULT_ALLOCATION)
+      .map(([key, share]) => [key, Math.floor(totalSupply * share)]));
+    allocations.treasuryAllocation = totalSupply - Object.values(allocations).reduce((sum, amount) => sum + amount, 0);
+
+    const company = await client.post('/api/companies', {
+      companyId: values.id,
+      name: values.name,
+      ticker: values.ticker,
+      totalSupply,
+      tokenAddress: values['token-address'],
+      sector: values.sector,
+      ...allocations,
+      ...this.parseParamFlags(values.param)
+    });
+
+    this.output(company, () => `Registered company ${company.id}\n${this.formatCompany(company)}`);
+  }
+
+  // Proposals
+
+  async listProposals(client, values) {
+    const proposals = await client.get('/api/dao/proposals', { status: values.status });
+    this.output(proposals, () => this.formatTable(proposals.map(proposal => ({
+      id: proposal.id,
+      title: proposal.title,
+      status: proposal.status,
+      for: proposal.voting_stats.voting_power_for,
+      against: proposal.voting_stats.voting_power_against,
+      ends: proposal.voting_ends_at
+    })), [['ID', 'id'], ['Title', 'title'], ['Status', 'status'], ['For', 'for'], ['Against', 'against'], ['Voting ends', 'ends']]));
+  }
+
+  async showProposal(client, args) {
+    const [proposalId] = this.requireArgs(args, ['proposalId']);
+    const path = `/api/dao/proposals/${encodeURIComponent(proposalId)}`;
+    const proposal = await client.get(path);
+    const votes = await client.get(`${path}/votes`);
+
+    this.output({ ...proposal, votes }, () => [
+      this.formatProposal(proposal),
+      '',
+      this.formatTable(votes, [['Voter', 'voter'], ['Vote', 'vote'], ['Power', 'voting_power'], ['Time', 'timestamp']])
+    ].join('\n'));
+  }
+
+  async createProposal(client, values) {
+    this.requireOptions(values, ['title', 'description', 'proposer']);
+    const proposal = await client.post('/api/dao/proposals', {
+      title: values.title,
+      description: values.description,
+      proposer: values.proposer,
+      category: values.category,
+      ...this.parseParamFlags(values.param)
+    });
+
+    this.output(proposal, () => `Created proposal ${proposal.id}\n${this.formatProposal(proposal)}`);
+  }
+
+  async vote(client, args, values) {
+    const [proposalId] = this.requireArgs(args, ['proposalId']);
+    this.requireOptions(values, ['voter', 'vote']);
+    const result = await client.post(`/api/dao/proposals/${encodeURIComponent(proposalId)}/vote`, {
+      voter: values.voter,
+      vote: values.vote,
+      ...(values.power !== undefined ? { votingPower: this.toNumber(values.power, 'power') } : {}),
+      ...this.parseParamFlags(values.param)
+    });
+
+    const stats = result.proposal_stats;
+    this.output(result, () =>
+      `Recorded ${result.vote_record.vote} vote from ${result.vote_record.voter} on ${proposalId}\n` +
+      `Votes: ${stats.total_votes} (power for ${stats.voting_power_for}, against ${stats.voting_power_against}, abstain ${stats.voting_power_abstain})`);
+  }
+
+  async executeProposal(client, args, values) {
+    const [proposalId] = this.requireArgs(args, ['proposalId']);
+    this.requireOptions(values, ['executor']);
+    const result = await client.post(`/api/dao/proposals/${encodeURIComponent(proposalId)}/execute`, {
+      executor: values.executor,
+      forceExecution: Boolean(values.force)
+    });
+
+    this.output(result, () => `Executed proposal ${proposalId}: ${result.final_result.passed ? 'approved' : 'rejected'}\n` +
+      this.formatFields({
+        Status: result.execution.status,
+        Executor: result.execution.executor,
+        Transaction: result.execution.transaction_hash || '-',
+        Details: result.execution.execution_details?.message || result.execution.execution_details?.type
+      }));
+  }
+
+  // Mergers
+
+  async dueDiligence(client, values) {
+    this.requireOptions(values, ['target', 'acquirer']);
+    const analysis = await client.post('/api/mergers/due-diligence', {
+      targetCompany: values.target,
+      acquirerCompany: values.acquirer,
+      ...this.parseParamFlags(values.param)
+    });
+
+    const { recommendation } = analysis;
+    this.output(analysis, () => [
+      `Due diligence: ${analysis.acquirer.name} acquiring ${analysis.target.name}`,
+      this.formatFields({
+        Recommendation: recommendation.action,
+        Score: recommendation.score,
+        Confidence: `${recommendation.confidence}%`,
+        Reasoning: recommendation.reasoning,
+        'Financial health': analysis.financial_analysis?.health_score?.toFixed(1),
+        'Synergy score': analysis.synergy_analysis?.synergy_score?.toFixed(1),
+        Risk: analysis.risk_assessment && `${analysis.risk_assessment.risk_level} (${analysis.risk_assessment.overall_risk_score})`
+      })
+    ].join('\n'));
+  }
+
+  async valuation(client, values) {
+    this.requireOptions(values, ['target', 'acquirer']);
+    const result = await client.post('/api/mergers/valuations', {
+      targetCompany: values.target,
+      acquirerCompany: values.acquirer,
+      ...this.parseParamFlags(values.param)
+    });
+
+    this.output(result, () => [
+      `Valuation of ${result.target_company}`,
+      this.formatTable(Object.entries(result.valuations).map(([method, value]) => ({ method, value: this.formatNumber(value) })),
+        [['Method', 'method'], ['Valuation', 'value']]),
+      '',
+      this.formatFields({
+        'Weighted valuation': this.formatNumber(result.weighted_valuation),
+        'Exchange ratio': this.formatNumber(result.exchange_ratio.ratio, 4),
+        Premium: `${this.formatNumber(result.exchange_ratio.premium)}%`,
+        'Total consideration': this.formatNumber(result.exchange_ratio.totalConsideration)
+      })
+    ].join('\n'));
+  }
+
+  // Events
+
+  /**
+   * Print events from the WebSocket stream until --limit events, the server closes or SIGINT
+   */
+  async tailEvents(client, values) {
+    const limit = values.limit !== undefined ? this.toNumber(values.limit, 'limit') : Infinity;
+    const socket = client.openEventStream({
+      types: values.types,
+      companyId: values.company,
+      proposalId: values.proposal,
+      since: values.since
+    });
+
+    return new Promise((resolve, reject) => {
+      let received = 0;
+      const stop = () => socket.close();
+
+      socket.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+
+        if (message.type === 'subscribed') {
+          this.info(`Listening for events (latest #${message.latest_seq})`);
+          if (received >= limit) stop();
+          return;
+        }
+        if (message.type === 'resync_required' || message.type === 'error') {
+          this.info(`Warning: ${message.message}`);
+          return;
+        }
+
+        // Replayed events can still arrive while the socket closes
+        if (received >= limit) return;
+
+        received++;
+        this.print(this.json
+          ? JSON.stringify(message)
+          : `#${message.seq}  ${message.timestamp}  ${message.source}.${message.type}  ${JSON.stringify(message.payload)}`);
+        if (received >= limit) stop();
+      });
+
+      socket.once('close', () => {
+        process.off('SIGINT', stop);
+        resolve(EXIT_CODES.SUCCESS);
+      });
+      socket.once('error', (error) => {
+        process.off('SIGINT', stop);
+        reject(new ApiClientError(0, 'UNAVAILABLE', `Event stream failed: ${error.message}`));
+      });
+      process.once('SIGINT', stop);
+    });
+  }
+
+  // Argument helpers
+
+  requireArgs(args, names) {
+    const missing = names.filter((name, index) => args[index] === undefined);
+    if (missing.length > 0) {
+      throw new UsageError(`Missing argument: <${missing.join('> <')}>`);
+    }
+    return args;
+  }
+
+  requireOptions(values, names) {
+    const missing = names.filter(name => values[name] === undefined || values[name] === '');
+    if (missing.length > 0) {
+      throw new UsageError(`Missing option: ${missing.map(name => `--${name}`).join(', ')}`);
+    }
+  }
+
+  toNumber(value, name) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+      throw new UsageError(`--${name} must be a number`);
+    }
+    return number;
+  }
+
+  /**
+   * Task parameters from --params (JSON or @file) overlaid with -p key=value flags
+   */
+  async parseParameters(values) {
+    let parameters = {};
+
+    if (values.params !== undefined) {
+      const source = values.params.startsWith('@')
+        ? await readFile(values.params.slice(1), 'utf8').catch(error => {
+          throw new UsageError(`Cannot read ${values.params.slice(1)}: ${error.message}`);
+        })
+        : values.params;
+
+      try {
+        parameters = JSON.parse(source);
+      } catch (error) {
+        throw new UsageError(`--params is not valid JSON: ${error.message}`);
+      }
+      if (typeof parameters !== 'object' || parameters === null || Array.isArray(parameters)) {
+        throw new UsageError('--params must be a JSON object');
+      }
+    }
+
+    return { ...parameters, ...this.parseParamFlags(values.param) };
+  }
+
+  /**
+   * `-p key=value` flags; values are parsed as JSON when possible and dotted keys build nested objects
+   */
+  parseParamFlags(flags = []) {
+    const parameters = {};
+
+    for (const flag of flags) {
+      const separator = flag.indexOf('=');
+      if (separator <= 0) {
+        throw new UsageError(`Parameter must be key=value: ${flag}`);
+      }
+
+      const path = flag.slice(0, separator).split('.');
+      const raw = flag.slice(separator + 1);
+      let value;
+      try {
+        value = JSON.parse(raw);
+      } catch (error) {
+        value = raw;
+      }
+
+      let target = parameters;
+      for (const key of path.slice(0, -1)) {
+        if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+        target = target[key];
+      }
+      target[path[path.length - 1]] = value;
+    }
+
+    return parameters;
+  }
+
+  // Output helpers
+
+  output(data, format) {
+    this.print(this.json ? JSON.stringify(data, null, 2) : format());
+  }
+
+  print(text) {
+    this.stdout.write(`${text}\n`);
+  }
+
+  info(text) {
+    this.stderr.write(`${text}\n`);
+  }
+
+  usageError(message) {
+    this.info(`Error: ${message}\nRun "tycoon --help" for usage.`);
+    return EXIT_CODES.USAGE;
+  }
+
+  fail(error) {
+    if (error instanceof UsageError) {
+      return this.usageError(error.message);
+    }
+
+    const lines = [`Error: ${error.message}`];
+    if (Array.isArray(error.details)) {
+      lines.push(...error.details.map(detail => `  - ${detail.field} ${detail.message}`));
+    }
+    this.info(lines.join('\n'));
+
+    return error instanceof ApiClientError && error.status === 0 ? EXIT_CODES.UNAVAILABLE : EXIT_CODES.FAILURE;
+  }
+
+  // Formatting helpers
+
+  formatCompany(company) {
+    return this.formatFields({
+      ID: company.id,
+      Name: company.name,
+      Ticker: company.ticker,
+      Token: company.token.address || '-',
+      'Total supply': company.token.total_supply,
+      Allocations: Object.entries(company.token.allocations || {}).map(([key, amount]) => `${key} ${amount}`).join(', '),
+      Sector: company.metadata.sector,
+      Status: company.metadata.status,
+      Valuation: company.performance?.current_valuation
+    });
+  }
+
+  formatProposal(proposal) {
+    return this.formatFields({
+      ID: proposal.id,
+      Title: proposal.title,
+      Proposer: proposal.proposer,
+      Category: proposal.category,
+      Status: proposal.status,
+      'Voting ends': proposal.voting_ends_at,
+      Votes: `${proposal.voting_stats.total_votes} (for ${proposal.voting_stats.voting_power_for}, against ${proposal.voting_stats.voting_power_against})`
+    });
+  }
+
+  formatFields(fields) {
+    const entries = Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== '');
+    const width = Math.max(...entries.map(([label]) => label.length));
+    return entries.map(([label, value]) => `${`${label}:`.padEnd(width + 2)}${value}`).join('\n');
+  }
+
+  /**
+   * Plain-text table; columns are [header, key] pairs
+   */
+  formatTable(rows, columns) {
+    if (rows.length === 0) return '(none)';
+
+    const cells = rows.map(row => columns.map(([, key]) => String(row[key] ?? '')));
+    const widths = columns.map(([header], index) =>
+      Math.max(header.length, ...cells.map(cell => cell[index].length)));
+    const line = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+    return [
+      line(columns.map(([header]) => header)),
+      line(widths.map(width => '-'.repeat(width))),
+      ...cells.map(line)
+    ].join('\n');
+  }
+
+  formatNumber(value, digits = 2) {
+    return Number(value).toLocaleString('en-US', { maximumFractionDigits: digits });
+  }
+}
+
+export default TycoonCli;
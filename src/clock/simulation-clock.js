@@ -0,0 +1,286 @@
+/**
+ * Simulation Clock
+ * Shared time source for the domain managers: real time, manual (advanced on demand)
+ * or accelerated (simulated time runs `speed` times faster than wall time)
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { DomainError } from '../validation/domain-error.js';
+
+export const CLOCK_MODES = ['real', 'manual', 'accelerated'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_NATIVE_DELAY = 2 ** 31 - 1; // setTimeout overflows above ~24.8 days
+const MAX_TIME = 8.64e15; // Furthest instant a Date can represent, either side of the epoch
+
+/**
+ * SimulationClock - Time source and timer queue in simulated time
+ *
+ * Timers created through the clock fire in simulated time. In real and
+ * accelerated mode one native timeout is armed for the earliest due timer;
+ * in manual mode timers fire only while `advance()` moves time forward, in
+ * due order and with `now()` set to each timer's due time. Intervals fire
+ * once per elapsed period, so advancing 30 days runs a daily job 30 times.
+ */
+export class SimulationClock extends EventEmitter {
+  /**
+   * @param {object} config - { mode (CLOCK_MODE), start (CLOCK_START), speed (CLOCK_SPEED), maxAdvanceDays (CLOCK_MAX_ADVANCE_DAYS) }
+   */
+  constructor(config = {}) {
+    super();
+    this.config = {
+      mode: config.mode || process.env.CLOCK_MODE || 'real',
+      start: config.start ?? process.env.CLOCK_START,
+      speed: Number(config.speed ?? process.env.CLOCK_SPEED ?? 60),
+      maxAdvanceDays: Number(config.maxAdvanceDays ?? process.env.CLOCK_MAX_ADVANCE_DAYS ?? 3650), // per advance() call
+      ...config
+    };
+
+    if (!CLOCK_MODES.includes(this.config.mode)) {
+      throw new Error(`Unknown clock mode: ${this.config.mode} (expected ${CLOCK_MODES.join(', ')})`);
+    }
+    if (this.config.mode === 'accelerated' && !(this.config.speed > 0)) {
+      throw new Error('Accelerated clock speed must be a positive number');
+    }
+
+    const start = this.config.start !== undefined ? new Date(this.config.start).getTime() : Date.now();
+    if (Number.isNaN(start)) {
+      throw new Error(`Invalid clock start: ${this.config.start}`);
+    }
+
+    this.mode = this.config.mode;
+    this.speed = this.config.speed;
+    this.origin = { wall: Date.now(), simulated: start };
+    this.current = start; // manual mode only
+
+    this.timers = new Map(); // id -> { id, due, interval, callback }
+    this.nextTimerId = 1;
+    this.nativeTimer = null;
+    this.firing = null; // Promise of the pass started by the native timeout
+    this.isFiring = false;
+  }
+
+  /**
+   * Current simulated time in milliseconds since the epoch
+   */
+  now() {
+    switch (this.mode) {
+      case 'manual':
+        return this.current;
+      case 'accelerated':
+        return this.origin.simulated + (Date.now() - this.origin.wall) * this.speed;
+      default:
+        return Date.now();
+    }
+  }
+
+  date() {
+    return new Date(this.now());
+  }
+
+  toISOString() {
+    return this.date().toISOString();
+  }
+
+  // Timers
+
+  /**
+   * Run `callback` once after `delay` ms of simulated time
+   * @returns {number} Timer ID for clearTimer
+   */
+  setTimeout(callback, delay = 0) {
+    return this.addTimer(callback, this.now() + Math.max(0, delay), null);
+  }
+
+  /**
+   * Run `callback` every `interval` ms of simulated time
+   * @returns {number} Timer ID for clearTimer
+   */
+  setInterval(callback, interval) {
+    if (!(interval > 0)) {
+      throw new Error('Clock interval must be a positive number of milliseconds');
+    }
+    return this.addTimer(callback, this.now() + interval, interval);
+  }
+
+  clearTimer(id) {
+    const removed = this.timers.delete(id);
+    if (removed) this.arm();
+    return removed;
+  }
+
+  // Moving time
+
+  /**
+   * Move simulated time forward and fire every timer that falls due on the way
+   * @param {number} ms - Milliseconds to advance
+   * @returns {Promise<{from: string, to: string, fired: number}>}
+   */
+  async advance(ms) {
+    if (this.mode === 'real') {
+      throw DomainError.conflict('Cannot advance a real-time clock');
+    }
+    // Every interval fires once per elapsed period, so an unbounded jump would never return
+    if (typeof ms !== 'number' || !Number.isFinite(ms)) {
+      throw DomainError.invalid('Clock advance must be a finite number of milliseconds');
+    }
+    if (ms < 0) {
+      throw DomainError.invalid('Clock can only move forward');
+    }
+    if (ms > this.config.maxAdvanceDays * DAY_MS) {
+      throw DomainError.invalid(`Clock can advance at most ${this.config.maxAdvanceDays} days at a time`);
+    }
+    if (this.now() + ms > MAX_TIME) {
+      throw DomainError.invalid('Clock cannot move past the last representable date');
+    }
+
+    // Let a firing pass started by a native timeout finish first
+    await this.firing;
+
+    const from = this.now();
+    const target = from + ms;
+    let fired = 0;
+
+    if (this.mode === 'manual') {
+      fired = await this.fireDue(target);
+      this.current = target;
+    } else {
+      this.origin.simulated += ms;
+      fired = await this.fireDue(this.now());
+    }
+
+    const result = { from: new Date(from).toISOString(), to: new Date(target).toISOString(), fired };
+    this.emit('advanced', result);
+    this.arm();
+    return result;
+  }
+
+  /**
+   * Jump to `time` without firing anything (used to resume a snapshot's simulated time)
+   * Pending timers keep their remaining delay, so nothing is skipped or replayed.
+   * @returns {string} The new simulated time
+   */
+  setTime(time) {
+    if (this.mode === 'real') {
+      throw DomainError.conflict('Cannot set a real-time clock');
+    }
+    const target = new Date(time).getTime();
+    if (!(Math.abs(target) <= MAX_TIME)) {
+      throw DomainError.invalid(`Invalid clock time: ${time}`);
+    }
+
+    const delta = target - this.now();
+    for (const timer of this.timers.values()) {
+      timer.due += delta;
+    }
+    if (this.mode === 'manual') {
+      this.current = target;
+    } else {
+      this.origin = { wall: Date.now(), simulated: target };
+    }
+    this.arm();
+    return this.toISOString();
+  }
+
+  advanceDays(days) {
+    return this.advance(days * DAY_MS);
+  }
+
+  advanceTo(date) {
+    return this.advance(new Date(date).getTime() - this.now());
+  }
+
+  /**
+   * Cancel all timers (used when shutting down)
+   */
+  clearAll() {
+    this.timers.clear();
+    this.arm();
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      now: this.toISOString(),
+      speed: this.mode === 'accelerated' ? this.speed : 1,
+      pending_timers: this.timers.size
+    };
+  }
+
+  // Helper methods
+
+  addTimer(callback, due, interval) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, { id, due, interval, callback });
+    this.arm();
+    return id;
+  }
+
+  nextDue(limit) {
+    let next = null;
+    for (const timer of this.timers.values()) {
+      if (timer.due > limit) continue;
+      if (!next || timer.due < next.due || (timer.due === next.due && timer.id < next.id)) next = timer;
+    }
+    return next;
+  }
+
+  /**
+   * Fire due timers one at a time in due order up to `limit`
+   */
+  async fireDue(limit) {
+    let fired = 0;
+    let timer;
+
+    this.isFiring = true;
+    while ((timer = this.nextDue(limit))) {
+      if (this.mode === 'manual') this.current = Math.max(this.current, timer.due);
+
+      if (timer.interval) {
+        timer.due += timer.interval;
+      } else {
+        this.timers.delete(timer.id);
+      }
+
+      try {
+        await timer.callback();
+      } catch (error) {
+        this.emit('timerError', { timerId: timer.id, error: error.message });
+      }
+      fired++;
+    }
+    this.isFiring = false;
+
+    return fired;
+  }
+
+  /**
+   * Keep one native timeout armed for the earliest timer (real and accelerated mode)
+   */
+  arm() {
+    if (this.nativeTimer) {
+      clearTimeout(this.nativeTimer);
+      this.nativeTimer = null;
+    }
+    // Timers added by a firing callback are picked up when the pass re-arms
+    if (this.mode === 'manual' || this.isFiring || this.timers.size === 0) return;
+
+    const earliest = Math.min(...Array.from(this.timers.values(), timer => timer.due));
+    const wallDelay = (earliest - this.now()) / (this.mode === 'accelerated' ? this.speed : 1);
+
+    this.nativeTimer = setTimeout(() => {
+      this.nativeTimer = null;
+      this.firing = this.fireDue(this.now()).finally(() => {
+        this.firing = null;
+        this.arm();
+      });
+    }, Math.min(MAX_NATIVE_DELAY, Math.max(0, wallDelay)));
+    // Simulated background work never keeps the process alive on its own
+    this.nativeTimer.unref?.();
+  }
+}
+
+export default SimulationClock;
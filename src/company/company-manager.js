@@ -10,6 +10,24 @@
 import { EventEmitter } from 'events';
 import winston from 'winston';
 import moment from 'moment';
+import { StateStore } from '../storage/state-store.js';
+import { SimulationClock } from '../clock/simulation-clock.js';
+import { SeededRandom } from '../random/seeded-random.js';
+import { ValidationError } from '../validation/parameter-validator.js';
+import { DomainError } from '../validation/domain-error.js';
+import {
+  RELEASE_FREQUENCIES,
+  VESTING_CURVES,
+  ACCELERATION_TRIGGERS,
+  defaultTranches,
+  vestedAmount,
+  nextVestingDate
+} from './vesting.js';
+import { ShareholderLedger, SYSTEM_ACCOUNTS } from './shareholder-ledger.js';
+import { CompanyError, validateRegistration, checkCompanyInvariants } from './company-validation.js';
+import { MarketModel } from './market-model.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * CompanyManager - Orchestrates company operations and analytics
@@ -35,37 +53,89 @@ export class CompanyManager extends EventEmitter {
       ]
     });
 
-    // Company registry and performance tracking
-    this.companies = new Map();
-    this.performanceHistory = new Map();
-    this.vestingSchedules = new Map();
+    // Simulated time and seeded randomness shared with the other managers
+    this.clock = config.clock instanceof SimulationClock ? config.clock : new SimulationClock(config.clock);
+    this.random = config.random instanceof SeededRandom ? config.random : new SeededRandom(config.random);
+    this.timers = [];
+
+    // Company registry and performance tracking (recovered from the store on startup)
+    this.store = config.store || new StateStore({ url: 'memory:' });
+    this.companies = this.store.map('companies');
+    this.performanceHistory = this.store.map('performance_history');
+    this.vestingSchedules = this.store.map('vesting_schedules');
+    this.ledgers = this.store.map('ledgers');
+    this.ledger = new ShareholderLedger(this.ledgers, { companies: this.companies, clock: this.clock });
+    this.market = new MarketModel({ ...config.market, random: this.random });
+    this.priceFeed = null; // liquidity pools, when attached (setPriceFeed)
     this.distributionQueues = new Map();
 
-    // Start background processes
+    // Background processes run between start() and stop()
+    this.running = false;
+  }
+
+  // Lifecycle
+
+  /**
+   * Start performance monitoring and vesting releases
+   */
+  start() {
+    if (this.running) return this;
+
+    this.running = true;
     this.startPerformanceMonitoring();
     this.startVestingProcessor();
+    return this;
+  }
+
+  /**
+   * Clear the background timers (state is kept; start() resumes)
+   */
+  stop() {
+    if (!this.running) return this;
+
+    for (const timerId of this.timers.splice(0)) {
+      this.clock.clearTimer(timerId);
+    }
+    this.running = false;
+    return this;
+  }
+
+  /**
+   * Stop and release listeners; the instance is not reused afterwards
+   */
+  dispose() {
+    this.stop();
+    this.distributionQueues.clear();
+    this.removeAllListeners();
   }
 
   /**
    * Register a new company in the system
+   * @param {object} params - Registration fields, plus an optional abort `signal` checked before anything is stored
+   * @throws {ValidationError} For malformed fields or allocations that do not add up to the supply
+   * @throws {CompanyError} When the companyId, ticker or token identifier is taken
    */
   async registerCompany(params) {
-    const {
-      companyId,
-      name,
-      ticker,
-      tokenAddress,
-      totalSupply,
-      founderAllocation,
-      employeeAllocation,
-      publicAllocation,
-      treasuryAllocation,
-      foundedDate = new Date().toISOString(),
-      sector = 'Technology',
-      description = ''
-    } = params;
+    const { companyId, name } = params;
 
     try {
+      const {
+        ticker,
+        tokenAddress,
+        totalSupply,
+        founderAddress = null,
+        founderAllocation,
+        employeeAllocation,
+        publicAllocation,
+        treasuryAllocation,
+        initialPrice = this.market.config.listingPrice,
+        foundedDate = this.clock.toISOString(),
+        sector = 'Technology',
+        description = ''
+      } = validateRegistration(params);
+      this.checkRegistryConflicts(companyId, ticker, tokenAddress);
+      params.signal?.throwIfAborted();
+
       const company = {
         id: companyId,
         name,
@@ -74,6 +144,7 @@ export class CompanyManager extends EventEmitter {
           address: tokenAddress,
           total_supply: totalSupply,
           circulating_supply: publicAllocation,
+          founder_address: founderAddress,
           allocations: {
             founder: founderAllocation,
             employees: employeeAllocation,
@@ -88,9 +159,9 @@ export class CompanyManager extends EventEmitter {
           status: 'active'
         },
         performance: {
-          current_valuation: 0,
-          market_cap: 0,
-          token_price: 0,
+          current_valuation: initialPrice * totalSupply,
+          market_cap: initialPrice * publicAllocation,
+          token_price: initialPrice,
           volume_24h: 0,
           price_change_24h: 0,
           holders_count: 0,
@@ -101,12 +172,15 @@ export class CompanyManager extends EventEmitter {
           active_proposals: 0,
           governance_participation: 0
         },
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
+        created_at: this.clock.toISOString(),
+        updated_at: this.clock.toISOString()
       };
 
+      this.market.open(company, this.clock.now());
       this.companies.set(companyId, company);
       this.performanceHistory.set(companyId, []);
+      this.ledger.open(company);
+      this.syncLedgerStats(company);
       
       // Initialize employee vesting if applicable
       if (employeeAllocation > 0) {
@@ -143,6 +217,389 @@ export class CompanyManager extends EventEmitter {
     }
   }
 
+  /**
+   * Update mutable company details (name, sector, description, status)
+   */
+  async updateCompany(companyId, updates = {}) {
+    const company = this.companies.get(companyId);
+    if (!company) {
+      throw DomainError.notFound(`Company ${companyId} not found`);
+    }
+
+    if (updates.name !== undefined) company.name = updates.name;
+    if (updates.sector !== undefined) company.metadata.sector = updates.sector;
+    if (updates.description !== undefined) company.metadata.description = updates.description;
+    if (updates.status !== undefined) company.metadata.status = updates.status;
+    company.updated_at = this.clock.toISOString();
+    this.companies.set(companyId, company);
+
+    this.emit('companyUpdated', { companyId, updates });
+
+    return { success: true, company };
+  }
+
+  /**
+   * Remove a company and its tracked history from the registry
+   */
+  async removeCompany(companyId) {
+    if (!this.companies.has(companyId)) {
+      throw DomainError.notFound(`Company ${companyId} not found`);
+    }
+
+    // Liquidity providers get their base asset back before the token disappears
+    await this.priceFeed?.delist(companyId);
+
+    this.companies.delete(companyId);
+    this.performanceHistory.delete(companyId);
+    this.vestingSchedules.delete(companyId);
+    this.ledgers.delete(companyId);
+    this.distributionQueues.delete(companyId);
+
+    this.logger.info('Company removed', { companyId });
+    this.emit('companyRemoved', { companyId });
+
+    return { success: true, companyId };
+  }
+
+  /**
+   * Mint new tokens into an allocation (treasury by default) or straight to a holder
+   * The fully diluted valuation is unchanged, so the token price drops accordingly.
+   */
+  async issueTokens(companyId, amount, { allocation = 'treasury', recipient = null } = {}) {
+    const company = this.requireCompany(companyId);
+    if (!(amount > 0)) {
+      throw DomainError.invalid('Token amount must be positive');
+    }
+    if (!(allocation in company.token.allocations)) {
+      throw DomainError.invalid(`Unknown allocation: ${allocation}`);
+    }
+
+    // Tokens minted to a holder circulate; otherwise they sit in the allocation's account
+    const holder = recipient || this.accountOf(company, allocation);
+    const bucket = this.allocationOf(company, holder);
+    this.mutateCompanies([companyId], 'issueTokens', () => {
+      this.ledger.mint(companyId, holder, amount, `Issued to ${bucket}`);
+
+      const previousSupply = company.token.total_supply;
+      company.token.total_supply += amount;
+      company.token.allocations[bucket] = (company.token.allocations[bucket] || 0) + amount;
+      if (bucket === 'public') company.token.circulating_supply += amount;
+      company.performance.token_price *= previousSupply / company.token.total_supply;
+      this.market.rebase(company);
+      this.syncLedgerStats(company);
+      this.refreshMarketValues(company);
+    });
+
+    this.emit('tokensIssued', { companyId, amount, allocation: bucket, recipient, totalSupply: company.token.total_supply });
+    return { success: true, company };
+  }
+
+  /**
+   * Destroy tokens held by a holder (treasury by default)
+   * The valuation is unchanged, so the token price rises accordingly.
+   */
+  async burnTokens(companyId, amount, { from = SYSTEM_ACCOUNTS.treasury } = {}) {
+    const company = this.requireCompany(companyId);
+    if (amount >= company.token.total_supply) {
+      throw DomainError.conflict(`Cannot burn the whole ${company.ticker} supply`);
+    }
+
+    this.mutateCompanies([companyId], 'burnTokens', () => {
+      this.ledger.burn(companyId, from, amount, 'Burned');
+
+      const bucket = this.allocationOf(company, from);
+      const previousSupply = company.token.total_supply;
+      company.token.total_supply -= amount;
+      company.token.allocations[bucket] = Math.max(0, (company.token.allocations[bucket] || 0) - amount);
+      if (bucket === 'public') company.token.circulating_supply = Math.max(0, company.token.circulating_supply - amount);
+      company.performance.token_price *= previousSupply / company.token.total_supply;
+      this.market.rebase(company);
+      this.syncLedgerStats(company);
+      this.refreshMarketValues(company);
+    });
+
+    this.emit('tokensBurned', { companyId, amount, from, totalSupply: company.token.total_supply });
+    return { success: true, company };
+  }
+
+  /**
+   * Transfer tokens between holders (or between a holder and an allocation account)
+   */
+  async transferTokens(companyId, { from, to, amount, memo = '' } = {}) {
+    const company = this.requireCompany(companyId);
+    const errors = Object.entries({ from, to })
+      .filter(([, value]) => !value)
+      .map(([field]) => ({ field, code: 'required', message: 'is required' }));
+    if (amount === undefined || amount === null) {
+      errors.push({ field: 'amount', code: 'required', message: 'is required' });
+    } else if (!(Number.isFinite(amount) && amount > 0)) {
+      errors.push({ field: 'amount', code: 'minimum', message: 'must be a positive number' });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const entry = this.mutateCompanies([companyId], 'transferTokens', () => {
+      const recorded = this.moveTokens(company, from, to, amount, memo);
+      this.refreshMarketValues(company);
+      return recorded;
+    });
+
+    this.emit('tokensTransferred', { companyId, from, to, amount });
+    return { success: true, transfer: entry };
+  }
+
+  /**
+   * Release treasury tokens into public circulation
+   * With `proRata`, the tokens go to the current shareholders in proportion to their holdings.
+   */
+  async distributeTreasuryTokens(companyId, amount, { proRata = false } = {}) {
+    const company = this.requireCompany(companyId);
+    if (!(amount > 0)) {
+      throw DomainError.invalid('Token amount must be positive');
+    }
+    if (amount > (company.token.allocations.treasury || 0)) {
+      throw DomainError.conflict(`Insufficient treasury tokens: ${company.token.allocations.treasury || 0} available`);
+    }
+
+    const shareholders = Object.entries(this.ledger.getBalances(companyId, { includeSystem: false }));
+    const held = shareholders.reduce((sum, [, balance]) => sum + balance, 0);
+    if (proRata && !(held > 0)) {
+      throw DomainError.conflict(`Company ${companyId} has no shareholders to distribute to`);
+    }
+
+    const recipients = proRata
+      ? shareholders.map(([holder, balance]) => [holder, amount * balance / held])
+      : [[SYSTEM_ACCOUNTS.public, amount]];
+    this.mutateCompanies([companyId], 'distributeTreasuryTokens', () => {
+      for (const [holder, share] of recipients) {
+        this.moveTokens(company, SYSTEM_ACCOUNTS.treasury, holder, share, 'Treasury distribution');
+      }
+      this.refreshMarketValues(company);
+    });
+
+    this.emit('tokensDistributed', {
+      companyId,
+      amount,
+      recipients: proRata ? recipients.length : 0,
+      circulatingSupply: company.token.circulating_supply
+    });
+    return { success: true, company };
+  }
+
+  /**
+   * Fold an acquired company into the acquirer: the target's valuation plus the
+   * premium is paid in newly issued acquirer tokens and the target is marked merged
+   */
+  async recordAcquisition(acquirerId, targetId, { premium = 0 } = {}) {
+    const acquirer = this.requireCompany(acquirerId);
+    const target = this.requireCompany(targetId);
+    if (acquirerId === targetId) {
+      throw DomainError.invalid('A company cannot acquire itself');
+    }
+    if (target.metadata.status === 'merged') {
+      throw DomainError.conflict(`Company ${targetId} has already merged`);
+    }
+    if (!(acquirer.performance.token_price > 0)) {
+      throw DomainError.conflict(`Company ${acquirerId} has no token price`);
+    }
+
+    const consideration = target.performance.current_valuation * (1 + premium / 100);
+    const issued = consideration / acquirer.performance.token_price;
+
+    this.mutateCompanies([acquirerId, targetId], 'recordAcquisition', () => {
+      this.exchangeShareholdings(acquirer, target, issued);
+
+      acquirer.token.total_supply += issued;
+      acquirer.token.allocations.public = (acquirer.token.allocations.public || 0) + issued;
+      acquirer.token.circulating_supply += issued;
+      // The premium is borne by the acquirer's holders: combined value over the enlarged supply
+      acquirer.performance.token_price =
+        (acquirer.performance.current_valuation + target.performance.current_valuation) / acquirer.token.total_supply;
+      this.market.rebase(acquirer);
+      this.syncLedgerStats(acquirer);
+      this.refreshMarketValues(acquirer);
+
+      target.metadata.status = 'merged';
+      target.metadata.merged_into = acquirerId;
+      target.updated_at = this.clock.toISOString();
+      this.companies.set(targetId, target);
+    });
+
+    // The target stops trading: its pool is settled into the acquirer's tokens
+    await this.priceFeed?.delist(targetId, { acquirerId });
+
+    // The acquisition is a change of control for the target's vesting grants
+    await this.applyChangeOfControl(targetId);
+
+    this.emit('companyAcquired', { acquirerId, targetId, consideration, tokensIssued: issued });
+    return { success: true, acquirer, target, consideration, tokens_issued: issued };
+  }
+
+  /**
+   * Cap table: every account by balance with its share of the supply, fully
+   * diluted ownership (unvested grants counted for their employees) and the
+   * concentration of the largest shareholders
+   *
+   * Treasury and employee pool tokens are not outstanding; the fully diluted
+   * supply is the outstanding supply plus unvested grants.
+   */
+  getCapTable(companyId, { limit = 20 } = {}) {
+    const company = this.requireCompany(companyId);
+    const now = this.clock.date();
+    const supply = company.token.total_supply;
+    const balances = this.ledger.getBalances(companyId);
+
+    const unvested = {};
+    for (const [employeeId, grant] of Object.entries(this.vestingSchedules.get(companyId)?.employees || {})) {
+      const amount = this.describeGrant(grant, now).unvested;
+      if (amount > 0) unvested[employeeId] = amount;
+    }
+
+    const reserved = [SYSTEM_ACCOUNTS.treasury, SYSTEM_ACCOUNTS.employees];
+    const sum = values => values.reduce((total, value) => total + value, 0);
+    const outstanding = sum(Object.entries(balances).filter(([holder]) => !reserved.includes(holder)).map(([, balance]) => balance));
+    const unvestedTotal = sum(Object.values(unvested));
+    const fullyDiluted = outstanding + unvestedTotal;
+    const percent = (amount, total) => (total > 0 ? (amount / total) * 100 : 0);
+
+    const holders = [...new Set([...Object.keys(balances), ...Object.keys(unvested)])]
+      .map(holder => {
+        const balance = balances[holder] || 0;
+        const diluted = reserved.includes(holder) ? null : balance + (unvested[holder] || 0);
+        return {
+          holder,
+          type: this.ledger.isSystemAccount(holder) ? 'allocation' : 'shareholder',
+          balance,
+          ownership: percent(balance, supply),
+          unvested: unvested[holder] || 0,
+          fully_diluted: diluted,
+          fully_diluted_ownership: diluted === null ? null : percent(diluted, fullyDiluted)
+        };
+      })
+      .sort((a, b) => b.balance - a.balance || (b.fully_diluted ?? 0) - (a.fully_diluted ?? 0) || a.holder.localeCompare(b.holder));
+
+    const shareholders = holders.filter(entry => entry.type === 'shareholder' && entry.balance > 0);
+    const top = count => percent(sum(shareholders.slice(0, count).map(entry => entry.balance)), outstanding);
+
+    return {
+      company_id: companyId,
+      ticker: company.ticker,
+      total_supply: supply,
+      outstanding,
+      unvested_grants: unvestedTotal,
+      fully_diluted_supply: fullyDiluted,
+      shareholders: shareholders.length,
+      concentration: {
+        top_holder: shareholders[0]?.holder || null,
+        top_1: top(1),
+        top_5: top(5),
+        top_10: top(10)
+      },
+      holders: holders.slice(0, limit),
+      updated_at: this.ledger.get(companyId).updated_at
+    };
+  }
+
+  /**
+   * Balances of one holder across all company tokens
+   */
+  getHoldings(holder) {
+    return this.getAllCompanies()
+      .map(company => ({ company, balance: this.ledger.balanceOf(company.id, holder) }))
+      .filter(({ balance }) => balance > 0)
+      .map(({ company, balance }) => ({
+        company_id: company.id,
+        ticker: company.ticker,
+        balance,
+        ownership: company.token.total_supply > 0 ? (balance / company.token.total_supply) * 100 : 0,
+        value: balance * company.performance.token_price
+      }));
+  }
+
+  /**
+   * Attach a trade-based price source
+   * @param {object} feed - { hasPool(companyId), rebalance(companyId, price), getLiquidity(companyId),
+   *   delist(companyId, { acquirerId }) }
+   */
+  setPriceFeed(feed) {
+    this.priceFeed = feed;
+    return this;
+  }
+
+  /**
+   * Price and value of an executed trade (AMM swaps)
+   */
+  recordTrade(companyId, { price, volume = 0 }) {
+    const company = this.requireCompany(companyId);
+    company.performance.token_price = price;
+    company.performance.volume_24h = (company.performance.volume_24h || 0) + volume;
+    this.refreshMarketValues(company);
+
+    this.emit('tradeRecorded', { companyId, price, volume });
+    return company.performance;
+  }
+
+  /**
+   * Move a company's price with an event shock (see MARKET_SHOCKS)
+   * Pooled tokens move through their pool: arbitrage trades it to the shocked price.
+   * @param {string} type - merger_announced_acquirer, merger_announced_target, proposal_passed, proposal_rejected, vesting_unlock
+   * @param {object} details - { impact } to override the default move, { premium } for targets, { share } of float for unlocks
+   */
+  async applyMarketShock(companyId, type, details = {}) {
+    const company = this.requireCompany(companyId);
+    const { shock, volume } = this.market.shock(company, type, details, this.clock.now());
+
+    let traded = volume;
+    if (this.priceFeed?.hasPool(companyId)) {
+      const trade = await this.priceFeed.rebalance(companyId, shock.price);
+      shock.price = trade.price;
+      traded = trade.volume;
+    }
+
+    company.performance.token_price = shock.price;
+    company.performance.volume_24h = (company.performance.volume_24h || 0) + traded;
+    this.refreshMarketValues(company);
+
+    this.emit('marketShock', { companyId, type, impact: shock.impact, price: shock.price });
+    return { success: true, shock };
+  }
+
+  /**
+   * Price in a merger bid: the target trades up towards the offer, the acquirer down
+   */
+  async announceMerger(acquirerId, targetId, { premium = 0 } = {}) {
+    const acquirer = (await this.applyMarketShock(acquirerId, 'merger_announced_acquirer')).shock;
+    const target = (await this.applyMarketShock(targetId, 'merger_announced_target', { premium })).shock;
+
+    this.emit('mergerAnnounced', { acquirerId, targetId, premium });
+    return { success: true, acquirer, target };
+  }
+
+  /**
+   * Market view of a company: sector profile, price, volume, shock activity and recent shocks
+   */
+  getMarket(companyId) {
+    const company = this.requireCompany(companyId);
+    const market = company.market || {};
+
+    return {
+      company_id: company.id,
+      ticker: company.ticker,
+      sector: company.metadata.sector,
+      profile: this.market.profile(company.metadata.sector),
+      token_price: company.performance.token_price,
+      market_cap: company.performance.market_cap,
+      circulating_supply: company.token.circulating_supply,
+      volume_24h: company.performance.volume_24h,
+      price_change_24h: company.performance.price_change_24h,
+      volatility: company.performance.volatility ?? null,
+      activity: market.activity ?? 0,
+      last_tick: market.last_tick ?? null,
+      shocks: [...(market.shocks || [])].reverse()
+    };
+  }
+
   /**
    * Analyze company performance with comprehensive metrics
    */
@@ -157,12 +614,12 @@ export class CompanyManager extends EventEmitter {
     try {
       const company = this.companies.get(companyId);
       if (!company) {
-        throw new Error(`Company ${companyId} not found`);
+        throw DomainError.notFound(`Company ${companyId} not found`);
       }
 
       const history = this.performanceHistory.get(companyId) || [];
       const timeframeDays = this.parseTimeframe(timeframe);
-      const cutoffDate = moment().subtract(timeframeDays, 'days').toDate();
+      const cutoffDate = moment(this.clock.now()).subtract(timeframeDays, 'days').toDate();
       
       // Filter historical data for specified timeframe
       const relevantHistory = history.filter(record => 
@@ -179,6 +636,9 @@ export class CompanyManager extends EventEmitter {
         market_position: await this.analyzeMarketPosition(company),
         financial_health: this.assessFinancialHealth(company, relevantHistory)
       };
+      if (this.priceFeed?.hasPool(companyId)) {
+        metrics.liquidity = this.priceFeed.getLiquidity(companyId);
+      }
 
       // Add industry comparisons if requested
       if (includeComparisons) {
@@ -195,7 +655,7 @@ export class CompanyManager extends EventEmitter {
         company_name: company.name,
         ticker: company.ticker,
         timeframe,
-        analysis_date: new Date().toISOString(),
+        analysis_date: this.clock.toISOString(),
         metrics,
         recommendations: this.generateRecommendations(metrics),
         performance_score: this.calculateOverallScore(metrics)
@@ -236,13 +696,14 @@ export class CompanyManager extends EventEmitter {
       companyId,
       optimizationGoals = ['growth', 'stability', 'governance'],
       constraints = {},
-      simulateOnly = false
+      simulateOnly = false,
+      signal = null
     } = params;
 
     try {
       const company = this.companies.get(companyId);
       if (!company) {
-        throw new Error(`Company ${companyId} not found`);
+        throw DomainError.notFound(`Company ${companyId} not found`);
       }
 
       // Analyze current distribution
@@ -289,6 +750,7 @@ export class CompanyManager extends EventEmitter {
 
       // Execute optimization if not simulation
       if (!simulateOnly && optimization.recommendations.length > 0) {
+        signal?.throwIfAborted();
         await this.executeDistributionOptimization(companyId, optimization);
         optimization.execution_status = 'completed';
       } else {
@@ -321,15 +783,16 @@ export class CompanyManager extends EventEmitter {
   async manageEmployeeVesting(params) {
     const {
       companyId,
-      action = 'status', // 'status', 'update', 'release', 'add_employee'
+      action = 'status', // 'status', 'update', 'release', 'add_employee', 'terminate', 'change_of_control'
       employeeId = null,
-      vestingParams = {}
+      vestingParams = {},
+      signal = null
     } = params;
 
     try {
       const company = this.companies.get(companyId);
       if (!company) {
-        throw new Error(`Company ${companyId} not found`);
+        throw DomainError.notFound(`Company ${companyId} not found`);
       }
 
       const vestingSchedule = this.vestingSchedules.get(companyId) || {
@@ -340,6 +803,7 @@ export class CompanyManager extends EventEmitter {
       };
 
       let result = {};
+      if (action !== 'status') signal?.throwIfAborted();
 
       switch (action) {
         case 'status':
@@ -357,9 +821,17 @@ export class CompanyManager extends EventEmitter {
         case 'add_employee':
           result = await this.addEmployeeToVesting(companyId, employeeId, vestingParams);
           break;
+
+        case 'terminate':
+          result = await this.terminateVesting(companyId, employeeId, vestingParams);
+          break;
+
+        case 'change_of_control':
+          result = await this.applyChangeOfControl(companyId);
+          break;
           
         default:
-          throw new Error(`Unknown vesting action: ${action}`);
+          throw DomainError.invalid(`Unknown vesting action: ${action}`);
       }
 
       this.logger.info('Employee vesting managed', {
@@ -447,23 +919,23 @@ export class CompanyManager extends EventEmitter {
   async analyzeMarketPosition(company) {
     // Simulate market position analysis
     return {
-      market_rank: Math.floor(Math.random() * 1000) + 1,
-      sector_rank: Math.floor(Math.random() * 100) + 1,
-      competitive_advantage: Math.floor(Math.random() * 10) + 1,
-      market_share: Math.random() * 5, // 0-5%
-      brand_recognition: Math.floor(Math.random() * 10) + 1
+      market_rank: this.random.int(1, 1000),
+      sector_rank: this.random.int(1, 100),
+      competitive_advantage: this.random.int(1, 10),
+      market_share: this.random.float(0, 5), // 0-5%
+      brand_recognition: this.random.int(1, 10)
     };
   }
 
   assessFinancialHealth(company, history) {
-    const healthScore = Math.floor(Math.random() * 40) + 60; // 60-100
+    const healthScore = this.random.int(60, 99); // 60-100
     
     return {
       overall_score: healthScore,
-      liquidity_score: Math.floor(Math.random() * 30) + 70,
-      solvency_score: Math.floor(Math.random() * 30) + 70,
-      profitability_score: Math.floor(Math.random() * 40) + 60,
-      efficiency_score: Math.floor(Math.random() * 30) + 70
+      liquidity_score: this.random.int(70, 99),
+      solvency_score: this.random.int(70, 99),
+      profitability_score: this.random.int(60, 99),
+      efficiency_score: this.random.int(70, 99)
     };
   }
 
@@ -546,42 +1018,54 @@ export class CompanyManager extends EventEmitter {
 
   // Background processes
   startPerformanceMonitoring() {
-    setInterval(async () => {
+    this.timers.push(this.clock.setInterval(async () => {
       for (const [companyId, company] of this.companies) {
         await this.updatePerformanceMetrics(companyId);
       }
-    }, this.config.performanceUpdateInterval);
+    }, this.config.performanceUpdateInterval));
   }
 
   startVestingProcessor() {
-    setInterval(async () => {
+    this.timers.push(this.clock.setInterval(async () => {
       for (const [companyId] of this.companies) {
         await this.processVestingReleases(companyId);
       }
-    }, this.config.vestingUpdateInterval);
+    }, this.config.vestingUpdateInterval));
   }
 
+  /**
+   * Advance a company's token market by one tick (see MarketModel); merged companies no longer trade
+   */
   async updatePerformanceMetrics(companyId) {
     const company = this.companies.get(companyId);
-    if (!company) return;
+    if (!company || company.metadata.status === 'merged') return;
+
+    const now = this.clock.now();
+    const history = this.performanceHistory.get(companyId) || [];
+    const tick = this.market.step(company, now);
+
+    // Pooled tokens are priced by their pool: arbitrage trades it towards the market price
+    let { price, volume_24h: volume24h } = tick;
+    if (this.priceFeed?.hasPool(companyId)) {
+      const trade = await this.priceFeed.rebalance(companyId, tick.price);
+      price = trade.price;
+      volume24h += trade.volume;
+    }
 
-    // Simulate market data updates
-    const updatedPerformance = {
+    company.performance = {
       ...company.performance,
-      token_price: company.performance.token_price * (0.95 + Math.random() * 0.1),
-      volume_24h: Math.random() * 1000000,
-      price_change_24h: (Math.random() - 0.5) * 20,
-      updated_at: new Date().toISOString()
+      token_price: price,
+      volume_24h: volume24h,
+      price_change_24h: this.priceChangeSince(history, price, now - DAY_MS),
+      volatility: tick.volatility,
+      updated_at: this.clock.toISOString()
     };
-
-    company.performance = updatedPerformance;
-    company.updated_at = new Date().toISOString();
+    this.refreshMarketValues(company);
 
     // Store in history
-    const history = this.performanceHistory.get(companyId) || [];
     history.push({
-      timestamp: new Date().toISOString(),
-      ...updatedPerformance
+      timestamp: this.clock.toISOString(),
+      ...company.performance
     });
     
     // Keep only last 1000 records
@@ -593,6 +1077,22 @@ export class CompanyManager extends EventEmitter {
   }
 
   // Utility methods
+
+  /**
+   * Percentage change from the last recorded price at or before `since` (the oldest record otherwise)
+   */
+  priceChangeSince(history, price, since) {
+    let reference = history[0];
+    for (let index = history.length - 1; index >= 0; index--) {
+      if (Date.parse(history[index].timestamp) <= since) {
+        reference = history[index];
+        break;
+      }
+    }
+    const before = reference?.token_price;
+    return before > 0 ? ((price - before) / before) * 100 : 0;
+  }
+
   calculateVolatility(prices) {
     if (prices.length < 2) return 0;
     const returns = prices.slice(1).map((price, i) => Math.log(price / prices[i]));
@@ -628,32 +1128,344 @@ export class CompanyManager extends EventEmitter {
     return Math.min(10, (priceVol + volumeVol) / 10);
   }
 
+  /**
+   * Recompute market cap and valuation from the token price and supply
+   */
+  refreshMarketValues(company) {
+    company.performance.market_cap = company.performance.token_price * company.token.circulating_supply;
+    company.performance.current_valuation = company.performance.token_price * company.token.total_supply;
+    company.updated_at = this.clock.toISOString();
+    this.companies.set(company.id, company);
+  }
+
+  requireCompany(companyId) {
+    const company = this.companies.get(companyId);
+    if (!company) {
+      throw DomainError.notFound(`Company ${companyId} not found`);
+    }
+    return company;
+  }
+
+  /**
+   * Company ids, tickers and token identifiers are unique across the registry
+   * @throws {CompanyError}
+   */
+  checkRegistryConflicts(companyId, ticker, tokenAddress) {
+    if (this.companies.has(companyId)) {
+      throw new CompanyError('DUPLICATE_COMPANY', `Company ${companyId} already exists`, { companyId });
+    }
+
+    for (const [id, company] of this.companies.entries()) {
+      if (tokenAddress && company.token.address === tokenAddress) {
+        throw new CompanyError('DUPLICATE_TOKEN', `Token ${tokenAddress} is already used by company ${id}`, { companyId: id, tokenAddress });
+      }
+      if (company.ticker === ticker) {
+        throw new CompanyError('DUPLICATE_TICKER', `Ticker ${ticker} is already used by company ${id}`, { companyId: id, ticker });
+      }
+    }
+  }
+
+  /**
+   * Run a supply or allocation mutation all-or-nothing: the companies' records,
+   * ledgers and vesting schedules (plus those of `vestingIds`) are restored when
+   * `mutate` throws or leaves a company breaking its invariants
+   * @throws {CompanyError} INVARIANT_VIOLATION
+   */
+  mutateCompanies(companyIds, operation, mutate, vestingIds = companyIds) {
+    const saved = [
+      ...companyIds.map(id => [this.companies, id]),
+      ...companyIds.map(id => [this.ledgers, id]),
+      ...vestingIds.map(id => [this.vestingSchedules, id])
+    ].map(([map, id]) => [map, id, map.has(id) ? structuredClone(map.get(id)) : undefined]);
+
+    try {
+      const result = mutate();
+      for (const id of companyIds) {
+        const violations = checkCompanyInvariants(this.companies.get(id), this.ledger.getBalances(id));
+        if (violations.length > 0) {
+          throw new CompanyError(
+            'INVARIANT_VIOLATION',
+            `${operation} would break the invariants of ${id}: ${violations.join('; ')}`,
+            { companyId: id, operation, violations }
+          );
+        }
+      }
+      return result;
+    } catch (error) {
+      for (const [map, id, value] of saved) {
+        if (value === undefined) map.delete(id);
+        else map.set(id, value);
+      }
+      throw error;
+    }
+  }
+
+  // Shareholder ledger helpers
+
+  /**
+   * Ledger account holding an allocation's unassigned tokens
+   */
+  accountOf(company, allocation) {
+    return allocation === 'founder' ? this.ledger.founderOf(company) : SYSTEM_ACCOUNTS[allocation];
+  }
+
+  /**
+   * Allocation a ledger account counts towards: shareholders other than the founder hold public tokens
+   */
+  allocationOf(company, holder) {
+    if (holder === this.ledger.founderOf(company)) return 'founder';
+    const [allocation] = Object.entries(SYSTEM_ACCOUNTS).find(([, account]) => account === holder) || ['public'];
+    return allocation;
+  }
+
+  /**
+   * Ledger transfer that keeps the allocations and circulating supply in step
+   * (tokens leaving the treasury, employee pool or founder become public)
+   */
+  moveTokens(company, from, to, amount, memo) {
+    const entry = this.ledger.transfer(company.id, from, to, amount, memo);
+    const source = this.allocationOf(company, from);
+    const destination = this.allocationOf(company, to);
+
+    if (source !== destination) {
+      const { allocations } = company.token;
+      allocations[source] = Math.max(0, (allocations[source] || 0) - amount);
+      allocations[destination] = (allocations[destination] || 0) + amount;
+      if (destination === 'public') company.token.circulating_supply += amount;
+      if (source === 'public') company.token.circulating_supply = Math.max(0, company.token.circulating_supply - amount);
+    }
+
+    this.syncLedgerStats(company);
+    return entry;
+  }
+
+  /**
+   * Merger token exchange: the target's shareholders receive the new acquirer
+   * tokens pro rata; its allocation accounts are paid into the acquirer's public float.
+   * The target's ledger is kept as it stood at the merger.
+   */
+  exchangeShareholdings(acquirer, target, issued) {
+    const balances = Object.entries(this.ledger.getBalances(target.id));
+    const total = balances.reduce((sum, [, balance]) => sum + balance, 0);
+    const payouts = {};
+
+    for (const [holder, balance] of total > 0 ? balances : [[SYSTEM_ACCOUNTS.public, 1]]) {
+      const unnamed = this.ledger.isSystemAccount(holder) || (!target.token.founder_address && holder === this.ledger.founderOf(target));
+      const recipient = unnamed ? SYSTEM_ACCOUNTS.public : holder;
+      payouts[recipient] = (payouts[recipient] || 0) + issued * balance / (total || 1);
+    }
+    for (const [recipient, amount] of Object.entries(payouts)) {
+      this.ledger.mint(acquirer.id, recipient, amount, `Exchanged for ${target.ticker} shares`);
+    }
+
+    const ledger = this.ledger.get(target.id);
+    ledger.exchanged_into = { company_id: acquirer.id, ratio: total > 0 ? issued / total : 0, at: this.clock.toISOString() };
+    this.ledgers.set(target.id, ledger);
+  }
+
+  syncLedgerStats(company) {
+    const ledger = this.ledger.get(company.id);
+    company.performance.holders_count = this.ledger.countHolders(company.id);
+    company.performance.transactions_count = ledger.transactions;
+    this.companies.set(company.id, company);
+  }
+
   // Vesting management helpers
   async initializeEmployeeVesting(companyId, totalAllocation) {
     const vestingSchedule = {
       company_id: companyId,
       total_allocation: totalAllocation,
       employees: {},
-      created_at: new Date().toISOString()
+      created_at: this.clock.toISOString()
     };
     
     this.vestingSchedules.set(companyId, vestingSchedule);
+    return vestingSchedule;
+  }
+
+  async getVestingStatus(companyId, schedule, employeeId) {
+    const now = this.clock.date();
+    if (employeeId) {
+      return { summary: 'Vesting status retrieved', grant: this.describeGrant(this.requireGrant(companyId, employeeId), now) };
+    }
+
+    const grants = Object.entries(schedule.employees)
+      .map(([id, grant]) => ({ employee_id: id, ...this.describeGrant(grant, now) }));
+    const total = field => grants.reduce((sum, grant) => sum + (grant[field] || 0), 0);
+    const pool = this.getEmployeePool(companyId);
+
+    return {
+      summary: 'Vesting status retrieved',
+      employee_pool: pool.allocation,
+      granted: pool.granted,
+      available: pool.available,
+      total_vested: total('vested'),
+      total_released: total('released'),
+      total_revoked: total('revoked'),
+      next_release_date: grants.map(grant => grant.next_vesting_date).filter(Boolean).sort()[0] || null,
+      grants
+    };
+  }
+
+  async addEmployeeToVesting(companyId, employeeId, params) {
+    if (!employeeId) {
+      throw new ValidationError([{ field: 'employeeId', code: 'required', message: 'is required' }]);
+    }
+    if (this.vestingSchedules.get(companyId)?.employees[employeeId]) {
+      throw DomainError.conflict(`Employee ${employeeId} already has a vesting grant in ${companyId}`);
+    }
+
+    const grant = this.buildGrant(params);
+    this.checkEmployeePool(companyId, grant.total_amount);
+
+    const schedule = this.vestingSchedules.get(companyId) ||
+      await this.initializeEmployeeVesting(companyId, this.getEmployeePool(companyId).allocation);
+    schedule.employees[employeeId] = { employee_id: employeeId, ...grant };
+    this.vestingSchedules.set(companyId, schedule);
+
+    this.emit('vestingGrantCreated', {
+      companyId,
+      employeeId,
+      amount: grant.total_amount,
+      cliffDate: grant.cliff_date,
+      endDate: grant.end_date
+    });
+
+    return {
+      summary: 'Employee added to vesting',
+      grant: this.describeGrant(schedule.employees[employeeId], this.clock.date())
+    };
+  }
+
+  async updateVestingSchedule(companyId, employeeId, params) {
+    const grant = this.requireGrant(companyId, employeeId);
+    if (grant.status === 'terminated') {
+      throw DomainError.conflict(`Vesting grant for ${employeeId} has already been terminated`);
+    }
+
+    const updated = this.buildGrant(params, grant);
+    if (updated.total_amount < grant.released) {
+      throw new ValidationError([{
+        field: 'amount', code: 'minimum', message: `must be at least the ${grant.released} tokens already released`
+      }]);
+    }
+    this.checkEmployeePool(companyId, updated.total_amount - grant.total_amount);
+
+    const schedule = this.vestingSchedules.get(companyId);
+    schedule.employees[employeeId] = { ...grant, ...updated, updated_at: this.clock.toISOString() };
+    this.vestingSchedules.set(companyId, schedule);
+
+    this.emit('vestingGrantUpdated', { companyId, employeeId, amount: updated.total_amount });
+
+    return {
+      summary: 'Vesting schedule updated',
+      grant: this.describeGrant(schedule.employees[employeeId], this.clock.date())
+    };
+  }
+
+  async releaseVestedTokens(companyId, employeeId) {
+    if (employeeId) this.requireGrant(companyId, employeeId);
+    const { totalReleased, releases } = await this.processVestingReleases(companyId, employeeId);
+    return { summary: 'Vested tokens released', total_released: totalReleased, releases };
+  }
+
+  /**
+   * End an employee's grant: unvested tokens are revoked back to the employee pool
+   * A double-trigger grant first accelerates when the termination (without cause)
+   * falls within its window after a change of control.
+   */
+  async terminateVesting(companyId, employeeId, { cause = false } = {}) {
+    const grant = this.requireGrant(companyId, employeeId);
+    if (grant.status === 'terminated') {
+      throw DomainError.conflict(`Vesting grant for ${employeeId} has already been terminated`);
+    }
+
+    const now = this.clock.date();
+    const { acceleration } = grant;
+    if (!cause && acceleration?.trigger === 'double' && grant.change_of_control_at &&
+        moment.utc(now).diff(moment.utc(grant.change_of_control_at), 'months', true) <= acceleration.window_months) {
+      this.accelerateGrant(companyId, employeeId, grant, now, 'double');
+    }
+
+    grant.final_vested = vestedAmount(grant, now);
+    grant.revoked = grant.total_amount - grant.final_vested;
+    grant.status = 'terminated';
+    grant.terminated_at = now.toISOString();
+    grant.terminated_for_cause = Boolean(cause);
+
+    const schedule = this.vestingSchedules.get(companyId);
+    this.vestingSchedules.set(companyId, schedule);
+
+    this.emit('vestingRevoked', { companyId, employeeId, vested: grant.final_vested, revoked: grant.revoked, cause: Boolean(cause) });
+
+    return {
+      summary: 'Vesting grant terminated',
+      vested: grant.final_vested,
+      revoked: grant.revoked,
+      grant: this.describeGrant(grant, now)
+    };
   }
 
-  async processVestingReleases(companyId) {
+  /**
+   * Record a change of control on every active grant of a company
+   * Single-trigger grants accelerate immediately; double-trigger grants open their window.
+   */
+  async applyChangeOfControl(companyId) {
     const schedule = this.vestingSchedules.get(companyId);
-    if (!schedule) return;
+    const now = this.clock.date();
+    const accelerated = [];
+
+    for (const [employeeId, grant] of Object.entries(schedule?.employees || {})) {
+      if (grant.status === 'terminated') continue;
+      grant.change_of_control_at = now.toISOString();
+      if (grant.acceleration?.trigger === 'single') {
+        accelerated.push({ employee_id: employeeId, amount: this.accelerateGrant(companyId, employeeId, grant, now, 'single') });
+      }
+    }
+    if (schedule) this.vestingSchedules.set(companyId, schedule);
+
+    return { summary: 'Change of control applied', change_of_control_at: now.toISOString(), accelerated };
+  }
 
-    const now = new Date();
+  async processVestingReleases(companyId, employeeId = null) {
+    if (!this.vestingSchedules.has(companyId)) return { totalReleased: 0, releases: [] };
+
+    const now = this.clock.date();
+    const releases = [];
     let totalReleased = 0;
+    let unlocked = 0;
+    const company = this.companies.get(companyId);
 
-    for (const [employeeId, employeeVesting] of Object.entries(schedule.employees)) {
-      const releasable = this.calculateReleasableTokens(employeeVesting, now);
-      if (releasable > 0) {
-        totalReleased += releasable;
-        employeeVesting.released += releasable;
-        employeeVesting.last_release = now.toISOString();
+    this.mutateCompanies(company ? [companyId] : [], 'processVestingReleases', () => {
+      const schedule = this.vestingSchedules.get(companyId);
+      for (const [id, employeeVesting] of Object.entries(schedule.employees)) {
+        if (employeeId && id !== employeeId) continue;
+        const releasable = this.calculateReleasableTokens(employeeVesting, now);
+        if (releasable > 0) {
+          totalReleased += releasable;
+          employeeVesting.released += releasable;
+          employeeVesting.last_release = now.toISOString();
+          releases.push({ employee_id: id, amount: releasable });
+        }
+      }
+      if (totalReleased === 0) return;
+      this.vestingSchedules.set(companyId, schedule);
+
+      // Released tokens move from the employee pool to the employees and can trade
+      // (grants set up before the ledger existed may not be backed by the pool)
+      if (company) {
+        for (const { employee_id: holder, amount } of releases) {
+          const funded = Math.min(amount, this.ledger.balanceOf(companyId, SYSTEM_ACCOUNTS.employees));
+          if (funded > 0) this.moveTokens(company, SYSTEM_ACCOUNTS.employees, holder, funded, 'Vesting release');
+          unlocked += Math.max(0, funded);
+        }
+        this.refreshMarketValues(company);
       }
+    }, [companyId]);
+
+    // Unlocked tokens are an overhang the market prices in straight away
+    if (unlocked > 0 && company.metadata.status !== 'merged') {
+      await this.applyMarketShock(companyId, 'vesting_unlock', { share: unlocked / company.token.circulating_supply });
     }
 
     if (totalReleased > 0) {
@@ -663,36 +1475,197 @@ export class CompanyManager extends EventEmitter {
         timestamp: now.toISOString()
       });
     }
+
+    return { totalReleased, releases };
   }
 
   calculateReleasableTokens(employeeVesting, currentDate) {
-    // Simplified linear vesting calculation
-    const vestingStart = new Date(employeeVesting.start_date);
-    const vestingEnd = new Date(employeeVesting.end_date);
-    const totalPeriod = vestingEnd - vestingStart;
-    const elapsedPeriod = currentDate - vestingStart;
-    
-    if (elapsedPeriod <= 0) return 0;
-    if (currentDate >= vestingEnd) return employeeVesting.total_amount - employeeVesting.released;
-    
-    const vestedAmount = (employeeVesting.total_amount * elapsedPeriod) / totalPeriod;
-    return Math.max(0, vestedAmount - employeeVesting.released);
+    return Math.max(0, vestedAmount(employeeVesting, currentDate) - employeeVesting.released);
+  }
+
+  /**
+   * Validate grant parameters and build the stored grant fields
+   * @param {object} params - { amount, startDate, cliffMonths, durationMonths, releaseFrequency, curve, tranches, acceleration }
+   * @param {object} existing - Grant being updated (unspecified fields are kept)
+   * @throws {ValidationError}
+   */
+  buildGrant(params = {}, existing = {}) {
+    const errors = [];
+    const amount = params.amount ?? existing.total_amount;
+    const startDate = params.startDate ?? existing.start_date ?? this.clock.toISOString();
+    const cliffMonths = params.cliffMonths ?? existing.cliff_months ?? 0;
+    const durationMonths = params.durationMonths ?? existing.duration_months ?? 48;
+    const releaseFrequency = params.releaseFrequency ?? existing.release_frequency ?? 'monthly';
+    const curve = params.curve ?? existing.curve ?? 'linear';
+    const acceleration = {
+      trigger: params.acceleration?.trigger ?? existing.acceleration?.trigger ?? 'none',
+      percentage: params.acceleration?.percentage ?? existing.acceleration?.percentage ?? 100,
+      window_months: params.acceleration?.windowMonths ?? existing.acceleration?.window_months ?? 12
+    };
+
+    if (amount === undefined || amount === null) {
+      errors.push({ field: 'amount', code: 'required', message: 'is required' });
+    } else if (!(typeof amount === 'number' && amount > 0)) {
+      errors.push({ field: 'amount', code: 'minimum', message: 'must be a positive number' });
+    }
+    if (!moment.utc(startDate, moment.ISO_8601).isValid()) {
+      errors.push({ field: 'startDate', code: 'type', message: 'must be an ISO 8601 date' });
+    }
+    if (!(Number.isInteger(durationMonths) && durationMonths > 0)) {
+      errors.push({ field: 'durationMonths', code: 'minimum', message: 'must be a positive whole number of months' });
+    }
+    if (!(Number.isInteger(cliffMonths) && cliffMonths >= 0)) {
+      errors.push({ field: 'cliffMonths', code: 'minimum', message: 'must be a non-negative whole number of months' });
+    } else if (cliffMonths > durationMonths) {
+      errors.push({ field: 'cliffMonths', code: 'maximum', message: 'cannot exceed durationMonths' });
+    }
+    if (!RELEASE_FREQUENCIES.includes(releaseFrequency)) {
+      errors.push({ field: 'releaseFrequency', code: 'enum', message: `must be one of ${RELEASE_FREQUENCIES.join(', ')}` });
+    }
+    if (!VESTING_CURVES.includes(curve)) {
+      errors.push({ field: 'curve', code: 'enum', message: `must be one of ${VESTING_CURVES.join(', ')}` });
+    }
+    if (!ACCELERATION_TRIGGERS.includes(acceleration.trigger)) {
+      errors.push({ field: 'acceleration.trigger', code: 'enum', message: `must be one of ${ACCELERATION_TRIGGERS.join(', ')}` });
+    }
+    if (!(acceleration.percentage > 0 && acceleration.percentage <= 100)) {
+      errors.push({ field: 'acceleration.percentage', code: 'range', message: 'must be greater than 0 and at most 100' });
+    }
+    if (!(acceleration.window_months >= 0)) {
+      errors.push({ field: 'acceleration.windowMonths', code: 'minimum', message: 'must be 0 or more' });
+    }
+
+    // Explicit tranches win; otherwise keep the grant's tranches unless the curve or duration changed
+    let tranches = null;
+    if (curve !== 'linear') {
+      const unchanged = curve === existing.curve && durationMonths === existing.duration_months;
+      tranches = params.tranches ?? (unchanged ? existing.tranches : null) ?? defaultTranches(curve, durationMonths);
+      const valid = Array.isArray(tranches) && tranches.length > 0 && tranches.every(share => typeof share === 'number' && share > 0);
+      if (!valid || Math.abs(tranches.reduce((sum, share) => sum + share, 0) - 100) > 1e-6) {
+        errors.push({ field: 'tranches', code: 'type', message: 'must be positive percentages adding up to 100' });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const start = moment.utc(startDate, moment.ISO_8601);
+    return {
+      total_amount: amount,
+      released: existing.released ?? 0,
+      revoked: existing.revoked ?? 0,
+      start_date: start.toISOString(),
+      cliff_months: cliffMonths,
+      cliff_date: cliffMonths > 0 ? start.clone().add(cliffMonths, 'months').toISOString() : null,
+      duration_months: durationMonths,
+      end_date: start.clone().add(durationMonths, 'months').toISOString(),
+      release_frequency: releaseFrequency,
+      curve,
+      tranches,
+      acceleration,
+      accelerations: existing.accelerations ?? [],
+      change_of_control_at: existing.change_of_control_at ?? null,
+      status: existing.status ?? 'active',
+      granted_at: existing.granted_at ?? this.clock.toISOString()
+    };
+  }
+
+  /**
+   * Vest a grant's acceleration percentage of its unvested tokens now
+   * @returns {number} Tokens vested by the acceleration
+   */
+  accelerateGrant(companyId, employeeId, grant, now, trigger) {
+    const vestedBefore = vestedAmount(grant, now);
+    grant.accelerations = [
+      ...(grant.accelerations || []),
+      { at: now.toISOString(), trigger, percentage: grant.acceleration.percentage, vested_before: vestedBefore }
+    ];
+    const amount = vestedAmount(grant, now) - vestedBefore;
+
+    this.emit('vestingAccelerated', { companyId, employeeId, trigger, amount, timestamp: now.toISOString() });
+    return amount;
+  }
+
+  describeGrant(grant, now) {
+    const vested = vestedAmount(grant, now);
+    return {
+      ...grant,
+      vested,
+      releasable: Math.max(0, vested - grant.released),
+      unvested: Math.max(0, grant.total_amount - (grant.revoked || 0) - vested),
+      next_vesting_date: nextVestingDate(grant, now)
+    };
+  }
+
+  /**
+   * Employee pool against the live employee allocation (revoked tokens return to it,
+   * released tokens have already left it)
+   */
+  getEmployeePool(companyId) {
+    const company = this.requireCompany(companyId);
+    const grants = Object.values(this.vestingSchedules.get(companyId)?.employees || {});
+    const released = grants.reduce((sum, grant) => sum + grant.released, 0);
+    const allocation = (company.token.allocations.employees || 0) + released;
+    const granted = grants.reduce((sum, grant) => sum + grant.total_amount - (grant.revoked || 0), 0);
+    return { allocation, granted, available: allocation - granted };
+  }
+
+  checkEmployeePool(companyId, amount) {
+    const pool = this.getEmployeePool(companyId);
+    if (amount > pool.available + 1e-9) {
+      throw DomainError.conflict(
+        `Grant of ${amount} exceeds the available employee pool of ${companyId}: ${Math.max(0, pool.available)} of ${pool.allocation} left`
+      );
+    }
+  }
+
+  requireGrant(companyId, employeeId) {
+    const grant = this.vestingSchedules.get(companyId)?.employees[employeeId];
+    if (!grant) {
+      throw DomainError.notFound(`Vesting grant for ${employeeId} not found in ${companyId}`);
+    }
+    return grant;
+  }
+
+  getUnvestedEmployeeTokens(companyId) {
+    const now = this.clock.date();
+    return Object.values(this.vestingSchedules.get(companyId)?.employees || {})
+      .reduce((sum, grant) => sum + this.describeGrant(grant, now).unvested, 0);
   }
 
   // Additional utility methods would be implemented here...
-  calculateTokenVelocity(company, history) { return Math.random() * 10; }
-  calculateDistributionEfficiency(company) { return Math.random() * 100; }
-  calculateGovernanceEfficiency(company) { return Math.random() * 100; }
-  getUnvestedEmployeeTokens(companyId) { return Math.random() * 100000; }
+  calculateTokenVelocity(company, history) { return this.random.float(0, 10); }
+  calculateDistributionEfficiency(company) { return this.random.float(0, 100); }
+  calculateGovernanceEfficiency(company) { return this.random.float(0, 100); }
   calculateOptimalDistribution(current, recommendations, constraints) { return current; }
   calculateDistributionImpact(current, optimal, company) { return {}; }
   async executeDistributionOptimization(companyId, optimization) { return true; }
-  async getVestingStatus(companyId, schedule, employeeId) { return { summary: 'Vesting status retrieved' }; }
-  async updateVestingSchedule(companyId, employeeId, params) { return { summary: 'Vesting schedule updated' }; }
-  async releaseVestedTokens(companyId, employeeId) { return { summary: 'Vested tokens released' }; }
-  async addEmployeeToVesting(companyId, employeeId, params) { return { summary: 'Employee added to vesting' }; }
   async compareToIndustry(company, metrics) { return {}; }
   async generatePerformancePredictions(company, history) { return {}; }
+
+  // Public query methods
+
+  /**
+   * Look up a company by ID, ticker or token address
+   */
+  getCompany(identifier) {
+    if (this.companies.has(identifier)) {
+      return this.companies.get(identifier);
+    }
+
+    for (const company of this.companies.values()) {
+      if (company.ticker === identifier || company.token.address === identifier) {
+        return company;
+      }
+    }
+
+    return null;
+  }
+
+  getAllCompanies() {
+    return Array.from(this.companies.values());
+  }
 }
 
 export default CompanyManager;
\ No newline at end of file
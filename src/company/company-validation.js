@@ -0,0 +1,178 @@
+/**
+ * Company Validation
+ * Registration schema, ESDT naming rules, the company error catalogue and the
+ * supply / allocation invariants every token mutation must preserve
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import Joi from 'joi';
+import { ValidationError } from '../validation/parameter-validator.js';
+
+// ESDT tickers are 3-10 uppercase alphanumerics; token identifiers add a 6 hex character suffix
+export const ESDT_TICKER_PATTERN = /^[A-Z0-9]{3,10}$/;
+export const ESDT_IDENTIFIER_PATTERN = /^[A-Z0-9]{3,10}-[0-9a-f]{6}$/;
+
+export const ALLOCATION_FIELDS = {
+  founder: 'founderAllocation',
+  employees: 'employeeAllocation',
+  public: 'publicAllocation',
+  treasury: 'treasuryAllocation'
+};
+
+/**
+ * Error catalogue: every code registerCompany and the token mutations can raise
+ * Field codes arrive as ValidationError entries; the upper-case codes are CompanyErrors.
+ */
+export const COMPANY_ERRORS = {
+  required: { status: 400, description: 'A required field is missing or empty' },
+  type: { status: 400, description: 'A field has the wrong type' },
+  minimum: { status: 400, description: 'Total supply must be positive; allocations and price cannot be negative' },
+  maximum: { status: 400, description: 'A text field is too long' },
+  ticker_format: { status: 400, description: 'Ticker must be 3-10 uppercase letters or digits (ESDT ticker)' },
+  token_format: { status: 400, description: 'Token identifier must be the ticker followed by "-" and 6 lowercase hex characters' },
+  allocation_mismatch: { status: 400, description: 'Founder, employee, public and treasury allocations must add up to totalSupply' },
+  DUPLICATE_COMPANY: { status: 409, description: 'The companyId is already registered' },
+  DUPLICATE_TICKER: { status: 409, description: 'Another company already uses the ticker' },
+  DUPLICATE_TOKEN: { status: 409, description: 'Another company already uses the token identifier' },
+  INVARIANT_VIOLATION: { status: 409, description: 'A token operation would break a supply or allocation invariant and was rolled back' }
+};
+
+/**
+ * CompanyError - Registry conflict or invariant violation, with a COMPANY_ERRORS code
+ */
+export class CompanyError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'CompanyError';
+    this.code = code;
+    this.status = COMPANY_ERRORS[code]?.status || 500;
+    this.details = details;
+  }
+}
+
+const allocation = Joi.number().min(0).allow(null);
+
+export const registrationSchema = Joi.object({
+  companyId: Joi.string().trim().min(1).max(64).required(),
+  name: Joi.string().trim().min(1).max(100).required(),
+  ticker: Joi.string().pattern(ESDT_TICKER_PATTERN).required(),
+  tokenAddress: Joi.string().pattern(ESDT_IDENTIFIER_PATTERN).allow(null),
+  totalSupply: Joi.number().greater(0).required(),
+  founderAddress: Joi.string().min(1).allow(null),
+  founderAllocation: allocation,
+  employeeAllocation: allocation,
+  publicAllocation: allocation,
+  treasuryAllocation: allocation,
+  initialPrice: Joi.number().min(0),
+  foundedDate: Joi.string().isoDate(),
+  sector: Joi.string().min(1).max(64),
+  description: Joi.string().allow('').max(1000)
+}).unknown(true);
+
+// Joi error types -> catalogue codes
+const JOI_CODES = {
+  'any.required': 'required',
+  'string.empty': 'required',
+  'string.min': 'required',
+  'string.max': 'maximum',
+  'number.min': 'minimum',
+  'number.greater': 'minimum'
+};
+
+/**
+ * Validate registerCompany parameters
+ * A missing treasury allocation takes whatever the other allocations leave of the supply.
+ * @returns {object} Parameters with all four allocations filled in
+ * @throws {ValidationError}
+ */
+export function validateRegistration(params = {}) {
+  const { error } = registrationSchema.validate(params, { abortEarly: false, convert: false });
+  if (error) {
+    throw new ValidationError(error.details.map(toFieldError));
+  }
+
+  const values = { ...params };
+  for (const field of Object.values(ALLOCATION_FIELDS)) {
+    if (field !== ALLOCATION_FIELDS.treasury) values[field] = values[field] ?? 0;
+  }
+  const assigned = values.founderAllocation + values.employeeAllocation + values.publicAllocation;
+  values.treasuryAllocation = values.treasuryAllocation ?? Math.max(0, values.totalSupply - assigned);
+
+  if (values.tokenAddress && !values.tokenAddress.startsWith(`${values.ticker}-`)) {
+    throw new ValidationError([{ field: 'tokenAddress', code: 'token_format', message: `must start with the ticker ${values.ticker}` }]);
+  }
+
+  const allocated = assigned + values.treasuryAllocation;
+  if (!matches(allocated, values.totalSupply)) {
+    throw new ValidationError([{
+      field: 'allocations',
+      code: 'allocation_mismatch',
+      message: `founder + employee + public + treasury = ${allocated}, expected totalSupply ${values.totalSupply}`
+    }]);
+  }
+
+  return values;
+}
+
+/**
+ * Supply and allocation invariants of a registered company
+ * @param {object} company - Company record
+ * @param {object} balances - Its shareholder ledger balances
+ * @returns {string[]} Violations (empty when the company is consistent)
+ */
+export function checkCompanyInvariants(company, balances = {}) {
+  const violations = [];
+  const { total_supply: supply, circulating_supply: circulating, allocations } = company.token;
+
+  if (!(Number.isFinite(supply) && supply > 0)) {
+    violations.push(`total supply ${supply} must be positive`);
+  }
+  for (const [name, amount] of Object.entries(allocations)) {
+    if (!(Number.isFinite(amount ?? 0) && (amount ?? 0) >= 0)) violations.push(`${name} allocation ${amount} is negative`);
+  }
+
+  const allocated = Object.values(allocations).reduce((sum, amount) => sum + (amount ?? 0), 0);
+  if (!matches(allocated, supply)) {
+    violations.push(`allocations add up to ${allocated}, not the total supply ${supply}`);
+  }
+  if (!(circulating >= 0 && circulating <= supply * (1 + 1e-9))) {
+    violations.push(`circulating supply ${circulating} is outside 0..${supply}`);
+  }
+
+  const held = Object.values(balances).reduce((sum, balance) => sum + balance, 0);
+  if (!matches(held, supply)) {
+    violations.push(`holder balances add up to ${held}, not the total supply ${supply}`);
+  }
+  if (Object.values(balances).some(balance => balance < 0)) {
+    violations.push('a holder balance is negative');
+  }
+  if (!(Number.isFinite(company.performance.token_price) && company.performance.token_price >= 0)) {
+    violations.push(`token price ${company.performance.token_price} is invalid`);
+  }
+
+  return violations;
+}
+
+// Helper functions
+
+/**
+ * Equal up to floating-point noise from fractional issuance
+ */
+function matches(actual, expected) {
+  return Math.abs(actual - expected) <= Math.max(1e-6, Math.abs(expected) * 1e-9);
+}
+
+function toFieldError(detail) {
+  const field = detail.path.join('.');
+
+  if (detail.type === 'string.pattern.base') {
+    return field === 'ticker'
+      ? { field, code: 'ticker_format', message: 'must be 3-10 uppercase letters or digits (ESDT ticker)' }
+      : { field, code: 'token_format', message: 'must be TICKER-xxxxxx with 6 lowercase hex characters (ESDT token identifier)' };
+  }
+
+  const code = JOI_CODES[detail.type] || 'type';
+  return { field, code, message: code === 'required' ? 'is required' : detail.message.replace(/^"[^"]*" /, '') };
+}
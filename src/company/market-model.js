@@ -0,0 +1,184 @@
+/**
+ * Market Model
+ * Token price simulation: geometric Brownian motion with per-sector drift and
+ * volatility, demand spread over the circulating float, volume that follows
+ * volatility and event shocks (merger announcements, proposal outcomes, vesting unlocks)
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { DomainError } from '../validation/domain-error.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MEAN_ABS_NORMAL = Math.sqrt(2 / Math.PI); // E|Z| of a standard normal draw
+const VOLUME_FLOOR = 0.25; // share of the average volume that trades even on a flat tick
+const SHOCK_HISTORY = 20;
+
+// Annualised drift and volatility, and the share of the float traded on a calm day
+export const SECTOR_PROFILES = {
+  Technology: { drift: 0.12, volatility: 0.45, turnover: 0.03 },
+  Gaming: { drift: 0.1, volatility: 0.6, turnover: 0.04 },
+  Finance: { drift: 0.06, volatility: 0.25, turnover: 0.02 },
+  DeFi: { drift: 0.15, volatility: 0.85, turnover: 0.06 },
+  Healthcare: { drift: 0.08, volatility: 0.3, turnover: 0.015 },
+  Energy: { drift: 0.05, volatility: 0.35, turnover: 0.015 },
+  Retail: { drift: 0.04, volatility: 0.3, turnover: 0.02 }
+};
+
+export const DEFAULT_SECTOR_PROFILE = { drift: 0.08, volatility: 0.4, turnover: 0.02 };
+
+/**
+ * Event shocks: `impact` is the immediate price move (fraction of the price) and
+ * `activity` the burst of extra volatility and volume it starts, which fades
+ * with the model's half-life. Target and unlock impacts are sized from the event.
+ */
+export const MARKET_SHOCKS = {
+  merger_announced_acquirer: { impact: -0.03, activity: 1 },
+  merger_announced_target: { impact: 0.1, activity: 1.5 },
+  proposal_passed: { impact: 0.03, activity: 0.5 },
+  proposal_rejected: { impact: -0.03, activity: 0.5 },
+  vesting_unlock: { impact: -0.01, activity: 0.3 }
+};
+
+/**
+ * MarketModel - Price, volume and shocks for company tokens
+ *
+ * Investors' demand for a token (price × circulating supply) follows a GBM with
+ * the sector's drift and volatility; the price is that demand over the current
+ * float, so tokens entering circulation without new demand push the price down.
+ * Per-company state is kept on the company record (`company.market`):
+ *   { float, activity, activity_at, last_tick, shocks }
+ */
+export class MarketModel {
+  /**
+   * @param {object} config - { random, listingPrice, halfLifeDays, premiumCapture, unlockSensitivity, sectors }
+   */
+  constructor(config = {}) {
+    this.random = config.random;
+    this.config = {
+      listingPrice: config.listingPrice ?? 1, // price of a token that has never traded
+      halfLifeDays: config.halfLifeDays || 2, // shock activity half-life
+      premiumCapture: config.premiumCapture ?? 0.6, // share of a bid premium priced into the target
+      unlockSensitivity: config.unlockSensitivity ?? 0.25, // sell-pressure per unit of float unlocked
+      sectors: config.sectors || {}
+    };
+  }
+
+  /**
+   * Drift, volatility and turnover of a sector (configured overrides first)
+   */
+  profile(sector) {
+    return { ...DEFAULT_SECTOR_PROFILE, ...SECTOR_PROFILES[sector], ...this.config.sectors[sector] };
+  }
+
+  /**
+   * Start tracking a company from `now` at its current float
+   */
+  open(company, now) {
+    company.market = {
+      float: company.token.circulating_supply,
+      activity: 0,
+      activity_at: new Date(now).toISOString(),
+      last_tick: new Date(now).toISOString(),
+      shocks: []
+    };
+    return company.market;
+  }
+
+  /**
+   * Advance a company's market to `now`
+   * @returns {{price: number, volume: number, volume_24h: number, log_return: number, volatility: number}}
+   */
+  step(company, now) {
+    const market = company.market || this.open(company, now);
+    const { drift, volatility, turnover } = this.profile(company.metadata.sector);
+    const days = Math.max(0, now - Date.parse(market.last_tick)) / DAY_MS;
+    const dt = days / 365;
+
+    // Recent shocks make the market jumpier until they fade
+    const activity = this.decayActivity(market, now);
+    const sigma = volatility * (1 + activity);
+    const z = this.random.normal();
+    const logReturn = (drift - sigma ** 2 / 2) * dt + sigma * Math.sqrt(dt) * z;
+
+    // Demand moves with the market; a larger float spreads it over more tokens
+    const float = company.token.circulating_supply;
+    const dilution = market.float > 0 && float > 0 ? market.float / float : 1;
+    const price = this.currentPrice(company) * dilution * Math.exp(logReturn);
+
+    // Volume follows volatility: calm-day turnover scaled by the shock regime and the size of the move
+    const surprise = (VOLUME_FLOOR + Math.abs(z)) / (VOLUME_FLOOR + MEAN_ABS_NORMAL);
+    const volume = price * float * turnover * days * (1 + activity) * surprise;
+    const volume24h = (company.performance.volume_24h || 0) * Math.exp(-days) + volume;
+
+    market.float = float;
+    market.last_tick = new Date(now).toISOString();
+    return { price, volume, volume_24h: volume24h, log_return: logReturn, volatility: sigma };
+  }
+
+  /**
+   * Apply an event shock: an immediate price move plus a burst of activity
+   * @param {object} details - { impact } to override, or { premium } / { share } to size it
+   * @returns {{shock: object, volume: number}} The recorded shock and the volume it traded
+   */
+  shock(company, type, details = {}, now) {
+    const definition = MARKET_SHOCKS[type];
+    if (!definition) {
+      throw DomainError.invalid(`Unknown market shock: ${type}`);
+    }
+
+    const market = company.market || this.open(company, now);
+    const impact = Math.max(-0.9, details.impact ?? this.impactOf(type, details));
+    const before = this.currentPrice(company);
+    const price = before * (1 + impact);
+
+    market.activity = this.decayActivity(market, now) + definition.activity;
+
+    const shock = { type, impact, price_before: before, price, at: new Date(now).toISOString() };
+    market.shocks.push(shock);
+    if (market.shocks.length > SHOCK_HISTORY) market.shocks.splice(0, market.shocks.length - SHOCK_HISTORY);
+
+    const { turnover } = this.profile(company.metadata.sector);
+    const volume = price * company.token.circulating_supply * turnover * definition.activity;
+    return { shock, volume };
+  }
+
+  /**
+   * Re-anchor the float after a change whose price effect was applied directly (issuance, burns, acquisitions)
+   */
+  rebase(company) {
+    if (company.market) company.market.float = company.token.circulating_supply;
+  }
+
+  // Helper methods
+
+  /**
+   * Default impact of a shock, sized from the event where it has a size
+   */
+  impactOf(type, { premium, share } = {}) {
+    if (type === 'merger_announced_target' && premium !== undefined) {
+      return (premium / 100) * this.config.premiumCapture;
+    }
+    if (type === 'vesting_unlock' && share !== undefined) {
+      return MARKET_SHOCKS.vesting_unlock.impact - share * this.config.unlockSensitivity;
+    }
+    return MARKET_SHOCKS[type].impact;
+  }
+
+  decayActivity(market, now) {
+    const days = Math.max(0, now - Date.parse(market.activity_at)) / DAY_MS;
+    market.activity = market.activity * Math.pow(0.5, days / this.config.halfLifeDays);
+    market.activity_at = new Date(now).toISOString();
+    return market.activity;
+  }
+
+  /**
+   * Tokens that have never had a price list at the listing price
+   */
+  currentPrice(company) {
+    return company.performance.token_price > 0 ? company.performance.token_price : this.config.listingPrice;
+  }
+}
+
+export default MarketModel;
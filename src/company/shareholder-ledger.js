@@ -0,0 +1,180 @@
+/**
+ * Shareholder Ledger
+ * Per-company token balances: who holds what, with transfers, issuance and burns
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { DomainError } from '../validation/domain-error.js';
+
+// Allocation buckets that are not held by a single shareholder
+export const SYSTEM_ACCOUNTS = {
+  employees: 'employee_pool',
+  public: 'public',
+  treasury: 'treasury'
+};
+
+const DUST = 1e-9;
+
+/**
+ * ShareholderLedger - Holder balances for every company token
+ *
+ * Ledger document (one per company, persisted in the `ledgers` collection):
+ *   { company_id, balances: { holder: amount }, transactions, history, created_at, updated_at }
+ * The founder allocation is held by `company.token.founder_address`; the other
+ * allocations sit in the SYSTEM_ACCOUNTS until they are transferred to holders.
+ * Balances always add up to the token's total supply.
+ */
+export class ShareholderLedger {
+  constructor(ledgers, { companies, clock, historyLimit = 100 }) {
+    this.ledgers = ledgers;
+    this.companies = companies;
+    this.clock = clock;
+    this.historyLimit = historyLimit;
+  }
+
+  /**
+   * Ledger of a company, opened from its allocations the first time it is needed
+   * (companies registered before the ledger existed)
+   */
+  get(companyId) {
+    const ledger = this.ledgers.get(companyId);
+    if (ledger) return ledger;
+
+    const company = this.companies.get(companyId);
+    if (!company) {
+      throw DomainError.notFound(`Company ${companyId} not found`);
+    }
+    return this.open(company);
+  }
+
+  /**
+   * Start a company's ledger from its founding allocations
+   */
+  open(company) {
+    const { allocations } = company.token;
+    const balances = {};
+    const credit = (holder, amount) => {
+      if (amount > 0) balances[holder] = (balances[holder] || 0) + amount;
+    };
+
+    credit(this.founderOf(company), allocations.founder);
+    for (const [allocation, account] of Object.entries(SYSTEM_ACCOUNTS)) credit(account, allocations[allocation]);
+
+    const ledger = {
+      company_id: company.id,
+      balances,
+      transactions: 0,
+      history: [],
+      created_at: this.clock.toISOString(),
+      updated_at: this.clock.toISOString()
+    };
+    this.ledgers.set(company.id, ledger);
+    return ledger;
+  }
+
+  /**
+   * Move tokens between two holders
+   * @throws {Error} When the sender's balance is too small
+   */
+  transfer(companyId, from, to, amount, memo = '') {
+    this.requireAmount(amount);
+    if (from === to) {
+      throw DomainError.invalid('Cannot transfer tokens to the same holder');
+    }
+
+    const ledger = this.get(companyId);
+    this.debit(ledger, from, amount);
+    this.credit(ledger, to, amount);
+    return this.record(ledger, { type: 'transfer', from, to, amount, memo });
+  }
+
+  /**
+   * Credit newly issued tokens to a holder
+   */
+  mint(companyId, to, amount, memo = '') {
+    this.requireAmount(amount);
+    const ledger = this.get(companyId);
+    this.credit(ledger, to, amount);
+    return this.record(ledger, { type: 'issue', from: null, to, amount, memo });
+  }
+
+  /**
+   * Destroy tokens held by a holder
+   */
+  burn(companyId, from, amount, memo = '') {
+    this.requireAmount(amount);
+    const ledger = this.get(companyId);
+    this.debit(ledger, from, amount);
+    return this.record(ledger, { type: 'burn', from, to: null, amount, memo });
+  }
+
+  balanceOf(companyId, holder) {
+    return this.get(companyId).balances[holder] || 0;
+  }
+
+  /**
+   * Copy of the balances, optionally without the system accounts
+   */
+  getBalances(companyId, { includeSystem = true } = {}) {
+    return Object.fromEntries(Object.entries(this.get(companyId).balances)
+      .filter(([holder]) => includeSystem || !this.isSystemAccount(holder)));
+  }
+
+  /**
+   * Number of shareholders (system accounts excluded)
+   */
+  countHolders(companyId) {
+    return Object.keys(this.getBalances(companyId, { includeSystem: false })).length;
+  }
+
+  /**
+   * Recent ledger entries, newest first
+   */
+  getHistory(companyId, limit = 20) {
+    return this.get(companyId).history.slice(-limit).reverse();
+  }
+
+  isSystemAccount(holder) {
+    return Object.values(SYSTEM_ACCOUNTS).includes(holder);
+  }
+
+  founderOf(company) {
+    return company.token.founder_address || 'founder';
+  }
+
+  // Helper methods
+
+  credit(ledger, holder, amount) {
+    ledger.balances[holder] = (ledger.balances[holder] || 0) + amount;
+  }
+
+  debit(ledger, holder, amount) {
+    const balance = ledger.balances[holder] || 0;
+    if (amount > balance + DUST) {
+      throw DomainError.conflict(`Insufficient balance: ${holder} holds ${balance} ${ledger.company_id} tokens`);
+    }
+
+    ledger.balances[holder] = balance - amount;
+    if (ledger.balances[holder] < DUST) delete ledger.balances[holder];
+  }
+
+  record(ledger, entry) {
+    const recorded = { ...entry, timestamp: this.clock.toISOString() };
+    ledger.transactions += 1;
+    ledger.history.push(recorded);
+    if (ledger.history.length > this.historyLimit) ledger.history.splice(0, ledger.history.length - this.historyLimit);
+    ledger.updated_at = recorded.timestamp;
+    this.ledgers.set(ledger.company_id, ledger);
+    return recorded;
+  }
+
+  requireAmount(amount) {
+    if (!(amount > 0)) {
+      throw DomainError.invalid('Token amount must be positive');
+    }
+  }
+}
+
+export default ShareholderLedger;
@@ -0,0 +1,138 @@
+/**
+ * Vesting
+ * Grant schedule math for employee token vesting: cliffs, release frequencies,
+ * linear / graded / back-weighted curves and change-of-control acceleration
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import moment from 'moment';
+
+export const RELEASE_FREQUENCIES = ['continuous', 'daily', 'monthly', 'quarterly'];
+export const VESTING_CURVES = ['linear', 'graded', 'back_weighted'];
+export const ACCELERATION_TRIGGERS = ['none', 'single', 'double'];
+
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3 };
+
+/**
+ * Default tranche percentages: one tranche per year of the schedule
+ * (graded: equal tranches, back_weighted: 1:2:3:... e.g. 10/20/30/40 over four years)
+ */
+export function defaultTranches(curve, durationMonths) {
+  const years = Math.max(1, Math.round(durationMonths / 12));
+  const weights = Array.from({ length: years }, (_, index) => (curve === 'back_weighted' ? index + 1 : 1));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map(weight => (weight / total) * 100);
+}
+
+/**
+ * Share of the grant vested at `progress` (0..1) through the schedule
+ *
+ * linear: straight line; graded: each tranche vests in full at the end of its
+ * segment; back_weighted: each tranche vests linearly over its segment.
+ */
+export function curveFraction(curve, progress, tranches = [100]) {
+  if (progress <= 0) return 0;
+  if (progress >= 1) return 1;
+  if (curve === 'linear' || !curve) return progress;
+
+  const segments = tranches.length;
+  const position = progress * segments;
+  const completed = Math.floor(position + 1e-9);
+  const vested = tranches.slice(0, completed).reduce((sum, share) => sum + share, 0);
+
+  if (curve === 'graded' || completed >= segments) return vested / 100;
+  return (vested + tranches[completed] * (position - completed)) / 100;
+}
+
+/**
+ * Latest release point at or before `date`: vesting only steps forward on release dates
+ */
+export function releasePoint(grant, date) {
+  const start = moment.utc(grant.start_date);
+  const at = moment.utc(date);
+  if (at.isBefore(start)) return start;
+
+  switch (grant.release_frequency || 'continuous') {
+    case 'daily':
+      return start.clone().add(at.diff(start, 'days'), 'days');
+    case 'monthly':
+    case 'quarterly': {
+      const step = FREQUENCY_MONTHS[grant.release_frequency];
+      return start.clone().add(Math.floor(at.diff(start, 'months') / step) * step, 'months');
+    }
+    default:
+      return at;
+  }
+}
+
+/**
+ * Amount vested by the schedule alone (cliff, frequency and curve; no acceleration)
+ */
+export function scheduledAmount(grant, date) {
+  const at = moment.utc(date);
+  if (grant.cliff_date && at.isBefore(moment.utc(grant.cliff_date))) return 0;
+
+  const start = moment.utc(grant.start_date);
+  const end = moment.utc(grant.end_date).valueOf();
+  const point = releasePoint(grant, at);
+
+  // Monthly and quarterly schedules vest in whole months, whatever their length in days
+  const progress = FREQUENCY_MONTHS[grant.release_frequency] && grant.duration_months
+    ? point.diff(start, 'months') / grant.duration_months
+    : end > start.valueOf() ? (Math.min(point.valueOf(), end) - start.valueOf()) / (end - start.valueOf()) : 1;
+
+  return grant.total_amount * curveFraction(grant.curve, progress, grant.tranches);
+}
+
+/**
+ * Amount vested at `date`, including accelerations and frozen at termination
+ *
+ * Each acceleration vests `percentage` of what was unvested at that moment;
+ * the rest keeps vesting on the original schedule, scaled down to fit.
+ */
+export function vestedAmount(grant, date) {
+  if (grant.final_vested !== undefined && grant.final_vested !== null) return grant.final_vested;
+
+  const at = moment.utc(date).valueOf();
+  let vested = scheduledAmount(grant, date);
+
+  for (const event of grant.accelerations || []) {
+    if (moment.utc(event.at).valueOf() > at) break;
+    const before = event.vested_before;
+    const share = event.percentage / 100;
+    vested = before + share * (grant.total_amount - before) + (1 - share) * Math.max(0, vested - before);
+  }
+
+  return Math.min(grant.total_amount, vested);
+}
+
+/**
+ * Next date on which more tokens vest (null when nothing more will vest or vesting is continuous)
+ */
+export function nextVestingDate(grant, date) {
+  if (grant.final_vested !== undefined && grant.final_vested !== null) return null;
+  if (vestedAmount(grant, date) >= grant.total_amount) return null;
+
+  const at = moment.utc(date);
+  if (grant.cliff_date && at.isBefore(moment.utc(grant.cliff_date))) return moment.utc(grant.cliff_date).toISOString();
+
+  const start = moment.utc(grant.start_date);
+  let next;
+  switch (grant.release_frequency || 'continuous') {
+    case 'daily':
+      next = releasePoint(grant, at).add(1, 'days');
+      break;
+    case 'monthly':
+    case 'quarterly':
+      next = releasePoint(grant, at).add(FREQUENCY_MONTHS[grant.release_frequency], 'months');
+      break;
+    default:
+      return null;
+  }
+  if (next.isBefore(start)) next = start;
+
+  const end = moment.utc(grant.end_date);
+  return (next.isAfter(end) ? end : next).toISOString();
+}
@@ -0,0 +1,117 @@
+/**
+ * Event Stream
+ * Collects events emitted by the agent's managers into one ordered stream
+ * Every event gets a monotonically increasing sequence number so consumers can resume
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+
+// EventEmitter bookkeeping events that are never forwarded
+const INTERNAL_EVENTS = new Set(['error', 'newListener', 'removeListener']);
+
+/**
+ * EventStream - Sequenced, replayable stream of manager events
+ */
+export class EventStream extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = {
+      bufferSize: config.bufferSize || 1000,
+      ...config
+    };
+
+    this.sequence = 0;
+    this.buffer = [];
+    this.sources = new Map();
+  }
+
+  /**
+   * Forward every event emitted by `emitter` into the stream under `sourceName`
+   */
+  track(sourceName, emitter) {
+    if (this.sources.has(sourceName)) return;
+
+    const originalEmit = emitter.emit.bind(emitter);
+    emitter.emit = (eventName, ...args) => {
+      const delivered = originalEmit(eventName, ...args);
+      if (!INTERNAL_EVENTS.has(eventName)) {
+        this.publish(sourceName, eventName, args[0]);
+      }
+      return delivered;
+    };
+
+    this.sources.set(sourceName, { emitter, originalEmit });
+  }
+
+  /**
+   * Stop forwarding events from a tracked source
+   */
+  untrack(sourceName) {
+    const source = this.sources.get(sourceName);
+    if (!source) return;
+
+    source.emitter.emit = source.originalEmit;
+    this.sources.delete(sourceName);
+  }
+
+  /**
+   * Append an event to the stream and notify listeners
+   */
+  publish(source, type, payload = {}) {
+    const event = {
+      seq: ++this.sequence,
+      type,
+      source,
+      payload,
+      timestamp: new Date().toISOString()
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.config.bufferSize) {
+      this.buffer.splice(0, this.buffer.length - this.config.bufferSize);
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Get buffered events after a sequence number
+   * @returns {{events: Array<object>, complete: boolean}} complete is false when
+   *   events after `seq` have already been evicted from the buffer
+   */
+  getEventsSince(seq = 0, filter = null) {
+    const oldest = this.buffer.length > 0 ? this.buffer[0].seq : this.sequence + 1;
+    const events = this.buffer.filter(event => event.seq > seq && (!filter || EventStream.matches(event, filter)));
+
+    return {
+      events,
+      complete: seq >= oldest - 1
+    };
+  }
+
+  getLatestSequence() {
+    return this.sequence;
+  }
+
+  /**
+   * Check an event against subscription filters
+   * @param {object} event - Stream event
+   * @param {object} filter - { types, companyIds, proposalIds } (empty lists match everything)
+   */
+  static matches(event, filter = {}) {
+    const { types = [], companyIds = [], proposalIds = [] } = filter;
+    const payload = event.payload || {};
+
+    if (types.length > 0 && !types.includes(event.type)) return false;
+    if (companyIds.length > 0 && !companyIds.includes(payload.companyId)) return false;
+    if (proposalIds.length > 0 && !proposalIds.includes(payload.proposalId)) return false;
+
+    return true;
+  }
+}
+
+export default EventStream;
@@ -0,0 +1,306 @@
+/**
+ * Competitor Bot
+ * Computer-controlled rivals for game sessions. Bots assess their own companies,
+ * screen acquisition targets and vote their holdings through the same domain
+ * APIs a player's tools use, and explain every decision in a readable log
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+export const BOT_PERSONALITIES = {
+  aggressive_acquirer: {
+    label: 'Aggressive Acquirer',
+    description: 'Buys any rival due diligence does not reject and spends its treasury freely',
+    acceptRecommendations: ['PROCEED', 'PROCEED_WITH_CAUTION'],
+    maxTargetSize: 1.5, // target market cap relative to the acquirer's
+    premiumRange: { min: 5, max: 20 },
+    distributeShare: 0.5, // share of the treasury distributed per turn
+    distributeMinScore: 0, // performance_score needed before distributing
+    issueShare: 0.1, // new tokens issued when the treasury runs dry, as a share of supply
+    minSalePremium: 40, // premium at which it accepts being acquired
+    votesOnMerits: false
+  },
+  conservative_holder: {
+    label: 'Conservative Holder',
+    description: 'Keeps reserves, distributes only from strength and buys only small, clean targets',
+    acceptRecommendations: ['PROCEED'],
+    maxTargetSize: 0.5,
+    premiumRange: { min: 10, max: 20 },
+    distributeShare: 0.1,
+    distributeMinScore: 75,
+    issueShare: 0,
+    minSalePremium: 25,
+    votesOnMerits: false
+  },
+  governance_activist: {
+    label: 'Governance Activist',
+    description: 'Never launches takeovers but votes on every merger according to due diligence',
+    acceptRecommendations: [],
+    maxTargetSize: 0,
+    premiumRange: { min: 10, max: 30 },
+    distributeShare: 0.25,
+    distributeMinScore: 60,
+    issueShare: 0,
+    minSalePremium: 20,
+    votesOnMerits: true
+  }
+};
+
+export const BOT_DIFFICULTIES = {
+  easy: { analysisDepth: 'basic', candidates: 1, hesitation: 0.35, blocksRivals: false },
+  normal: { analysisDepth: 'standard', candidates: 3, hesitation: 0.1, blocksRivals: true },
+  hard: { analysisDepth: 'comprehensive', candidates: Infinity, hesitation: 0, blocksRivals: true }
+};
+
+// Treasury below this share of supply counts as empty
+const LOW_TREASURY = 0.05;
+
+/**
+ * CompetitorBot - Plans one turn for a bot player of a game session
+ *
+ * `planTurn()` returns decisions; each is { decision, action, reasoning, inputs }
+ * where `action` is a game action to queue (or null for a hold) and `reasoning`
+ * is the explanation shown to players. All randomness comes from the agent's
+ * seeded source, so bot play replays exactly from the simulation seed.
+ */
+export class CompetitorBot {
+  constructor(engine, session, player) {
+    this.engine = engine;
+    this.agent = engine.agent;
+    this.session = session;
+    this.player = player;
+    this.personality = BOT_PERSONALITIES[player.bot.personality];
+    this.difficulty = BOT_DIFFICULTIES[player.bot.difficulty];
+  }
+
+  /**
+   * Decide this turn's actions
+   * @returns {Promise<object[]>} Decisions in the order their actions should be queued
+   */
+  async planTurn() {
+    const companies = this.engine.getPlayerCompanies(this.player);
+    if (companies.length === 0) {
+      return [this.hold('No companies left to manage; sitting the turn out', {})];
+    }
+
+    const decisions = [];
+    for (const company of companies) {
+      decisions.push(await this.decideTreasury(company));
+    }
+
+    const acquisition = await this.decideAcquisition(companies);
+    if (acquisition) decisions.push(acquisition);
+
+    decisions.push(...await this.decideVotes());
+    return decisions.map(decision => this.applyHesitation(decision));
+  }
+
+  // Decisions
+
+  /**
+   * Distribute, issue or hold treasury tokens based on the company's own performance analysis
+   */
+  async decideTreasury(company) {
+    const { analysis } = await this.agent.companyManager.analyzePerformance({ companyId: company.id, timeframe: '30d' });
+    const score = analysis.performance_score;
+    const { treasury } = company.token.allocations;
+    const totalSupply = company.token.total_supply;
+    const { distributeShare, distributeMinScore, issueShare } = this.personality;
+
+    const inputs = {
+      company_id: company.id,
+      performance_score: score,
+      treasury,
+      total_supply: totalSupply,
+      recommendations: analysis.recommendations.map(recommendation => recommendation.type)
+    };
+    const flags = analysis.recommendations.length > 0
+      ? ` Analysis flags: ${analysis.recommendations.map(recommendation => recommendation.description).join('; ')}.`
+      : '';
+
+    if (treasury < totalSupply * LOW_TREASURY && issueShare > 0) {
+      const amount = Math.floor(totalSupply * issueShare);
+      return this.act('issue_tokens', { companyId: company.id, amount },
+        `${company.ticker} treasury is down to ${formatNumber(treasury)} tokens; issuing ${formatNumber(amount)} new tokens (${formatPercent(issueShare)} of supply) to fund further growth.${flags}`,
+        inputs);
+    }
+
+    const amount = Math.floor(treasury * distributeShare);
+    if (amount > 0 && score >= distributeMinScore) {
+      return this.act('distribute', { companyId: company.id, amount },
+        `${company.ticker} scored ${score.toFixed(1)} (threshold ${distributeMinScore}); distributing ${formatNumber(amount)} treasury tokens (${formatPercent(distributeShare)} of the treasury) to lift market cap.${flags}`,
+        inputs);
+    }
+
+    const reason = amount > 0
+      ? `${company.ticker} scored ${score.toFixed(1)}, below the ${distributeMinScore} needed to distribute; keeping ${formatNumber(treasury)} treasury tokens in reserve.`
+      : `${company.ticker} has no treasury tokens to distribute and this strategy does not issue new ones.`;
+    return this.hold(`${reason}${flags}`, inputs);
+  }
+
+  /**
+   * Screen rival companies with due diligence and valuations and bid for the best one
+   */
+  async decideAcquisition(companies) {
+    const { acceptRecommendations, maxTargetSize, premiumRange } = this.personality;
+    if (acceptRecommendations.length === 0) return null;
+
+    const pending = Object.values(this.session.pending_mergers);
+    const ownBid = pending.find(merger => merger.proposer === this.player.id);
+    if (ownBid) {
+      return this.hold(`Waiting for the vote on ${ownBid.proposal_id} before bidding again.`, { proposal_id: ownBid.proposal_id });
+    }
+
+    const acquirer = companies.reduce((best, company) =>
+      company.performance.market_cap > best.performance.market_cap ? company : best);
+    const limit = acquirer.performance.market_cap * maxTargetSize;
+    const contested = new Set(pending.flatMap(merger => [merger.acquirer_id, merger.target_id]));
+
+    const candidates = this.engine.getSessionCompanyIds(this.session)
+      .filter(companyId => !this.engine.ownsCompany(this.session, this.player.id, companyId) && !contested.has(companyId))
+      .map(companyId => this.agent.companyManager.getCompany(companyId))
+      .filter(company => company.performance.market_cap > 0 && company.performance.market_cap <= limit)
+      .sort((a, b) => b.performance.market_cap - a.performance.market_cap || a.id.localeCompare(b.id))
+      .slice(0, this.difficulty.candidates);
+
+    const inputs = { acquirer_id: acquirer.id, max_target_market_cap: limit, candidates: [] };
+    if (candidates.length === 0) {
+      return this.hold(`No uncontested rival is within ${maxTargetSize}x of ${acquirer.ticker}'s market cap (${formatNumber(limit)}).`, inputs);
+    }
+
+    const executor = this.agent.taskExecutor;
+    const acquirerProfile = executor.resolveMergerProfile(acquirer.id);
+    for (const candidate of candidates) {
+      const targetProfile = executor.resolveMergerProfile(candidate.id);
+      const { analysis } = await this.agent.mergerEngine.performDueDiligence({
+        targetCompany: targetProfile,
+        acquirerCompany: acquirerProfile,
+        analysisDepth: this.difficulty.analysisDepth
+      });
+      const { result } = await this.agent.mergerEngine.calculateValuations({
+        targetCompany: targetProfile,
+        acquirerCompany: acquirerProfile,
+        premiumRange
+      });
+
+      inputs.candidates.push({
+        company_id: candidate.id,
+        ticker: candidate.ticker,
+        recommendation: analysis.recommendation.action,
+        score: Number(analysis.recommendation.score),
+        confidence: Number(analysis.recommendation.confidence),
+        reasoning: analysis.recommendation.reasoning,
+        weighted_valuation: result.weighted_valuation,
+        premium: result.exchange_ratio.premium
+      });
+    }
+
+    const accepted = inputs.candidates.filter(candidate => acceptRecommendations.includes(candidate.recommendation));
+    const screened = inputs.candidates.map(candidate => `${candidate.ticker} ${candidate.recommendation} (${candidate.score.toFixed(1)})`).join(', ');
+    if (accepted.length === 0) {
+      return this.hold(`Due diligence found no acceptable target: ${screened}.`, inputs);
+    }
+
+    const best = accepted.reduce((top, candidate) => candidate.score > top.score ? candidate : top);
+    return this.act('propose_merger', { acquirerId: acquirer.id, targetId: best.company_id, premiumRange },
+      `Bidding for ${best.ticker} with ${acquirer.ticker}: due diligence says ${best.recommendation} (score ${best.score.toFixed(1)}, confidence ${best.confidence.toFixed(1)}) - ${best.reasoning}. Valued at ${formatNumber(best.weighted_valuation)} with a ${best.premium.toFixed(1)}% premium. Screened: ${screened}.`,
+      inputs);
+  }
+
+  /**
+   * Vote the bot's holdings on open merger proposals of the session
+   */
+  async decideVotes() {
+    const decisions = [];
+
+    for (const merger of Object.values(this.session.pending_mergers)) {
+      if (merger.proposer === this.player.id) continue;
+
+      const proposal = this.agent.daoManager.getProposal(merger.proposal_id);
+      if (proposal?.status !== 'active' || proposal.voting_stats.voter_addresses.includes(this.player.id)) continue;
+
+      const { vote, reasoning, inputs } = await this.evaluateMerger(merger);
+      decisions.push(this.act('vote', { proposalId: merger.proposal_id, vote, reason: reasoning }, reasoning, {
+        proposal_id: merger.proposal_id,
+        voting_power: this.engine.getVotingPower(this.session, this.player.id),
+        ...inputs
+      }));
+    }
+
+    return decisions;
+  }
+
+  async evaluateMerger(merger) {
+    const companies = this.agent.companyManager;
+    const acquirer = companies.getCompany(merger.acquirer_id);
+    const target = companies.getCompany(merger.target_id);
+    const premium = merger.premium;
+
+    if (this.engine.ownsCompany(this.session, this.player.id, target.id)) {
+      const { minSalePremium } = this.personality;
+      return premium >= minSalePremium
+        ? { vote: 'for', reasoning: `Selling ${target.ticker}: the ${premium.toFixed(1)}% premium meets the ${minSalePremium}% this strategy asks for.`, inputs: { premium } }
+        : { vote: 'against', reasoning: `Defending ${target.ticker}: a ${premium.toFixed(1)}% premium is below the ${minSalePremium}% this strategy asks for.`, inputs: { premium } };
+    }
+
+    if (this.difficulty.blocksRivals && !this.personality.votesOnMerits) {
+      const standings = this.engine.calculateStandings(this.session);
+      const own = standings.find(standing => standing.player_id === this.player.id)?.market_cap || 0;
+      const rival = standings.find(standing => standing.player_id === merger.proposer)?.market_cap || 0;
+      const combined = rival + target.performance.market_cap;
+      if (rival <= own && combined > own) {
+        return {
+          vote: 'against',
+          reasoning: `Blocking ${acquirer.ticker}: taking over ${target.ticker} would lift its owner to ${formatNumber(combined)} market cap, past our ${formatNumber(own)}.`,
+          inputs: { own_market_cap: own, rival_market_cap: combined }
+        };
+      }
+    }
+
+    const executor = this.agent.taskExecutor;
+    const { analysis } = await this.agent.mergerEngine.performDueDiligence({
+      targetCompany: executor.resolveMergerProfile(target.id),
+      acquirerCompany: executor.resolveMergerProfile(acquirer.id),
+      analysisDepth: this.difficulty.analysisDepth
+    });
+    const { action, score, reasoning } = analysis.recommendation;
+    const vote = { PROCEED: 'for', PROCEED_WITH_CAUTION: 'abstain', REJECT: 'against' }[action];
+
+    return {
+      vote,
+      reasoning: `Voting ${vote} on ${acquirer.ticker} acquiring ${target.ticker}: due diligence says ${action} (score ${Number(score).toFixed(1)}) - ${reasoning}.`,
+      inputs: { recommendation: action, score: Number(score), premium }
+    };
+  }
+
+  // Helper methods
+
+  /**
+   * Easier bots sometimes let a turn's move slip
+   */
+  applyHesitation(decision) {
+    if (!decision.action || !this.agent.random.chance(this.difficulty.hesitation)) return decision;
+    return this.hold(`Hesitated and passed on this move: ${decision.reasoning}`, decision.inputs);
+  }
+
+  act(type, params, reasoning, inputs) {
+    return { decision: type, action: { type, ...params }, reasoning, inputs };
+  }
+
+  hold(reasoning, inputs) {
+    return { decision: 'hold', action: null, reasoning, inputs };
+  }
+}
+
+// Helper functions
+
+function formatNumber(value) {
+  return Math.round(value).toLocaleString('en-US');
+}
+
+function formatPercent(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+export default CompetitorBot;
@@ -0,0 +1,754 @@
+/**
+ * Game Engine
+ * Turn-based tycoon sessions on top of the domain managers: players own
+ * companies, queue actions during a turn and compete for a victory condition
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { ValidationError } from '../validation/parameter-validator.js';
+import { DomainError } from '../validation/domain-error.js';
+import { CompetitorBot, BOT_PERSONALITIES, BOT_DIFFICULTIES } from './competitor-bot.js';
+
+export const ACTION_TYPES = ['issue_tokens', 'distribute', 'propose_merger', 'vote'];
+export const VICTORY_TYPES = ['market_cap', 'sector_dominance', 'turn_limit'];
+
+// Founding allocation, as a share of total supply
+const FOUNDING_ALLOCATION = { founder: 0.25, employees: 0.2, public: 0.3, treasury: 0.25 };
+
+/**
+ * GameEngine - Sessions, turns, player actions and victory checks
+ *
+ * A turn collects actions from the players; `endTurn()` applies them in
+ * submission order, advances the simulation clock by `turn_days` (running
+ * the market, vesting and voting-window timers), settles merger votes that
+ * closed, ranks the players by market cap and checks the victory conditions.
+ *
+ * Mergers are decided by a DAO vote in which each player votes with their
+ * share of the session's market cap. A merger proposed in turn N can be voted
+ * on until the end of turn N + 1 and settles when that turn resolves.
+ *
+ * Bot players (see CompetitorBot) plan their actions when the turn ends,
+ * after the human players; their explained decisions go to `session.bot_log`.
+ */
+export class GameEngine extends EventEmitter {
+  constructor(agent, config = {}) {
+    super();
+    this.agent = agent;
+    this.config = {
+      turnDays: config.turnDays || Number(process.env.GAME_TURN_DAYS) || 7,
+      maxPlayers: config.maxPlayers || 8,
+      victoryConditions: config.victoryConditions || [{ type: 'turn_limit', turns: 20 }],
+      ...config
+    };
+
+    // Sessions are persisted with the rest of the simulation state
+    this.sessions = agent.store.map('game_sessions');
+    this.resolving = new Set();
+  }
+
+  /**
+   * Create a session in the lobby
+   * @param {object} params - { name, turnDays, maxPlayers, victoryConditions }
+   */
+  createSession(params = {}) {
+    const clock = this.agent.clock;
+    if (clock.mode === 'real') {
+      throw DomainError.conflict('Game sessions need a manual or accelerated clock (CLOCK_MODE)');
+    }
+
+    const turnDays = params.turnDays ?? this.config.turnDays;
+    const victoryConditions = params.victoryConditions ?? this.config.victoryConditions;
+    this.validateSettings(turnDays, victoryConditions);
+
+    const session = {
+      id: `GAME_${clock.now()}_${this.agent.random.string(6)}`,
+      name: params.name || 'Tycoon Session',
+      status: 'lobby',
+      turn: 0,
+      turn_days: turnDays,
+      max_players: params.maxPlayers ?? this.config.maxPlayers,
+      victory_conditions: victoryConditions,
+      players: {},
+      pending_actions: [],
+      pending_mergers: {},
+      turns: [],
+      bot_log: [],
+      winner: null,
+      created_at: clock.toISOString(),
+      updated_at: clock.toISOString()
+    };
+
+    this.sessions.set(session.id, session);
+    this.emit('sessionCreated', { sessionId: session.id, name: session.name });
+    return session;
+  }
+
+  /**
+   * Add a player and register their founding company
+   * @param {object} params - { playerId, name, company: { name, ticker, totalSupply, sector, initialPrice }, bot: { personality, difficulty } }
+   */
+  async joinSession(sessionId, params = {}) {
+    const session = this.requireSession(sessionId);
+    const { playerId, name = playerId, company = {}, bot = null } = params;
+
+    const errors = [];
+    if (!playerId) errors.push({ field: 'playerId', code: 'required', message: 'is required' });
+    if (!company.name) errors.push({ field: 'company.name', code: 'required', message: 'is required' });
+    if (!company.ticker) errors.push({ field: 'company.ticker', code: 'required', message: 'is required' });
+    if (bot && !BOT_PERSONALITIES[bot.personality]) {
+      errors.push({ field: 'bot.personality', code: 'enum', message: `must be one of ${Object.keys(BOT_PERSONALITIES).join(', ')}` });
+    }
+    if (bot && bot.difficulty !== undefined && !BOT_DIFFICULTIES[bot.difficulty]) {
+      errors.push({ field: 'bot.difficulty', code: 'enum', message: `must be one of ${Object.keys(BOT_DIFFICULTIES).join(', ')}` });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    if (session.status !== 'lobby') {
+      throw DomainError.conflict(`Game session ${sessionId} has already started`);
+    }
+    if (session.players[playerId]) {
+      throw DomainError.conflict(`Player ${playerId} already joined game session ${sessionId}`);
+    }
+    if (Object.keys(session.players).length >= session.max_players) {
+      throw DomainError.conflict(`Game session ${sessionId} already has ${session.max_players} players`);
+    }
+
+    const ticker = String(company.ticker).toUpperCase();
+    const totalSupply = company.totalSupply || 1000000;
+    const companyId = `${ticker}-${this.agent.random.hex(6)}`;
+    await this.agent.companyManager.registerCompany({
+      companyId,
+      name: company.name,
+      ticker,
+      totalSupply,
+      founderAddress: playerId,
+      founderAllocation: totalSupply * FOUNDING_ALLOCATION.founder,
+      employeeAllocation: totalSupply * FOUNDING_ALLOCATION.employees,
+      publicAllocation: totalSupply * FOUNDING_ALLOCATION.public,
+      treasuryAllocation: totalSupply * FOUNDING_ALLOCATION.treasury,
+      initialPrice: company.initialPrice ?? 1,
+      sector: company.sector,
+      description: `Founded by ${name} in ${session.name}`
+    });
+
+    session.players[playerId] = {
+      id: playerId,
+      name,
+      companies: [companyId],
+      ...(bot && { bot: { personality: bot.personality, difficulty: bot.difficulty || 'normal' } }),
+      joined_at: this.agent.clock.toISOString()
+    };
+    this.save(session);
+
+    this.emit('playerJoined', { sessionId, playerId, companyId, bot: Boolean(bot) });
+    return session.players[playerId];
+  }
+
+  /**
+   * Seat a computer-controlled competitor
+   * @param {object} params - { personality, difficulty, playerId, name, company }
+   */
+  async addBot(sessionId, params = {}) {
+    const session = this.requireSession(sessionId);
+    const { personality, difficulty = 'normal' } = params;
+    const number = Object.values(session.players).filter(player => player.bot).length + 1;
+    const label = BOT_PERSONALITIES[personality]?.label || 'Bot';
+
+    return this.joinSession(sessionId, {
+      playerId: params.playerId || `bot-${number}`,
+      name: params.name || `${label} ${number}`,
+      company: { name: `${label} Holdings ${number}`, ticker: this.botTicker(number), ...params.company },
+      bot: { personality, difficulty }
+    });
+  }
+
+  /**
+   * Close the lobby and open turn 1
+   */
+  startSession(sessionId) {
+    const session = this.requireSession(sessionId);
+    if (session.status !== 'lobby') {
+      throw DomainError.conflict(`Game session ${sessionId} has already started`);
+    }
+    if (Object.keys(session.players).length === 0) {
+      throw new ValidationError([{ field: 'players', code: 'required', message: 'at least one player must join' }]);
+    }
+
+    // Every turn advances the agent's shared clock, so only one session can be in play at a time
+    const active = this.getSessions().find(other => other.status === 'active');
+    if (active) {
+      throw DomainError.conflict(`Game session ${active.id} is still active; finish it before starting ${sessionId}`);
+    }
+
+    session.status = 'active';
+    session.turn = 1;
+    session.started_at = this.agent.clock.toISOString();
+    this.save(session);
+
+    this.emit('sessionStarted', { sessionId, players: Object.keys(session.players) });
+    return session;
+  }
+
+  /**
+   * Queue an action for the current turn
+   * @param {object} action - { type, ... } (see ACTION_TYPES)
+   * @returns {object} The queued action
+   */
+  submitAction(sessionId, playerId, action = {}) {
+    const session = this.requireActiveSession(sessionId);
+    this.requirePlayer(session, playerId);
+    this.validateAction(session, playerId, action);
+
+    const queued = {
+      ...action,
+      id: `${session.turn}-${session.pending_actions.length + 1}`,
+      player_id: playerId,
+      turn: session.turn,
+      submitted_at: this.agent.clock.toISOString()
+    };
+    session.pending_actions.push(queued);
+    this.save(session);
+
+    this.emit('actionSubmitted', { sessionId, playerId, actionId: queued.id, type: queued.type });
+    return queued;
+  }
+
+  /**
+   * Resolve the current turn
+   * @returns {Promise<object>} Turn summary
+   */
+  async endTurn(sessionId) {
+    const session = this.requireActiveSession(sessionId);
+    if (this.resolving.has(sessionId)) {
+      throw DomainError.conflict(`Turn ${session.turn} of game session ${sessionId} is already resolving`);
+    }
+
+    this.resolving.add(sessionId);
+    try {
+      return await this.resolveTurn(session);
+    } finally {
+      this.resolving.delete(sessionId);
+    }
+  }
+
+  // Public query methods
+
+  getSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  getSessions() {
+    return Array.from(this.sessions.values());
+  }
+
+  getStandings(sessionId) {
+    return this.calculateStandings(this.requireSession(sessionId));
+  }
+
+  /**
+   * Explained bot decisions, optionally for one player or turn
+   */
+  getBotLog(sessionId, filters = {}) {
+    const { playerId, turn } = filters;
+    return (this.requireSession(sessionId).bot_log || []).filter(entry =>
+      (!playerId || entry.player_id === playerId) && (turn === undefined || entry.turn === Number(turn)));
+  }
+
+  /**
+   * Voting power of a player in merger votes: their share of the session's market cap
+   */
+  getVotingPower(session, playerId) {
+    const standings = this.calculateStandings(session);
+    const total = standings.reduce((sum, standing) => sum + standing.market_cap, 0);
+    const player = standings.find(standing => standing.player_id === playerId);
+    if (!player || total === 0) return 0;
+
+    return Math.round((player.market_cap / total) * this.agent.daoManager.config.totalVotingPower);
+  }
+
+  // Turn resolution
+
+  async resolveTurn(session) {
+    const clock = this.agent.clock;
+    const turn = session.turn;
+    const startedAt = clock.toISOString();
+    const pricesBefore = this.capturePrices(session);
+    const decisions = await this.planBotTurns(session);
+
+    const actions = [];
+    for (const action of session.pending_actions.splice(0)) {
+      try {
+        const result = await this.applyAction(session, action);
+        actions.push({ ...action, status: 'applied', result });
+      } catch (error) {
+        actions.push({ ...action, status: 'rejected', error: error.message });
+      }
+    }
+
+    await this.agent.advanceTime({ days: session.turn_days });
+    const mergers = await this.settleMergers(session);
+
+    const standings = this.calculateStandings(session);
+    const winner = this.checkVictory(session, standings);
+
+    const summary = {
+      session_id: session.id,
+      turn,
+      started_at: startedAt,
+      ended_at: clock.toISOString(),
+      actions,
+      decisions,
+      mergers,
+      market: this.describeMarket(session, pricesBefore),
+      standings,
+      winner
+    };
+
+    session.turns.push(summary);
+    if (winner) {
+      session.status = 'finished';
+      session.winner = winner;
+      session.finished_at = clock.toISOString();
+    } else {
+      session.turn++;
+    }
+    this.save(session);
+
+    this.emit('turnResolved', {
+      sessionId: session.id,
+      turn,
+      actions: actions.length,
+      mergers: mergers.length,
+      leader: standings[0]?.player_id || null
+    });
+    if (winner) {
+      this.emit('gameEnded', { sessionId: session.id, winner: winner.player_id, condition: winner.condition });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Let every bot player decide and queue its actions for the turn
+   * @returns {Promise<object[]>} Log entries of this turn's decisions
+   */
+  async planBotTurns(session) {
+    const entries = [];
+
+    for (const player of Object.values(session.players).filter(player => player.bot)) {
+      let decisions;
+      try {
+        decisions = await new CompetitorBot(this, session, player).planTurn();
+      } catch (error) {
+        decisions = [{ decision: 'hold', action: null, reasoning: `Could not plan the turn: ${error.message}`, inputs: {} }];
+      }
+
+      for (const { decision, action, reasoning, inputs } of decisions) {
+        const entry = {
+          turn: session.turn,
+          player_id: player.id,
+          personality: player.bot.personality,
+          difficulty: player.bot.difficulty,
+          decision,
+          action_id: null,
+          reasoning,
+          inputs,
+          decided_at: this.agent.clock.toISOString()
+        };
+        if (action) {
+          try {
+            entry.action_id = this.submitAction(session.id, player.id, action).id;
+          } catch (error) {
+            entry.error = error.message;
+          }
+        }
+        entries.push(entry);
+      }
+
+      this.emit('botDecided', {
+        sessionId: session.id,
+        playerId: player.id,
+        turn: session.turn,
+        decisions: decisions.map(decision => decision.decision)
+      });
+    }
+
+    session.bot_log = [...(session.bot_log || []), ...entries];
+    this.save(session);
+    return entries;
+  }
+
+  async applyAction(session, action) {
+    const companies = this.agent.companyManager;
+
+    switch (action.type) {
+      case 'issue_tokens': {
+        this.requireOwnership(session, action.player_id, action.companyId);
+        const { company } = await companies.issueTokens(action.companyId, action.amount);
+        return { company_id: company.id, total_supply: company.token.total_supply, token_price: company.performance.token_price };
+      }
+      case 'distribute': {
+        this.requireOwnership(session, action.player_id, action.companyId);
+        const { company } = await companies.distributeTreasuryTokens(action.companyId, action.amount);
+        return { company_id: company.id, circulating_supply: company.token.circulating_supply, market_cap: company.performance.market_cap };
+      }
+      case 'propose_merger':
+        return this.proposeMerger(session, action);
+      case 'vote':
+        return this.castVote(session, action);
+      default:
+        throw DomainError.invalid(`Unknown action type: ${action.type}`);
+    }
+  }
+
+  async proposeMerger(session, action) {
+    const { player_id: playerId, acquirerId, targetId } = action;
+    this.requireOwnership(session, playerId, acquirerId);
+    if (!this.getSessionCompanyIds(session).includes(targetId)) {
+      throw DomainError.notFound(`Company ${targetId} not found in game session ${session.id}`);
+    }
+
+    const executor = this.agent.taskExecutor;
+    const acquirerCompany = executor.resolveMergerProfile(acquirerId);
+    const targetCompany = executor.resolveMergerProfile(targetId);
+
+    const { analysis } = await this.agent.mergerEngine.performDueDiligence({ targetCompany, acquirerCompany, analysisDepth: 'standard' });
+    const { result: valuation } = await this.agent.mergerEngine.calculateValuations({ targetCompany, acquirerCompany, premiumRange: action.premiumRange });
+    const premium = valuation.exchange_ratio.premium;
+    await this.agent.companyManager.announceMerger(acquirerId, targetId, { premium });
+
+    const { proposal } = await this.agent.daoManager.createProposal({
+      title: `Merger: ${acquirerCompany.name} acquires ${targetCompany.name}`,
+      description: `${analysis.recommendation.reasoning} (${analysis.recommendation.action}). Premium ${premium.toFixed(1)}%.`,
+      proposer: playerId,
+      category: 'merger',
+      customVotingPeriod: session.turn_days
+    });
+
+    session.pending_mergers[proposal.id] = {
+      proposal_id: proposal.id,
+      acquirer_id: acquirerId,
+      target_id: targetId,
+      proposer: playerId,
+      premium,
+      recommendation: analysis.recommendation.action,
+      proposed_turn: session.turn
+    };
+
+    // The proposer backs their own bid
+    await this.agent.daoManager.submitVote({
+      proposalId: proposal.id,
+      voter: playerId,
+      vote: 'for',
+      votingPower: this.getVotingPower(session, playerId)
+    });
+
+    return { proposal_id: proposal.id, premium, recommendation: analysis.recommendation.action, voting_ends_at: proposal.voting_ends_at };
+  }
+
+  async castVote(session, action) {
+    const { player_id: playerId, proposalId, vote } = action;
+    if (!session.pending_mergers[proposalId]) {
+      throw DomainError.notFound(`Merger proposal ${proposalId} not found in game session ${session.id}`);
+    }
+
+    const votingPower = this.getVotingPower(session, playerId);
+    await this.agent.daoManager.submitVote({ proposalId, voter: playerId, vote, votingPower, reason: action.reason || '' });
+    return { proposal_id: proposalId, vote, voting_power: votingPower };
+  }
+
+  /**
+   * Complete passed merger votes and drop rejected ones
+   */
+  async settleMergers(session) {
+    const settled = [];
+
+    for (const [proposalId, merger] of Object.entries(session.pending_mergers)) {
+      const proposal = this.agent.daoManager.getProposal(proposalId);
+      if (proposal?.status === 'active') continue;
+      delete session.pending_mergers[proposalId];
+
+      if (proposal?.status !== 'passed') {
+        settled.push({ ...merger, status: 'rejected', reason: proposal?.final_result?.reason || 'Proposal missing' });
+        continue;
+      }
+
+      try {
+        settled.push(await this.completeMerger(session, merger));
+      } catch (error) {
+        settled.push({ ...merger, status: 'failed', error: error.message });
+      }
+    }
+
+    return settled;
+  }
+
+  async completeMerger(session, merger) {
+    const { acquirer_id: acquirerId, target_id: targetId } = merger;
+    const targetTokens = this.agent.companyManager.getCompany(targetId)?.token.circulating_supply;
+
+    await this.agent.daoManager.executeDecision({ proposalId: merger.proposal_id, executor: session.id });
+    const { consideration, tokens_issued: tokensIssued } = await this.agent.companyManager.recordAcquisition(
+      acquirerId, targetId, { premium: merger.premium });
+
+    await this.agent.mergerEngine.executePostMergerIntegration({
+      mergerId: `MERGER_${merger.proposal_id}`,
+      targetTokens,
+      acquirerTokens: tokensIssued,
+      exchangeRatio: { ratio: targetTokens > 0 ? tokensIssued / targetTokens : 0, premium: merger.premium, totalConsideration: consideration }
+    });
+
+    // The target leaves its owner's portfolio; its value now sits in the acquirer
+    for (const player of Object.values(session.players)) {
+      player.companies = player.companies.filter(companyId => companyId !== targetId);
+    }
+
+    return { ...merger, status: 'completed', consideration, tokens_issued: tokensIssued };
+  }
+
+  // Standings and victory
+
+  calculateStandings(session) {
+    const standings = Object.values(session.players).map(player => {
+      const companies = this.getPlayerCompanies(player);
+      return {
+        player_id: player.id,
+        name: player.name,
+        companies: companies.length,
+        market_cap: companies.reduce((sum, company) => sum + (company.performance.market_cap || 0), 0)
+      };
+    });
+
+    standings.sort((a, b) => b.market_cap - a.market_cap || a.player_id.localeCompare(b.player_id));
+    return standings.map((standing, index) => ({ rank: index + 1, ...standing }));
+  }
+
+  /**
+   * First satisfied condition, in configured order
+   * @returns {object|null} { player_id, name, condition, detail }
+   */
+  checkVictory(session, standings) {
+    const leader = standings[0];
+    if (!leader) return null;
+
+    for (const condition of session.victory_conditions) {
+      switch (condition.type) {
+        case 'market_cap':
+          if (leader.market_cap >= condition.target) {
+            return this.describeWinner(leader, condition, `Market cap ${Math.round(leader.market_cap)} reached ${condition.target}`);
+          }
+          break;
+        case 'sector_dominance': {
+          const dominance = this.findSectorDominance(session, condition);
+          if (dominance) {
+            const winner = standings.find(standing => standing.player_id === dominance.player_id);
+            return this.describeWinner(winner, condition,
+              `${(dominance.share * 100).toFixed(1)}% of the ${dominance.sector} sector`);
+          }
+          break;
+        }
+        case 'turn_limit':
+          if (session.turn >= condition.turns) {
+            return this.describeWinner(leader, condition, `Highest market cap after ${condition.turns} turns`);
+          }
+          break;
+      }
+    }
+
+    return null;
+  }
+
+  findSectorDominance(session, { sector = null, share = 0.6, minCompanies = 2 }) {
+    const bySector = new Map(); // sector -> { total, count, owners: Map(playerId -> market cap) }
+
+    for (const player of Object.values(session.players)) {
+      for (const company of this.getPlayerCompanies(player)) {
+        const name = company.metadata.sector;
+        if (sector && name !== sector) continue;
+
+        const entry = bySector.get(name) || { total: 0, count: 0, owners: new Map() };
+        const marketCap = company.performance.market_cap || 0;
+        entry.total += marketCap;
+        entry.count++;
+        entry.owners.set(player.id, (entry.owners.get(player.id) || 0) + marketCap);
+        bySector.set(name, entry);
+      }
+    }
+
+    for (const [name, entry] of bySector) {
+      if (entry.count < minCompanies || entry.total === 0) continue;
+      for (const [playerId, marketCap] of entry.owners) {
+        if (marketCap / entry.total >= share) {
+          return { player_id: playerId, sector: name, share: marketCap / entry.total };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Helper methods
+
+  validateSettings(turnDays, victoryConditions) {
+    const errors = [];
+    if (!Number.isInteger(turnDays) || turnDays < 1) {
+      errors.push({ field: 'turnDays', code: 'type', message: 'expected a positive integer' });
+    }
+    if (!Array.isArray(victoryConditions) || victoryConditions.length === 0) {
+      errors.push({ field: 'victoryConditions', code: 'required', message: 'is required' });
+    }
+
+    (Array.isArray(victoryConditions) ? victoryConditions : []).forEach((condition, index) => {
+      const field = `victoryConditions[${index}]`;
+      if (!VICTORY_TYPES.includes(condition?.type)) {
+        errors.push({ field: `${field}.type`, code: 'enum', message: `must be one of ${VICTORY_TYPES.join(', ')}` });
+      } else if (condition.type === 'market_cap' && !(condition.target > 0)) {
+        errors.push({ field: `${field}.target`, code: 'minimum', message: 'expected a positive market cap' });
+      } else if (condition.type === 'turn_limit' && !(Number.isInteger(condition.turns) && condition.turns > 0)) {
+        errors.push({ field: `${field}.turns`, code: 'minimum', message: 'expected a positive integer' });
+      } else if (condition.type === 'sector_dominance' && condition.share !== undefined && !(condition.share > 0 && condition.share <= 1)) {
+        errors.push({ field: `${field}.share`, code: 'range', message: 'expected a fraction between 0 and 1' });
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  validateAction(session, playerId, action) {
+    const errors = [];
+    const require = (field) => {
+      if (action[field] === undefined || action[field] === null) {
+        errors.push({ field, code: 'required', message: 'is required' });
+        return false;
+      }
+      return true;
+    };
+    const owned = (field) => {
+      if (require(field) && !this.ownsCompany(session, playerId, action[field])) {
+        errors.push({ field, code: 'ownership', message: `is not a company of player ${playerId}` });
+      }
+    };
+
+    switch (action.type) {
+      case 'issue_tokens':
+      case 'distribute':
+        owned('companyId');
+        if (require('amount') && !(action.amount > 0)) {
+          errors.push({ field: 'amount', code: 'minimum', message: 'expected a positive number' });
+        }
+        break;
+      case 'propose_merger':
+        owned('acquirerId');
+        require('targetId');
+        if (action.targetId && action.targetId === action.acquirerId) {
+          errors.push({ field: 'targetId', code: 'conflict', message: 'must differ from acquirerId' });
+        }
+        break;
+      case 'vote':
+        require('proposalId');
+        if (!['for', 'against', 'abstain'].includes(action.vote)) {
+          errors.push({ field: 'vote', code: 'enum', message: 'must be one of for, against, abstain' });
+        }
+        break;
+      default:
+        errors.push({ field: 'type', code: 'enum', message: `must be one of ${ACTION_TYPES.join(', ')}` });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  /**
+   * Tickers are unique across the registry, so bots in later sessions skip the numbers already taken
+   */
+  botTicker(number) {
+    let ticker = `BOT${number}`;
+    while (this.agent.companyManager.getCompany(ticker)) ticker = `BOT${++number}`;
+    return ticker;
+  }
+
+  requireSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw DomainError.notFound(`Game session ${sessionId} not found`);
+    }
+    return session;
+  }
+
+  requireActiveSession(sessionId) {
+    const session = this.requireSession(sessionId);
+    if (session.status === 'lobby') {
+      throw DomainError.conflict(`Game session ${sessionId} has not started`);
+    }
+    if (session.status === 'finished') {
+      throw DomainError.conflict(`Game session ${sessionId} has ended`);
+    }
+    return session;
+  }
+
+  requirePlayer(session, playerId) {
+    const player = session.players[playerId];
+    if (!player) {
+      throw DomainError.notFound(`Player ${playerId} not found in game session ${session.id}`);
+    }
+    return player;
+  }
+
+  requireOwnership(session, playerId, companyId) {
+    if (!this.ownsCompany(session, playerId, companyId)) {
+      throw new DomainError('FORBIDDEN', `Company ${companyId} is not owned by player ${playerId}`);
+    }
+  }
+
+  ownsCompany(session, playerId, companyId) {
+    return Boolean(session.players[playerId]?.companies.includes(companyId));
+  }
+
+  getPlayerCompanies(player) {
+    return player.companies
+      .map(companyId => this.agent.companyManager.getCompany(companyId))
+      .filter(company => company && company.metadata.status !== 'merged');
+  }
+
+  getSessionCompanyIds(session) {
+    return Object.values(session.players).flatMap(player => this.getPlayerCompanies(player).map(company => company.id));
+  }
+
+  capturePrices(session) {
+    return Object.fromEntries(this.getSessionCompanyIds(session).map(companyId =>
+      [companyId, this.agent.companyManager.getCompany(companyId).performance.token_price]));
+  }
+
+  describeMarket(session, pricesBefore) {
+    return Object.values(session.players).flatMap(player => this.getPlayerCompanies(player).map(company => {
+      const before = pricesBefore[company.id];
+      const price = company.performance.token_price;
+      return {
+        company_id: company.id,
+        ticker: company.ticker,
+        owner: player.id,
+        token_price: price,
+        price_change_pct: before > 0 ? ((price - before) / before) * 100 : 0,
+        market_cap: company.performance.market_cap
+      };
+    }));
+  }
+
+  describeWinner(standing, condition, detail) {
+    return { player_id: standing.player_id, name: standing.name, condition: condition.type, detail };
+  }
+
+  save(session) {
+    session.updated_at = this.agent.clock.toISOString();
+    this.sessions.set(session.id, session);
+  }
+}
+
+export default GameEngine;
@@ -9,6 +9,11 @@
 
 import { EventEmitter } from 'events';
 import winston from 'winston';
+import { StateStore } from '../storage/state-store.js';
+import { SimulationClock } from '../clock/simulation-clock.js';
+import { SeededRandom } from '../random/seeded-random.js';
+import { ValidationError } from '../validation/parameter-validator.js';
+import { DomainError } from '../validation/domain-error.js';
 
 /**
  * DAO Manager - Orchestrates decentralized governance operations
@@ -21,6 +26,7 @@ export class DAOManager extends EventEmitter {
       quorumThreshold: config.quorumThreshold || 30, // Percentage
       approvalThreshold: config.approvalThreshold || 60, // Percentage
       proposalDeposit: config.proposalDeposit || 1000, // Tokens required
+      totalVotingPower: config.totalVotingPower || 1000000, // Denominator for quorum
       ...config
     };
 
@@ -35,10 +41,21 @@ export class DAOManager extends EventEmitter {
       ]
     });
 
-    // Storage for active proposals and votes
-    this.proposals = new Map();
-    this.votes = new Map();
-    this.executedProposals = new Set();
+    this.clock = config.clock instanceof SimulationClock ? config.clock : new SimulationClock(config.clock);
+    this.random = config.random instanceof SeededRandom ? config.random : new SeededRandom(config.random);
+
+    // Shareholder ledger for token-weighted proposals (optional)
+    this.ledger = config.ledger || null;
+
+    // Storage for active proposals and votes (recovered from the store on startup)
+    this.store = config.store || new StateStore({ url: 'memory:' });
+    this.proposals = this.store.map('proposals');
+    this.votes = this.store.map('votes');
+    this.executedProposals = this.store.set('executed_proposals');
+
+    // Voting windows close in simulated time between start() and stop() (proposalId -> clock timer)
+    this.votingTimers = new Map();
+    this.running = false;
     
     this.logger.info('DAO Manager initialized', {
       votingPeriod: this.config.votingPeriodDays,
@@ -47,6 +64,38 @@ export class DAOManager extends EventEmitter {
     });
   }
 
+  // Lifecycle
+
+  /**
+   * Arm voting deadlines for active proposals
+   */
+  start() {
+    if (this.running) return this;
+
+    this.running = true;
+    this.scheduleVotingWindows();
+    return this;
+  }
+
+  /**
+   * Clear voting deadline timers (proposals stay active; start() re-arms them)
+   */
+  stop() {
+    if (!this.running) return this;
+
+    this.clearVotingTimers();
+    this.running = false;
+    return this;
+  }
+
+  /**
+   * Stop and release listeners; the instance is not reused afterwards
+   */
+  dispose() {
+    this.stop();
+    this.removeAllListeners();
+  }
+
   /**
    * Create a new governance proposal
    */
@@ -56,18 +105,23 @@ export class DAOManager extends EventEmitter {
       description,
       proposer,
       category = 'general',
+      companyId = null,
       executionContract = null,
       executionFunction = null,
       executionParams = [],
       customQuorum = null,
       customThreshold = null,
-      customVotingPeriod = null
+      customVotingPeriod = null,
+      signal = null
     } = params;
 
     try {
+      // Token-weighted proposals: shareholders vote with their balances when the proposal opens
+      const votingSnapshot = companyId ? this.snapshotVotingPower(companyId) : null;
+
       const proposalId = this.generateProposalId();
-      const startTime = new Date();
-      const endTime = new Date();
+      const startTime = this.clock.date();
+      const endTime = this.clock.date();
       endTime.setDate(endTime.getDate() + (customVotingPeriod || this.config.votingPeriodDays));
 
       const proposal = {
@@ -76,6 +130,7 @@ export class DAOManager extends EventEmitter {
         description,
         proposer,
         category,
+        company_id: companyId,
         status: 'active',
         created_at: startTime.toISOString(),
         voting_ends_at: endTime.toISOString(),
@@ -87,8 +142,10 @@ export class DAOManager extends EventEmitter {
         governance_params: {
           quorum_threshold: customQuorum || this.config.quorumThreshold,
           approval_threshold: customThreshold || this.config.approvalThreshold,
-          voting_period_days: customVotingPeriod || this.config.votingPeriodDays
+          voting_period_days: customVotingPeriod || this.config.votingPeriodDays,
+          total_voting_power: votingSnapshot ? votingSnapshot.total : null
         },
+        voting_snapshot: votingSnapshot ? votingSnapshot.balances : null,
         voting_stats: {
           total_votes: 0,
           votes_for: 0,
@@ -106,7 +163,9 @@ export class DAOManager extends EventEmitter {
         }
       };
 
+      signal?.throwIfAborted();
       this.proposals.set(proposalId, proposal);
+      this.scheduleVotingEnd(proposal);
       
       this.logger.info('Proposal created', {
         proposalId,
@@ -148,34 +207,36 @@ export class DAOManager extends EventEmitter {
       proposalId,
       voter,
       vote, // 'for', 'against', 'abstain'
-      votingPower = 1,
+      votingPower: requestedPower, // Defaults to 1, or the voter's snapshot balance on token-weighted proposals
       reason = ''
     } = params;
 
     try {
       const proposal = this.proposals.get(proposalId);
       if (!proposal) {
-        throw new Error(`Proposal ${proposalId} not found`);
+        throw DomainError.notFound(`Proposal ${proposalId} not found`);
       }
 
       // Check if voting period is still active
-      const now = new Date();
+      const now = this.clock.date();
       const votingEnd = new Date(proposal.voting_ends_at);
       if (now > votingEnd) {
-        throw new Error('Voting period has ended');
+        throw DomainError.conflict('Voting period has ended');
       }
 
       // Check if voter has already voted
       const voteKey = `${proposalId}_${voter}`;
       if (this.votes.has(voteKey)) {
-        throw new Error('Voter has already voted on this proposal');
+        throw DomainError.conflict('Voter has already voted on this proposal');
       }
 
       // Validate vote option
       if (!['for', 'against', 'abstain'].includes(vote)) {
-        throw new Error('Invalid vote option');
+        throw DomainError.invalid('Invalid vote option');
       }
 
+      const votingPower = this.resolveVotingPower(proposal, voter, requestedPower);
+
       // Record the vote
       const voteRecord = {
         proposal_id: proposalId,
@@ -207,6 +268,7 @@ export class DAOManager extends EventEmitter {
           proposal.voting_stats.voting_power_abstain += votingPower;
           break;
       }
+      this.proposals.set(proposalId, proposal);
 
       this.logger.info('Vote submitted', {
         proposalId,
@@ -260,7 +322,7 @@ export class DAOManager extends EventEmitter {
       };
 
       // Get active proposals
-      const now = new Date();
+      const now = this.clock.date();
       for (const [id, proposal] of this.proposals) {
         if (proposalId && id !== proposalId) continue;
         
@@ -299,7 +361,7 @@ export class DAOManager extends EventEmitter {
       return {
         success: true,
         results,
-        timestamp: new Date().toISOString()
+        timestamp: this.clock.toISOString()
       };
 
     } catch (error) {
@@ -319,25 +381,26 @@ export class DAOManager extends EventEmitter {
       proposalId,
       executor,
       gasLimit = 10000000,
-      forceExecution = false
+      forceExecution = false,
+      signal = null
     } = params;
 
     try {
       const proposal = this.proposals.get(proposalId);
       if (!proposal) {
-        throw new Error(`Proposal ${proposalId} not found`);
+        throw DomainError.notFound(`Proposal ${proposalId} not found`);
       }
 
       // Check if proposal has already been executed
       if (this.executedProposals.has(proposalId)) {
-        throw new Error('Proposal has already been executed');
+        throw DomainError.conflict('Proposal has already been executed');
       }
 
       // Check if voting period has ended
-      const now = new Date();
+      const now = this.clock.date();
       const votingEnd = new Date(proposal.voting_ends_at);
       if (now <= votingEnd && !forceExecution) {
-        throw new Error('Voting period is still active');
+        throw DomainError.conflict('Voting period is still active');
       }
 
       // Calculate final results
@@ -345,7 +408,7 @@ export class DAOManager extends EventEmitter {
       
       // Check if proposal passed
       if (!finalResult.passed && !forceExecution) {
-        throw new Error(`Proposal failed: ${finalResult.reason}`);
+        throw DomainError.conflict(`Proposal failed: ${finalResult.reason}`);
       }
 
       // Execute the proposal
@@ -358,6 +421,7 @@ export class DAOManager extends EventEmitter {
         transaction_hash: null,
         status: 'pending'
       };
+      signal?.throwIfAborted();
 
       try {
         // Execute the actual proposal logic
@@ -381,6 +445,7 @@ export class DAOManager extends EventEmitter {
         this.executedProposals.add(proposalId);
         proposal.status = 'executed';
         proposal.execution_result = execution;
+        this.proposals.set(proposalId, proposal);
 
         this.logger.info('Proposal executed successfully', {
           proposalId,
@@ -407,6 +472,7 @@ export class DAOManager extends EventEmitter {
         execution.status = 'failed';
         execution.error = executionError.message;
         proposal.execution_result = execution;
+        this.proposals.set(proposalId, proposal);
         
         this.logger.error('Proposal execution failed', {
           proposalId,
@@ -429,16 +495,16 @@ export class DAOManager extends EventEmitter {
   // Helper methods
 
   generateProposalId() {
-    return `PROP_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    return `PROP_${this.clock.now()}_${this.random.string(6)}`;
   }
 
   generateTransactionHash() {
-    return '0x' + Array.from({length: 64}, () => Math.floor(Math.random() * 16).toString(16)).join('');
+    return '0x' + this.random.hex(64);
   }
 
   generateIPFSHash(title, description) {
     // Simulate IPFS hash generation
-    return 'Qm' + Array.from({length: 44}, () => 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'[Math.floor(Math.random() * 62)]).join('');
+    return 'Qm' + this.random.string(44, 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789');
   }
 
   extractTags(description) {
@@ -466,7 +532,7 @@ export class DAOManager extends EventEmitter {
   }
 
   calculateTimeRemaining(endTime) {
-    const now = new Date();
+    const now = this.clock.date();
     const remaining = endTime - now;
     
     if (remaining <= 0) return null;
@@ -478,9 +544,37 @@ export class DAOManager extends EventEmitter {
     return { days, hours, minutes, total_seconds: Math.floor(remaining / 1000) };
   }
 
+  snapshotVotingPower(companyId) {
+    if (!this.ledger) {
+      throw new Error('Token-weighted proposals need a shareholder ledger');
+    }
+    const balances = this.ledger.getBalances(companyId, { includeSystem: false });
+    const total = Object.values(balances).reduce((sum, balance) => sum + balance, 0);
+    return { balances, total };
+  }
+
+  /**
+   * Voting power of a vote: as requested (default 1), or capped by the voter's
+   * balance when the token-weighted proposal opened
+   */
+  resolveVotingPower(proposal, voter, requestedPower) {
+    if (requestedPower !== undefined && requestedPower !== null && !(Number.isFinite(requestedPower) && requestedPower > 0)) {
+      throw new ValidationError([{ field: 'votingPower', code: 'minimum', message: 'must be a positive number' }]);
+    }
+    if (!proposal.voting_snapshot) return requestedPower ?? 1;
+
+    const held = proposal.voting_snapshot[voter] || 0;
+    if (!(held > 0)) {
+      throw DomainError.conflict(`Voter ${voter} held no ${proposal.company_id} tokens when the proposal opened`);
+    }
+    if (requestedPower > held) {
+      throw DomainError.conflict(`Voting power ${requestedPower} exceeds the available balance of ${voter} (${held} ${proposal.company_id} tokens)`);
+    }
+    return requestedPower ?? held;
+  }
+
   calculateParticipationRate(proposal) {
-    // Assume total voting power is available somewhere
-    const totalVotingPower = 1000000; // Mock total
+    const totalVotingPower = proposal.governance_params.total_voting_power || this.config.totalVotingPower;
     const totalParticipation = proposal.voting_stats.voting_power_for + 
                               proposal.voting_stats.voting_power_against + 
                               proposal.voting_stats.voting_power_abstain;
@@ -572,7 +666,7 @@ export class DAOManager extends EventEmitter {
     const recentActivity = Array.from(this.votes.values())
       .filter(vote => {
         const voteTime = new Date(vote.timestamp);
-        const thirtyDaysAgo = new Date();
+        const thirtyDaysAgo = this.clock.date();
         thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
         return voteTime > thirtyDaysAgo;
       }).length;
@@ -588,21 +682,83 @@ export class DAOManager extends EventEmitter {
       contract_address: execution.contract,
       function_name: execution.function,
       parameters: execution.params,
-      gas_used: Math.floor(Math.random() * gasLimit),
+      gas_used: this.random.int(0, gasLimit - 1),
       transaction_hash: this.generateTransactionHash(),
-      execution_successful: Math.random() > 0.1, // 90% success rate
+      execution_successful: this.random.chance(0.9), // 90% success rate
       return_data: 'Proposal executed successfully'
     };
   }
 
+  // Voting window processing
+
+  /**
+   * Close voting once the window has ended and record the outcome
+   * Active proposals become 'passed' or 'rejected'; executeDecision still decides execution.
+   */
+  closeVoting(proposalId) {
+    this.votingTimers.delete(proposalId);
+
+    const proposal = this.proposals.get(proposalId);
+    if (!proposal || proposal.status !== 'active') return null;
+    if (this.clock.now() <= new Date(proposal.voting_ends_at).getTime()) return null;
+
+    const finalResult = this.calculateFinalResult(proposal);
+    proposal.status = finalResult.passed ? 'passed' : 'rejected';
+    proposal.final_result = finalResult;
+    proposal.voting_closed_at = this.clock.toISOString();
+    this.proposals.set(proposalId, proposal);
+
+    this.logger.info('Voting closed', { proposalId, result: proposal.status });
+    this.emit('votingEnded', {
+      proposalId,
+      companyId: proposal.company_id || null,
+      title: proposal.title,
+      result: proposal.status,
+      reason: finalResult.reason
+    });
+
+    return proposal;
+  }
+
+  scheduleVotingEnd(proposal) {
+    if (!this.running) return;
+    this.clock.clearTimer(this.votingTimers.get(proposal.id));
+
+    // One millisecond past the deadline, when votes are refused and execution is allowed
+    const delay = new Date(proposal.voting_ends_at).getTime() - this.clock.now() + 1;
+    this.votingTimers.set(proposal.id, this.clock.setTimeout(() => this.closeVoting(proposal.id), delay));
+  }
+
+  /**
+   * (Re)arm voting deadlines for all active proposals, e.g. after recovery or a snapshot restore
+   */
+  scheduleVotingWindows() {
+    this.clearVotingTimers();
+
+    for (const proposal of this.proposals.values()) {
+      if (proposal.status === 'active') this.scheduleVotingEnd(proposal);
+    }
+  }
+
+  clearVotingTimers() {
+    for (const timerId of this.votingTimers.values()) {
+      this.clock.clearTimer(timerId);
+    }
+    this.votingTimers.clear();
+  }
+
   // Public query methods
 
   getProposal(proposalId) {
     return this.proposals.get(proposalId) || null;
   }
 
+  getAllProposals() {
+    return Array.from(this.proposals.values());
+  }
+
   getActiveProposals() {
-    const now = new Date();
+    const now = this.clock.date();
     return Array.from(this.proposals.values())
       .filter(proposal => new Date(proposal.voting_ends_at) > now);
   }
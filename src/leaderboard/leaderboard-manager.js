@@ -0,0 +1,505 @@
+/**
+ * Leaderboard Manager
+ * Rankings of companies and game-session players by market cap, period return,
+ * completed mergers, governance participation and performance score, with
+ * per-sector boards and weekly / season periods whose results are archived
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { ValidationError } from '../validation/parameter-validator.js';
+
+export const LEADERBOARD_METRICS = ['market_cap', 'total_return', 'mergers', 'governance', 'performance_score'];
+export const LEADERBOARD_ENTITIES = ['companies', 'players'];
+export const LEADERBOARD_PERIODS = ['weekly', 'season'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Manager events that can reorder a board
+const TRIGGERS = {
+  companyManager: ['companyRegistered', 'companyUpdated', 'companyRemoved', 'tokensIssued', 'tokensDistributed', 'tokensBurned', 'tokensTransferred', 'companyAcquired', 'performanceAnalyzed', 'marketShock', 'tradeRecorded'],
+  daoManager: ['voteSubmitted'],
+  game: ['playerJoined', 'turnResolved']
+};
+
+/**
+ * LeaderboardManager - Ranked boards over the live simulation state
+ *
+ * Market cap is read live. Total return is the token price change since the
+ * period opened (or since the company's first price in the period); mergers
+ * and governance votes are counted per period. Performance scores are the
+ * latest `analyzePerformance` results (see refreshScores()). Players are the
+ * players of game sessions, ranked over the companies they own.
+ *
+ * Boards are re-ranked after every relevant manager event and on a daily
+ * timer for price moves; `leaderboardUpdated` is emitted only when the order
+ * of a board changes. When a period ends its boards are archived and a new
+ * period opens.
+ */
+export class LeaderboardManager extends EventEmitter {
+  constructor(agent, config = {}) {
+    super();
+    this.agent = agent;
+    this.config = {
+      weekDays: config.weekDays || 7,
+      seasonDays: config.seasonDays || Number(process.env.LEADERBOARD_SEASON_DAYS) || 90,
+      refreshInterval: config.refreshInterval || DAY_MS,
+      pushLimit: config.pushLimit || 10, // entries per board included in leaderboardUpdated
+      archiveLimit: config.archiveLimit || 52, // archived results kept per period type
+      ...config
+    };
+
+    // Open periods and archived results are persisted with the rest of the simulation state
+    this.periods = agent.store.map('leaderboards');
+    this.archives = agent.store.map('leaderboard_archives');
+
+    this.rankings = new Map(); // board key -> ranked IDs, so only reorderings are pushed
+    this.timers = new Map(); // 'refresh' | period name -> clock timer
+    this.running = false;
+    this.refreshQueued = false;
+
+    // Kept so dispose() detaches from the managers, which outlive a replaced leaderboard
+    this.subscriptions = [];
+    for (const [manager, events] of Object.entries(TRIGGERS)) {
+      for (const event of events) {
+        const handler = payload => this.record(event, payload);
+        agent[manager].on(event, handler);
+        this.subscriptions.push([agent[manager], event, handler]);
+      }
+    }
+  }
+
+  // Lifecycle
+
+  /**
+   * Arm the period-end and refresh timers (once the first period is open)
+   */
+  start() {
+    if (this.running) return this;
+
+    this.running = true;
+    this.schedulePeriods();
+    return this;
+  }
+
+  stop() {
+    if (!this.running) return this;
+
+    for (const timerId of this.timers.values()) {
+      this.agent.clock.clearTimer(timerId);
+    }
+    this.timers.clear();
+    this.running = false;
+    return this;
+  }
+
+  dispose() {
+    this.stop();
+    for (const [emitter, event, handler] of this.subscriptions.splice(0)) {
+      emitter.off(event, handler);
+    }
+    this.rankings.clear();
+    this.removeAllListeners();
+  }
+
+  /**
+   * Arm one timer per open period for its end (re-armed after a snapshot restore)
+   */
+  schedulePeriods() {
+    if (!this.running) return;
+
+    for (const name of LEADERBOARD_PERIODS) {
+      const period = this.periods.get(name);
+      if (this.timers.has(name)) this.agent.clock.clearTimer(this.timers.get(name));
+      if (!period) continue;
+
+      const delay = new Date(period.ends_at).getTime() - this.agent.clock.now();
+      this.timers.set(name, this.agent.clock.setTimeout(() => this.closePeriod(name), Math.max(0, delay)));
+    }
+
+    if (this.periods.size > 0 && !this.timers.has('refresh')) {
+      this.timers.set('refresh', this.agent.clock.setInterval(() => this.refresh(), this.config.refreshInterval));
+    }
+  }
+
+  // Queries
+
+  /**
+   * Ranked board
+   * @param {object} query - { metric, entity, sector, period, limit }
+   * @returns {object} { metric, entity, sector, period, number, started_at, ends_at, total, entries }
+   */
+  getLeaderboard(query = {}) {
+    const { metric = 'market_cap', entity = 'companies', sector = null, period = 'season', limit = 10 } = query;
+    this.validateQuery({ metric, entity, period, limit });
+
+    const current = this.getPeriod(period);
+    const entries = this.rank(current, entity, metric, sector || null);
+
+    return {
+      metric,
+      entity,
+      sector: sector || null,
+      period,
+      number: current.number,
+      started_at: current.started_at,
+      ends_at: current.ends_at,
+      total: entries.length,
+      entries: entries.slice(0, Number(limit))
+    };
+  }
+
+  /**
+   * Open periods, without their internal counters
+   */
+  getPeriods() {
+    return LEADERBOARD_PERIODS.map(name => {
+      const { period, number, started_at: startedAt, ends_at: endsAt } = this.getPeriod(name);
+      return { period, number, started_at: startedAt, ends_at: endsAt };
+    });
+  }
+
+  /**
+   * Closed periods, newest first (boards omitted unless `includeBoards`)
+   */
+  getArchives(filters = {}) {
+    const { period, includeBoards = false } = filters;
+    return Array.from(this.archives.values())
+      .reverse()
+      .filter(archive => !period || archive.period === period)
+      .map(({ boards, ...archive }) => (includeBoards ? { ...archive, boards } : archive));
+  }
+
+  getArchive(archiveId) {
+    return this.archives.get(archiveId) || null;
+  }
+
+  /**
+   * Run analyzePerformance for every active company so performance_score boards are current
+   * @returns {Promise<object>} companyId -> performance_score
+   */
+  async refreshScores() {
+    const scores = {};
+    for (const company of this.getActiveCompanies()) {
+      const { analysis } = await this.agent.companyManager.analyzePerformance({ companyId: company.id });
+      scores[company.id] = analysis.performance_score;
+    }
+    return scores;
+  }
+
+  // Periods
+
+  /**
+   * Archive the period's boards and open the next one (also used for manual resets)
+   * @returns {object} The archive entry
+   */
+  closePeriod(name) {
+    if (!LEADERBOARD_PERIODS.includes(name)) {
+      throw new ValidationError([{ field: 'period', code: 'enum', message: `must be one of ${LEADERBOARD_PERIODS.join(', ')}` }]);
+    }
+
+    const period = this.getPeriod(name);
+    const endedAt = this.agent.clock.toISOString();
+    const boards = this.listBoards().map(({ entity, metric, sector }) =>
+      ({ entity, metric, sector, entries: this.rank(period, entity, metric, sector) }));
+
+    const archive = {
+      id: `${name}-${period.number}`,
+      period: name,
+      number: period.number,
+      started_at: period.started_at,
+      ended_at: endedAt,
+      boards
+    };
+    this.archives.set(archive.id, archive);
+    this.pruneArchives(name);
+
+    const next = this.openPeriod(name, period.number + 1, period.scores);
+    this.emit('periodClosed', { period: name, number: period.number, archiveId: archive.id, nextEndsAt: next.ends_at });
+
+    // Counters and returns start over: push the reset boards and arm the next period end
+    this.refresh();
+    this.schedulePeriods();
+    return archive;
+  }
+
+  // Event handling
+
+  /**
+   * Update period counters from a manager event and queue a re-rank
+   */
+  record(event, payload = {}) {
+    // Periods open with the first activity, so an idle agent keeps no leaderboard state
+    if (this.periods.size === 0) {
+      LEADERBOARD_PERIODS.forEach(name => this.openPeriod(name, 1, {}));
+      this.schedulePeriods();
+    }
+
+    const owners = event === 'companyAcquired' ? this.findOwners(payload.acquirerId) : [];
+    const isPlayer = event === 'voteSubmitted' && this.getPlayers().has(payload.voter);
+    const isCompany = event === 'voteSubmitted' && Boolean(this.agent.companyManager.getCompany(payload.voter));
+
+    for (const name of LEADERBOARD_PERIODS) {
+      const period = this.getPeriod(name);
+
+      switch (event) {
+        case 'companyAcquired':
+          increment(period.mergers.companies, payload.acquirerId);
+          owners.forEach(playerId => increment(period.mergers.players, playerId));
+          break;
+        case 'voteSubmitted':
+          if (isCompany) increment(period.votes.companies, payload.voter);
+          if (isPlayer) increment(period.votes.players, payload.voter);
+          break;
+        case 'performanceAnalyzed':
+          period.scores[payload.companyId] = payload.score;
+          break;
+        default:
+          continue;
+      }
+
+      this.periods.set(name, period);
+    }
+
+    this.queueRefresh();
+  }
+
+  queueRefresh() {
+    if (this.refreshQueued) return;
+
+    this.refreshQueued = true;
+    queueMicrotask(() => {
+      this.refreshQueued = false;
+      this.refresh();
+    });
+  }
+
+  /**
+   * Re-rank every board and push the ones whose order changed (one event per pass)
+   * @returns {object[]} Changed boards
+   */
+  refresh() {
+    const boards = [];
+
+    for (const name of LEADERBOARD_PERIODS) {
+      const period = this.getPeriod(name);
+      this.captureBaselines(period);
+
+      for (const { entity, metric, sector } of this.listBoards()) {
+        const entries = this.rank(period, entity, metric, sector);
+        const key = `${name}:${entity}:${metric}:${sector || '*'}`;
+        const order = entries.map(entry => entry.id).join(',');
+        if (this.rankings.get(key) === order) continue;
+
+        this.rankings.set(key, order);
+        boards.push({ period: name, number: period.number, entity, metric, sector, entries: entries.slice(0, this.config.pushLimit) });
+      }
+    }
+
+    if (boards.length > 0) {
+      this.emit('leaderboardUpdated', { boards });
+    }
+    return boards;
+  }
+
+  // Ranking
+
+  rank(period, entity, metric, sector = null) {
+    const rows = entity === 'players'
+      ? this.playerRows(period, metric, sector)
+      : this.companyRows(period, metric, sector);
+
+    return rows
+      .filter(row => row.value !== null && row.value !== undefined)
+      .sort((a, b) => b.value - a.value || a.id.localeCompare(b.id))
+      .map((row, index) => ({ rank: index + 1, ...row }));
+  }
+
+  companyRows(period, metric, sector) {
+    return this.getActiveCompanies(sector).map(company => ({
+      id: company.id,
+      name: company.name,
+      ticker: company.ticker,
+      sector: company.metadata.sector,
+      value: this.companyValue(period, company, metric)
+    }));
+  }
+
+  playerRows(period, metric, sector) {
+    return Array.from(this.getPlayers(), ([playerId, player]) => {
+      const companies = player.companies.filter(company => !sector || company.metadata.sector === sector);
+      if (companies.length === 0) return null;
+
+      const marketCap = companies.reduce((sum, company) => sum + (company.performance.market_cap || 0), 0);
+      let value;
+      switch (metric) {
+        case 'market_cap':
+          value = marketCap;
+          break;
+        case 'mergers':
+          value = period.mergers.players[playerId] || 0;
+          break;
+        case 'governance':
+          value = period.votes.players[playerId] || 0;
+          break;
+        default:
+          // Return and score: market-cap weighted over the player's companies
+          value = weightedAverage(companies.map(company =>
+            [this.companyValue(period, company, metric), company.performance.market_cap || 0]));
+      }
+
+      return { id: playerId, name: player.name, companies: companies.length, value };
+    }).filter(Boolean);
+  }
+
+  companyValue(period, company, metric) {
+    switch (metric) {
+      case 'market_cap':
+        return company.performance.market_cap || 0;
+      case 'total_return': {
+        const baseline = period.baselines[company.id];
+        return baseline > 0 ? ((company.performance.token_price - baseline) / baseline) * 100 : null;
+      }
+      case 'mergers':
+        return period.mergers.companies[company.id] || 0;
+      case 'governance':
+        return period.votes.companies[company.id] || 0;
+      case 'performance_score':
+        return period.scores[company.id] ?? null;
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Open period, or the first one as it would open now
+   */
+  getPeriod(name) {
+    return this.periods.get(name) || this.createPeriod(name, 1, {});
+  }
+
+  openPeriod(name, number, scores) {
+    const period = this.createPeriod(name, number, scores);
+    this.periods.set(name, period);
+    return period;
+  }
+
+  createPeriod(name, number, scores) {
+    const clock = this.agent.clock;
+    const days = name === 'weekly' ? this.config.weekDays : this.config.seasonDays;
+
+    const period = {
+      period: name,
+      number,
+      started_at: clock.toISOString(),
+      ends_at: new Date(clock.now() + days * DAY_MS).toISOString(),
+      baselines: {},
+      mergers: { companies: {}, players: {} },
+      votes: { companies: {}, players: {} },
+      scores: { ...scores }
+    };
+    this.captureBaselines(period);
+    return period;
+  }
+
+  /**
+   * Opening price of each company in the period (first known price for late joiners)
+   */
+  captureBaselines(period) {
+    let changed = false;
+    for (const company of this.getActiveCompanies()) {
+      if (!(period.baselines[company.id] > 0) && company.performance.token_price > 0) {
+        period.baselines[company.id] = company.performance.token_price;
+        changed = true;
+      }
+    }
+    if (changed && this.periods.has(period.period)) this.periods.set(period.period, period);
+  }
+
+  /**
+   * Every board: each metric for companies and players, overall and per sector
+   */
+  listBoards() {
+    const sectors = [null, ...new Set(this.getActiveCompanies().map(company => company.metadata.sector))];
+    return LEADERBOARD_ENTITIES.flatMap(entity => LEADERBOARD_METRICS.flatMap(metric =>
+      sectors.map(sector => ({ entity, metric, sector }))));
+  }
+
+  getActiveCompanies(sector = null) {
+    return this.agent.companyManager.getAllCompanies()
+      .filter(company => company.metadata.status !== 'merged' && (!sector || company.metadata.sector === sector));
+  }
+
+  /**
+   * Game-session players with the active companies they own (merged across sessions)
+   * @returns {Map<string, {name: string, companies: object[]}>}
+   */
+  getPlayers() {
+    const players = new Map();
+    for (const session of this.agent.game.getSessions()) {
+      for (const player of Object.values(session.players)) {
+        const entry = players.get(player.id) || { name: player.name, companies: [] };
+        entry.companies.push(...this.agent.game.getPlayerCompanies(player));
+        players.set(player.id, entry);
+      }
+    }
+    return players;
+  }
+
+  findOwners(companyId) {
+    return Array.from(this.getPlayers())
+      .filter(([, player]) => player.companies.some(company => company.id === companyId))
+      .map(([playerId]) => playerId);
+  }
+
+  pruneArchives(name) {
+    const archived = this.getArchives({ period: name });
+    for (const archive of archived.slice(this.config.archiveLimit)) {
+      this.archives.delete(archive.id);
+    }
+  }
+
+  validateQuery({ metric, entity, period, limit }) {
+    const errors = [];
+    if (!LEADERBOARD_METRICS.includes(metric)) {
+      errors.push({ field: 'metric', code: 'enum', message: `must be one of ${LEADERBOARD_METRICS.join(', ')}` });
+    }
+    if (!LEADERBOARD_ENTITIES.includes(entity)) {
+      errors.push({ field: 'entity', code: 'enum', message: `must be one of ${LEADERBOARD_ENTITIES.join(', ')}` });
+    }
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      errors.push({ field: 'period', code: 'enum', message: `must be one of ${LEADERBOARD_PERIODS.join(', ')}` });
+    }
+    if (!(Number(limit) > 0)) {
+      errors.push({ field: 'limit', code: 'minimum', message: 'expected a positive number' });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+}
+
+// Helper functions
+
+function increment(counters, id) {
+  if (id) counters[id] = (counters[id] || 0) + 1;
+}
+
+/**
+ * Average of [value, weight] pairs, ignoring missing values; equal weights when all weights are 0
+ */
+function weightedAverage(pairs) {
+  const known = pairs.filter(([value]) => value !== null && value !== undefined);
+  if (known.length === 0) return null;
+
+  const totalWeight = known.reduce((sum, [, weight]) => sum + weight, 0);
+  if (totalWeight === 0) {
+    return known.reduce((sum, [value]) => sum + value, 0) / known.length;
+  }
+  return known.reduce((sum, [value, weight]) => sum + value * weight, 0) / totalWeight;
+}
+
+export default LeaderboardManager;
@@ -0,0 +1,129 @@
+/**
+ * Tool Call Dispatcher
+ * Validates tool calls emitted by a chat model and executes them through the agent
+ * Accepts OpenAI `tool_calls` entries, Anthropic `tool_use` blocks and plain `{ name, arguments }`
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+/**
+ * ToolCallDispatcher - Model tool call in, tool result message out
+ */
+export class ToolCallDispatcher {
+  constructor(agent, exporter) {
+    this.agent = agent;
+    this.exporter = exporter;
+  }
+
+  /**
+   * Validate and execute one tool call
+   * @param {object} call - OpenAI, Anthropic or plain tool call
+   * @returns {Promise<object>} { id, name, task_id, success, result | error, validation_errors? }
+   */
+  async dispatch(call) {
+    if (typeof call !== 'object' || call === null || Array.isArray(call)) {
+      return this.failure(undefined, undefined, null, 'Tool call must be an object');
+    }
+
+    const { id, name, input, parseError } = this.normalizeCall(call);
+    const taskId = name ? this.exporter.resolveTaskId(name) : null;
+
+    if (!taskId) {
+      return this.failure(id, name, null, `Unknown tool: ${name}`);
+    }
+    if (parseError) {
+      return this.failure(id, name, taskId, `Tool arguments are not valid JSON: ${parseError}`);
+    }
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+      return this.failure(id, name, taskId, 'Tool arguments must be a JSON object');
+    }
+
+    const validation = this.agent.checkTaskParameters(taskId, input);
+    if (!validation.valid) {
+      const error = validation.errors.map(e => `${e.field} ${e.message}`).join('; ');
+      return this.failure(id, name, taskId, `Invalid arguments: ${error}`, validation.errors);
+    }
+
+    const execution = await this.agent.executeTask(taskId, input);
+    if (!execution.success) {
+      return this.failure(id, name, taskId, execution.error, execution.validation_errors);
+    }
+
+    return { id, name, task_id: taskId, success: true, result: execution.result };
+  }
+
+  /**
+   * Dispatch several calls from one model turn in parallel
+   */
+  async dispatchAll(calls = []) {
+    return Promise.all(calls.map(call => this.dispatch(call)));
+  }
+
+  /**
+   * Format a dispatch result as an OpenAI `role: tool` message
+   */
+  toOpenAIMessage(outcome) {
+    return {
+      role: 'tool',
+      tool_call_id: outcome.id,
+      content: JSON.stringify(outcome.success ? outcome.result : { error: outcome.error, details: outcome.validation_errors })
+    };
+  }
+
+  /**
+   * Format a dispatch result as an Anthropic `tool_result` content block
+   */
+  toAnthropicBlock(outcome) {
+    return {
+      type: 'tool_result',
+      tool_use_id: outcome.id,
+      content: JSON.stringify(outcome.success ? outcome.result : { error: outcome.error, details: outcome.validation_errors }),
+      ...(outcome.success ? {} : { is_error: true })
+    };
+  }
+
+  // Helper methods
+
+  normalizeCall(call = {}) {
+    // OpenAI: { id, type: 'function', function: { name, arguments: '<json>' } }
+    if (call.function) {
+      return { id: call.id, name: call.function.name, ...this.parseArguments(call.function.arguments) };
+    }
+
+    // Anthropic: { type: 'tool_use', id, name, input }
+    if (call.type === 'tool_use') {
+      return { id: call.id, name: call.name, input: call.input ?? {} };
+    }
+
+    return { id: call.id, name: call.name, ...this.parseArguments(call.arguments ?? call.input) };
+  }
+
+  parseArguments(args) {
+    if (args === undefined || args === null || args === '') {
+      return { input: {} };
+    }
+    if (typeof args !== 'string') {
+      return { input: args };
+    }
+
+    try {
+      return { input: JSON.parse(args) };
+    } catch (error) {
+      return { input: null, parseError: error.message };
+    }
+  }
+
+  failure(id, name, taskId, error, validationErrors) {
+    return {
+      id,
+      name,
+      task_id: taskId,
+      success: false,
+      error,
+      ...(validationErrors ? { validation_errors: validationErrors } : {})
+    };
+  }
+}
+
+export default ToolCallDispatcher;
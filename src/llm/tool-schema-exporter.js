@@ -0,0 +1,151 @@
+/**
+ * Tool Schema Exporter
+ * Turns the task catalog and MultiversX tool specs into JSON-Schema function
+ * definitions for OpenAI-style and Anthropic-style tool calling
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+const SCHEMA_KEYWORDS = ['description', 'default', 'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'enum'];
+
+/**
+ * ToolSchemaExporter - Builds tool definitions from the agent's parameter schemas
+ *
+ * Tools are named after their tool-call spec (e.g. `createESDT`); tasks
+ * without a spec use their task ID. Schemas are generated on every call, so
+ * plugin tasks registered at runtime are included.
+ */
+export class ToolSchemaExporter {
+  constructor(agent) {
+    this.agent = agent;
+  }
+
+  /**
+   * Neutral tool definitions: `{ name, task_id, description, parameters }`
+   * @param {object} filter - { taskIds, categories, priorities }
+   */
+  getDefinitions(filter = {}) {
+    return this.agent.getAvailableTasks()
+      .map(task => this.agent.findTaskById(task.id))
+      .filter(task => !filter.taskIds || filter.taskIds.includes(task.task_id))
+      .filter(task => !filter.categories || filter.categories.includes(task.category))
+      .filter(task => !filter.priorities || filter.priorities.includes(task.priority))
+      .map(task => this.buildDefinition(task));
+  }
+
+  /**
+   * OpenAI Chat Completions `tools` array
+   */
+  toOpenAITools(filter = {}) {
+    return this.getDefinitions(filter).map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  /**
+   * Anthropic Messages `tools` array
+   */
+  toAnthropicTools(filter = {}) {
+    return this.getDefinitions(filter).map(({ name, description, parameters }) => ({
+      name,
+      description,
+      input_schema: parameters
+    }));
+  }
+
+  /**
+   * Export in a named format ('openai', 'anthropic' or 'json')
+   */
+  export(format = 'json', filter = {}) {
+    switch (format) {
+      case 'openai':
+        return this.toOpenAITools(filter);
+      case 'anthropic':
+        return this.toAnthropicTools(filter);
+      case 'json':
+        return this.getDefinitions(filter);
+      default:
+        throw new Error(`Unknown tool schema format: ${format}`);
+    }
+  }
+
+  getSystemPrompt() {
+    return this.agent.taskCatalog.system_prompt;
+  }
+
+  /**
+   * Map a tool name (or task ID) back to its catalog task ID
+   */
+  resolveTaskId(name) {
+    if (this.agent.findTaskById(name)) return name;
+
+    for (const task of this.agent.getAvailableTasks()) {
+      if (this.agent.parameterValidator.getSchema(task.id)?.tool === name) {
+        return task.id;
+      }
+    }
+    return null;
+  }
+
+  // Schema builders
+
+  buildDefinition(task) {
+    const schema = this.agent.parameterValidator.getSchema(task.task_id);
+    const tool = this.agent.parameterValidator.toolsByTask.get(task.task_id);
+
+    // Catalog names that are only aliases of a typed parameter are not exposed twice
+    const parameters = { ...schema?.parameters };
+    for (const spec of Object.values(schema?.parameters || {})) {
+      for (const alias of spec.aliases || []) {
+        delete parameters[alias];
+      }
+    }
+
+    return {
+      name: schema?.tool || task.task_id,
+      task_id: task.task_id,
+      description: `${tool?.description || task.description || task.name} (task ${task.task_id}, ${task.priority} priority)`,
+      parameters: this.toObjectSchema(parameters)
+    };
+  }
+
+  toObjectSchema(parameters) {
+    const properties = {};
+    const required = [];
+
+    for (const [name, spec] of Object.entries(parameters)) {
+      properties[name] = this.toPropertySchema(name, spec);
+      if (spec.required === true) required.push(name);
+    }
+
+    return {
+      type: 'object',
+      properties,
+      ...(required.length > 0 ? { required } : {})
+    };
+  }
+
+  toPropertySchema(name, spec) {
+    const property = {};
+    const types = [].concat(spec.type || 'any').filter(type => type !== 'any');
+
+    if (types.length === 1) property.type = types[0];
+    if (types.length > 1) property.type = types;
+
+    for (const keyword of SCHEMA_KEYWORDS) {
+      if (spec[keyword] !== undefined) property[keyword] = spec[keyword];
+    }
+    if (spec.example !== undefined) property.examples = [spec.example];
+    if (!property.description) property.description = name.replace(/_/g, ' ');
+
+    if (spec.properties) {
+      Object.assign(property, this.toObjectSchema(spec.properties));
+    }
+
+    return property;
+  }
+}
+
+export default ToolSchemaExporter;
@@ -0,0 +1,23 @@
+/**
+ * MCP Entry Point
+ * Runs the Corporate Merge Tycoon Agent as a Model Context Protocol server over stdio
+ * 
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { CorporateMergeTycoonAgent } from './agent.js';
+import { McpServer } from './mcp/mcp-server.js';
+
+// stdout carries the protocol; everything else written there (logs) goes to stderr
+const protocolOutput = { write: process.stdout.write.bind(process.stdout) };
+process.stdout.write = process.stderr.write.bind(process.stderr);
+
+const agent = new CorporateMergeTycoonAgent();
+const server = new McpServer(agent);
+
+// Input closed or SIGTERM: finish in-flight calls, flush state, then exit
+const shutdown = () => agent.shutdown().then(() => process.exit(0), () => process.exit(1));
+server.on('close', shutdown);
+process.once('SIGTERM', () => server.close());
+server.connect(process.stdin, protocolOutput);
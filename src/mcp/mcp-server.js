@@ -0,0 +1,324 @@
+/**
+ * MCP Server
+ * Model Context Protocol server over stdio (newline-delimited JSON-RPC 2.0)
+ * Exposes catalog tasks as tools, domain state as resources and the catalog system prompt as a prompt
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { createInterface } from 'readline';
+
+export const PROTOCOL_VERSION = '2025-06-18';
+const SUPPORTED_VERSIONS = [PROTOCOL_VERSION, '2025-03-26', '2024-11-05'];
+
+export const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+const PROMPT_NAME = 'corporate-merge-tycoon';
+
+// Domain events that add or remove resources, and plugin events that change the tool list
+const RESOURCE_LIST_EVENTS = new Set(['companyRegistered', 'companyRemoved', 'proposalCreated', 'mergerIntegrated']);
+const TOOL_LIST_EVENTS = new Set(['taskRegistered', 'taskUnregistered']);
+
+/**
+ * McpError - JSON-RPC error returned to the client
+ */
+export class McpError extends Error {
+  constructor(code, message, data = undefined) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * McpServer - Serves the agent to MCP clients
+ *
+ * Resources:
+ *   tycoon://catalog                 Task catalog (agent info and categories)
+ *   tycoon://companies[/{id}]        CompanyManager registry
+ *   tycoon://proposals[/{id}]        DAOManager proposals
+ *   tycoon://mergers[/{id}]          MergerEngine integrations
+ */
+export class McpServer extends EventEmitter {
+  constructor(agent, config = {}) {
+    super();
+    this.agent = agent;
+    this.config = {
+      name: config.name || 'corporate-merge-tycoon-agent',
+      version: config.version || agent.taskCatalog.agent_info.version,
+      ...config
+    };
+
+    this.output = null;
+    this.readline = null;
+    this.initialized = false;
+    this.pending = new Set();
+
+    this.methods = {
+      'initialize': (params) => this.initialize(params),
+      'ping': () => ({}),
+      'tools/list': () => ({ tools: this.listTools() }),
+      'tools/call': (params) => this.callTool(params),
+      'resources/list': () => ({ resources: this.listResources() }),
+      'resources/templates/list': () => ({ resourceTemplates: this.listResourceTemplates() }),
+      'resources/read': (params) => this.readResource(params),
+      'prompts/list': () => ({ prompts: this.listPrompts() }),
+      'prompts/get': (params) => this.getPrompt(params)
+    };
+
+    this.onAgentEvent = (event) => {
+      if (!this.initialized) return;
+      if (RESOURCE_LIST_EVENTS.has(event.type)) this.notify('notifications/resources/list_changed');
+      if (TOOL_LIST_EVENTS.has(event.type)) this.notify('notifications/tools/list_changed');
+    };
+  }
+
+  /**
+   * Serve over a pair of streams (stdin/stdout by default)
+   */
+  connect(input = process.stdin, output = process.stdout) {
+    this.output = output;
+    this.readline = createInterface({ input, crlfDelay: Infinity });
+    this.readline.on('line', (line) => {
+      const handling = this.handleLine(line).finally(() => this.pending.delete(handling));
+      this.pending.add(handling);
+    });
+    // Answer in-flight requests before reporting the input as closed
+    this.readline.on('close', () => {
+      Promise.allSettled([...this.pending]).then(() => this.emit('close'));
+    });
+    this.agent.eventStream.on('event', this.onAgentEvent);
+  }
+
+  close() {
+    this.agent.eventStream.off('event', this.onAgentEvent);
+    this.readline?.close();
+    this.readline = null;
+  }
+
+  async handleLine(line) {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.send(this.errorResponse(null, new McpError(ERROR_CODES.PARSE_ERROR, 'Parse error')));
+      return;
+    }
+
+    const response = Array.isArray(message)
+      ? (await Promise.all(message.map(item => this.handleMessage(item)))).filter(Boolean)
+      : await this.handleMessage(message);
+
+    if (response && (!Array.isArray(response) || response.length > 0)) {
+      this.send(response);
+    }
+  }
+
+  /**
+   * Handle one JSON-RPC message
+   * @returns {Promise<object|null>} Response, or null for notifications
+   */
+  async handleMessage(message) {
+    const isRequest = message?.id !== undefined && message?.id !== null;
+
+    if (message?.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return this.errorResponse(message?.id ?? null, new McpError(ERROR_CODES.INVALID_REQUEST, 'Invalid request'));
+    }
+
+    // Notifications (initialized, cancelled, ...) need no response
+    if (!isRequest) {
+      if (message.method === 'notifications/initialized') this.initialized = true;
+      return null;
+    }
+
+    const handler = this.methods[message.method];
+    if (!handler) {
+      return this.errorResponse(message.id, new McpError(ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${message.method}`));
+    }
+
+    try {
+      const result = await handler(message.params || {});
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      return this.errorResponse(message.id, error);
+    }
+  }
+
+  // Lifecycle
+
+  initialize(params) {
+    const protocolVersion = SUPPORTED_VERSIONS.includes(params.protocolVersion)
+      ? params.protocolVersion
+      : PROTOCOL_VERSION;
+
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: { listChanged: true },
+        resources: { listChanged: true },
+        prompts: {}
+      },
+      serverInfo: {
+        name: this.config.name,
+        title: this.agent.taskCatalog.agent_info.name,
+        version: this.config.version
+      },
+      instructions: this.agent.taskCatalog.system_prompt
+    };
+  }
+
+  // Tools
+
+  listTools() {
+    return this.agent.toolSchemas.getDefinitions().map(definition => ({
+      name: definition.name,
+      title: this.agent.findTaskById(definition.task_id)?.name,
+      description: definition.description,
+      inputSchema: definition.parameters
+    }));
+  }
+
+  async callTool({ name, arguments: args = {} }) {
+    if (!name || !this.agent.toolSchemas.resolveTaskId(name)) {
+      throw new McpError(ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    const outcome = await this.agent.dispatchToolCall({ name, arguments: args });
+
+    if (!outcome.success) {
+      return {
+        content: [{ type: 'text', text: JSON.stringify({ error: outcome.error, details: outcome.validation_errors }, null, 2) }],
+        isError: true
+      };
+    }
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(outcome.result, null, 2) }],
+      structuredContent: outcome.result,
+      isError: false
+    };
+  }
+
+  // Resources
+
+  listResources() {
+    const resource = (uri, name, description) => ({ uri, name, description, mimeType: 'application/json' });
+
+    return [
+      resource('tycoon://catalog', 'Task catalog', 'Agent info and task categories'),
+      resource('tycoon://companies', 'Companies', 'All registered companies'),
+      resource('tycoon://proposals', 'Proposals', 'All DAO proposals'),
+      resource('tycoon://mergers', 'Mergers', 'All post-merger integrations'),
+      ...this.agent.companyManager.getAllCompanies()
+        .map(company => resource(`tycoon://companies/${company.id}`, company.name, `Company ${company.ticker}`)),
+      ...this.agent.daoManager.getAllProposals()
+        .map(proposal => resource(`tycoon://proposals/${proposal.id}`, proposal.title, `Proposal (${proposal.status})`)),
+      ...this.agent.mergerEngine.getAllMergers()
+        .map(merger => resource(`tycoon://mergers/${merger.merger_id}`, merger.merger_id, `Merger (${merger.status})`))
+    ];
+  }
+
+  listResourceTemplates() {
+    const template = (uriTemplate, name, description) => ({ uriTemplate, name, description, mimeType: 'application/json' });
+
+    return [
+      template('tycoon://companies/{companyId}', 'Company', 'Company by ID, ticker or token address'),
+      template('tycoon://proposals/{proposalId}', 'Proposal', 'DAO proposal with its votes'),
+      template('tycoon://mergers/{mergerId}', 'Merger', 'Post-merger integration record')
+    ];
+  }
+
+  readResource({ uri }) {
+    const match = /^tycoon:\/\/([a-z]+)(?:\/(.+))?$/.exec(uri || '');
+    const data = match ? this.resolveResource(match[1], match[2] && decodeURIComponent(match[2])) : null;
+
+    if (data === null || data === undefined) {
+      throw new McpError(ERROR_CODES.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+    }
+
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }]
+    };
+  }
+
+  resolveResource(collection, id) {
+    const { companyManager, daoManager, mergerEngine, taskCatalog } = this.agent;
+
+    switch (collection) {
+      case 'catalog':
+        return id ? null : { agent_info: taskCatalog.agent_info, task_categories: taskCatalog.task_categories };
+      case 'companies':
+        return id ? companyManager.getCompany(id) : companyManager.getAllCompanies();
+      case 'proposals':
+        if (!id) return daoManager.getAllProposals();
+        return daoManager.getProposal(id) && { ...daoManager.getProposal(id), votes: daoManager.getProposalVotes(id) };
+      case 'mergers':
+        return id ? mergerEngine.getMerger(id) : mergerEngine.getAllMergers();
+      default:
+        return null;
+    }
+  }
+
+  // Prompts
+
+  listPrompts() {
+    return [{
+      name: PROMPT_NAME,
+      title: this.agent.taskCatalog.agent_info.name,
+      description: 'Catalog system prompt for operating the simulated corporations',
+      arguments: [{ name: 'objective', description: 'Optional goal to pursue with the agent\'s tools', required: false }]
+    }];
+  }
+
+  getPrompt({ name, arguments: args = {} }) {
+    if (name !== PROMPT_NAME) {
+      throw new McpError(ERROR_CODES.INVALID_PARAMS, `Unknown prompt: ${name}`);
+    }
+
+    const text = args.objective
+      ? `${this.agent.taskCatalog.system_prompt}\n\nObjective: ${args.objective}`
+      : this.agent.taskCatalog.system_prompt;
+
+    return {
+      description: 'Catalog system prompt',
+      messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
+  }
+
+  // Transport helpers
+
+  notify(method, params = undefined) {
+    this.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  }
+
+  send(message) {
+    this.output?.write(`${JSON.stringify(message)}\n`);
+  }
+
+  errorResponse(id, error) {
+    const known = error instanceof McpError;
+    return {
+      jsonrpc: '2.0',
+      id,
+      error: {
+        code: known ? error.code : ERROR_CODES.INTERNAL_ERROR,
+        message: error.message,
+        ...(known && error.data !== undefined ? { data: error.data } : {})
+      }
+    };
+  }
+}
+
+export default McpServer;
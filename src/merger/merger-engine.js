@@ -9,6 +9,9 @@
 
 import { EventEmitter } from 'events';
 import winston from 'winston';
+import { StateStore } from '../storage/state-store.js';
+import { SimulationClock } from '../clock/simulation-clock.js';
+import { SeededRandom } from '../random/seeded-random.js';
 
 /**
  * MergerEngine - Orchestrates merger and acquisition operations
@@ -34,8 +37,30 @@ export class MergerEngine extends EventEmitter {
       ]
     });
 
-    // Track ongoing merger processes
-    this.activeMergers = new Map();
+    this.clock = config.clock instanceof SimulationClock ? config.clock : new SimulationClock(config.clock);
+    this.random = config.random instanceof SeededRandom ? config.random : new SeededRandom(config.random);
+
+    // Track ongoing merger processes (recovered from the store on startup)
+    this.store = config.store || new StateStore({ url: 'memory:' });
+    this.activeMergers = this.store.map('mergers');
+    this.running = false;
+  }
+
+  // Lifecycle (no background work yet; kept for a uniform manager interface)
+
+  start() {
+    this.running = true;
+    return this;
+  }
+
+  stop() {
+    this.running = false;
+    return this;
+  }
+
+  dispose() {
+    this.stop();
+    this.removeAllListeners();
   }
 
   /**
@@ -56,7 +81,7 @@ export class MergerEngine extends EventEmitter {
 
     try {
       const analysis = {
-        timestamp: new Date().toISOString(),
+        timestamp: this.clock.toISOString(),
         target: targetCompany,
         acquirer: acquirerCompany,
         financial_analysis: await this.analyzeFinancials(targetCompany),
@@ -125,7 +150,7 @@ export class MergerEngine extends EventEmitter {
           valuations,
           weighted_valuation: weightedValuation,
           exchange_ratio: exchangeRatio,
-          timestamp: new Date().toISOString()
+          timestamp: this.clock.toISOString()
         }
       };
 
@@ -144,7 +169,8 @@ export class MergerEngine extends EventEmitter {
       targetTokens,
       acquirerTokens,
       exchangeRatio,
-      lockupPeriod = 30
+      lockupPeriod = 30,
+      signal = null
     } = params;
 
     try {
@@ -160,12 +186,18 @@ export class MergerEngine extends EventEmitter {
           period_days: lockupPeriod,
           total_locked_tokens: this.calculateLockedTokens(targetTokens, exchangeRatio)
         },
-        timestamp: new Date().toISOString()
+        timestamp: this.clock.toISOString()
       };
 
+      signal?.throwIfAborted();
       integration.status = 'completed';
       this.activeMergers.set(mergerId, integration);
 
+      this.emit('mergerIntegrated', {
+        mergerId,
+        status: integration.status
+      });
+
       return { success: true, integration };
 
     } catch (error) {
@@ -177,10 +209,10 @@ export class MergerEngine extends EventEmitter {
   // AI-powered analysis methods
   async analyzeFinancials(company) {
     const metrics = {
-      revenue_growth: (Math.random() * 50) - 10,
-      profit_margin: Math.random() * 25,
-      debt_to_equity: Math.random() * 2,
-      cash_position: Math.random() * 100000000
+      revenue_growth: this.random.float(-10, 40),
+      profit_margin: this.random.float(0, 25),
+      debt_to_equity: this.random.float(0, 2),
+      cash_position: this.random.float(0, 100000000)
     };
 
     return {
@@ -192,19 +224,19 @@ export class MergerEngine extends EventEmitter {
 
   async analyzeMarketPosition(company) {
     return {
-      market_share: Math.random() * 30,
-      competitive_position: ['Leader', 'Challenger', 'Follower', 'Niche'][Math.floor(Math.random() * 4)],
-      market_growth_rate: (Math.random() * 20) - 5,
-      brand_strength: Math.floor(Math.random() * 10) + 1
+      market_share: this.random.float(0, 30),
+      competitive_position: this.random.pick(['Leader', 'Challenger', 'Follower', 'Niche']),
+      market_growth_rate: this.random.float(-5, 15),
+      brand_strength: this.random.int(1, 10)
     };
   }
 
   async assessRisks(targetCompany, acquirerCompany) {
     const risks = {
-      integration_complexity: Math.floor(Math.random() * 10) + 1,
-      cultural_mismatch: Math.floor(Math.random() * 10) + 1,
-      regulatory_hurdles: Math.floor(Math.random() * 10) + 1,
-      key_personnel_retention: Math.floor(Math.random() * 10) + 1
+      integration_complexity: this.random.int(1, 10),
+      cultural_mismatch: this.random.int(1, 10),
+      regulatory_hurdles: this.random.int(1, 10),
+      key_personnel_retention: this.random.int(1, 10)
     };
 
     const overall_risk = Object.values(risks).reduce((sum, risk) => sum + risk, 0) / Object.keys(risks).length;
@@ -218,9 +250,9 @@ export class MergerEngine extends EventEmitter {
 
   async analyzeSynergies(targetCompany, acquirerCompany) {
     const synergies = {
-      revenue_synergies: Math.random() * 2000000,
-      cost_synergies: Math.random() * 1500000,
-      strategic_synergies: Math.floor(Math.random() * 10) + 1
+      revenue_synergies: this.random.float(0, 2000000),
+      cost_synergies: this.random.float(0, 1500000),
+      strategic_synergies: this.random.int(1, 10)
     };
 
     const synergy_score = Math.min(100, (synergies.revenue_synergies + synergies.cost_synergies) / 50000);
@@ -230,9 +262,9 @@ export class MergerEngine extends EventEmitter {
 
   async checkCompliance(company) {
     return {
-      antitrust_clearance: Math.random() > 0.2,
-      regulatory_approvals_needed: Math.floor(Math.random() * 3),
-      estimated_approval_time: Math.floor(Math.random() * 180) + 30
+      antitrust_clearance: this.random.chance(0.8),
+      regulatory_approvals_needed: this.random.int(0, 2),
+      estimated_approval_time: this.random.int(30, 209)
     };
   }
 
@@ -245,7 +277,8 @@ export class MergerEngine extends EventEmitter {
     if (analysis.risk_assessment) score += (10 - analysis.risk_assessment.overall_risk_score) * 10 * 0.25;
     if (analysis.market_analysis) score += analysis.market_analysis.market_share * 2 * 0.2;
 
-    const confidence = Math.min(100, Math.max(50, score + (Math.random() * 20) - 10));
+    // Reported as the MRG001 confidence_score, which has always ranged from 60 to 100
+    const confidence = Math.min(100, Math.max(60, score + this.random.float(-10, 10)));
     
     let action, reasoning;
     if (score >= 70) {
@@ -279,7 +312,7 @@ export class MergerEngine extends EventEmitter {
   }
 
   calculateValuationByMethod(company, method) {
-    const baseValue = Math.random() * 100000000;
+    const baseValue = this.random.float(0, 100000000);
     const multipliers = { dcf: 1.0, market_multiples: 1.1, precedent_transactions: 1.05 };
     return baseValue * (multipliers[method] || 1.0);
   }
@@ -298,7 +331,7 @@ export class MergerEngine extends EventEmitter {
   }
 
   calculateExchangeRatio(targetCompany, acquirerCompany, valuation, premiumRange) {
-    const premium = premiumRange.min + Math.random() * (premiumRange.max - premiumRange.min);
+    const premium = this.random.float(premiumRange.min, premiumRange.max);
     const adjustedValuation = valuation * (1 + premium / 100);
     
     return {
@@ -322,7 +355,7 @@ export class MergerEngine extends EventEmitter {
   }
 
   async integrateSystems(params) {
-    return { status: 'completed', systemsIntegrationScore: Math.floor(Math.random() * 40) + 60 };
+    return { status: 'completed', systemsIntegrationScore: this.random.int(60, 99) };
   }
 
   calculateLockedTokens(targetTokens, exchangeRatio) {
@@ -333,6 +366,16 @@ export class MergerEngine extends EventEmitter {
     const baseTimes = { basic: 5000, standard: 15000, comprehensive: 30000 };
     return baseTimes[depth] || baseTimes.standard;
   }
+
+  // Public query methods
+
+  getMerger(mergerId) {
+    return this.activeMergers.get(mergerId) || null;
+  }
+
+  getAllMergers() {
+    return Array.from(this.activeMergers.values());
+  }
 }
 
 export default MergerEngine;
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * Prometheus Exporter
+ * Publishes task execution, queue, SLA and domain metrics in the Prometheus text format
+ * Histogram buckets always include the configured response_time_p95 SLA threshold, and executions
+ * finishing within it are counted separately so alert rules never hardcode the threshold
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Parse an SLA duration such as '2000ms', '2s' or '1m' into seconds
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return value / 1000;
+
+  const match = /^\s*([\d.]+)\s*(ms|s|m)?\s*$/.exec(String(value));
+  if (!match) return null;
+
+  const amount = Number(match[1]);
+  switch (match[2]) {
+    case 's': return amount;
+    case 'm': return amount * 60;
+    default: return amount / 1000;
+  }
+}
+
+/**
+ * Parse an SLA percentage such as '99.9%' into a ratio
+ */
+export function parsePercentage(value) {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) ? amount / 100 : null;
+}
+
+/**
+ * PrometheusExporter - Collects execution samples and renders the exposition format
+ */
+export class PrometheusExporter {
+  constructor(agent, config = {}) {
+    this.agent = agent;
+    this.config = {
+      prefix: config.prefix ?? 'cmt_',
+      buckets: config.buckets || DEFAULT_BUCKETS,
+      ...config
+    };
+
+    this.sla = {
+      responseTimeP95: parseDuration(agent.config.monitoring?.response_time_p95),
+      uptime: parsePercentage(agent.config.monitoring?.sla_uptime)
+    };
+
+    // The SLA threshold must be a bucket boundary for exact "within SLA" ratios
+    this.buckets = [...new Set([...this.config.buckets, this.sla.responseTimeP95].filter(Number.isFinite))]
+      .sort((a, b) => a - b);
+
+    this.executions = new Map(); // "taskId|category|status" -> count
+    this.durations = new Map(); // taskId -> { buckets, sum, count }
+  }
+
+  /**
+   * Record one task execution
+   * @param {string} taskId - Catalog task ID
+   * @param {string} category - Catalog category key
+   * @param {boolean} success - Execution outcome
+   * @param {number} executionTime - Duration in milliseconds
+   */
+  recordExecution(taskId, category, success, executionTime) {
+    const key = [taskId, category || 'unknown', success ? 'success' : 'failure'].join('|');
+    this.executions.set(key, (this.executions.get(key) || 0) + 1);
+
+    const seconds = executionTime / 1000;
+    if (!this.durations.has(taskId)) {
+      this.durations.set(taskId, { buckets: this.buckets.map(() => 0), sum: 0, count: 0, withinSla: 0 });
+    }
+
+    const histogram = this.durations.get(taskId);
+    this.buckets.forEach((bound, index) => {
+      if (seconds <= bound) histogram.buckets[index]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+    if (seconds <= this.sla.responseTimeP95) histogram.withinSla++;
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format (version 0.0.4)
+   */
+  render() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      const fullName = `${this.config.prefix}${name}`;
+      lines.push(`# HELP ${fullName} ${help}`);
+      lines.push(`# TYPE ${fullName} ${type}`);
+      for (const [suffix, labels, value] of samples) {
+        lines.push(`${fullName}${suffix}${this.formatLabels(labels)} ${this.formatValue(value)}`);
+      }
+    };
+
+    metric('task_executions_total', 'counter', 'Task executions by task ID, category and outcome',
+      Array.from(this.executions, ([key, count]) => {
+        const [task_id, category, status] = key.split('|');
+        return ['', { task_id, category, status }, count];
+      }));
+
+    const histogramSamples = [];
+    for (const [task_id, histogram] of this.durations) {
+      this.buckets.forEach((bound, index) => {
+        histogramSamples.push(['_bucket', { task_id, le: String(bound) }, histogram.buckets[index]]);
+      });
+      histogramSamples.push(['_bucket', { task_id, le: '+Inf' }, histogram.count]);
+      histogramSamples.push(['_sum', { task_id }, histogram.sum]);
+      histogramSamples.push(['_count', { task_id }, histogram.count]);
+    }
+    metric('task_duration_seconds', 'histogram', 'Task execution latency in seconds', histogramSamples);
+    metric('task_within_sla_total', 'counter', 'Task executions that finished within the p95 response time SLA',
+      Number.isFinite(this.sla.responseTimeP95)
+        ? Array.from(this.durations, ([task_id, histogram]) => ['', { task_id }, histogram.withinSla])
+        : []);
+
+    const queue = this.agent.executionQueue.getStats();
+    metric('queue_depth', 'gauge', 'Task executions waiting for a concurrency slot', [['', {}, queue.depth]]);
+    metric('queue_running', 'gauge', 'Task executions currently running', [['', {}, queue.running]]);
+    metric('queue_concurrency', 'gauge', 'Configured concurrency ceiling', [['', {}, queue.concurrency]]);
+    metric('queue_wait_seconds_max', 'gauge', 'Longest time a task waited in the queue', [['', {}, queue.max_wait_ms / 1000]]);
+    metric('task_retries_total', 'counter', 'Retried task attempts', [['', {}, queue.retries]]);
+    metric('task_timeouts_total', 'counter', 'Task attempts aborted by timeout', [['', {}, queue.timeouts]]);
+
+    metric('companies_registered', 'gauge', 'Registered companies',
+      [['', {}, this.agent.companyManager.getAllCompanies().length]]);
+    metric('proposals_active', 'gauge', 'Proposals with an open voting window',
+      [['', {}, this.agent.daoManager.getActiveProposals().length]]);
+    metric('proposals_total', 'gauge', 'Proposals created', [['', {}, this.agent.daoManager.getAllProposals().length]]);
+    metric('mergers_active', 'gauge', 'Mergers the merger engine has not completed yet',
+      [['', {}, this.agent.mergerEngine.getAllMergers().filter(merger => merger.status !== 'completed').length]]);
+
+    const slaSamples = (value) => (Number.isFinite(value) ? [['', {}, value]] : []);
+    metric('sla_response_time_p95_seconds', 'gauge', 'Configured p95 response time SLA',
+      slaSamples(this.sla.responseTimeP95));
+    metric('sla_uptime_ratio', 'gauge', 'Configured uptime SLA', slaSamples(this.sla.uptime));
+    metric('uptime_seconds', 'gauge', 'Agent uptime', [['', {}, (Date.now() - this.agent.metrics.uptime_start) / 1000]]);
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  get contentType() {
+    return 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  // Formatting helpers
+
+  formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+  }
+
+  formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+  }
+}
+
+export default PrometheusExporter;
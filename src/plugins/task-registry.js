@@ -0,0 +1,210 @@
+/**
+ * Task Registry
+ * Plugin API for adding tasks at runtime: a definition (ID, category, parameter
+ * schema, priority, complexity) registered together with its handler
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { ValidationError } from '../validation/parameter-validator.js';
+
+const PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+const COMPLEXITIES = ['Low', 'Medium', 'High'];
+const PARAMETER_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'any'];
+
+/**
+ * TaskRegistry - Registers plugin tasks into the agent's catalog, validator and executor
+ *
+ * A plugin is `{ name, tasks: [{ ...definition, handler }] }` and/or
+ * `{ name, register(api) }`, where `api.registerTask(definition, handler)`
+ * registers one task. Handlers are called as `handler(parameters, context)`
+ * with the catalog task, the shared domain managers and the execution's abort
+ * `signal` in `context`; a handler that stops on abort can be retried after a timeout.
+ */
+export class TaskRegistry extends EventEmitter {
+  constructor(agent) {
+    super();
+    this.agent = agent;
+    this.plugins = new Map(); // name -> { name, version, tasks }
+    this.registeredTasks = new Map(); // taskId -> plugin name (null for direct registrations)
+    this.createdCategories = new Set();
+  }
+
+  /**
+   * Register a single task with its handler
+   * @param {object} definition - { task_id, name, category, parameters, priority, complexity, ... }
+   * @param {Function} handler - `async (parameters, context) => result`
+   * @param {string|null} pluginName - Owning plugin
+   * @returns {object} The catalog task as returned by `findTaskById`
+   * @throws {ValidationError} When the definition is invalid
+   */
+  registerTask(definition, handler, pluginName = null) {
+    const task = this.normalizeDefinition(definition, handler, pluginName);
+
+    if (this.agent.findTaskById(task.task_id) || this.agent.taskExecutor.hasHandler(task.task_id)) {
+      throw new Error(`Task ${task.task_id} already registered`);
+    }
+
+    const category = this.ensureCategory(definition);
+    category.tasks[task.task_id] = task;
+
+    this.agent.parameterValidator.registerSchema(task.task_id, definition.parameters || {});
+    this.agent.taskExecutor.registerHandler(task.task_id, handler);
+    this.registeredTasks.set(task.task_id, pluginName);
+    this.agent.refreshCatalogTotals();
+
+    this.emit('taskRegistered', { taskId: task.task_id, category: definition.category, plugin: pluginName });
+    return this.agent.findTaskById(task.task_id);
+  }
+
+  /**
+   * Remove a task added through the registry (catalog tasks cannot be removed)
+   */
+  unregisterTask(taskId) {
+    if (!this.registeredTasks.has(taskId)) {
+      throw new Error(`Registered task ${taskId} not found`);
+    }
+
+    const { category: categoryKey } = this.agent.findTaskById(taskId);
+    const category = this.agent.taskCatalog.task_categories[categoryKey];
+    delete category.tasks[taskId];
+
+    if (this.createdCategories.has(categoryKey) && Object.keys(category.tasks).length === 0) {
+      delete this.agent.taskCatalog.task_categories[categoryKey];
+      this.createdCategories.delete(categoryKey);
+    }
+
+    this.agent.parameterValidator.removeSchema(taskId);
+    this.agent.taskExecutor.unregisterHandler(taskId);
+    this.registeredTasks.delete(taskId);
+    this.agent.refreshCatalogTotals();
+
+    this.emit('taskUnregistered', { taskId });
+    return true;
+  }
+
+  /**
+   * Register a plugin module
+   * @param {object} plugin - { name, version, tasks, register }
+   * @returns {{name: string, version: string|null, tasks: string[]}}
+   */
+  registerPlugin(plugin) {
+    if (!plugin?.name) {
+      throw new ValidationError([{ field: 'name', code: 'required', message: 'is required' }]);
+    }
+    if (this.plugins.has(plugin.name)) {
+      throw new Error(`Plugin ${plugin.name} already registered`);
+    }
+
+    const record = { name: plugin.name, version: plugin.version || null, tasks: [] };
+    const registerTask = (definition, handler) => {
+      const task = this.registerTask(definition, handler, plugin.name);
+      record.tasks.push(task.task_id);
+      return task;
+    };
+
+    try {
+      for (const { handler, ...definition } of plugin.tasks || []) {
+        registerTask(definition, handler);
+      }
+      if (typeof plugin.register === 'function') {
+        plugin.register({ registerTask, agent: this.agent });
+      }
+    } catch (error) {
+      // A plugin registers all of its tasks or none
+      for (const taskId of record.tasks) {
+        this.unregisterTask(taskId);
+      }
+      throw error;
+    }
+
+    this.plugins.set(plugin.name, record);
+    this.emit('pluginRegistered', { plugin: plugin.name, tasks: record.tasks });
+    return { ...record, tasks: [...record.tasks] };
+  }
+
+  getPlugins() {
+    return Array.from(this.plugins.values()).map(plugin => ({ ...plugin, tasks: [...plugin.tasks] }));
+  }
+
+  // Helper methods
+
+  /**
+   * Validate a definition and convert it to the catalog task shape
+   */
+  normalizeDefinition(definition = {}, handler, pluginName) {
+    const errors = [];
+    const taskId = definition.task_id ?? definition.id;
+    const priority = definition.priority || 'Medium';
+    const complexity = definition.complexity || 'Medium';
+    const parameters = definition.parameters || {};
+
+    if (typeof taskId !== 'string' || taskId.length === 0) {
+      errors.push({ field: 'task_id', code: 'required', message: 'is required' });
+    }
+    if (typeof definition.category !== 'string' || definition.category.length === 0) {
+      errors.push({ field: 'category', code: 'required', message: 'is required' });
+    }
+    if (typeof handler !== 'function') {
+      errors.push({ field: 'handler', code: 'type', message: 'expected function' });
+    }
+    if (!PRIORITIES.includes(priority)) {
+      errors.push({ field: 'priority', code: 'enum', message: `must be one of ${PRIORITIES.join(', ')}` });
+    }
+    if (!COMPLEXITIES.includes(complexity)) {
+      errors.push({ field: 'complexity', code: 'enum', message: `must be one of ${COMPLEXITIES.join(', ')}` });
+    }
+
+    if (!Array.isArray(parameters)) {
+      for (const [name, spec] of Object.entries(parameters)) {
+        const types = [].concat(spec?.type || 'any');
+        if (!types.every(type => PARAMETER_TYPES.includes(type))) {
+          errors.push({ field: `parameters.${name}.type`, code: 'enum', message: `must be one of ${PARAMETER_TYPES.join(', ')}` });
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    return {
+      task_id: taskId,
+      name: definition.name || taskId,
+      description: definition.description || '',
+      priority,
+      frequency: definition.frequency || 'On-demand',
+      complexity,
+      parameters: Array.isArray(parameters) ? [...parameters] : Object.keys(parameters),
+      expected_output: definition.expected_output || '',
+      dependencies: [...(definition.dependencies || [])],
+      estimated_duration: definition.estimated_duration || null,
+      tools_required: [...(definition.tools_required || [])],
+      plugin: pluginName
+    };
+  }
+
+  /**
+   * Return the definition's catalog category, creating it for new category keys
+   */
+  ensureCategory(definition) {
+    const categories = this.agent.taskCatalog.task_categories;
+    const key = definition.category;
+
+    if (!categories[key]) {
+      categories[key] = {
+        category_id: definition.category_id || key.slice(0, 3).toUpperCase(),
+        name: definition.category_name || key.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' '),
+        description: definition.category_description || '',
+        tasks: {}
+      };
+      this.createdCategories.add(key);
+    }
+
+    return categories[key];
+  }
+}
+
+export default TaskRegistry;
@@ -0,0 +1,289 @@
+/**
+ * Execution Queue
+ * Priority-ordered task execution with a concurrency ceiling, per-task timeouts
+ * and exponential-backoff retries for transient failures
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * Catalog priorities, highest first
+ */
+export const PRIORITY_RANK = {
+  Critical: 0,
+  High: 1,
+  Medium: 2,
+  Low: 3
+};
+
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH']);
+
+/**
+ * TaskTimeoutError - Raised when an execution exceeds its timeout
+ */
+export class TaskTimeoutError extends Error {
+  constructor(taskId, timeout) {
+    super(`Task ${taskId} timed out after ${timeout}ms`);
+    this.name = 'TaskTimeoutError';
+    this.code = 'TASK_TIMEOUT';
+    this.retryable = true; // Cleared when the handler ignores the abort (see settleTimeout)
+  }
+}
+
+/**
+ * Classify an execution error as 'retryable' (transient) or 'fatal'
+ * An explicit boolean `error.retryable` always wins.
+ */
+export function classifyError(error) {
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable ? 'retryable' : 'fatal';
+  }
+  if (RETRYABLE_CODES.has(error.code)) {
+    return 'retryable';
+  }
+
+  const status = error.status ?? error.response?.status;
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return 'retryable';
+  }
+
+  if (/timed out|rate limit|temporarily unavailable|network error|socket hang up/i.test(error.message)) {
+    return 'retryable';
+  }
+
+  return 'fatal';
+}
+
+/**
+ * ExecutionQueue - Runs handlers in catalog priority order, FIFO within a priority
+ */
+export class ExecutionQueue extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = {
+      concurrency: config.concurrency || Number(process.env.MAX_CONCURRENT_TASKS) || 10,
+      timeout: config.timeout ?? (Number(process.env.TASK_TIMEOUT) || 30000),
+      retryAttempts: config.retryAttempts ?? Number(process.env.RETRY_ATTEMPTS ?? 3),
+      retryDelay: config.retryDelay ?? Number(process.env.RETRY_DELAY ?? 1000),
+      maxRetryDelay: config.maxRetryDelay || 30000,
+      abortGrace: config.abortGrace ?? 1000, // How long a timed-out handler gets to honour the abort
+      timeouts: {}, // Per-task overrides, keyed by task ID
+      ...config
+    };
+
+    this.pending = [];
+    this.running = 0;
+    this.sequence = 0;
+    this.retryTimers = new Map(); // timer -> entry waiting for its retry
+
+    this.stats = {
+      enqueued: 0,
+      completed: 0,
+      failed: 0,
+      retries: 0,
+      timeouts: 0,
+      started: 0,
+      total_wait_ms: 0,
+      max_wait_ms: 0
+    };
+  }
+
+  /**
+   * Queue a task execution
+   * @param {object} job - { taskId, priority }
+   * @param {Function} handler - `(signal) => Promise`; the AbortSignal fires on timeout.
+   *   A timed-out handler keeps its concurrency slot until it settles, and is only
+   *   retried when it honours the abort by rejecting with `signal.reason`.
+   * @returns {Promise<{result: *, attempts: number, wait_ms: number}>}
+   *   Rejects with the last error, annotated with `attempts` and `classification`
+   */
+  enqueue(job, handler) {
+    return new Promise((resolve, reject) => {
+      const entry = {
+        taskId: job.taskId,
+        priority: job.priority,
+        rank: PRIORITY_RANK[job.priority] ?? PRIORITY_RANK.Low,
+        seq: this.sequence++,
+        handler,
+        attempts: 0,
+        wait_ms: 0,
+        readyAt: Date.now(),
+        resolve,
+        reject
+      };
+
+      this.stats.enqueued++;
+      this.insert(entry);
+      this.emit('taskQueued', { taskId: entry.taskId, priority: entry.priority, depth: this.pending.length });
+      this.drain();
+    });
+  }
+
+  /**
+   * Resolve once nothing is pending, running or waiting for a retry
+   */
+  onIdle() {
+    if (this.isIdle()) return Promise.resolve();
+    return new Promise(resolve => this.once('idle', resolve));
+  }
+
+  isIdle() {
+    return this.running === 0 && this.pending.length === 0 && this.retryTimers.size === 0;
+  }
+
+  /**
+   * Current queue depth, concurrency and wait-time statistics
+   */
+  getStats() {
+    return {
+      depth: this.pending.length,
+      running: this.running,
+      concurrency: this.config.concurrency,
+      enqueued: this.stats.enqueued,
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      retries: this.stats.retries,
+      timeouts: this.stats.timeouts,
+      average_wait_ms: this.stats.started > 0 ? Math.round(this.stats.total_wait_ms / this.stats.started) : 0,
+      max_wait_ms: this.stats.max_wait_ms
+    };
+  }
+
+  // Scheduling internals
+
+  insert(entry) {
+    const index = this.pending.findIndex(other =>
+      other.rank > entry.rank || (other.rank === entry.rank && other.seq > entry.seq));
+    if (index === -1) {
+      this.pending.push(entry);
+    } else {
+      this.pending.splice(index, 0, entry);
+    }
+  }
+
+  drain() {
+    while (this.running < this.config.concurrency && this.pending.length > 0) {
+      this.start(this.pending.shift());
+    }
+  }
+
+  async start(entry) {
+    const wait = Date.now() - entry.readyAt;
+    entry.wait_ms += wait;
+    entry.attempts++;
+
+    this.running++;
+    this.stats.started++;
+    this.stats.total_wait_ms += wait;
+    this.stats.max_wait_ms = Math.max(this.stats.max_wait_ms, wait);
+
+    const controller = new AbortController();
+    const execution = Promise.resolve().then(() => entry.handler(controller.signal));
+    let settled = false;
+    const finished = execution.then(() => { settled = true; }, () => { settled = true; });
+
+    try {
+      const result = await this.runWithTimeout(entry, execution, controller);
+      this.stats.completed++;
+      entry.resolve({ result, attempts: entry.attempts, wait_ms: entry.wait_ms });
+    } catch (error) {
+      this.handleFailure(entry, error === controller.signal.reason ? await this.settleTimeout(execution, error) : error);
+    }
+
+    // The slot stays taken while a timed-out handler is still running
+    if (settled) {
+      this.release();
+    } else {
+      finished.then(() => this.release());
+    }
+  }
+
+  release() {
+    this.running--;
+    this.drain();
+    if (this.isIdle()) this.emit('idle');
+  }
+
+  runWithTimeout(entry, execution, controller) {
+    const timeout = this.config.timeouts[entry.taskId] ?? this.config.timeout;
+    let timer;
+
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new TaskTimeoutError(entry.taskId, timeout);
+        this.stats.timeouts++;
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    });
+
+    return Promise.race([execution, timeoutPromise])
+      .finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * A timeout is only retryable when the handler honoured the abort, rejecting with
+   * the abort reason within `abortGrace`; one that ignored it may still be applying
+   * side effects, so running it again could apply them twice.
+   */
+  async settleTimeout(execution, error) {
+    let timer;
+    const grace = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), this.config.abortGrace);
+    });
+
+    const honoured = await Promise.race([execution.then(() => false, reason => reason === error), grace]);
+    clearTimeout(timer);
+    error.retryable = honoured;
+    return error;
+  }
+
+  handleFailure(entry, error) {
+    const classification = classifyError(error);
+
+    if (classification === 'retryable' && entry.attempts <= this.config.retryAttempts) {
+      const delay = Math.min(this.config.retryDelay * 2 ** (entry.attempts - 1), this.config.maxRetryDelay);
+      this.stats.retries++;
+      this.emit('taskRetrying', { taskId: entry.taskId, attempt: entry.attempts, delay, error: error.message });
+
+      // Backoff happens outside the concurrency slot; the retry re-enters in priority order
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(timer);
+        entry.readyAt = Date.now();
+        this.insert(entry);
+        this.drain();
+      }, delay);
+      this.retryTimers.set(timer, entry);
+      return;
+    }
+
+    this.stats.failed++;
+    error.attempts = entry.attempts;
+    error.classification = classification;
+    entry.reject(error);
+  }
+
+  /**
+   * Reject everything that has not started yet and cancel pending retries
+   */
+  clear(reason = 'Execution queue cleared') {
+    for (const timer of this.retryTimers.keys()) {
+      clearTimeout(timer);
+    }
+    const waiting = [...this.retryTimers.values(), ...this.pending.splice(0)];
+    this.retryTimers.clear();
+
+    for (const entry of waiting) {
+      const error = new Error(reason);
+      error.attempts = entry.attempts;
+      error.classification = 'fatal';
+      entry.reject(error);
+    }
+    if (this.isIdle()) this.emit('idle');
+  }
+}
+
+export default ExecutionQueue;
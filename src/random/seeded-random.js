@@ -0,0 +1,133 @@
+/**
+ * Seeded Random
+ * Deterministic pseudo-random source shared by the simulation components,
+ * so a game session or a failing test can be replayed from its seed
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { randomBytes } from 'crypto';
+
+const BASE36 = '0123456789abcdefghijklmnopqrstuvwxyz';
+const HEX = '0123456789abcdef';
+
+/**
+ * SeededRandom - mulberry32 generator with a string or numeric seed
+ *
+ * The seed defaults to SIMULATION_SEED, or a fresh random seed that is
+ * reported through `seed` / `getStatus()` so any run can be reproduced.
+ * The whole generator state is one 32-bit integer (`getState()` / `setState()`).
+ */
+export class SeededRandom {
+  /**
+   * @param {object} config - { seed (SIMULATION_SEED) }
+   */
+  constructor(config = {}) {
+    this.reseed(config.seed ?? process.env.SIMULATION_SEED ?? randomBytes(4).toString('hex'));
+  }
+
+  /**
+   * Restart the sequence from a new seed
+   */
+  reseed(seed) {
+    this.seed = String(seed);
+    this.state = hashSeed(this.seed);
+    this.draws = 0;
+    return this;
+  }
+
+  /**
+   * Next float in [0, 1) (drop-in for Math.random)
+   */
+  next() {
+    this.draws++;
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  float(min = 0, max = 1) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [min, max] (both inclusive)
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * True with probability `probability`
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Normally distributed float (Box-Muller; two draws, no cached spare so the state stays one integer)
+   */
+  normal(mean = 0, stdDev = 1) {
+    const u = 1 - this.next();
+    const v = this.next();
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  /**
+   * Random string over `alphabet` (base36 by default), e.g. for IDs
+   */
+  string(length, alphabet = BASE36) {
+    return Array.from({ length }, () => alphabet[Math.floor(this.next() * alphabet.length)]).join('');
+  }
+
+  hex(length) {
+    return this.string(length, HEX);
+  }
+
+  /**
+   * Generator position, for snapshots
+   */
+  getState() {
+    return { seed: this.seed, state: this.state, draws: this.draws };
+  }
+
+  setState({ seed, state, draws = 0 }) {
+    if (!Number.isInteger(state) || state < 0 || state > 0xFFFFFFFF) {
+      throw new Error('Random state must be an unsigned 32-bit integer');
+    }
+    this.seed = String(seed);
+    this.state = state;
+    this.draws = draws;
+    return this;
+  }
+
+  getStatus() {
+    return { seed: this.seed, draws: this.draws };
+  }
+}
+
+// Helper functions
+
+/**
+ * FNV-1a hash of the seed string to a 32-bit start state
+ */
+function hashSeed(seed) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export default SeededRandom;
@@ -0,0 +1,267 @@
+/**
+ * Task Scheduler
+ * Recurring task execution driven by the catalog's frequency field or custom cron expressions
+ * Supports pause/resume, run-now, overlap prevention and per-job run history
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import cron from 'node-cron';
+import { DomainError } from '../validation/domain-error.js';
+
+/**
+ * Cron expressions for the catalog's recurring frequencies.
+ * Event-driven frequencies (On-demand, La nevoie, Per fuziune, Post-vote, ...)
+ * have no default schedule and must be given an explicit cron expression.
+ */
+export const FREQUENCY_CRON = {
+  'Real-time': '*/30 * * * * *',
+  'Continuu': '* * * * *',
+  'Hourly': '0 * * * *',
+  'Daily': '0 0 * * *',
+  'Weekly': '0 0 * * 1',
+  'Monthly': '0 0 1 * *',
+  'Lunar': '0 0 1 * *'
+};
+
+/**
+ * TaskScheduler - Registers cron jobs that execute catalog tasks through the agent
+ */
+export class TaskScheduler extends EventEmitter {
+  constructor(agent, config = {}) {
+    super();
+    this.agent = agent;
+    this.config = {
+      historySize: config.historySize || Number(process.env.SCHEDULER_HISTORY_SIZE) || 20,
+      timezone: config.timezone || process.env.SCHEDULER_TIMEZONE,
+      ...config
+    };
+
+    this.jobs = new Map();
+    this.stopped = false; // stopAll() until startAll(): active jobs keep their status but do not fire
+  }
+
+  /**
+   * Schedule a task
+   * @param {string} taskId - Catalog task to execute
+   * @param {object} options
+   * @param {string} options.cron - Cron expression; defaults to the catalog frequency
+   * @param {object} options.parameters - Parameters passed on every run
+   * @param {string} options.jobId - Job identifier (defaults to the task ID)
+   * @param {boolean} options.paused - Register without starting
+   * @returns {object} Job description
+   */
+  schedule(taskId, options = {}) {
+    const task = this.agent.findTaskById(taskId);
+    if (!task) {
+      throw DomainError.notFound(`Task ${taskId} not found`);
+    }
+
+    const jobId = options.jobId || taskId;
+    if (this.jobs.has(jobId)) {
+      throw DomainError.conflict(`Job ${jobId} already exists`);
+    }
+
+    const expression = options.cron || FREQUENCY_CRON[task.frequency];
+    if (!expression) {
+      throw new DomainError('INVALID_SCHEDULE', `Task ${taskId} has no recurring frequency (${task.frequency}); a cron expression is required`);
+    }
+    if (!cron.validate(expression)) {
+      throw new DomainError('INVALID_SCHEDULE', `Invalid cron expression: ${expression}`);
+    }
+
+    const job = {
+      id: jobId,
+      task_id: taskId,
+      cron: expression,
+      source: options.cron ? 'custom' : 'catalog',
+      frequency: task.frequency,
+      parameters: options.parameters || {},
+      status: options.paused ? 'paused' : 'active',
+      running: false,
+      run_count: 0,
+      last_run: null,
+      history: [],
+      created_at: new Date().toISOString(),
+      cronTask: null
+    };
+
+    job.cronTask = cron.schedule(expression, () => this.runJob(job, 'cron'), {
+      scheduled: !options.paused && !this.stopped,
+      timezone: this.config.timezone
+    });
+
+    this.jobs.set(jobId, job);
+    this.emit('jobScheduled', { jobId, taskId, cron: expression, source: job.source });
+
+    return this.describe(job);
+  }
+
+  /**
+   * Schedule every catalog task that has a recurring frequency
+   * @param {object} parameters - Per-task parameters, keyed by task ID
+   * @returns {Array<object>} Scheduled jobs
+   */
+  scheduleCatalogDefaults(parameters = {}) {
+    return this.agent.getAvailableTasks()
+      .filter(task => FREQUENCY_CRON[task.frequency] && !this.jobs.has(task.id))
+      .map(task => this.schedule(task.id, { parameters: parameters[task.id] }));
+  }
+
+  pause(jobId) {
+    const job = this.requireJob(jobId);
+    job.cronTask.stop();
+    job.status = 'paused';
+    this.emit('jobPaused', { jobId });
+    return this.describe(job);
+  }
+
+  resume(jobId) {
+    const job = this.requireJob(jobId);
+    if (!this.stopped) job.cronTask.start();
+    job.status = 'active';
+    this.emit('jobResumed', { jobId });
+    return this.describe(job);
+  }
+
+  /**
+   * Execute a job immediately, outside its schedule
+   * @throws {Error} When the job is already running
+   */
+  async runNow(jobId) {
+    const job = this.requireJob(jobId);
+    if (job.running) {
+      throw DomainError.conflict(`Job ${jobId} is already running`);
+    }
+    return this.runJob(job, 'manual');
+  }
+
+  unschedule(jobId) {
+    const job = this.requireJob(jobId);
+    job.cronTask.stop();
+    this.jobs.delete(jobId);
+    this.emit('jobRemoved', { jobId });
+    return true;
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.describe(job) : null;
+  }
+
+  getJobs() {
+    return Array.from(this.jobs.values()).map(job => this.describe(job));
+  }
+
+  getHistory(jobId) {
+    return [...this.requireJob(jobId).history];
+  }
+
+  /**
+   * Stop all cron timers (jobs stay registered and are reported as 'stopped')
+   */
+  stopAll() {
+    this.stopped = true;
+    for (const job of this.jobs.values()) {
+      job.cronTask.stop();
+    }
+  }
+
+  /**
+   * Restart the cron timers of active jobs after stopAll (paused jobs stay paused)
+   */
+  startAll() {
+    this.stopped = false;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'active') job.cronTask.start();
+    }
+  }
+
+  // Execution internals
+
+  async runJob(job, trigger) {
+    const startedAt = new Date();
+
+    // Overlapping runs of the same job are recorded and dropped
+    if (job.running) {
+      const skipped = {
+        trigger,
+        status: 'skipped',
+        reason: 'Previous run still in progress',
+        started_at: startedAt.toISOString(),
+        finished_at: startedAt.toISOString(),
+        duration_ms: 0
+      };
+      this.recordRun(job, skipped);
+      this.emit('jobSkipped', { jobId: job.id, trigger });
+      return skipped;
+    }
+
+    job.running = true;
+    let entry;
+
+    try {
+      const result = await this.agent.executeTask(job.task_id, job.parameters);
+      entry = {
+        trigger,
+        status: result.success ? 'success' : 'failed',
+        started_at: startedAt.toISOString(),
+        finished_at: new Date().toISOString(),
+        duration_ms: Date.now() - startedAt.getTime(),
+        ...(result.success ? { result: result.result } : { error: result.error })
+      };
+    } catch (error) {
+      entry = {
+        trigger,
+        status: 'failed',
+        started_at: startedAt.toISOString(),
+        finished_at: new Date().toISOString(),
+        duration_ms: Date.now() - startedAt.getTime(),
+        error: error.message
+      };
+    } finally {
+      job.running = false;
+    }
+
+    job.run_count++;
+    job.last_run = entry.finished_at;
+    this.recordRun(job, entry);
+
+    this.emit(entry.status === 'success' ? 'jobCompleted' : 'jobFailed', {
+      jobId: job.id,
+      taskId: job.task_id,
+      trigger,
+      duration_ms: entry.duration_ms,
+      ...(entry.error ? { error: entry.error } : {})
+    });
+
+    return entry;
+  }
+
+  recordRun(job, entry) {
+    job.history.unshift(entry);
+    if (job.history.length > this.config.historySize) {
+      job.history.length = this.config.historySize;
+    }
+  }
+
+  // Helper methods
+
+  requireJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw DomainError.notFound(`Job ${jobId} not found`);
+    }
+    return job;
+  }
+
+  describe(job) {
+    const { cronTask, history, ...rest } = job;
+    const status = this.stopped && job.status === 'active' ? 'stopped' : job.status;
+    return { ...rest, status, last_result: history[0] || null };
+  }
+}
+
+export default TaskScheduler;
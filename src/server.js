@@ -0,0 +1,37 @@
+/**
+ * Server Entry Point
+ * Boots the Corporate Merge Tycoon Agent behind the REST API
+ * 
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { CorporateMergeTycoonAgent } from './agent.js';
+import { ApiServer } from './api/api-server.js';
+
+const agent = new CorporateMergeTycoonAgent();
+const apiServer = new ApiServer(agent);
+
+if (process.env.SCHEDULER_ENABLED === 'true') {
+  const jobs = agent.scheduler.scheduleCatalogDefaults();
+  agent.logger.info('Catalog tasks scheduled', { jobs: jobs.map(job => job.id) });
+}
+
+apiServer.start().catch(error => {
+  agent.logger.error('Failed to start API server', { error: error.message });
+  process.exit(1);
+});
+
+// Graceful shutdown: close the server, drain in-flight tasks, flush state
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    agent.logger.info('Shutdown requested', { signal });
+    agent.shutdown().then(
+      () => process.exit(0),
+      (error) => {
+        agent.logger.error('Shutdown failed', { error: error.message });
+        process.exit(1);
+      }
+    );
+  });
+}
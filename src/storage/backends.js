@@ -0,0 +1,108 @@
+/**
+ * Storage Backends
+ * Where StateStore documents live: process memory or a JSON file on disk
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { readFileSync } from 'fs';
+import { mkdir, rename, writeFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * MemoryBackend - Keeps the last saved document in memory (nothing survives a restart)
+ */
+export class MemoryBackend {
+  constructor() {
+    this.document = null;
+  }
+
+  load() {
+    return this.document ? structuredClone(this.document) : null;
+  }
+
+  async save(document) {
+    this.document = structuredClone(document);
+  }
+
+  describe() {
+    return 'memory';
+  }
+}
+
+/**
+ * FileBackend - One JSON document per file, replaced atomically on every save
+ */
+export class FileBackend {
+  constructor(path) {
+    this.path = resolve(path);
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read the document synchronously so managers can recover state in their constructors
+   * @returns {object|null} null when the file does not exist yet
+   */
+  load() {
+    let text;
+    try {
+      text = readFileSync(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Storage file ${this.path} is corrupted: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write to a temporary file and rename it over the previous state; saves run one at a time
+   */
+  save(document) {
+    const text = JSON.stringify(document);
+    const write = async () => {
+      const temporary = `${this.path}.tmp`;
+      await mkdir(dirname(this.path), { recursive: true });
+      await writeFile(temporary, text, 'utf8');
+      await rename(temporary, this.path);
+    };
+
+    this.writing = this.writing.catch(() => {}).then(write);
+    return this.writing;
+  }
+
+  describe() {
+    return `file:${this.path}`;
+  }
+}
+
+/**
+ * Create a backend from a storage URL
+ *
+ *   memory:                     in-process only (default)
+ *   file:./data/state.json      JSON file, relative to the working directory
+ *   file:///var/lib/tycoon.json JSON file, absolute path
+ *
+ * @throws {Error} For unsupported schemes
+ */
+export function createBackend(url = 'memory:') {
+  const [, scheme] = /^([a-z][a-z0-9+.-]*):/i.exec(url) || [];
+
+  switch (scheme?.toLowerCase()) {
+    case 'memory':
+      return new MemoryBackend();
+    case 'file':
+      return new FileBackend(url.startsWith('file://') ? fileURLToPath(url) : url.slice('file:'.length));
+    case undefined:
+      // A bare path is treated as a file location
+      return new FileBackend(url);
+    default:
+      throw new Error(`Unsupported storage URL scheme: ${scheme} (use memory: or file:<path>)`);
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Storage Migrations
+ * Versioned upgrades for persisted state documents
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+/**
+ * Ordered list of migrations. Each `up(document)` receives a document at
+ * `version - 1` and returns it at `version`; append new entries, never edit old ones.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Manager collections stored as typed entry lists ({ type, entries })',
+    up: (document) => ({
+      ...document,
+      collections: document.collections || {}
+    })
+  },
+  {
+    version: 2,
+    description: 'Company allocations add up to the total supply (unallocated tokens moved to treasury)',
+    up: (document) => {
+      const companies = document.collections?.companies;
+      if (!companies?.entries) return document;
+
+      const entries = companies.entries.map(([id, company]) => [id, completeAllocations(company)]);
+      return { ...document, collections: { ...document.collections, companies: { ...companies, entries } } };
+    }
+  },
+  {
+    version: 3,
+    description: 'Shareholder ledgers hold the whole supply (unallocated tokens credited to treasury)',
+    up: (document) => {
+      const ledgers = document.collections?.ledgers;
+      if (!ledgers?.entries) return document;
+
+      const companies = new Map(document.collections.companies?.entries || []);
+      const entries = ledgers.entries.map(([id, ledger]) => [id, completeLedger(ledger, companies.get(id))]);
+      return { ...document, collections: { ...document.collections, ledgers: { ...ledgers, entries } } };
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Company record with every allocation set and the unallocated supply given to the treasury
+ * (records written before registrations had to allocate the whole supply)
+ */
+export function completeAllocations(company) {
+  const allocations = { ...company.token?.allocations };
+  for (const name of ['founder', 'employees', 'public', 'treasury']) allocations[name] = allocations[name] ?? 0;
+  const allocated = Object.values(allocations).reduce((sum, amount) => sum + amount, 0);
+  const unallocated = (company.token?.total_supply ?? 0) - allocated;
+  if (unallocated > 0) allocations.treasury += unallocated;
+  return { ...company, token: { ...company.token, allocations } };
+}
+
+/**
+ * Ledger whose treasury balance covers whatever the holders leave of the company's supply
+ */
+export function completeLedger(ledger, company) {
+  const held = Object.values(ledger.balances || {}).reduce((sum, balance) => sum + balance, 0);
+  const unheld = (company?.token?.total_supply ?? held) - held;
+  if (!(unheld > 0)) return ledger;
+  return { ...ledger, balances: { ...ledger.balances, treasury: (ledger.balances?.treasury || 0) + unheld } };
+}
+
+/**
+ * Bring a document up to the latest schema version
+ * @param {object} document - Loaded document (without `schema_version` for pre-versioned data)
+ * @param {Array} migrations - Migration list (defaults to MIGRATIONS)
+ * @returns {{document: object, applied: number[]}}
+ * @throws {Error} When the document was written by a newer schema
+ */
+export function migrate(document, migrations = MIGRATIONS) {
+  const target = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const from = document.schema_version ?? 0;
+
+  if (from > target) {
+    throw new Error(`Storage schema version ${from} is newer than supported version ${target}`);
+  }
+
+  const applied = [];
+  let current = document;
+  for (const migration of migrations) {
+    if (migration.version <= from) continue;
+    current = { ...migration.up(current), schema_version: migration.version };
+    applied.push(migration.version);
+  }
+
+  return { document: current, applied };
+}
@@ -0,0 +1,268 @@
+/**
+ * Snapshot Manager
+ * Serializes the whole simulation to one versioned JSON document and restores it
+ * Used for save games, reproducible bug-report scenarios and test fixtures
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { completeAllocations, completeLedger } from './migrations.js';
+
+export const SNAPSHOT_FORMAT = 'corporate-merge-tycoon-snapshot';
+export const SNAPSHOT_VERSION = 2;
+
+/**
+ * Upgrades for older snapshots, applied in order before they are restored.
+ * Each `up(state)` receives the state sections at `version - 1`.
+ */
+export const SNAPSHOT_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Company allocations and shareholder ledgers cover the whole supply (unallocated tokens go to treasury)',
+    up: (state) => {
+      const companies = Object.fromEntries(Object.entries(state.companies || {})
+        .map(([id, company]) => [id, completeAllocations(company)]));
+      const ledgers = Object.fromEntries(Object.entries(state.ledgers || {})
+        .map(([id, ledger]) => [id, completeLedger(ledger, companies[id])]));
+      return { ...state, companies, ledgers };
+    }
+  }
+];
+
+// Snapshot section -> [manager, collection property, kind]
+const SECTIONS = {
+  companies: ['companyManager', 'companies', 'map'],
+  performance_history: ['companyManager', 'performanceHistory', 'map'],
+  vesting_schedules: ['companyManager', 'vestingSchedules', 'map'],
+  ledgers: ['companyManager', 'ledgers', 'map'],
+  proposals: ['daoManager', 'proposals', 'map'],
+  votes: ['daoManager', 'votes', 'map'],
+  executed_proposals: ['daoManager', 'executedProposals', 'set'],
+  mergers: ['mergerEngine', 'activeMergers', 'map'],
+  game_sessions: ['game', 'sessions', 'map'],
+  leaderboards: ['leaderboards', 'periods', 'map'],
+  leaderboard_archives: ['leaderboards', 'archives', 'map'],
+  amm_pools: ['amm', 'pools', 'map'],
+  amm_wallets: ['amm', 'wallets', 'map']
+};
+
+const METRIC_COUNTERS = ['tasks_executed', 'successful_executions', 'failed_executions', 'average_execution_time'];
+
+/**
+ * SnapshotError - Snapshot cannot be read or is incompatible with this build
+ */
+export class SnapshotError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'SnapshotError';
+    this.details = details;
+  }
+}
+
+/**
+ * SnapshotManager - Game-state export and restore for an agent
+ *
+ * Snapshot document:
+ *   { format, version, created_at, simulated_at, name, description, agent, state, random, metrics }
+ * where each `state` section is an object keyed by ID (sets are arrays).
+ */
+export class SnapshotManager extends EventEmitter {
+  constructor(agent) {
+    super();
+    this.agent = agent;
+  }
+
+  /**
+   * Capture the current state
+   * @param {object} options - { name, description }
+   * @returns {object} Snapshot document (detached from live state)
+   */
+  create(options = {}) {
+    const state = {};
+    for (const [section, [manager, property, kind]] of Object.entries(SECTIONS)) {
+      const collection = this.agent[manager][property];
+      state[section] = kind === 'map'
+        ? Object.fromEntries(collection)
+        : Array.from(collection);
+    }
+
+    const snapshot = structuredClone({
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      created_at: new Date().toISOString(),
+      simulated_at: this.agent.clock.toISOString(),
+      name: options.name || null,
+      description: options.description || '',
+      agent: {
+        name: this.agent.taskCatalog.agent_info.name,
+        version: this.agent.taskCatalog.agent_info.version,
+        network: this.agent.config.network
+      },
+      state,
+      random: this.agent.random.getState(),
+      metrics: Object.fromEntries(METRIC_COUNTERS.map(counter => [counter, this.agent.metrics[counter]]))
+    });
+
+    this.emit('snapshotCreated', { name: snapshot.name, counts: this.countEntries(snapshot) });
+    return snapshot;
+  }
+
+  /**
+   * Replace the current state with a snapshot's contents
+   * Nothing is changed when the snapshot is rejected.
+   * @throws {SnapshotError} For foreign, incompatible or malformed snapshots
+   * @returns {object} Entry counts per section
+   */
+  restore(snapshot) {
+    this.validate(snapshot);
+    const { state, random, metrics = {} } = this.upgrade(structuredClone(snapshot));
+
+    for (const [section, [manager, property, kind]] of Object.entries(SECTIONS)) {
+      const collection = this.agent[manager][property];
+      const contents = state[section] || (kind === 'map' ? {} : []);
+
+      // Refill in place so persistent collections keep writing through to the store
+      collection.clear();
+      if (kind === 'map') {
+        for (const [key, value] of Object.entries(contents)) collection.set(key, value);
+      } else {
+        for (const value of contents) collection.add(value);
+      }
+    }
+    this.agent.companyManager.distributionQueues.clear();
+
+    // Resume simulated time before re-arming the deadlines that depend on it
+    const clock = this.restoreClock(snapshot.simulated_at);
+    this.agent.daoManager.scheduleVotingWindows();
+    this.agent.leaderboards.schedulePeriods();
+
+    // Continue the random sequence where the snapshot left it
+    if (random) this.agent.random.setState(random);
+
+    for (const counter of METRIC_COUNTERS) {
+      if (Number.isFinite(metrics[counter])) this.agent.metrics[counter] = metrics[counter];
+    }
+
+    const counts = this.countEntries(snapshot);
+    this.emit('snapshotRestored', { name: snapshot.name, created_at: snapshot.created_at, version: snapshot.version, counts, clock });
+    return counts;
+  }
+
+  /**
+   * Set a manual or accelerated clock to the snapshot's simulated time
+   * A real-time clock cannot move, so the gap is reported instead.
+   * @returns {object} { simulated_at, restored, drift_ms }
+   */
+  restoreClock(simulatedAt) {
+    const clock = this.agent.clock;
+    if (simulatedAt === undefined) {
+      return { simulated_at: null, restored: false, drift_ms: null };
+    }
+    if (clock.mode !== 'real') {
+      clock.setTime(simulatedAt);
+      return { simulated_at: simulatedAt, restored: true, drift_ms: 0 };
+    }
+
+    const drift = clock.now() - new Date(simulatedAt).getTime();
+    if (drift !== 0) {
+      this.agent.logger.warn('Snapshot restored on a real-time clock; simulated time was not restored', {
+        simulated_at: simulatedAt,
+        drift_ms: drift
+      });
+    }
+    return { simulated_at: simulatedAt, restored: false, drift_ms: drift };
+  }
+
+  /**
+   * Check format, version and section shapes
+   * @throws {SnapshotError}
+   */
+  validate(snapshot) {
+    if (typeof snapshot !== 'object' || snapshot === null || snapshot.format !== SNAPSHOT_FORMAT) {
+      throw new SnapshotError(`Not a ${SNAPSHOT_FORMAT} document`);
+    }
+    if (!(Number.isInteger(snapshot.version) && snapshot.version >= 1 && snapshot.version <= SNAPSHOT_VERSION)) {
+      throw new SnapshotError(
+        `Snapshot version ${snapshot.version} is not compatible with this agent (expected version 1 to ${SNAPSHOT_VERSION})`,
+        { version: snapshot.version, supported: SNAPSHOT_VERSION }
+      );
+    }
+    if (typeof snapshot.state !== 'object' || snapshot.state === null) {
+      throw new SnapshotError('Snapshot has no state section');
+    }
+
+    const errors = [];
+    for (const [section, [, , kind]] of Object.entries(SECTIONS)) {
+      const contents = snapshot.state[section];
+      if (contents === undefined) continue;
+
+      const valid = kind === 'map'
+        ? typeof contents === 'object' && contents !== null && !Array.isArray(contents)
+        : Array.isArray(contents);
+      if (!valid) {
+        errors.push({ field: `state.${section}`, message: kind === 'map' ? 'expected object' : 'expected array' });
+      }
+    }
+
+    if (snapshot.simulated_at !== undefined && (typeof snapshot.simulated_at !== 'string' || Number.isNaN(Date.parse(snapshot.simulated_at)))) {
+      errors.push({ field: 'simulated_at', message: 'expected ISO 8601 date' });
+    }
+
+    const randomState = snapshot.random?.state;
+    if (snapshot.random !== undefined && !(Number.isInteger(randomState) && randomState >= 0 && randomState <= 0xFFFFFFFF)) {
+      errors.push({ field: 'random.state', message: 'expected unsigned 32-bit integer' });
+    }
+
+    if (errors.length > 0) {
+      throw new SnapshotError(`Invalid snapshot: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`, errors);
+    }
+    return true;
+  }
+
+  /**
+   * Write a snapshot of the current state to a JSON file
+   */
+  async saveToFile(path, options = {}) {
+    const snapshot = this.create(options);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, `${JSON.stringify(snapshot, null, 2)}\n`, 'utf8');
+    return snapshot;
+  }
+
+  /**
+   * Restore the state from a JSON file written by saveToFile
+   */
+  async loadFromFile(path) {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+      throw new SnapshotError(`Cannot read snapshot ${path}: ${error.message}`);
+    }
+    return this.restore(snapshot);
+  }
+
+  // Helper methods
+
+  /**
+   * Bring an older snapshot's state up to SNAPSHOT_VERSION
+   */
+  upgrade(snapshot) {
+    let { state } = snapshot;
+    for (const migration of SNAPSHOT_MIGRATIONS) {
+      if (migration.version > snapshot.version) state = migration.up(state);
+    }
+    return { ...snapshot, state, version: SNAPSHOT_VERSION };
+  }
+
+  countEntries(snapshot) {
+    return Object.fromEntries(Object.entries(snapshot.state).map(([section, contents]) =>
+      [section, Array.isArray(contents) ? contents.length : Object.keys(contents).length]));
+  }
+}
+
+export default SnapshotManager;
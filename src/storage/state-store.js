@@ -0,0 +1,214 @@
+/**
+ * State Store
+ * Durable collections for manager state with schema versioning and recovery on startup
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { createBackend } from './backends.js';
+import { migrate, SCHEMA_VERSION } from './migrations.js';
+
+/**
+ * PersistentMap - Map that schedules a save on every mutation
+ *
+ * Values are kept by reference, so in-place changes are saved with the next
+ * flush; managers call `set()` again after mutating a value to schedule one.
+ */
+export class PersistentMap extends Map {
+  constructor(store, entries = []) {
+    super();
+    this.store = store;
+    for (const [key, value] of entries) super.set(key, value);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.store.markDirty();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.store.markDirty();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.store.markDirty();
+  }
+}
+
+/**
+ * PersistentSet - Set that schedules a save on every mutation
+ */
+export class PersistentSet extends Set {
+  constructor(store, values = []) {
+    super();
+    this.store = store;
+    for (const value of values) super.add(value);
+  }
+
+  add(value) {
+    super.add(value);
+    this.store.markDirty();
+    return this;
+  }
+
+  delete(value) {
+    const deleted = super.delete(value);
+    if (deleted) this.store.markDirty();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.store.markDirty();
+  }
+}
+
+/**
+ * StateStore - Named collections backed by a memory or file backend
+ *
+ * The document is loaded (and migrated) synchronously in the constructor;
+ * collections handed out by `map()` / `set()` start with the recovered
+ * entries. Mutations are coalesced into one save per `flushDelay` ms.
+ */
+export class StateStore extends EventEmitter {
+  /**
+   * @param {object} config - { url (DATABASE_URL, default 'memory:'), flushDelay, backend }
+   */
+  constructor(config = {}) {
+    super();
+    this.config = {
+      url: config.url || process.env.DATABASE_URL || 'memory:',
+      flushDelay: Number(config.flushDelay ?? process.env.STORAGE_FLUSH_DELAY ?? 100),
+      ...config
+    };
+
+    this.backend = this.config.backend || createBackend(this.config.url);
+
+    const loaded = this.backend.load();
+    const { document, applied } = migrate(loaded || { schema_version: SCHEMA_VERSION, collections: {} });
+    this.document = document;
+    this.recovered = loaded !== null;
+    this.appliedMigrations = applied;
+
+    this.collections = new Map(); // name -> PersistentMap | PersistentSet
+    this.flushTimer = null;
+    this.dirty = applied.length > 0;
+  }
+
+  /**
+   * Get (or create) a keyed collection
+   */
+  map(name) {
+    return this.collection(name, 'map', entries => new PersistentMap(this, entries));
+  }
+
+  /**
+   * Get (or create) a value-set collection
+   */
+  set(name) {
+    return this.collection(name, 'set', values => new PersistentSet(this, values));
+  }
+
+  /**
+   * Schedule a save of all collections
+   */
+  markDirty() {
+    this.dirty = true;
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => this.emit('flushFailed', { error: error.message }));
+    }, this.config.flushDelay);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write all collections to the backend now
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (!this.dirty) return false;
+
+    this.dirty = false;
+    try {
+      await this.backend.save(this.serialize());
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+
+    this.emit('flushed', { backend: this.backend.describe(), collections: this.collections.size });
+    return true;
+  }
+
+  /**
+   * Flush pending changes
+   * @returns {Promise<boolean>} Whether anything was written
+   */
+  async close() {
+    return this.flush();
+  }
+
+  /**
+   * Entry counts per collection
+   */
+  getStats() {
+    return {
+      backend: this.backend.describe(),
+      schema_version: this.document.schema_version,
+      recovered: this.recovered,
+      applied_migrations: [...this.appliedMigrations],
+      collections: Object.fromEntries(Array.from(this.collections, ([name, collection]) => [name, collection.size]))
+    };
+  }
+
+  // Helper methods
+
+  collection(name, type, create) {
+    const existing = this.collections.get(name);
+    if (existing) {
+      if ((type === 'map') !== (existing instanceof PersistentMap)) {
+        throw new Error(`Collection ${name} already exists with a different type`);
+      }
+      return existing;
+    }
+
+    const stored = this.document.collections[name];
+    if (stored && stored.type !== type) {
+      throw new Error(`Stored collection ${name} has type ${stored.type}, expected ${type}`);
+    }
+
+    const collection = create(stored?.entries || []);
+    this.collections.set(name, collection);
+    return collection;
+  }
+
+  serialize() {
+    // Collections nobody opened this run are kept as loaded
+    const collections = { ...this.document.collections };
+    for (const [name, collection] of this.collections) {
+      collections[name] = collection instanceof PersistentMap
+        ? { type: 'map', entries: Array.from(collection.entries()) }
+        : { type: 'set', entries: Array.from(collection.values()) };
+    }
+
+    this.document = {
+      schema_version: SCHEMA_VERSION,
+      saved_at: new Date().toISOString(),
+      collections
+    };
+    return this.document;
+  }
+}
+
+export default StateStore;
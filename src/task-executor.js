@@ -9,14 +9,52 @@
 
 import { EventEmitter } from 'events';
 import winston from 'winston';
+import { CompanyManager } from './company/company-manager.js';
+import { MergerEngine } from './merger/merger-engine.js';
+import { DAOManager } from './governance/dao-manager.js';
+import { DomainError } from './validation/domain-error.js';
 
 /**
- * TaskExecutor - Executes specific task categories with real implementations
+ * Built-in catalog task implementations, keyed by task ID
+ */
+const BUILT_IN_HANDLERS = {
+  BLK001: 'monitorNetwork', // Network Monitoring
+  BLK002: 'createESDTToken', // ESDT Token Creation
+  BLK003: 'executeCrosschainBridge', // Cross-chain Bridge
+  CMP001: 'analyzePerformance', // Performance Analytics
+  CMP002: 'optimizeDistribution', // Distribution Optimization
+  CMP003: 'manageVesting', // Employee Vesting
+  MRG001: 'performDueDiligence', // AI Due Diligence
+  MRG002: 'calculateValuations', // Valuations & Exchange Ratios
+  MRG003: 'integratePostMerger', // Post-merger Integration
+  GOV001: 'createProposal', // Create Proposals
+  GOV002: 'monitorVotes', // Monitor Votes
+  GOV003: 'executeDecision', // Execute Decisions
+  MKT001: 'gatherMarketIntelligence', // Real-time Intelligence
+  MKT002: 'identifyPartnerships', // Strategic Partnerships
+  SUP001: 'provideSupport', // 24/7 Support
+  SUP002: 'onboardUser', // User Onboarding
+  EDU001: 'deliverEducation', // M&A Modules
+  EDU002: 'provideCoaching', // Personalized Coaching
+  TEC001: 'monitorSystem', // System Monitoring
+  TEC002: 'deployContract' // Contract Deployment
+};
+
+/**
+ * TaskExecutor - Executes catalog and plugin tasks through a handler registry
  */
 export class TaskExecutor extends EventEmitter {
-  constructor(config = {}) {
+  constructor(config = {}, managers = {}) {
     super();
     this.config = config;
+
+    // Domain managers backing the task implementations
+    this.companyManager = managers.companyManager || new CompanyManager(config.company);
+    this.mergerEngine = managers.mergerEngine || new MergerEngine(config.merger);
+    this.daoManager = managers.daoManager || new DAOManager(config.governance);
+    this.clock = managers.clock || this.companyManager.clock;
+    this.random = managers.random || this.companyManager.random;
+
     this.logger = winston.createLogger({
       level: 'info',
       format: winston.format.combine(
@@ -27,49 +65,38 @@ export class TaskExecutor extends EventEmitter {
         new winston.transports.Console()
       ]
     });
+
+    // Task handlers keyed by task ID; plugins add their own through registerHandler
+    this.handlers = new Map(
+      Object.entries(BUILT_IN_HANDLERS).map(([taskId, method]) => [taskId, (parameters, context) => this[method](parameters, context)])
+    );
   }
 
   /**
-   * Execute task based on category and ID
+   * Execute a task through its registered handler
+   * @param {AbortSignal} [signal] - Fires when the execution times out; handlers pass it
+   *   on to the managers, which check it before changing any state
    */
-  async execute(task, parameters = {}) {
+  async execute(task, parameters = {}, signal = null) {
     const { category, task_id } = task;
     
     this.logger.info(`Executing ${task_id} in category ${category}`);
     this.emit('taskStarted', { task_id, category });
 
     try {
-      let result;
-      
-      switch (category) {
-        case 'blockchain_operations':
-          result = await this.executeBlockchainTask(task, parameters);
-          break;
-        case 'company_management':
-          result = await this.executeCompanyTask(task, parameters);
-          break;
-        case 'merger_acquisition':
-          result = await this.executeMergerTask(task, parameters);
-          break;
-        case 'dao_governance':
-          result = await this.executeGovernanceTask(task, parameters);
-          break;
-        case 'market_analysis':
-          result = await this.executeMarketTask(task, parameters);
-          break;
-        case 'user_support':
-          result = await this.executeSupportTask(task, parameters);
-          break;
-        case 'educational':
-          result = await this.executeEducationalTask(task, parameters);
-          break;
-        case 'technical_operations':
-          result = await this.executeTechnicalTask(task, parameters);
-          break;
-        default:
-          throw new Error(`Unknown task category: ${category}`);
+      const handler = this.handlers.get(task_id);
+      if (!handler) {
+        throw new Error(`No handler registered for task ${task_id}`);
       }
 
+      signal?.throwIfAborted();
+      let result = await handler(parameters, this.createContext(task, signal));
+
+      result = {
+        summary: `${task.name || task_id} executed successfully`,
+        ...result
+      };
+
       this.emit('taskCompleted', { task_id, result });
       return result;
 
@@ -81,255 +108,484 @@ export class TaskExecutor extends EventEmitter {
   }
 
   /**
-   * Execute blockchain operations tasks
+   * Register a handler for a task ID
+   * @param {string} taskId - Task identifier
+   * @param {Function} handler - `async (parameters, context) => result`
    */
-  async executeBlockchainTask(task, parameters) {
-    const { task_id } = task;
-    
-    switch (task_id) {
-      case 'BLK001': // Network Monitoring
-        return await this.monitorNetwork(parameters);
-      case 'BLK002': // ESDT Token Creation
-        return await this.createESDTToken(parameters);
-      case 'BLK003': // Cross-chain Bridge
-        return await this.executeCrosschainBridge(parameters);
-      default:
-        throw new Error(`Unknown blockchain task: ${task_id}`);
+  registerHandler(taskId, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for task ${taskId} must be a function`);
     }
-  }
-
-  /**
-   * Execute company management tasks
-   */
-  async executeCompanyTask(task, parameters) {
-    const { task_id } = task;
-    
-    switch (task_id) {
-      case 'CMP001': // Performance Analytics
-        return await this.analyzePerformance(parameters);
-      case 'CMP002': // Distribution Optimization
-        return await this.optimizeDistribution(parameters);
-      case 'CMP003': // Employee Vesting
-        return await this.manageVesting(parameters);
-      default:
-        throw new Error(`Unknown company task: ${task_id}`);
+    if (this.handlers.has(taskId)) {
+      throw new Error(`Handler for task ${taskId} already registered`);
     }
+    this.handlers.set(taskId, handler);
   }
 
-  /**
-   * Execute merger & acquisition tasks
-   */
-  async executeMergerTask(task, parameters) {
-    const { task_id } = task;
-    
-    switch (task_id) {
-      case 'MRG001': // AI Due Diligence
-        return await this.performDueDiligence(parameters);
-      case 'MRG002': // Valuations & Exchange Ratios
-        return await this.calculateValuations(parameters);
-      case 'MRG003': // Post-merger Integration
-        return await this.integratePostMerger(parameters);
-      default:
-        throw new Error(`Unknown merger task: ${task_id}`);
-    }
+  unregisterHandler(taskId) {
+    return this.handlers.delete(taskId);
   }
 
-  /**
-   * Execute DAO governance tasks
-   */
-  async executeGovernanceTask(task, parameters) {
-    const { task_id } = task;
-    
-    switch (task_id) {
-      case 'GOV001': // Create Proposals
-        return await this.createProposal(parameters);
-      case 'GOV002': // Monitor Votes
-        return await this.monitorVotes(parameters);
-      case 'GOV003': // Execute Decisions
-        return await this.executeDecision(parameters);
-      default:
-        throw new Error(`Unknown governance task: ${task_id}`);
-    }
+  hasHandler(taskId) {
+    return this.handlers.has(taskId);
   }
 
   /**
-   * Execute market analysis tasks
+   * Context passed to every handler: the catalog task, its abort signal and the shared managers
    */
-  async executeMarketTask(task, parameters) {
-    const { task_id } = task;
-    
-    switch (task_id) {
-      case 'MKT001': // Real-time Intelligence
-        return await this.gatherMarketIntelligence(parameters);
-      case 'MKT002': // Strategic Partnerships
-        return await this.identifyPartnerships(parameters);
-      default:
-        throw new Error(`Unknown market task: ${task_id}`);
-    }
-  }
-
-  /**
-   * Execute user support tasks
-   */
-  async executeSupportTask(task, parameters) {
-    const { task_id } = task;
-    
-    switch (task_id) {
-      case 'SUP001': // 24/7 Support
-        return await this.provideSupport(parameters);
-      case 'SUP002': // User Onboarding
-        return await this.onboardUser(parameters);
-      default:
-        throw new Error(`Unknown support task: ${task_id}`);
-    }
-  }
-
-  /**
-   * Execute educational tasks
-   */
-  async executeEducationalTask(task, parameters) {
-    const { task_id } = task;
-    
-    switch (task_id) {
-      case 'EDU001': // M&A Modules
-        return await this.deliverEducation(parameters);
-      case 'EDU002': // Personalized Coaching
-        return await this.provideCoaching(parameters);
-      default:
-        throw new Error(`Unknown educational task: ${task_id}`);
-    }
-  }
-
-  /**
-   * Execute technical operations tasks
-   */
-  async executeTechnicalTask(task, parameters) {
-    const { task_id } = task;
-    
-    switch (task_id) {
-      case 'TEC001': // System Monitoring
-        return await this.monitorSystem(parameters);
-      case 'TEC002': // Contract Deployment
-        return await this.deployContract(parameters);
-      default:
-        throw new Error(`Unknown technical task: ${task_id}`);
-    }
+  createContext(task, signal = null) {
+    return {
+      task,
+      signal,
+      companyManager: this.companyManager,
+      mergerEngine: this.mergerEngine,
+      daoManager: this.daoManager,
+      clock: this.clock,
+      random: this.random,
+      logger: this.logger
+    };
   }
 
   // Implementation methods for each task type
 
   async monitorNetwork(params) {
+    const { network_endpoint = this.config.endpoints?.[0] || null, validator_addresses = [] } = params;
+
     // Simulate network monitoring
     const networkStats = {
-      block_height: Math.floor(Math.random() * 1000000),
-      transactions_per_second: Math.floor(Math.random() * 1000),
-      network_load: Math.floor(Math.random() * 100),
-      validator_count: 3200 + Math.floor(Math.random() * 200)
+      block_height: this.random.int(0, 999999),
+      transactions_per_second: this.random.int(0, 999),
+      network_load: this.random.int(0, 99),
+      validator_count: this.random.int(3200, 3399)
     };
-    
+
     return {
       status: 'success',
+      network_endpoint,
+      validators_monitored: validator_addresses.length,
       data: networkStats,
-      timestamp: new Date().toISOString()
+      timestamp: this.clock.toISOString()
     };
   }
 
-  async createESDTToken(params) {
-    const { company_name, ticker, supply, decimals } = params;
-    
+  async createESDTToken(params, { signal } = {}) {
+    const {
+      company_name = params.name,
+      ticker,
+      supply,
+      decimals = 18,
+      distribution = {}
+    } = params;
+
     // Simulate ESDT token creation
-    const tokenId = `${ticker}-${Math.random().toString(36).substring(2, 8)}`;
-    
+    const tokenId = `${ticker}-${this.random.hex(6)}`;
+
+    // Catalog flat percentages take precedence over the tool-call distribution object
+    const percentages = {
+      founder: params.founder_pct ?? distribution.founder ?? 25,
+      employees: params.employees_pct ?? distribution.employees ?? 20,
+      public: params.public_pct ?? distribution.public ?? 30,
+      treasury: params.treasury_pct ?? distribution.treasury ?? 25
+    };
+    const allocate = (pct) => Math.floor((supply * pct) / 100);
+    const allocations = {
+      founderAllocation: allocate(percentages.founder),
+      employeeAllocation: allocate(percentages.employees),
+      publicAllocation: allocate(percentages.public)
+    };
+    // Rounding dust goes to the treasury so a full 100% split adds up to the supply exactly
+    const assigned = Object.values(allocations).reduce((sum, amount) => sum + amount, 0);
+    const split = Object.values(percentages).reduce((sum, pct) => sum + pct, 0);
+    allocations.treasuryAllocation = split === 100 ? supply - assigned : allocate(percentages.treasury);
+
+    const registration = await this.companyManager.registerCompany({
+      companyId: params.company_id || tokenId,
+      name: company_name,
+      ticker,
+      tokenAddress: tokenId,
+      totalSupply: supply,
+      ...allocations,
+      sector: params.sector,
+      signal
+    });
+
     return {
       status: 'success',
       token_id: tokenId,
+      company_id: registration.company.id,
       company_name,
       supply,
       decimals,
-      transaction_hash: '0x' + Math.random().toString(16).substring(2, 66),
-      timestamp: new Date().toISOString()
+      distribution: percentages,
+      transaction_hash: this.generateTransactionHash(),
+      timestamp: this.clock.toISOString()
     };
   }
 
-  async performDueDiligence(params) {
-    const { target_company, analysis_depth } = params;
-    
-    // Simulate AI-powered due diligence analysis
-    const analysis = {
-      financial_health: Math.floor(Math.random() * 100),
-      market_position: Math.floor(Math.random() * 100),
-      risk_assessment: ['Low', 'Medium', 'High'][Math.floor(Math.random() * 3)],
-      synergy_potential: Math.floor(Math.random() * 100),
-      recommended_action: Math.random() > 0.5 ? 'Proceed' : 'Review'
+  async executeCrosschainBridge(params) {
+    const { source_chain, target_chain, token_address, amount, recipient_address, bridge_protocol = 'default' } = params;
+
+    return {
+      status: 'success',
+      source_chain,
+      target_chain,
+      token_address,
+      amount,
+      recipient_address,
+      bridge_protocol,
+      bridge_transaction_hash: this.generateTransactionHash(),
+      confirmation_status: 'pending',
+      timestamp: this.clock.toISOString()
     };
-    
+  }
+
+  async analyzePerformance(params) {
+    const company = this.requireCompany(params.company_token || params.company_id);
+
+    const { analysis } = await this.companyManager.analyzePerformance({
+      companyId: company.id,
+      timeframe: params.time_period,
+      includeComparisons: params.metrics_types?.includes('market') || false,
+      includePredictions: params.include_predictions || false
+    });
+
     return {
       status: 'success',
-      target_company,
       analysis,
-      confidence_score: Math.floor(Math.random() * 40) + 60,
-      timestamp: new Date().toISOString()
+      timestamp: this.clock.toISOString()
     };
   }
 
-  async createProposal(params) {
-    const { title, description, quorum, threshold } = params;
-    
-    const proposalId = Math.floor(Math.random() * 1000000);
-    
+  async optimizeDistribution(params, { signal } = {}) {
+    const company = this.requireCompany(params.company_token || params.company_id);
+
+    const { optimization } = await this.companyManager.optimizeDistribution({
+      companyId: company.id,
+      optimizationGoals: params.optimization_goals,
+      constraints: params.constraints,
+      simulateOnly: params.simulate_only,
+      signal
+    });
+
+    return {
+      status: 'success',
+      optimization,
+      timestamp: this.clock.toISOString()
+    };
+  }
+
+  async manageVesting(params, { signal } = {}) {
+    const company = this.requireCompany(params.company_token || params.company_id);
+    const { employee_list = [], vesting_schedule = {}, cliff_period } = params;
+
+    const schedule = { ...vesting_schedule, cliff_period: cliff_period ?? vesting_schedule.cliff_period };
+
+    const vesting_contracts = [];
+    for (const employee of employee_list) {
+      const { address, id, ...grant } = typeof employee === 'string' ? { address: employee } : employee;
+      const outcome = await this.companyManager.manageEmployeeVesting({
+        companyId: company.id,
+        action: 'add_employee',
+        employeeId: id || address,
+        vestingParams: this.toVestingParams({ ...schedule, ...grant }),
+        signal
+      });
+      vesting_contracts.push({ employee_id: id || address, ...outcome.result.grant });
+    }
+
+    const status = await this.companyManager.manageEmployeeVesting({ companyId: company.id, action: 'status' });
+    const { grants, summary, ...distribution_schedule } = status.result;
+
     return {
       status: 'success',
-      proposal_id: proposalId,
+      vesting_contracts,
+      distribution_schedule,
+      automation_status: this.companyManager.running ? 'active' : 'paused',
+      timestamp: this.clock.toISOString()
+    };
+  }
+
+  async performDueDiligence(params) {
+    const { target_company, acquirer_company, analysis_depth = 'comprehensive', risk_tolerance = 'moderate' } = params;
+
+    const targetCompany = this.resolveMergerProfile(target_company);
+    const acquirerCompany = this.resolveMergerProfile(acquirer_company || { name: 'Acquirer' });
+
+    const { analysis } = await this.mergerEngine.performDueDiligence({
+      targetCompany,
+      acquirerCompany,
+      analysisDepth: analysis_depth
+    });
+
+    return {
+      status: 'success',
+      target_company: targetCompany.name,
+      risk_tolerance,
+      analysis: {
+        financial_health: Math.round(analysis.financial_analysis.health_score),
+        market_position: analysis.market_analysis.competitive_position,
+        risk_assessment: analysis.risk_assessment.risk_level,
+        synergy_potential: Math.round(analysis.synergy_analysis.synergy_score),
+        recommended_action: analysis.recommendation.action
+      },
+      report: analysis,
+      confidence_score: Number(analysis.recommendation.confidence),
+      timestamp: this.clock.toISOString()
+    };
+  }
+
+  async calculateValuations(params) {
+    const { company_a_metrics, company_b_metrics, market_conditions = {} } = params;
+
+    const { result } = await this.mergerEngine.calculateValuations({
+      acquirerCompany: this.resolveMergerProfile(company_a_metrics),
+      targetCompany: this.resolveMergerProfile(company_b_metrics),
+      valuationMethods: market_conditions.valuation_methods,
+      premiumRange: market_conditions.premium_range
+    });
+
+    return {
+      status: 'success',
+      ...result
+    };
+  }
+
+  async integratePostMerger(params, { signal } = {}) {
+    const { merger_terms = {}, integration_timeline = {} } = params;
+
+    // Accept the tool-call shape (tokenA/tokenB/exchangeRatio/lockPeriod) alongside merger_terms
+    const ratio = merger_terms.exchange_ratio ?? params.exchangeRatio;
+    const lockPeriodSeconds = params.lockPeriod;
+
+    const { integration } = await this.mergerEngine.executePostMergerIntegration({
+      mergerId: merger_terms.merger_id || `MERGER_${this.clock.now()}_${this.random.string(6)}`,
+      targetTokens: merger_terms.target_tokens ?? 0,
+      acquirerTokens: merger_terms.acquirer_tokens ?? 0,
+      exchangeRatio: typeof ratio === 'object' ? ratio : { ratio: ratio ?? 1 },
+      lockupPeriod: integration_timeline.lockup_period_days
+        ?? (lockPeriodSeconds ? Math.ceil(lockPeriodSeconds / 86400) : undefined),
+      targetToken: merger_terms.target_token || params.tokenB,
+      acquirerToken: merger_terms.acquirer_token || params.tokenA,
+      signal
+    });
+
+    return {
+      status: 'success',
+      integration,
+      timestamp: this.clock.toISOString()
+    };
+  }
+
+  async createProposal(params, { signal } = {}) {
+    const { proposal_type, proposal_details = {}, voting_parameters = {} } = params;
+
+    const title = params.title || proposal_details.title;
+    const description = params.description || proposal_details.description || '';
+    const votingWindow = params.voting_window ?? voting_parameters.duration;
+
+    const { proposal_id, proposal } = await this.daoManager.createProposal({
       title,
       description,
-      quorum_required: quorum,
-      threshold_required: threshold,
-      voting_period: 7, // days
-      created_at: new Date().toISOString()
+      proposer: params.proposer || proposal_details.proposer,
+      category: proposal_type || params.category,
+      executionContract: proposal_details.execution_contract,
+      executionFunction: proposal_details.execution_function,
+      executionParams: proposal_details.execution_params,
+      customQuorum: params.quorum ?? voting_parameters.quorum,
+      customThreshold: params.threshold ?? voting_parameters.threshold,
+      customVotingPeriod: votingWindow ? votingWindow / 86400 : null,
+      signal
+    });
+
+    return {
+      status: 'success',
+      proposal_id,
+      title,
+      description,
+      quorum_required: proposal.governance_params.quorum_threshold,
+      threshold_required: proposal.governance_params.approval_threshold,
+      voting_period: proposal.governance_params.voting_period_days,
+      voting_ends_at: proposal.voting_ends_at,
+      created_at: proposal.created_at
+    };
+  }
+
+  async monitorVotes(params) {
+    const { active_proposals = [], monitoring_period, include_history = false } = params;
+
+    const { results } = await this.daoManager.monitorVotes({ includeHistory: include_history });
+
+    if (active_proposals.length > 0) {
+      results.active_proposals = results.active_proposals.filter(p => active_proposals.includes(p.id));
+      results.recent_votes = results.recent_votes.filter(v => active_proposals.includes(v.proposal_id));
+    }
+
+    return {
+      status: 'success',
+      monitoring_period,
+      results,
+      timestamp: this.clock.toISOString()
+    };
+  }
+
+  async executeDecision(params, { signal } = {}) {
+    const { approved_proposal, execution_parameters = {} } = params;
+
+    const proposalId = typeof approved_proposal === 'object'
+      ? approved_proposal.proposal_id || approved_proposal.id
+      : approved_proposal;
+
+    const { execution, final_result } = await this.daoManager.executeDecision({
+      proposalId,
+      executor: execution_parameters.executor || 'agent',
+      gasLimit: execution_parameters.gas_limit,
+      forceExecution: execution_parameters.force_execution,
+      signal
+    });
+
+    return {
+      status: 'success',
+      execution_status: execution.status,
+      execution,
+      final_result,
+      timestamp: this.clock.toISOString()
+    };
+  }
+
+  async gatherMarketIntelligence(params) {
+    const { market_segments = [], competitor_list = [], intelligence_scope = 'global' } = params;
+
+    const companies = this.companyManager.getAllCompanies()
+      .filter(c => market_segments.length === 0 || market_segments.includes(c.metadata.sector.toLowerCase()));
+
+    const segments = {};
+    for (const company of companies) {
+      const sector = company.metadata.sector;
+      segments[sector] = segments[sector] || { companies: 0, total_market_cap: 0, total_volume_24h: 0 };
+      segments[sector].companies += 1;
+      segments[sector].total_market_cap += company.performance.market_cap;
+      segments[sector].total_volume_24h += company.performance.volume_24h;
+    }
+
+    return {
+      status: 'success',
+      intelligence_scope,
+      segments,
+      competitors: companies
+        .filter(c => competitor_list.includes(c.id) || competitor_list.includes(c.ticker))
+        .map(c => ({ id: c.id, name: c.name, ticker: c.ticker, performance: c.performance })),
+      timestamp: this.clock.toISOString()
+    };
+  }
+
+  async identifyPartnerships(params) {
+    const { partnership_criteria = {}, target_sectors = [] } = params;
+
+    const candidates = this.companyManager.getAllCompanies()
+      .filter(c => target_sectors.length === 0 || target_sectors.includes(c.metadata.sector.toLowerCase()))
+      .filter(c => !partnership_criteria.min_market_cap || c.performance.market_cap >= partnership_criteria.min_market_cap);
+
+    return {
+      status: 'success',
+      partnership_recommendations: candidates.map(c => ({
+        company_id: c.id,
+        name: c.name,
+        sector: c.metadata.sector
+      })),
+      timestamp: this.clock.toISOString()
     };
   }
 
   async monitorSystem(params) {
     const systemHealth = {
       uptime: '99.98%',
-      response_time: Math.floor(Math.random() * 500) + 100,
-      memory_usage: Math.floor(Math.random() * 40) + 30,
-      cpu_usage: Math.floor(Math.random() * 60) + 20,
-      active_connections: Math.floor(Math.random() * 1000) + 500
+      response_time: this.random.int(100, 599),
+      memory_usage: this.random.int(30, 69),
+      cpu_usage: this.random.int(20, 79),
+      active_connections: this.random.int(500, 1499)
     };
-    
+
     return {
       status: 'success',
       system_health: systemHealth,
       alerts: [],
-      timestamp: new Date().toISOString()
+      timestamp: this.clock.toISOString()
     };
   }
 
   // Placeholder implementations for other methods
-  async executeCrosschainBridge(params) { return this.createMockResponse('crosschain_bridge', params); }
-  async analyzePerformance(params) { return this.createMockResponse('performance_analysis', params); }
-  async optimizeDistribution(params) { return this.createMockResponse('distribution_optimization', params); }
-  async manageVesting(params) { return this.createMockResponse('vesting_management', params); }
-  async calculateValuations(params) { return this.createMockResponse('valuation_calculation', params); }
-  async integratePostMerger(params) { return this.createMockResponse('post_merger_integration', params); }
-  async monitorVotes(params) { return this.createMockResponse('vote_monitoring', params); }
-  async executeDecision(params) { return this.createMockResponse('decision_execution', params); }
-  async gatherMarketIntelligence(params) { return this.createMockResponse('market_intelligence', params); }
-  async identifyPartnerships(params) { return this.createMockResponse('partnership_identification', params); }
   async provideSupport(params) { return this.createMockResponse('user_support', params); }
   async onboardUser(params) { return this.createMockResponse('user_onboarding', params); }
   async deliverEducation(params) { return this.createMockResponse('educational_delivery', params); }
   async provideCoaching(params) { return this.createMockResponse('personalized_coaching', params); }
   async deployContract(params) { return this.createMockResponse('contract_deployment', params); }
 
+  // Parameter mapping helpers
+
+  requireCompany(identifier) {
+    const company = this.companyManager.getCompany(identifier);
+    if (!company) {
+      throw DomainError.notFound(`Company ${identifier} not found`);
+    }
+    return company;
+  }
+
+  /**
+   * Map a CMP003 grant (catalog snake_case, durations in months) onto
+   * CompanyManager vesting parameters
+   */
+  toVestingParams(grant) {
+    const { acceleration } = grant;
+    return {
+      amount: grant.amount ?? grant.allocation,
+      startDate: grant.start_date,
+      cliffMonths: grant.cliff_period,
+      durationMonths: grant.vesting_duration,
+      releaseFrequency: grant.release_frequency,
+      curve: grant.curve,
+      tranches: grant.tranches,
+      acceleration: acceleration && {
+        trigger: acceleration.trigger,
+        percentage: acceleration.percentage,
+        windowMonths: acceleration.window_months
+      }
+    };
+  }
+
+  /**
+   * Resolve a catalog company reference (ID, ticker, token or inline metrics)
+   * into the profile shape MergerEngine works with
+   */
+  resolveMergerProfile(reference) {
+    const company = typeof reference === 'string'
+      ? this.companyManager.getCompany(reference)
+      : null;
+
+    if (company) {
+      return {
+        id: company.id,
+        name: company.name,
+        ticker: company.ticker,
+        sector: company.metadata.sector,
+        marketCap: company.performance.market_cap,
+        tokenSupply: company.token.total_supply
+      };
+    }
+
+    return typeof reference === 'string' ? { name: reference } : { ...reference };
+  }
+
+  generateTransactionHash() {
+    return '0x' + this.random.hex(64);
+  }
+
   createMockResponse(operation, params) {
     return {
       status: 'success',
       operation,
       parameters: params,
       result: 'Mock implementation - replace with real logic',
-      timestamp: new Date().toISOString()
+      timestamp: this.clock.toISOString()
     };
   }
 }
@@ -0,0 +1,47 @@
+/**
+ * Domain Errors
+ * The error catalogue for requests the managers refuse: unknown resources, invalid options
+ * and operations that conflict with the current state
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+/**
+ * Error catalogue: every code a DomainError can carry, with its HTTP status
+ * Field-level input problems are ValidationErrors; company registry and invariant failures are CompanyErrors.
+ */
+export const DOMAIN_ERRORS = {
+  INVALID_REQUEST: { status: 400, description: 'An amount, option or action type is not acceptable' },
+  INVALID_SCHEDULE: { status: 400, description: 'A cron expression is missing or invalid' },
+  FORBIDDEN: { status: 403, description: 'The player does not own the resource' },
+  NOT_FOUND: { status: 404, description: 'A company, proposal, job, session or other resource does not exist' },
+  CONFLICT: { status: 409, description: 'The operation is not allowed in the current state (already done, closed, insufficient balance)' }
+};
+
+/**
+ * DomainError - Request refused by a manager, with a DOMAIN_ERRORS code
+ */
+export class DomainError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'DomainError';
+    this.code = code;
+    this.status = DOMAIN_ERRORS[code]?.status || 500;
+    this.details = details;
+  }
+
+  static invalid(message, details) {
+    return new DomainError('INVALID_REQUEST', message, details);
+  }
+
+  static notFound(message, details) {
+    return new DomainError('NOT_FOUND', message, details);
+  }
+
+  static conflict(message, details) {
+    return new DomainError('CONFLICT', message, details);
+  }
+}
+
+export default DomainError;
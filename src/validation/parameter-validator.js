@@ -0,0 +1,258 @@
+/**
+ * Parameter Validator
+ * Typed task parameter validation driven by the MultiversX tool-call specifications
+ * Maps catalog tasks onto their tool specs and reports per-field errors
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+/**
+ * ValidationError - Thrown when task parameters fail validation
+ * Carries the structured per-field error list in `errors`
+ */
+export class ValidationError extends Error {
+  constructor(errors) {
+    super(ValidationError.formatMessage(errors));
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+
+  static formatMessage(errors) {
+    const missing = errors.filter(e => e.code === 'required').map(e => e.field);
+    const invalid = errors.filter(e => e.code !== 'required').map(e => `${e.field} (${e.message})`);
+
+    const parts = [];
+    if (missing.length > 0) parts.push(`Missing required parameters: ${missing.join(', ')}`);
+    if (invalid.length > 0) parts.push(`Invalid parameters: ${invalid.join(', ')}`);
+    return parts.join('; ');
+  }
+}
+
+/**
+ * ParameterValidator - Builds per-task schemas from the task and tool-call catalogs
+ *
+ * Tool-spec parameters carry their own type, required flag, default and
+ * constraints. Catalog parameters without a tool-spec entry are untyped: they
+ * are optional when the task has a tool spec, and required when the catalog
+ * is the only description of the task.
+ */
+export class ParameterValidator {
+  constructor(taskCatalog, toolCatalog = {}) {
+    this.toolsByTask = this.indexTools(toolCatalog);
+    this.schemas = new Map();
+
+    for (const category of Object.values(taskCatalog.task_categories || {})) {
+      for (const task of Object.values(category.tasks || {})) {
+        this.schemas.set(task.task_id, this.buildSchema(task));
+      }
+    }
+  }
+
+  /**
+   * Index tool specs by the catalog task they implement
+   */
+  indexTools(toolCatalog) {
+    const index = new Map();
+
+    for (const [groupKey, group] of Object.entries(toolCatalog)) {
+      if (groupKey === 'tool_calls_metadata' || groupKey === 'integration_examples') continue;
+
+      for (const tool of Object.values(group)) {
+        if (tool.task_id) {
+          index.set(tool.task_id, tool);
+        }
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Build the parameter schema for a catalog task
+   */
+  buildSchema(task) {
+    const tool = this.toolsByTask.get(task.task_id) || null;
+    const parameters = {};
+
+    for (const [name, spec] of Object.entries(tool?.parameters || {})) {
+      parameters[name] = { ...spec, required: spec.required === true };
+    }
+
+    for (const name of task.parameters || []) {
+      if (!parameters[name]) {
+        parameters[name] = { type: 'any', required: tool === null };
+      }
+    }
+
+    return {
+      task_id: task.task_id,
+      tool: tool?.name || null,
+      parameters
+    };
+  }
+
+  getSchema(taskId) {
+    return this.schemas.get(taskId) || null;
+  }
+
+  /**
+   * Register the schema of a task defined outside the catalogs (plugin tasks)
+   * @param {string} taskId - Task identifier
+   * @param {object|Array<string>} parameters - Typed parameter specs, or a list of required names
+   */
+  registerSchema(taskId, parameters = {}) {
+    const schema = Array.isArray(parameters)
+      ? this.buildSchema({ task_id: taskId, parameters })
+      : {
+        task_id: taskId,
+        tool: null,
+        parameters: Object.fromEntries(Object.entries(parameters)
+          .map(([name, spec]) => [name, { ...spec, required: spec.required === true }]))
+      };
+
+    this.schemas.set(taskId, schema);
+    return schema;
+  }
+
+  removeSchema(taskId) {
+    return this.schemas.delete(taskId);
+  }
+
+  /**
+   * Validate parameters for a task
+   * @param {object} task - Catalog task (ad-hoc tasks fall back to their parameters list)
+   * @param {object} params - Provided parameters
+   * @returns {{valid: boolean, errors: Array<object>, parameters: object}}
+   */
+  validate(task, params = {}) {
+    const schema = this.getSchema(task.task_id) || this.buildSchema(task);
+    const errors = [];
+    const parameters = { ...params };
+
+    for (const [name, spec] of Object.entries(schema.parameters)) {
+      const { value, present } = this.resolveValue(params, name, spec.aliases);
+
+      if (!present) {
+        if (spec.default !== undefined) {
+          parameters[name] = structuredClone(spec.default);
+        } else if (spec.required) {
+          errors.push({
+            field: name,
+            code: 'required',
+            message: 'is required',
+            ...(spec.aliases ? { aliases: spec.aliases } : {})
+          });
+        }
+        continue;
+      }
+
+      errors.push(...this.checkValue(name, value, spec));
+    }
+
+    return { valid: errors.length === 0, errors, parameters };
+  }
+
+  /**
+   * Validate and throw a ValidationError on failure
+   */
+  assertValid(task, params = {}) {
+    const result = this.validate(task, params);
+    if (!result.valid) {
+      throw new ValidationError(result.errors);
+    }
+    return result.parameters;
+  }
+
+  // Helper methods
+
+  resolveValue(params, name, aliases = []) {
+    for (const path of [name, ...aliases]) {
+      const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), params);
+      if (value !== undefined && value !== null) {
+        return { value, present: true };
+      }
+    }
+    return { value: undefined, present: false };
+  }
+
+  checkValue(field, value, spec) {
+    const errors = [];
+    const types = Array.isArray(spec.type) ? spec.type : [spec.type || 'any'];
+
+    if (!types.some(type => this.matchesType(value, type))) {
+      return [{
+        field,
+        code: 'type',
+        message: `expected ${types.join(' or ')}, received ${this.describeType(value)}`,
+        expected: types,
+        received: this.describeType(value)
+      }];
+    }
+
+    if (typeof value === 'string') {
+      if (spec.minLength !== undefined && value.length < spec.minLength) {
+        errors.push({ field, code: 'minLength', message: `must be at least ${spec.minLength} characters` });
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        errors.push({ field, code: 'maxLength', message: `must be at most ${spec.maxLength} characters` });
+      }
+      if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+        errors.push({ field, code: 'pattern', message: `must match ${spec.pattern}` });
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (spec.minimum !== undefined && value < spec.minimum) {
+        errors.push({ field, code: 'minimum', message: `must be >= ${spec.minimum}` });
+      }
+      if (spec.maximum !== undefined && value > spec.maximum) {
+        errors.push({ field, code: 'maximum', message: `must be <= ${spec.maximum}` });
+      }
+    }
+
+    if (spec.properties && this.matchesType(value, 'object')) {
+      for (const [key, propertySpec] of Object.entries(spec.properties)) {
+        if (value[key] === undefined || value[key] === null) {
+          if (propertySpec.required === true) {
+            errors.push({ field: `${field}.${key}`, code: 'required', message: 'is required' });
+          }
+          continue;
+        }
+        errors.push(...this.checkValue(`${field}.${key}`, value[key], propertySpec));
+      }
+    }
+
+    return errors;
+  }
+
+  matchesType(value, type) {
+    switch (type) {
+      case 'any':
+        return true;
+      case 'string':
+        return typeof value === 'string';
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+      default:
+        return false;
+    }
+  }
+
+  describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && !Number.isFinite(value)) return 'non-finite number';
+    return typeof value;
+  }
+}
+
+export default ParameterValidator;
@@ -0,0 +1,304 @@
+/**
+ * Workflow Runner
+ * Resolves a goal task's dependency graph from the catalog and executes it
+ * Independent steps run in parallel; outputs flow into dependent steps' parameters
+ *
+ * @author George Pricop (@Gzeu)
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * Default output-to-parameter bindings between catalog tasks.
+ * A binding is either a `TASK.path` reference into a completed step's result
+ * or a function `(outputs, params) => value`. Explicit step parameters win.
+ */
+export const DEFAULT_BINDINGS = {
+  CMP001: { company_token: 'BLK002.token_id' },
+  CMP002: { company_token: 'BLK002.token_id' },
+  CMP003: { company_token: 'BLK002.token_id' },
+  MRG001: { acquirer_company: 'BLK002.company_id' },
+  MRG002: {
+    company_a_metrics: 'MRG001.report.acquirer',
+    company_b_metrics: 'MRG001.report.target'
+  },
+  MRG003: {
+    merger_terms: (outputs, params) => outputs.MRG002 && {
+      exchange_ratio: outputs.MRG002.exchange_ratio.ratio,
+      acquirer_token: outputs.BLK002?.token_id,
+      ...params.merger_terms
+    }
+  },
+  GOV002: { active_proposals: (outputs) => outputs.GOV001 && [outputs.GOV001.proposal_id] },
+  GOV003: { approved_proposal: 'GOV001.proposal_id' },
+  BLK003: { token_address: 'BLK002.token_id' }
+};
+
+/**
+ * WorkflowError - Raised for unknown tasks, dependency cycles and invalid resumes
+ */
+export class WorkflowError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.details = details;
+  }
+}
+
+/**
+ * WorkflowRunner - Executes catalog task DAGs through the agent
+ */
+export class WorkflowRunner extends EventEmitter {
+  constructor(agent, config = {}) {
+    super();
+    this.agent = agent;
+    this.config = {
+      bindings: { ...DEFAULT_BINDINGS, ...config.bindings },
+      maxRuns: config.maxRuns || 100,
+      ...config
+    };
+
+    // Completed and failed runs, kept for inspection and resume
+    this.runs = new Map();
+  }
+
+  /**
+   * Resolve the dependency DAG for a goal task
+   * @returns {{goal: string, order: string[], dependencies: object}} order is topological
+   * @throws {WorkflowError} On unknown tasks or dependency cycles
+   */
+  resolvePlan(goalTaskId) {
+    const order = [];
+    const dependencies = {};
+    const state = new Map(); // taskId -> 'visiting' | 'done'
+
+    const visit = (taskId, path) => {
+      if (state.get(taskId) === 'done') return;
+      if (state.get(taskId) === 'visiting') {
+        const cycle = [...path.slice(path.indexOf(taskId)), taskId];
+        throw new WorkflowError(`Dependency cycle detected: ${cycle.join(' -> ')}`, { cycle });
+      }
+
+      const task = this.agent.findTaskById(taskId);
+      if (!task) {
+        throw new WorkflowError(`Task ${taskId} not found in catalog`, { taskId, path });
+      }
+
+      state.set(taskId, 'visiting');
+      dependencies[taskId] = [...(task.dependencies || [])];
+      for (const dependency of dependencies[taskId]) {
+        visit(dependency, [...path, taskId]);
+      }
+      state.set(taskId, 'done');
+      order.push(taskId);
+    };
+
+    visit(goalTaskId, []);
+    return { goal: goalTaskId, order, dependencies };
+  }
+
+  /**
+   * Run a goal task and all its prerequisites
+   * @param {string} goalTaskId - Catalog task to reach (e.g. 'MRG003')
+   * @param {object} options
+   * @param {object} options.parameters - Parameters shared by every step
+   * @param {object} options.stepParameters - Per-task parameters, keyed by task ID
+   * @param {object} options.bindings - Extra/override output bindings, keyed by task ID
+   * @returns {Promise<object>} Run record with a per-step trace
+   */
+  async run(goalTaskId, options = {}) {
+    const plan = this.resolvePlan(goalTaskId);
+
+    const run = {
+      run_id: `WF_${this.agent.clock.now()}_${this.agent.random.string(6)}`,
+      goal: goalTaskId,
+      status: 'running',
+      plan,
+      options,
+      steps: Object.fromEntries(plan.order.map(taskId => [taskId, this.createStep(taskId, plan)])),
+      outputs: {},
+      started_at: new Date().toISOString(),
+      finished_at: null
+    };
+
+    this.storeRun(run);
+    this.emit('workflowStarted', { runId: run.run_id, goal: goalTaskId, steps: plan.order });
+
+    return this.execute(run);
+  }
+
+  /**
+   * Resume a failed run: completed steps are reused, failed and skipped steps run again
+   * @param {string} runId - Run to resume
+   * @param {object} options - Parameter overrides merged over the original options
+   */
+  async resume(runId, options = {}) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      throw new WorkflowError(`Workflow run ${runId} not found`, { runId });
+    }
+    if (run.status === 'running') {
+      throw new WorkflowError(`Workflow run ${runId} is still running`, { runId });
+    }
+    if (run.status === 'completed') {
+      return this.summarize(run);
+    }
+
+    run.options = {
+      parameters: { ...run.options.parameters, ...options.parameters },
+      stepParameters: { ...run.options.stepParameters, ...options.stepParameters },
+      bindings: { ...run.options.bindings, ...options.bindings }
+    };
+
+    for (const step of Object.values(run.steps)) {
+      if (step.status !== 'completed') {
+        Object.assign(step, this.createStep(step.task_id, run.plan), { attempts: step.attempts });
+      }
+    }
+
+    run.status = 'running';
+    run.finished_at = null;
+    this.emit('workflowResumed', { runId, goal: run.goal });
+
+    return this.execute(run);
+  }
+
+  getRun(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  // Execution internals
+
+  async execute(run) {
+    const pending = new Map();
+
+    // Each step starts as soon as all of its dependencies have settled
+    const schedule = (taskId) => {
+      if (!pending.has(taskId)) {
+        const dependencies = run.plan.dependencies[taskId];
+        pending.set(taskId, Promise.all(dependencies.map(schedule)).then(() => this.executeStep(run, taskId)));
+      }
+      return pending.get(taskId);
+    };
+
+    await schedule(run.goal);
+
+    run.status = Object.values(run.steps).every(step => step.status === 'completed') ? 'completed' : 'failed';
+    run.finished_at = new Date().toISOString();
+
+    this.emit(run.status === 'completed' ? 'workflowCompleted' : 'workflowFailed', {
+      runId: run.run_id,
+      goal: run.goal,
+      failedSteps: Object.values(run.steps).filter(step => step.status === 'failed').map(step => step.task_id)
+    });
+
+    return this.summarize(run);
+  }
+
+  async executeStep(run, taskId) {
+    const step = run.steps[taskId];
+    if (step.status === 'completed') return;
+
+    const blockedBy = run.plan.dependencies[taskId].filter(dep => run.steps[dep].status !== 'completed');
+    if (blockedBy.length > 0) {
+      step.status = 'skipped';
+      step.error = `Blocked by ${blockedBy.join(', ')}`;
+      return;
+    }
+
+    step.status = 'running';
+    step.attempts += 1;
+    step.started_at = new Date().toISOString();
+    step.parameters = this.buildParameters(run, taskId);
+
+    const result = await this.agent.executeTask(taskId, step.parameters);
+
+    step.finished_at = new Date().toISOString();
+    step.duration_ms = new Date(step.finished_at) - new Date(step.started_at);
+
+    if (result.success) {
+      step.status = 'completed';
+      step.result = result.result;
+      run.outputs[taskId] = result.result;
+      this.emit('stepCompleted', { runId: run.run_id, taskId });
+    } else {
+      step.status = 'failed';
+      step.error = result.error;
+      if (result.validation_errors) step.validation_errors = result.validation_errors;
+      this.emit('stepFailed', { runId: run.run_id, taskId, error: result.error });
+    }
+  }
+
+  /**
+   * Merge shared parameters, bound outputs and explicit step parameters (in that order)
+   */
+  buildParameters(run, taskId) {
+    const { parameters = {}, stepParameters = {}, bindings = {} } = run.options;
+    const explicit = { ...parameters, ...stepParameters[taskId] };
+    const taskBindings = { ...this.config.bindings[taskId], ...bindings[taskId] };
+
+    const bound = {};
+    for (const [name, binding] of Object.entries(taskBindings)) {
+      const value = typeof binding === 'function'
+        ? binding(run.outputs, explicit)
+        : this.resolveReference(binding, run.outputs);
+
+      if (value !== undefined && value !== null) {
+        bound[name] = value;
+      }
+    }
+
+    // Function bindings may merge explicit values themselves; references never override them
+    const merged = { ...bound };
+    for (const [name, value] of Object.entries(explicit)) {
+      if (typeof taskBindings[name] !== 'function' || bound[name] === undefined) {
+        merged[name] = value;
+      }
+    }
+    return merged;
+  }
+
+  resolveReference(reference, outputs) {
+    const [taskId, ...path] = reference.split('.');
+    return path.reduce((value, key) => (value == null ? undefined : value[key]), outputs[taskId]);
+  }
+
+  createStep(taskId, plan) {
+    return {
+      task_id: taskId,
+      depends_on: plan.dependencies[taskId],
+      status: 'pending',
+      attempts: 0,
+      parameters: null,
+      result: null,
+      error: null,
+      started_at: null,
+      finished_at: null,
+      duration_ms: null
+    };
+  }
+
+  summarize(run) {
+    return {
+      run_id: run.run_id,
+      goal: run.goal,
+      status: run.status,
+      order: run.plan.order,
+      trace: run.plan.order.map(taskId => ({ ...run.steps[taskId] })),
+      outputs: run.outputs,
+      started_at: run.started_at,
+      finished_at: run.finished_at
+    };
+  }
+
+  storeRun(run) {
+    this.runs.set(run.run_id, run);
+    if (this.runs.size > this.config.maxRuns) {
+      const oldest = this.runs.keys().next().value;
+      this.runs.delete(oldest);
+    }
+  }
+}
+
+export default WorkflowRunner;
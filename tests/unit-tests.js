@@ -7,10 +7,33 @@
  */
 
 import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import WebSocket from 'ws';
 import { CorporateMergeTycoonAgent } from '../src/agent.js';
 import { TaskExecutor } from '../src/task-executor.js';
 import { MultiversXClient } from '../src/blockchain/multiversx-client.js';
 import { DAOManager } from '../src/governance/dao-manager.js';
+import { CompanyManager } from '../src/company/company-manager.js';
+import { CompanyError } from '../src/company/company-validation.js';
+import { MarketModel } from '../src/company/market-model.js';
+import { POOL_ACCOUNT } from '../src/amm/amm-manager.js';
+import { ValidationError } from '../src/validation/parameter-validator.js';
+import { ApiServer } from '../src/api/api-server.js';
+import { WorkflowError } from '../src/workflow/workflow-runner.js';
+import { TaskScheduler } from '../src/scheduler/task-scheduler.js';
+import { ExecutionQueue, TaskTimeoutError, classifyError } from '../src/queue/execution-queue.js';
+import { PrometheusExporter, parseDuration } from '../src/monitoring/prometheus-exporter.js';
+import { McpServer, ERROR_CODES } from '../src/mcp/mcp-server.js';
+import { PassThrough } from 'stream';
+import { TycoonCli, EXIT_CODES } from '../src/cli/tycoon-cli.js';
+import { StateStore } from '../src/storage/state-store.js';
+import { migrate, SCHEMA_VERSION } from '../src/storage/migrations.js';
+import { SnapshotError, SNAPSHOT_FORMAT, SNAPSHOT_VERSION } from '../src/storage/snapshot-manager.js';
+import { SimulationClock } from '../src/clock/simulation-clock.js';
+import { SeededRandom } from '../src/random/seeded-random.js';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 describe('Corporate Merge Tycoon Agent', () => {
   let agent;
@@ -34,6 +57,7 @@ describe('Corporate Merge Tycoon Agent', () => {
   });
 
   afterEach(() => {
+    agent.dispose();
     agent = null;
   });
 
@@ -42,6 +66,7 @@ describe('Corporate Merge Tycoon Agent', () => {
       const defaultAgent = new CorporateMergeTycoonAgent();
       expect(defaultAgent.config.network).toBe('mainnet');
       expect(defaultAgent.config.endpoints).toContain('https://gateway.multiversx.com');
+      defaultAgent.dispose();
     });
 
     test('should initialize with custom config', () => {
@@ -128,6 +153,44 @@ describe('Corporate Merge Tycoon Agent', () => {
       expect(result.executionTime).toBeGreaterThan(0);
     });
 
+    test('should register the created token with the company manager', async () => {
+      const result = await agent.executeTask('BLK002', {
+        company_name: 'TestCorp',
+        ticker: 'TEST',
+        supply: 1000000,
+        decimals: 18,
+        founder_pct: 25,
+        employees_pct: 20,
+        public_pct: 30,
+        treasury_pct: 25
+      });
+
+      const company = agent.companyManager.getCompany(result.result.token_id);
+      expect(company).toBeDefined();
+      expect(company.token.allocations.treasury).toBe(250000);
+    });
+
+    test('should route governance tasks through the shared DAO manager', async () => {
+      const result = await agent.executeTask('GOV001', {
+        proposal_type: 'governance',
+        proposal_details: { title: 'Agent Proposal', description: 'Routed through the agent' },
+        voting_parameters: { quorum: 30, threshold: 60, duration: 604800 }
+      });
+
+      expect(result.success).toBeTruthy();
+      expect(agent.daoManager.getProposal(result.result.proposal_id).title).toBe('Agent Proposal');
+    });
+
+    test('should echo catalog output in demo mode', async () => {
+      const demoAgent = new CorporateMergeTycoonAgent({ network: 'testnet', mode: 'demo' });
+      const result = await demoAgent.executeTask('TEC001', { monitoring_scope: ['api'] });
+
+      expect(result.success).toBeTruthy();
+      expect(result.result.expected_output).toBeDefined();
+      expect(demoAgent.companyManager.getAllCompanies()).toHaveLength(0);
+      demoAgent.dispose();
+    });
+
     test('should handle task execution failure', async () => {
       const result = await agent.executeTask('INVALID_TASK', {});
       
@@ -135,15 +198,2459 @@ describe('Corporate Merge Tycoon Agent', () => {
       expect(result.error).toContain('not found');
     });
 
-    test('should update metrics after task execution', async () => {
-      const initialMetrics = agent.getMetrics();
-      
-      await agent.executeTask('BLK001', {});
-      
-      const updatedMetrics = agent.getMetrics();
-      expect(updatedMetrics.tasks_executed).toBe(initialMetrics.tasks_executed + 1);
-      expect(updatedMetrics.successful_executions).toBe(initialMetrics.successful_executions + 1);
+    test('should update metrics after task execution', async () => {
+      const initialMetrics = agent.getMetrics();
+      
+      await agent.executeTask('BLK001', {});
+      
+      const updatedMetrics = agent.getMetrics();
+      expect(updatedMetrics.tasks_executed).toBe(initialMetrics.tasks_executed + 1);
+      expect(updatedMetrics.successful_executions).toBe(initialMetrics.successful_executions + 1);
+    });
+  });
+});
+
+describe('Parameter Validator', () => {
+  let agent;
+  let validator;
+
+  beforeEach(() => {
+    agent = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    validator = agent.parameterValidator;
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should build schemas from tool-call specifications', () => {
+    const schema = validator.getSchema('BLK002');
+    expect(schema.tool).toBe('createESDT');
+    expect(schema.parameters.ticker.type).toBe('string');
+    expect(schema.parameters.ticker.required).toBe(true);
+    expect(schema.parameters.founder_pct.required).toBe(false);
+  });
+
+  test('should treat optional parameters as optional and apply defaults', () => {
+    const result = validator.validate(agent.findTaskById('BLK001'), {});
+
+    expect(result.valid).toBeTruthy();
+    expect(result.parameters.monitoring_interval).toBe(30);
+    expect(result.parameters.dashboard_config).toBeUndefined();
+  });
+
+  test('should report per-field type, length and nested errors', () => {
+    const result = validator.validate(agent.findTaskById('BLK002'), {
+      name: 'TechCorp',
+      ticker: 'TOOLONGTICKER',
+      supply: '1000000',
+      distribution: { founder: 'a lot', public: 130 }
+    });
+
+    expect(result.valid).toBeFalsy();
+    const byField = Object.fromEntries(result.errors.map(e => [e.field, e.code]));
+    expect(byField).toEqual({
+      ticker: 'maxLength',
+      supply: 'type',
+      decimals: 'required',
+      'distribution.founder': 'type',
+      'distribution.public': 'maximum'
+    });
+  });
+
+  test('should accept catalog parameter aliases for tool-spec fields', () => {
+    const result = validator.validate(agent.findTaskById('GOV001'), {
+      proposal_type: 'governance',
+      proposal_details: { title: 'Upgrade', description: 'New features' },
+      voting_parameters: { quorum: 30, threshold: 60, duration: 604800 }
+    });
+
+    expect(result.valid).toBeTruthy();
+  });
+
+  test('should throw ValidationError with structured errors', () => {
+    expect(() => agent.validateTaskParameters(agent.findTaskById('CMP001'), { time_period: 7 }))
+      .toThrow(ValidationError);
+  });
+
+  test('should return validation errors from executeTask', async () => {
+    const result = await agent.executeTask('BLK002', { ticker: 'tech' });
+
+    expect(result.success).toBeFalsy();
+    expect(result.validation_errors.map(e => e.field)).toEqual(
+      expect.arrayContaining(['name', 'ticker', 'supply', 'decimals'])
+    );
+  });
+});
+
+describe('Workflow Runner', () => {
+  let agent;
+
+  const mergerSteps = {
+    BLK002: { name: 'TechCorp', ticker: 'TECH', supply: 1000000, decimals: 18 },
+    CMP001: { time_period: '30d', metrics_types: ['financial'] },
+    MRG001: { target_company: { name: 'InnovaCorp' }, analysis_depth: 'basic', risk_tolerance: 'moderate' },
+    MRG002: { market_conditions: {} },
+    GOV001: { title: 'Merge', description: 'Approve merger', quorum: 1, threshold: 50, voting_window: 604800 },
+    GOV002: { monitoring_period: 24 },
+    MRG003: { merger_terms: { target_token: 'INNO-def456', target_tokens: 1000 } }
+  };
+
+  beforeEach(() => {
+    agent = new CorporateMergeTycoonAgent({ network: 'testnet' });
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should resolve the dependency DAG in topological order', () => {
+    const plan = agent.workflowRunner.resolvePlan('MRG003');
+
+    expect(plan.order[plan.order.length - 1]).toBe('MRG003');
+    for (const [taskId, dependencies] of Object.entries(plan.dependencies)) {
+      for (const dependency of dependencies) {
+        expect(plan.order.indexOf(dependency)).toBeLessThan(plan.order.indexOf(taskId));
+      }
+    }
+  });
+
+  test('should detect dependency cycles', () => {
+    agent.taskCatalog.task_categories.blockchain_operations.tasks.BLK001.dependencies = ['CMP001'];
+
+    expect(() => agent.workflowRunner.resolvePlan('CMP001')).toThrow(WorkflowError);
+    expect(() => agent.workflowRunner.resolvePlan('CMP001')).toThrow('CMP001 -> BLK002 -> BLK001 -> CMP001');
+  });
+
+  test('should run independent steps in parallel', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    agent.executeTask = async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return { success: true, result: {} };
+    };
+
+    const run = await agent.runWorkflow('MKT002');
+    expect(run.status).toBe('completed');
+
+    const governance = await agent.runWorkflow('GOV002');
+    expect(governance.status).toBe('completed');
+
+    const merger = await agent.runWorkflow('MRG003', { bindings: { MRG003: { merger_terms: () => ({}) } } });
+    expect(merger.status).toBe('completed');
+    expect(maxInFlight).toBeGreaterThan(1);
+  });
+
+  test('should pass outputs into later steps and resume after a failure', async () => {
+    const run = await agent.runWorkflow('MRG003', { stepParameters: mergerSteps });
+
+    expect(run.status).toBe('failed');
+    const byTask = Object.fromEntries(run.trace.map(step => [step.task_id, step]));
+    expect(byTask.CMP001.parameters.company_token).toBe(byTask.BLK002.result.token_id);
+    expect(byTask.GOV003.parameters.approved_proposal).toBe(byTask.GOV001.result.proposal_id);
+    expect(byTask.GOV003.status).toBe('failed');
+    expect(byTask.MRG003.status).toBe('skipped');
+
+    const resumed = await agent.resumeWorkflow(run.run_id, {
+      stepParameters: { GOV003: { execution_parameters: { force_execution: true } } }
+    });
+
+    const resumedByTask = Object.fromEntries(resumed.trace.map(step => [step.task_id, step]));
+    expect(resumed.status).toBe('completed');
+    expect(resumedByTask.BLK002.attempts).toBe(1);
+    expect(resumedByTask.GOV003.attempts).toBe(2);
+    expect(resumedByTask.MRG003.parameters.merger_terms.exchange_ratio)
+      .toBe(resumedByTask.MRG002.result.exchange_ratio.ratio);
+  });
+});
+
+describe('Task Scheduler', () => {
+  let agent;
+  let scheduler;
+
+  beforeEach(() => {
+    agent = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    scheduler = new TaskScheduler(agent, { historySize: 2 });
+  });
+
+  afterEach(() => {
+    scheduler.stopAll();
+    agent.dispose();
+  });
+
+  test('should derive schedules from catalog frequencies', () => {
+    const job = scheduler.schedule('CMP001', { paused: true });
+    expect(job.cron).toBe('0 0 * * *');
+    expect(job.source).toBe('catalog');
+    expect(job.status).toBe('paused');
+
+    expect(() => scheduler.schedule('GOV001')).toThrow('a cron expression is required');
+    expect(() => scheduler.schedule('GOV001', { cron: 'not a cron' })).toThrow('Invalid cron expression');
+    expect(() => scheduler.schedule('CMP001', { paused: true })).toThrow('already exists');
+
+    const defaults = scheduler.scheduleCatalogDefaults();
+    expect(defaults.map(j => j.task_id)).toEqual(expect.arrayContaining(['BLK001', 'MKT001', 'TEC001']));
+    expect(defaults.map(j => j.task_id)).not.toContain('GOV001');
+  });
+
+  test('should pause, resume and run jobs on demand', async () => {
+    scheduler.schedule('BLK001', { jobId: 'network', cron: '*/5 * * * *' });
+
+    expect(scheduler.pause('network').status).toBe('paused');
+    expect(scheduler.resume('network').status).toBe('active');
+
+    const run = await scheduler.runNow('network');
+    expect(run.status).toBe('success');
+    expect(run.trigger).toBe('manual');
+    expect(scheduler.getJob('network').run_count).toBe(1);
+  });
+
+  test('should restart active jobs when the agent starts again', () => {
+    agent.scheduler.schedule('BLK001', { jobId: 'network', cron: '*/5 * * * *' });
+    agent.scheduler.schedule('TEC001', { jobId: 'system', cron: '*/5 * * * *', paused: true });
+    const started = [];
+    for (const job of agent.scheduler.jobs.values()) {
+      const start = job.cronTask.start.bind(job.cronTask);
+      job.cronTask.start = () => { started.push(job.id); start(); };
+    }
+
+    agent.stop();
+    expect(agent.scheduler.getJob('network').status).toBe('stopped');
+    expect(agent.scheduler.resume('system').status).toBe('stopped');
+    expect(started).toEqual([]);
+
+    agent.start();
+    expect(started).toEqual(['network', 'system']);
+    expect(agent.scheduler.getJobs().map(job => job.status)).toEqual(['active', 'active']);
+    agent.dispose();
+  });
+
+  test('should keep the last N runs per job', async () => {
+    scheduler.schedule('CMP001', {
+      paused: true,
+      parameters: { company_token: 'MISSING-000000', time_period: '30d', metrics_types: ['financial'] }
+    });
+
+    await scheduler.runNow('CMP001');
+    await scheduler.runNow('CMP001');
+    await scheduler.runNow('CMP001');
+
+    const history = scheduler.getHistory('CMP001');
+    expect(history).toHaveLength(2);
+    expect(history[0].status).toBe('failed');
+    expect(history[0].error).toContain('not found');
+  });
+
+  test('should not overlap runs of the same job', async () => {
+    let release;
+    agent.executeTask = () => new Promise(resolve => {
+      release = () => resolve({ success: true, result: {} });
+    });
+
+    scheduler.schedule('BLK001', { paused: true });
+    const first = scheduler.runNow('BLK001');
+
+    const overlapping = await scheduler.runJob(scheduler.jobs.get('BLK001'), 'cron');
+    expect(overlapping.status).toBe('skipped');
+    await expect(scheduler.runNow('BLK001')).rejects.toThrow('already running');
+
+    release();
+    expect((await first).status).toBe('success');
+    expect(scheduler.getHistory('BLK001').map(run => run.status)).toEqual(['success', 'skipped']);
+  });
+});
+
+describe('Execution Queue', () => {
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+  };
+
+  test('should run tasks in catalog priority order', async () => {
+    const queue = new ExecutionQueue({ concurrency: 1 });
+    const started = [];
+    const blocker = deferred();
+
+    const job = (taskId, priority, wait) => queue.enqueue({ taskId, priority }, async () => {
+      started.push(taskId);
+      if (wait) await wait;
+      return taskId;
+    });
+
+    const runs = [
+      job('FIRST', 'Medium', blocker.promise),
+      job('MEDIUM', 'Medium'),
+      job('HIGH', 'High'),
+      job('CRITICAL', 'Critical')
+    ];
+    expect(queue.getStats().depth).toBe(3);
+
+    blocker.resolve();
+    await Promise.all(runs);
+    expect(started).toEqual(['FIRST', 'CRITICAL', 'HIGH', 'MEDIUM']);
+  });
+
+  test('should enforce the concurrency ceiling', async () => {
+    const queue = new ExecutionQueue({ concurrency: 2 });
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    await Promise.all(Array.from({ length: 5 }, (_, i) => queue.enqueue({ taskId: `T${i}`, priority: 'High' }, async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+    })));
+
+    expect(maxInFlight).toBe(2);
+    expect(queue.getStats().completed).toBe(5);
+    expect(queue.getStats().max_wait_ms).toBeGreaterThan(0);
+  });
+
+  test('should abort executions that exceed their timeout', async () => {
+    const queue = new ExecutionQueue({ timeout: 10, retryAttempts: 1, retryDelay: 1 });
+    let calls = 0;
+
+    const run = queue.enqueue({ taskId: 'HUNG', priority: 'High' }, (signal) => new Promise((resolve, reject) => {
+      calls++;
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+
+    await expect(run).rejects.toMatchObject({ name: 'TaskTimeoutError', attempts: 2, classification: 'retryable' });
+    expect(calls).toBe(2);
+    expect(queue.getStats().timeouts).toBe(2);
+    expect(queue.getStats().running).toBe(0);
+  });
+
+  test('should hold the slot and not retry handlers that ignore the abort', async () => {
+    const queue = new ExecutionQueue({ concurrency: 1, timeout: 10, retryAttempts: 3, retryDelay: 1, abortGrace: 5 });
+    const stuck = deferred();
+    const started = [];
+
+    const run = queue.enqueue({ taskId: 'STUCK', priority: 'High' }, async () => {
+      started.push('STUCK');
+      await stuck.promise;
+    });
+    const next = queue.enqueue({ taskId: 'NEXT', priority: 'High' }, async () => started.push('NEXT'));
+
+    await expect(run).rejects.toMatchObject({ name: 'TaskTimeoutError', attempts: 1, classification: 'fatal' });
+    expect(queue.getStats()).toMatchObject({ running: 1, depth: 1, retries: 0 });
+    expect(started).toEqual(['STUCK']);
+
+    stuck.resolve();
+    await next;
+    expect(started).toEqual(['STUCK', 'NEXT']);
+  });
+
+  test('should stop live task handlers before they change state on timeout', async () => {
+    const agent = new CorporateMergeTycoonAgent({ network: 'testnet', autoStart: false, queue: { timeout: 20, retryAttempts: 0 } });
+    const register = agent.companyManager.registerCompany.bind(agent.companyManager);
+    agent.companyManager.registerCompany = async (params) => {
+      await new Promise(resolve => setTimeout(resolve, 40));
+      return register(params);
+    };
+
+    const result = await agent.executeTask('BLK002', { company_name: 'Slow Corp', ticker: 'SLOW', supply: 1000, decimals: 18 });
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/timed out/);
+    expect(agent.companyManager.getAllCompanies()).toHaveLength(0);
+    agent.dispose();
+  });
+
+  test('should retry transient failures with backoff and stop on fatal ones', async () => {
+    const queue = new ExecutionQueue({ retryAttempts: 3, retryDelay: 1 });
+    let calls = 0;
+
+    const { result, attempts } = await queue.enqueue({ taskId: 'FLAKY', priority: 'High' }, async () => {
+      calls++;
+      if (calls < 3) throw Object.assign(new Error('socket closed'), { code: 'ECONNRESET' });
+      return 'ok';
+    });
+    expect(result).toBe('ok');
+    expect(attempts).toBe(3);
+    expect(queue.getStats().retries).toBe(2);
+
+    const fatal = queue.enqueue({ taskId: 'BROKEN', priority: 'High' }, async () => {
+      throw new Error('Company TECH not found');
+    });
+    await expect(fatal).rejects.toMatchObject({ attempts: 1, classification: 'fatal' });
+  });
+
+  test('should classify errors', () => {
+    expect(classifyError(Object.assign(new Error('Too many requests'), { response: { status: 429 } }))).toBe('retryable');
+    expect(classifyError(Object.assign(new Error('Bad gateway'), { status: 502 }))).toBe('retryable');
+    expect(classifyError(new Error('Gateway temporarily unavailable'))).toBe('retryable');
+    expect(classifyError(new Error('Invalid vote type'))).toBe('fatal');
+    expect(classifyError(Object.assign(new Error('socket closed'), { retryable: false, code: 'ECONNRESET' }))).toBe('fatal');
+  });
+
+  test('should report queue metrics and failure classification through the agent', async () => {
+    const agent = new CorporateMergeTycoonAgent({ network: 'testnet', queue: { concurrency: 3 } });
+
+    const result = await agent.executeTask('CMP001', {
+      company_token: 'MISSING-000000',
+      time_period: '30d',
+      metrics_types: ['financial']
+    });
+    expect(result.success).toBe(false);
+    expect(result.error_type).toBe('fatal');
+    expect(result.attempts).toBe(1);
+
+    const { queue } = agent.getMetrics();
+    expect(queue.concurrency).toBe(3);
+    expect(queue.depth).toBe(0);
+    expect(queue.failed).toBe(1);
+    agent.dispose();
+  });
+});
+
+describe('Prometheus Exporter', () => {
+  let agent;
+
+  beforeEach(() => {
+    agent = new CorporateMergeTycoonAgent({ network: 'testnet' });
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should parse SLA durations', () => {
+    expect(parseDuration('2000ms')).toBe(2);
+    expect(parseDuration('1.5s')).toBe(1.5);
+    expect(parseDuration('1m')).toBe(60);
+    expect(parseDuration('soon')).toBeNull();
+  });
+
+  test('should export execution counters and latency histograms', async () => {
+    await agent.executeTask('BLK001', {});
+    await agent.executeTask('CMP001', { company_token: 'MISSING', time_period: '30d', metrics_types: ['financial'] });
+
+    const output = agent.metricsExporter.render();
+    expect(output).toContain('# TYPE cmt_task_executions_total counter');
+    expect(output).toContain('cmt_task_executions_total{task_id="BLK001",category="blockchain_operations",status="success"} 1');
+    expect(output).toContain('cmt_task_executions_total{task_id="CMP001",category="company_management",status="failure"} 1');
+    expect(output).toContain('cmt_task_duration_seconds_bucket{task_id="BLK001",le="2"} 1');
+    expect(output).toContain('cmt_task_duration_seconds_bucket{task_id="BLK001",le="+Inf"} 1');
+    expect(output).toContain('cmt_task_duration_seconds_count{task_id="BLK001"} 1');
+    expect(output).toContain('cmt_sla_response_time_p95_seconds 2');
+    expect(output).toContain('cmt_sla_uptime_ratio 0.999');
+    expect(output).toContain('cmt_task_within_sla_total{task_id="BLK001"} 1');
+  });
+
+  test('should count executions within a non-default SLA threshold', () => {
+    agent.config.monitoring = { ...agent.config.monitoring, response_time_p95: '750ms' };
+    const exporter = new PrometheusExporter(agent);
+    exporter.recordExecution('BLK001', 'blockchain_operations', true, 500);
+    exporter.recordExecution('BLK001', 'blockchain_operations', true, 1200);
+
+    const output = exporter.render();
+    expect(output).toContain('cmt_task_duration_seconds_bucket{task_id="BLK001",le="0.75"} 1');
+    expect(output).toContain('cmt_task_within_sla_total{task_id="BLK001"} 1');
+
+    delete agent.config.monitoring.response_time_p95;
+    const unconfigured = new PrometheusExporter(agent);
+    unconfigured.recordExecution('BLK001', 'blockchain_operations', true, 500);
+    expect(unconfigured.render()).not.toContain('cmt_task_within_sla_total{');
+  });
+
+  test('should export queue and domain gauges', async () => {
+    await agent.daoManager.createProposal({ title: 'Test', description: 'Gauge', proposer: 'erd1proposer' });
+
+    const output = agent.metricsExporter.render();
+    expect(output).toContain('cmt_queue_depth 0');
+    expect(output).toContain('cmt_proposals_active 1');
+    expect(output).toContain('cmt_companies_registered 0');
+    expect(output).toContain('cmt_mergers_active 0');
+
+    // Completed integrations stay tracked but are no longer active
+    await agent.mergerEngine.executePostMergerIntegration({
+      mergerId: 'MERGER_1', targetTokens: 1000, acquirerTokens: 2000, exchangeRatio: { ratio: 1.5 }
+    });
+    agent.mergerEngine.activeMergers.set('MERGER_2', { id: 'MERGER_2', status: 'initiated' });
+    expect(agent.metricsExporter.render()).toContain('cmt_mergers_active 1');
+  });
+
+  test('should serve metrics over HTTP', async () => {
+    const response = await request(new ApiServer(agent).app).get('/metrics');
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(response.text).toContain('cmt_uptime_seconds');
+  });
+});
+
+describe('Task Registry', () => {
+  let agent;
+
+  const riskTask = {
+    task_id: 'RSK001',
+    name: 'Risk Scoring',
+    category: 'risk_management',
+    category_name: 'Risk Management',
+    priority: 'Critical',
+    complexity: 'Low',
+    parameters: {
+      company_token: { type: 'string', required: true },
+      horizon_days: { type: 'integer', minimum: 1, default: 30 }
+    }
+  };
+
+  beforeEach(() => {
+    agent = new CorporateMergeTycoonAgent({ network: 'testnet' });
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should derive catalog totals', () => {
+    expect(agent.taskCatalog.agent_info.total_tasks).toBe(20);
+    expect(agent.taskCatalog.agent_info.categories).toBe(8);
+    expect(agent.taskCatalog.task_categories.blockchain_operations.task_count).toBe(3);
+  });
+
+  test('should register and execute a custom task', async () => {
+    agent.registerTask(riskTask, async (parameters, context) => ({
+      status: 'success',
+      company_token: parameters.company_token,
+      horizon_days: parameters.horizon_days,
+      companies_known: context.companyManager.getAllCompanies().length
+    }));
+
+    expect(agent.getAvailableTasks().find(task => task.id === 'RSK001').category).toBe('Risk Management');
+    expect(agent.taskCatalog.agent_info.total_tasks).toBe(21);
+    expect(agent.taskCatalog.agent_info.categories).toBe(9);
+
+    const result = await agent.executeTask('RSK001', { company_token: 'TECH-abc123' });
+    expect(result.success).toBe(true);
+    expect(result.result.horizon_days).toBe(30);
+    expect(result.result.summary).toBe('Risk Scoring executed successfully');
+
+    const invalid = await agent.executeTask('RSK001', { horizon_days: 0 });
+    expect(invalid.success).toBe(false);
+    expect(invalid.validation_errors.map(e => e.field)).toEqual(['company_token', 'horizon_days']);
+
+    agent.unregisterTask('RSK001');
+    expect(agent.findTaskById('RSK001')).toBeNull();
+    expect(agent.taskCatalog.task_categories.risk_management).toBeUndefined();
+    expect(agent.taskCatalog.agent_info.total_tasks).toBe(20);
+  });
+
+  test('should register plugins atomically', () => {
+    const plugin = {
+      name: 'market-extras',
+      version: '0.1.0',
+      tasks: [{ task_id: 'MKT003', name: 'Sentiment', category: 'market_analysis', handler: async () => ({}) }],
+      register(api) {
+        api.registerTask({ task_id: 'MKT004', category: 'market_analysis', priority: 'Low' }, async () => ({}));
+      }
+    };
+
+    expect(agent.registerPlugin(plugin).tasks).toEqual(['MKT003', 'MKT004']);
+    expect(agent.taskCatalog.task_categories.market_analysis.task_count).toBe(4);
+    expect(agent.getAvailableTasks().pop().id).toBe('MKT004');
+
+    const broken = {
+      name: 'broken',
+      tasks: [
+        { task_id: 'BRK001', category: 'technical_operations', handler: async () => ({}) },
+        { task_id: 'BLK001', category: 'blockchain_operations', handler: async () => ({}) }
+      ]
+    };
+    expect(() => agent.registerPlugin(broken)).toThrow('Task BLK001 already registered');
+    expect(agent.findTaskById('BRK001')).toBeNull();
+    expect(agent.taskRegistry.getPlugins().map(p => p.name)).toEqual(['market-extras']);
+  });
+
+  test('should reject invalid task definitions', () => {
+    expect(() => agent.registerTask({ category: 'market_analysis' }, async () => ({}))).toThrow(ValidationError);
+    expect(() => agent.registerTask({ ...riskTask, priority: 'Urgent' }, async () => ({})))
+      .toThrow('priority (must be one of Critical, High, Medium, Low)');
+    expect(() => agent.registerTask(riskTask, 'not a function')).toThrow('handler (expected function)');
+  });
+});
+
+describe('LLM Tool Schemas', () => {
+  let agent;
+
+  beforeEach(() => {
+    agent = new CorporateMergeTycoonAgent({ network: 'testnet' });
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should export OpenAI and Anthropic tool definitions', () => {
+    const openai = agent.getToolSchemas('openai');
+    const anthropic = agent.getToolSchemas('anthropic');
+    expect(openai).toHaveLength(20);
+    expect(anthropic).toHaveLength(20);
+
+    const createESDT = anthropic.find(tool => tool.name === 'createESDT');
+    expect(createESDT.input_schema.required).toEqual(['name', 'ticker', 'supply', 'decimals']);
+    expect(createESDT.input_schema.properties.ticker).toMatchObject({ type: 'string', minLength: 3, pattern: '^[A-Z0-9]+$' });
+    expect(createESDT.input_schema.properties.company_name).toBeUndefined();
+    expect(createESDT.input_schema.properties.distribution.properties.founder.maximum).toBe(100);
+
+    const [support] = agent.getToolSchemas('openai', { taskIds: ['SUP001'] });
+    expect(support.type).toBe('function');
+    expect(support.function.name).toBe('SUP001');
+    expect(support.function.parameters.required).toEqual(['support_channels']);
+
+    expect(() => agent.getToolSchemas('yaml')).toThrow('Unknown tool schema format');
+  });
+
+  test('should include plugin tasks', () => {
+    agent.registerTask({
+      task_id: 'RSK001',
+      category: 'risk_management',
+      parameters: { company_token: { type: 'string', required: true } }
+    }, async () => ({}));
+
+    const [risk] = agent.getToolSchemas('json', { categories: ['risk_management'] });
+    expect(risk.name).toBe('RSK001');
+    expect(risk.parameters.required).toEqual(['company_token']);
+  });
+
+  test('should dispatch OpenAI and Anthropic tool calls', async () => {
+    const openaiCall = await agent.dispatchToolCall({
+      id: 'call_1',
+      type: 'function',
+      function: { name: 'createESDT', arguments: JSON.stringify({ name: 'TechCorp', ticker: 'TECH', supply: 1000000, decimals: 18 }) }
+    });
+    expect(openaiCall.success).toBe(true);
+    expect(openaiCall.task_id).toBe('BLK002');
+
+    const message = agent.toolDispatcher.toOpenAIMessage(openaiCall);
+    expect(message).toMatchObject({ role: 'tool', tool_call_id: 'call_1' });
+    expect(JSON.parse(message.content).token_id).toBe(openaiCall.result.token_id);
+
+    const anthropicCall = await agent.dispatchToolCall({
+      type: 'tool_use',
+      id: 'toolu_1',
+      name: 'analyzePerformance',
+      input: { company_token: openaiCall.result.token_id, time_period: '30d', metrics_types: ['financial'] }
+    });
+    expect(anthropicCall.success).toBe(true);
+    expect(agent.toolDispatcher.toAnthropicBlock(anthropicCall).is_error).toBeUndefined();
+  });
+
+  test('should reject invalid tool calls before execution', async () => {
+    const unknown = await agent.dispatchToolCall({ name: 'launchRocket', arguments: '{}' });
+    expect(unknown.error).toBe('Unknown tool: launchRocket');
+
+    const badJson = await agent.dispatchToolCall({ id: 'c2', function: { name: 'createESDT', arguments: '{"name":' } });
+    expect(badJson.error).toContain('not valid JSON');
+
+    const invalid = await agent.dispatchToolCall({ type: 'tool_use', id: 'toolu_2', name: 'createESDT', input: { ticker: 'tech' } });
+    expect(invalid.success).toBe(false);
+    expect(invalid.validation_errors.map(e => e.field)).toEqual(['name', 'ticker', 'supply', 'decimals']);
+    expect(agent.toolDispatcher.toAnthropicBlock(invalid).is_error).toBe(true);
+    expect(agent.getMetrics().tasks_executed).toBe(0);
+  });
+
+  test('should serve schemas and dispatch over HTTP', async () => {
+    const app = new ApiServer(agent).app;
+
+    const tools = await request(app).get('/api/tools?format=anthropic&priorities=Critical');
+    expect(tools.status).toBe(200);
+    expect(tools.body.data.system_prompt).toContain('Corporate Merge Tycoon Agent');
+    expect(tools.body.data.tools.map(tool => tool.name)).toContain('executeMerger');
+
+    const dispatched = await request(app)
+      .post('/api/tools/dispatch')
+      .send({ tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'monitorNetwork', arguments: '{}' } }] });
+    expect(dispatched.body.data[0].success).toBe(true);
+
+    const malformed = await request(app).post('/api/tools/dispatch').send({ tool_calls: [null, 'monitorNetwork'] });
+    expect(malformed.status).toBe(200);
+    expect(malformed.body.data.map(outcome => outcome.success)).toEqual([false, false]);
+    expect(malformed.body.data[0].error).toBe('Tool call must be an object');
+  });
+});
+
+describe('MCP Server', () => {
+  let agent;
+  let server;
+
+  const rpc = (id, method, params = {}) => server.handleMessage({ jsonrpc: '2.0', id, method, params });
+
+  beforeEach(() => {
+    agent = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    server = new McpServer(agent);
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should negotiate the protocol and advertise capabilities', async () => {
+    const { result } = await rpc(1, 'initialize', { protocolVersion: '2024-11-05', capabilities: {} });
+    expect(result.protocolVersion).toBe('2024-11-05');
+    expect(result.capabilities.tools.listChanged).toBe(true);
+    expect(result.serverInfo.name).toBe('corporate-merge-tycoon-agent');
+
+    const unknown = await rpc(2, 'sampling/createMessage');
+    expect(unknown.error.code).toBe(ERROR_CODES.METHOD_NOT_FOUND);
+    expect(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBeNull();
+  });
+
+  test('should list and call task tools', async () => {
+    const { result: { tools } } = await rpc(1, 'tools/list');
+    expect(tools).toHaveLength(20);
+    expect(tools.find(tool => tool.name === 'executeMerger').inputSchema.type).toBe('object');
+
+    const { result } = await rpc(2, 'tools/call', {
+      name: 'createESDT',
+      arguments: { name: 'TechCorp', ticker: 'TECH', supply: 1000000, decimals: 18 }
+    });
+    expect(result.isError).toBe(false);
+    expect(result.structuredContent.company_name).toBe('TechCorp');
+
+    const invalid = await rpc(3, 'tools/call', { name: 'createESDT', arguments: { ticker: 'TECH' } });
+    expect(invalid.result.isError).toBe(true);
+    expect(JSON.parse(invalid.result.content[0].text).error).toContain('name is required');
+
+    const unknown = await rpc(4, 'tools/call', { name: 'launchRocket' });
+    expect(unknown.error.code).toBe(ERROR_CODES.INVALID_PARAMS);
+  });
+
+  test('should expose companies, proposals and mergers as resources', async () => {
+    const { result: created } = await rpc(1, 'tools/call', {
+      name: 'createESDT',
+      arguments: { name: 'TechCorp', ticker: 'TECH', supply: 1000000, decimals: 18 }
+    });
+    const proposal = await agent.daoManager.createProposal({ title: 'Expand', description: 'Expand', proposer: 'erd1proposer' });
+
+    const { result: { resources } } = await rpc(2, 'resources/list');
+    const uris = resources.map(resource => resource.uri);
+    expect(uris).toContain(`tycoon://companies/${created.structuredContent.company_id}`);
+    expect(uris).toContain(`tycoon://proposals/${proposal.proposal.id}`);
+
+    const { result } = await rpc(3, 'resources/read', { uri: 'tycoon://companies/TECH' });
+    expect(JSON.parse(result.contents[0].text).name).toBe('TechCorp');
+
+    const { result: proposalResource } = await rpc(4, 'resources/read', { uri: `tycoon://proposals/${proposal.proposal.id}` });
+    expect(JSON.parse(proposalResource.contents[0].text).votes).toEqual([]);
+
+    const missing = await rpc(5, 'resources/read', { uri: 'tycoon://mergers/M404' });
+    expect(missing.error.code).toBe(ERROR_CODES.RESOURCE_NOT_FOUND);
+
+    const { result: { resourceTemplates } } = await rpc(6, 'resources/templates/list');
+    expect(resourceTemplates.map(t => t.uriTemplate)).toContain('tycoon://mergers/{mergerId}');
+  });
+
+  test('should offer the catalog system prompt', async () => {
+    const { result: { prompts } } = await rpc(1, 'prompts/list');
+    expect(prompts[0].name).toBe('corporate-merge-tycoon');
+
+    const { result } = await rpc(2, 'prompts/get', { name: 'corporate-merge-tycoon', arguments: { objective: 'Acquire INNO' } });
+    expect(result.messages[0].content.text).toContain(agent.taskCatalog.system_prompt);
+    expect(result.messages[0].content.text).toContain('Objective: Acquire INNO');
+  });
+
+  test('should speak newline-delimited JSON-RPC over streams', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const lines = [];
+    output.on('data', chunk => lines.push(...chunk.toString().trim().split('\n').map(line => JSON.parse(line))));
+
+    server.connect(input, output);
+    const closed = new Promise(resolve => server.once('close', resolve));
+
+    input.write('{"jsonrpc":"2.0","id":1,"method":"initialize","params":{"protocolVersion":"2025-06-18"}}\n');
+    input.write('{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+    input.write('not json\n');
+    input.end('{"jsonrpc":"2.0","id":2,"method":"tools/call","params":{"name":"createESDT","arguments":{"name":"TechCorp","ticker":"TECH","supply":1000,"decimals":18}}}\n');
+
+    await closed;
+    server.close();
+
+    expect(lines.find(line => line.id === 1).result.protocolVersion).toBe('2025-06-18');
+    expect(lines.find(line => line.error?.code === ERROR_CODES.PARSE_ERROR)).toBeDefined();
+    expect(lines.find(line => line.id === 2).result.isError).toBe(false);
+    expect(lines.map(line => line.method)).toContain('notifications/resources/list_changed');
+  });
+});
+
+describe('CLI', () => {
+  let agent;
+  let apiServer;
+  let server;
+
+  // Run one command line against the test server and capture its output
+  const tycoon = async (...argv) => {
+    const stdout = [];
+    const stderr = [];
+    const cli = new TycoonCli({
+      stdout: { write: (text) => stdout.push(text) },
+      stderr: { write: (text) => stderr.push(text) },
+      env: {},
+      agent
+    });
+    const code = await cli.run(server ? ['--server', server, ...argv] : argv);
+    return { code, stdout: stdout.join(''), stderr: stderr.join('') };
+  };
+
+  beforeEach(async () => {
+    agent = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    apiServer = new ApiServer(agent, { port: 0, host: '127.0.0.1' });
+    await apiServer.start();
+    server = `http://127.0.0.1:${apiServer.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await apiServer.stop();
+    agent.dispose();
+  });
+
+  test('should list, describe and run tasks', async () => {
+    const list = await tycoon('tasks', 'list', '--priority', 'Critical');
+    expect(list.code).toBe(EXIT_CODES.SUCCESS);
+    expect(list.stdout).toMatch(/^ID\s+Name\s+Priority/);
+    expect(list.stdout).toContain('MRG001');
+    expect(list.stdout).not.toContain('BLK002');
+
+    const describeTask = await tycoon('tasks', 'describe', 'BLK002', '--json');
+    expect(JSON.parse(describeTask.stdout).input_schema.required).toEqual(['name', 'ticker', 'supply', 'decimals']);
+
+    const run = await tycoon('tasks', 'run', 'BLK002', '--params', '{"name":"TechCorp","ticker":"TECH"}',
+      '-p', 'supply=1000000', '-p', 'decimals=18', '--json');
+    expect(run.code).toBe(EXIT_CODES.SUCCESS);
+    expect(JSON.parse(run.stdout).result.supply).toBe(1000000);
+
+    const invalid = await tycoon('tasks', 'run', 'BLK002', '-p', 'ticker=TECH');
+    expect(invalid.code).toBe(EXIT_CODES.FAILURE);
+    expect(invalid.stderr).toContain('- name is required');
+  });
+
+  test('should register companies and drive a proposal', async () => {
+    const registered = await tycoon('companies', 'register', '--id', 'TECH-abc123', '--name', 'TechCorp',
+      '--ticker', 'TECH', '--supply', '1000000', '--sector', 'Gaming');
+    expect(registered.code).toBe(EXIT_CODES.SUCCESS);
+    expect(agent.companyManager.getCompany('TECH-abc123').token.allocations.public).toBe(300000);
+
+    const shown = await tycoon('companies', 'show', 'TECH', '--json');
+    expect(JSON.parse(shown.stdout).metadata.sector).toBe('Gaming');
+
+    const created = await tycoon('proposals', 'create', '--title', 'Expand', '--description', 'Open a new market',
+      '--proposer', 'erd1founder', '--json');
+    const proposalId = JSON.parse(created.stdout).id;
+
+    const vote = await tycoon('proposals', 'vote', proposalId, '--voter', 'erd1alice', '--vote', 'for', '--power', '50');
+    expect(vote.code).toBe(EXIT_CODES.SUCCESS);
+    expect(vote.stdout).toContain('Recorded for vote from erd1alice');
+
+    // Voting is still open, so execution is refused
+    const execute = await tycoon('proposals', 'execute', proposalId, '--executor', 'erd1founder');
+    expect(execute.code).toBe(EXIT_CODES.FAILURE);
+    expect(execute.stderr).toContain('Voting period is still active');
+
+    const diligence = await tycoon('mergers', 'due-diligence', '--target', 'TECH-abc123', '--acquirer', 'TECH-abc123');
+    expect(diligence.stdout).toMatch(/Recommendation:\s+(PROCEED|PROCEED_WITH_CAUTION|REJECT)/);
+  });
+
+  test('should tail events from the stream', async () => {
+    await agent.companyManager.registerCompany({ companyId: 'TECH-abc123', name: 'TechCorp', ticker: 'TECH', totalSupply: 1000 });
+
+    const events = await tycoon('events', '--since', '0', '--limit', '1', '--json');
+    expect(events.code).toBe(EXIT_CODES.SUCCESS);
+    expect(JSON.parse(events.stdout)).toMatchObject({ seq: 1, type: 'companyRegistered' });
+  });
+
+  test('should report usage errors and unreachable servers', async () => {
+    expect((await tycoon('tasks', 'launch')).code).toBe(EXIT_CODES.USAGE);
+    expect((await tycoon('tasks', 'run')).stderr).toContain('Missing argument: <taskId>');
+    expect((await tycoon('tasks', 'list', '--bogus')).code).toBe(EXIT_CODES.USAGE);
+    expect((await tycoon('tasks', 'run', 'BLK002', '--params', '{')).code).toBe(EXIT_CODES.USAGE);
+
+    server = 'http://127.0.0.1:1';
+    expect((await tycoon('tasks', 'list')).code).toBe(EXIT_CODES.UNAVAILABLE);
+  });
+
+  test('should start an in-process server without --server', async () => {
+    server = null;
+    const result = await tycoon('companies', 'list', '--json');
+    expect(result.code).toBe(EXIT_CODES.SUCCESS);
+    expect(JSON.parse(result.stdout)).toEqual([]);
+  });
+});
+
+describe('State Store', () => {
+  let directory;
+  let url;
+
+  const companyPayload = {
+    companyId: 'TECH-abc123',
+    name: 'TechCorp',
+    ticker: 'TECH',
+    totalSupply: 1000000,
+    founderAllocation: 250000,
+    employeeAllocation: 200000,
+    publicAllocation: 300000,
+    treasuryAllocation: 250000
+  };
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'tycoon-state-'));
+    url = `file:${join(directory, 'state.json')}`;
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should recover manager state after a restart', async () => {
+    const first = new CorporateMergeTycoonAgent({ network: 'testnet', storage: { url } });
+    await first.companyManager.registerCompany(companyPayload);
+    await first.companyManager.updateCompany('TECH-abc123', { sector: 'Gaming' });
+    const { proposal } = await first.daoManager.createProposal({ title: 'Expand', description: 'New market', proposer: 'erd1founder' });
+    await first.daoManager.submitVote({ proposalId: proposal.id, voter: 'erd1alice', vote: 'for', votingPower: 10 });
+    await first.mergerEngine.executePostMergerIntegration({
+      mergerId: 'MERGER_1', targetTokens: 1000, acquirerTokens: 2000, exchangeRatio: { ratio: 1.5 }
+    });
+    first.daoManager.executedProposals.add('PROP_OLD');
+    expect(await first.saveState()).toBe(true);
+
+    const second = new CorporateMergeTycoonAgent({ network: 'testnet', storage: { url } });
+    expect(second.store.recovered).toBe(true);
+    expect(second.companyManager.getCompany('TECH-abc123').metadata.sector).toBe('Gaming');
+    expect(second.companyManager.performanceHistory.get('TECH-abc123')).toEqual([]);
+    expect(second.daoManager.getProposal(proposal.id).voting_stats.voting_power_for).toBe(10);
+    expect(second.daoManager.getProposalVotes(proposal.id)).toHaveLength(1);
+    expect(second.daoManager.executedProposals.has('PROP_OLD')).toBe(true);
+    expect(second.mergerEngine.getMerger('MERGER_1').status).toBe('completed');
+    expect(second.getMetrics().storage.collections.companies).toBe(1);
+
+    // Removals are persisted as well
+    await second.companyManager.removeCompany('TECH-abc123');
+    await second.saveState();
+    const third = new CorporateMergeTycoonAgent({ network: 'testnet', storage: { url } });
+    expect(third.companyManager.getCompany('TECH-abc123')).toBeNull();
+    [first, second, third].forEach(instance => instance.dispose());
+  });
+
+  test('should coalesce writes and skip clean flushes', async () => {
+    const store = new StateStore({ url, flushDelay: 5 });
+    const companies = store.map('companies');
+    companies.set('A', { id: 'A' });
+    companies.set('B', { id: 'B' });
+
+    await new Promise(resolve => store.once('flushed', resolve));
+    const saved = JSON.parse(readFileSync(join(directory, 'state.json'), 'utf8'));
+    expect(saved.schema_version).toBe(SCHEMA_VERSION);
+    expect(saved.collections.companies).toEqual({ type: 'map', entries: [['A', { id: 'A' }], ['B', { id: 'B' }]] });
+    expect(await store.flush()).toBe(false);
+  });
+
+  test('should migrate older documents and reject newer ones', () => {
+    const migrations = [
+      { version: 1, up: (document) => ({ ...document, collections: document.collections || {} }) },
+      { version: 2, up: (document) => ({ ...document, collections: { ...document.collections, tags: { type: 'set', entries: [] } } }) }
+    ];
+
+    const { document, applied } = migrate({}, migrations);
+    expect(applied).toEqual([1, 2]);
+    expect(document.schema_version).toBe(2);
+    expect(document.collections.tags.type).toBe('set');
+
+    expect(migrate({ schema_version: 2, collections: {} }, migrations).applied).toEqual([]);
+    expect(() => migrate({ schema_version: 3 }, migrations)).toThrow('Storage schema version 3 is newer than supported version 2');
+
+    writeFileSync(join(directory, 'state.json'), JSON.stringify({ schema_version: SCHEMA_VERSION + 1, collections: {} }));
+    expect(() => new StateStore({ url })).toThrow('is newer than supported');
+  });
+
+  test('should reject corrupted files and unsupported URLs', () => {
+    writeFileSync(join(directory, 'state.json'), '{ not json');
+    expect(() => new StateStore({ url })).toThrow('is corrupted');
+    expect(() => new StateStore({ url: 'mongodb://localhost:27017/tycoon' })).toThrow('Unsupported storage URL scheme: mongodb');
+
+    const store = new StateStore({ url: 'memory:' });
+    store.map('companies');
+    expect(() => store.set('companies')).toThrow('already exists with a different type');
+  });
+});
+
+describe('Snapshots', () => {
+  let agent;
+
+  const seedState = async (target) => {
+    await target.companyManager.registerCompany({
+      companyId: 'TECH-abc123', name: 'TechCorp', ticker: 'TECH', totalSupply: 1000000,
+      founderAllocation: 250000, employeeAllocation: 200000, publicAllocation: 300000, treasuryAllocation: 250000
+    });
+    await target.companyManager.updatePerformanceMetrics('TECH-abc123');
+    const { proposal } = await target.daoManager.createProposal({ title: 'Expand', description: 'New market', proposer: 'erd1founder' });
+    await target.daoManager.submitVote({ proposalId: proposal.id, voter: 'erd1alice', vote: 'for', votingPower: 10 });
+    target.daoManager.executedProposals.add('PROP_OLD');
+    await target.mergerEngine.executePostMergerIntegration({
+      mergerId: 'MERGER_1', targetTokens: 1000, acquirerTokens: 2000, exchangeRatio: { ratio: 1.5 }
+    });
+    await target.executeTask('BLK001', {});
+    return proposal;
+  };
+
+  beforeEach(() => {
+    agent = new CorporateMergeTycoonAgent({ network: 'testnet' });
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should capture and restore the whole simulation', async () => {
+    const proposal = await seedState(agent);
+    const snapshot = agent.createSnapshot({ name: 'bug-1234' });
+
+    expect(snapshot).toMatchObject({ format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, name: 'bug-1234' });
+    expect(Object.keys(snapshot.state.companies)).toEqual(['TECH-abc123']);
+    expect(snapshot.state.performance_history['TECH-abc123']).toHaveLength(1);
+    expect(snapshot.state.executed_proposals).toEqual(['PROP_OLD']);
+    expect(snapshot.metrics.tasks_executed).toBe(1);
+
+    // The snapshot is detached from live state and survives a JSON round trip
+    agent.companyManager.getCompany('TECH-abc123').name = 'Changed';
+    expect(snapshot.state.companies['TECH-abc123'].name).toBe('TechCorp');
+
+    const restored = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    const counts = restored.restoreSnapshot(JSON.parse(JSON.stringify(snapshot)));
+    expect(counts).toMatchObject({ companies: 1, proposals: 1, votes: 1, executed_proposals: 1, mergers: 1 });
+
+    expect(restored.companyManager.companies).toBeInstanceOf(Map);
+    expect(restored.daoManager.executedProposals).toBeInstanceOf(Set);
+    expect(restored.companyManager.getCompany('TECH').name).toBe('TechCorp');
+    expect(restored.daoManager.getProposalVotes(proposal.id)[0].voter).toBe('erd1alice');
+    expect(restored.daoManager.executedProposals.has('PROP_OLD')).toBe(true);
+    expect(restored.mergerEngine.getMerger('MERGER_1').status).toBe('completed');
+    expect(restored.getMetrics().tasks_executed).toBe(1);
+    expect(restored.createSnapshot({ name: 'bug-1234' }).state).toEqual(snapshot.state);
+    restored.dispose();
+  });
+
+  test('should reject incompatible snapshots without changing state', async () => {
+    await seedState(agent);
+    const snapshot = agent.createSnapshot();
+
+    expect(() => agent.restoreSnapshot({ ...snapshot, version: SNAPSHOT_VERSION + 1 }))
+      .toThrow(`Snapshot version ${SNAPSHOT_VERSION + 1} is not compatible with this agent`);
+    expect(() => agent.restoreSnapshot({ state: {} })).toThrow(SnapshotError);
+    expect(() => agent.restoreSnapshot({ ...snapshot, state: { ...snapshot.state, votes: [] } }))
+      .toThrow('Invalid snapshot: state.votes expected object');
+
+    expect(agent.companyManager.getAllCompanies()).toHaveLength(1);
+  });
+
+  test('should save snapshots to files and restore them through the API', async () => {
+    await seedState(agent);
+    const directory = mkdtempSync(join(tmpdir(), 'tycoon-snapshot-'));
+    const path = join(directory, 'saves', 'game.json');
+
+    try {
+      await agent.snapshots.saveToFile(path, { name: 'save-1' });
+      const fresh = new CorporateMergeTycoonAgent({ network: 'testnet' });
+      await fresh.snapshots.loadFromFile(path);
+      expect(fresh.companyManager.getAllCompanies()).toHaveLength(1);
+
+      writeFileSync(path, '{');
+      await expect(fresh.snapshots.loadFromFile(path)).rejects.toThrow('Cannot read snapshot');
+      fresh.dispose();
+    } finally {
+      rmSync(directory, { recursive: true, force: true });
+    }
+
+    const app = new ApiServer(agent).app;
+    const exported = await request(app).get('/api/snapshot?name=api');
+    expect(exported.body.data.name).toBe('api');
+
+    const target = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    const targetApp = new ApiServer(target).app;
+    const restore = await request(targetApp).post('/api/snapshot/restore').send(exported.body.data);
+    expect(restore.body.data.restored.companies).toBe(1);
+
+    const incompatible = await request(targetApp).post('/api/snapshot/restore').send({ ...exported.body.data, version: 99 });
+    expect(incompatible.status).toBe(400);
+    expect(incompatible.body.error.code).toBe('INVALID_SNAPSHOT');
+    target.dispose();
+  });
+
+  test('should upgrade version 1 snapshots whose allocations fall short of the supply', async () => {
+    await seedState(agent);
+    const snapshot = agent.createSnapshot();
+    const company = snapshot.state.companies['TECH-abc123'];
+    company.token.allocations.treasury = null;
+    delete snapshot.state.ledgers['TECH-abc123'].balances.treasury;
+
+    const restored = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    restored.restoreSnapshot({ ...snapshot, version: 1 });
+
+    expect(restored.companyManager.getCompany('TECH-abc123').token.allocations.treasury).toBe(250000);
+    expect(restored.companyManager.ledger.balanceOf('TECH-abc123', 'treasury')).toBe(250000);
+    await restored.companyManager.burnTokens('TECH-abc123', 1000);
+    expect(restored.companyManager.getCompany('TECH-abc123').token.total_supply).toBe(999000);
+    restored.dispose();
+  });
+
+  test('should resume the simulated time of the snapshot', async () => {
+    const manual = (start) => new CorporateMergeTycoonAgent({ network: 'testnet', random: { seed: 'resume' }, clock: { mode: 'manual', start } });
+    const released = (target) => target.companyManager.vestingSchedules.get('TECH-abc123').employees.alice.released;
+    const source = manual('2025-01-01T00:00:00.000Z');
+    await source.companyManager.registerCompany({ companyId: 'TECH-abc123', name: 'TechCorp', ticker: 'TECH', totalSupply: 1000 });
+    source.companyManager.vestingSchedules.set('TECH-abc123', {
+      company_id: 'TECH-abc123',
+      employees: {
+        alice: { total_amount: 3650, released: 0, start_date: '2025-01-01T00:00:00.000Z', end_date: '2026-01-01T00:00:00.000Z' }
+      }
+    });
+    const { proposal } = await source.daoManager.createProposal({ title: 'Expand', description: 'New market', proposer: 'erd1founder' });
+    await source.advanceTime({ days: 3 });
+    const snapshot = source.createSnapshot();
+    expect(snapshot.simulated_at).toBe('2025-01-04T00:00:00.000Z');
+
+    const fresh = manual('2030-06-01T00:00:00.000Z');
+    const events = [];
+    fresh.snapshots.on('snapshotRestored', event => events.push(event));
+    fresh.restoreSnapshot(snapshot);
+    expect(fresh.clock.toISOString()).toBe('2025-01-04T00:00:00.000Z');
+    expect(events[0].clock).toEqual({ simulated_at: '2025-01-04T00:00:00.000Z', restored: true, drift_ms: 0 });
+
+    await source.advanceTime({ days: 3 });
+    await fresh.advanceTime({ days: 3 });
+    expect(released(fresh)).toBeCloseTo(60, 5);
+    expect(released(fresh)).toBeCloseTo(released(source), 9);
+    expect(fresh.daoManager.getProposal(proposal.id).status).toBe('active');
+    await fresh.advanceTime({ days: 2 });
+    expect(fresh.daoManager.getProposal(proposal.id).voting_closed_at).toBe('2025-01-08T00:00:00.001Z');
+
+    // A real-time clock cannot move back, so the restore reports how far off it is
+    const real = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    real.snapshots.on('snapshotRestored', event => events.push(event));
+    real.restoreSnapshot(snapshot);
+    expect(events[1].clock).toMatchObject({ restored: false, drift_ms: expect.any(Number) });
+    expect(events[1].clock.drift_ms).toBeGreaterThan(0);
+    expect(() => real.restoreSnapshot({ ...snapshot, simulated_at: 'yesterday' }))
+      .toThrow('Invalid snapshot: simulated_at expected ISO 8601 date');
+
+    [source, fresh, real].forEach(instance => instance.dispose());
+  });
+});
+
+describe('Simulation Clock', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  test('should fire timers in simulated order while advancing', async () => {
+    const clock = new SimulationClock({ mode: 'manual', start: '2025-01-01T00:00:00.000Z' });
+    const fired = [];
+
+    clock.setInterval(() => fired.push(['daily', clock.toISOString()]), DAY);
+    clock.setTimeout(() => fired.push(['once', clock.toISOString()]), DAY / 2);
+    const cancelled = clock.setTimeout(() => fired.push(['cancelled']), DAY);
+    clock.clearTimer(cancelled);
+
+    const result = await clock.advanceDays(2);
+    expect(result).toMatchObject({ to: '2025-01-03T00:00:00.000Z', fired: 3 });
+    expect(fired).toEqual([
+      ['once', '2025-01-01T12:00:00.000Z'],
+      ['daily', '2025-01-02T00:00:00.000Z'],
+      ['daily', '2025-01-03T00:00:00.000Z']
+    ]);
+    expect(clock.toISOString()).toBe('2025-01-03T00:00:00.000Z');
+    await expect(clock.advance(-1)).rejects.toThrow('Clock can only move forward');
+  });
+
+  test('should refuse unbounded or out-of-range advances', async () => {
+    const clock = new SimulationClock({ mode: 'manual', start: '2025-01-01T00:00:00.000Z', maxAdvanceDays: 30 });
+    clock.setInterval(() => {}, 60 * 60 * 1000);
+
+    await expect(clock.advance(Infinity)).rejects.toThrow('Clock advance must be a finite number of milliseconds');
+    await expect(clock.advance('5')).rejects.toThrow('Clock advance must be a finite number of milliseconds');
+    await expect(clock.advanceDays(1e308)).rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+    await expect(clock.advanceDays(31)).rejects.toThrow('Clock can advance at most 30 days at a time');
+    await expect(clock.advanceTo('not a date')).rejects.toThrow('finite number');
+    expect(clock.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+
+    const edge = new SimulationClock({ mode: 'manual', start: '+275760-09-12T00:00:00.000Z' });
+    await expect(edge.advanceDays(2)).rejects.toThrow('Clock cannot move past the last representable date');
+    expect((await edge.advanceDays(1)).to).toBe('+275760-09-13T00:00:00.000Z');
+  });
+
+  test('should run accelerated and refuse to advance real time', async () => {
+    const accelerated = new SimulationClock({ mode: 'accelerated', speed: 1000, start: '2025-01-01T00:00:00.000Z' });
+    await accelerated.advanceDays(1);
+    expect(accelerated.now()).toBeGreaterThanOrEqual(new Date('2025-01-02T00:00:00.000Z').getTime());
+
+    await expect(new SimulationClock({ mode: 'real' }).advance(1000)).rejects.toThrow('Cannot advance a real-time clock');
+    expect(() => new SimulationClock({ mode: 'sundial' })).toThrow('Unknown clock mode: sundial');
+  });
+
+  test('should close voting windows when simulated time passes the deadline', async () => {
+    const agent = new CorporateMergeTycoonAgent({ network: 'testnet', clock: { mode: 'manual', start: '2025-01-01T00:00:00.000Z' } });
+    const ended = [];
+    agent.daoManager.on('votingEnded', event => ended.push(event));
+
+    const { proposal } = await agent.daoManager.createProposal({ title: 'Expand', description: 'New market', proposer: 'erd1founder' });
+    expect(proposal.voting_ends_at).toBe('2025-01-08T00:00:00.000Z');
+    await agent.daoManager.submitVote({ proposalId: proposal.id, voter: 'erd1whale', vote: 'for', votingPower: 400000 });
+
+    await agent.advanceTime({ days: 6 });
+    expect(agent.daoManager.getActiveProposals()).toHaveLength(1);
+
+    await agent.advanceTime({ days: 2 });
+    expect(ended).toEqual([expect.objectContaining({ proposalId: proposal.id, result: 'passed' })]);
+    expect(agent.daoManager.getProposal(proposal.id).voting_closed_at).toBe('2025-01-08T00:00:00.001Z');
+    expect(agent.daoManager.getActiveProposals()).toHaveLength(0);
+
+    await expect(agent.daoManager.submitVote({ proposalId: proposal.id, voter: 'erd1late', vote: 'for' }))
+      .rejects.toThrow('Voting period has ended');
+    const { execution } = await agent.daoManager.executeDecision({ proposalId: proposal.id, executor: 'erd1founder' });
+    expect(execution.executed_at).toBe('2025-01-09T00:00:00.000Z');
+    agent.dispose();
+  });
+
+  test('should release vested tokens as simulated days pass', async () => {
+    const agent = new CorporateMergeTycoonAgent({ network: 'testnet', clock: { mode: 'manual', start: '2025-01-01T00:00:00.000Z' } });
+    const manager = agent.companyManager;
+    await manager.registerCompany({ companyId: 'TECH-abc123', name: 'TechCorp', ticker: 'TECH', totalSupply: 1000 });
+    manager.vestingSchedules.set('TECH-abc123', {
+      company_id: 'TECH-abc123',
+      employees: {
+        alice: { total_amount: 3650, released: 0, start_date: '2025-01-01T00:00:00.000Z', end_date: '2026-01-01T00:00:00.000Z' }
+      }
+    });
+
+    const vested = [];
+    manager.on('tokensVested', event => vested.push(event));
+    await agent.advanceTime({ days: 10 });
+
+    expect(vested).toHaveLength(10);
+    expect(vested[9].timestamp).toBe('2025-01-11T00:00:00.000Z');
+    expect(manager.vestingSchedules.get('TECH-abc123').employees.alice.released).toBeCloseTo(100, 5);
+    expect(manager.performanceHistory.get('TECH-abc123')).toHaveLength(240);
+    agent.dispose();
+  });
+
+  test('should expose and advance the clock over the API', async () => {
+    const manual = new CorporateMergeTycoonAgent({ network: 'testnet', clock: { mode: 'manual', start: '2025-01-01T00:00:00.000Z' } });
+    const response = await request(new ApiServer(manual).app).post('/api/clock/advance').send({ days: 3 });
+    expect(response.body.data.clock.now).toBe('2025-01-04T00:00:00.000Z');
+
+    const real = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    const app = new ApiServer(real).app;
+    expect((await request(app).get('/api/clock')).body.data.mode).toBe('real');
+    expect((await request(app).post('/api/clock/advance').send({ days: 1 })).status).toBe(409);
+    expect((await request(app).post('/api/clock/advance').send({})).status).toBe(400);
+    for (const body of [{ days: 1e308 }, { ms: 1e300 }]) {
+      const refused = await request(new ApiServer(manual).app).post('/api/clock/advance').send(body);
+      expect(refused.status).toBe(400);
+      expect(refused.body.error.code).toBe('INVALID_REQUEST');
+    }
+    manual.dispose();
+    real.dispose();
+  });
+});
+
+describe('Lifecycle', () => {
+  const registerSlowTask = (agent, delay) => agent.registerTask({
+    task_id: 'SLW001',
+    name: 'Slow Task',
+    category: 'maintenance',
+    category_name: 'Maintenance',
+    priority: 'Low',
+    complexity: 'Low',
+    parameters: {}
+  }, () => new Promise(resolve => setTimeout(() => resolve({ status: 'success' }), delay)));
+
+  test('should only run company background loops between start and stop', () => {
+    const clock = new SimulationClock({ mode: 'manual' });
+    const manager = new CompanyManager({ clock });
+    expect(clock.getStatus().pending_timers).toBe(0);
+
+    manager.start().start();
+    expect(clock.getStatus().pending_timers).toBe(2);
+
+    manager.stop();
+    expect(clock.getStatus().pending_timers).toBe(0);
+
+    manager.start();
+    manager.dispose();
+    expect(clock.getStatus().pending_timers).toBe(0);
+    expect(manager.listenerCount('tokensVested')).toBe(0);
+  });
+
+  test('should start with the agent unless autoStart is disabled', async () => {
+    const clock = new SimulationClock({ mode: 'manual', start: '2025-01-01T00:00:00.000Z' });
+    const agent = new CorporateMergeTycoonAgent({ network: 'testnet', clock, autoStart: false });
+    const { proposal } = await agent.daoManager.createProposal({ title: 'Idle', description: 'Not started', proposer: 'erd1founder' });
+    expect(clock.getStatus().pending_timers).toBe(0);
+
+    agent.start();
+    expect(clock.getStatus().pending_timers).toBe(3);
+
+    agent.dispose();
+    expect(clock.getStatus().pending_timers).toBe(0);
+    await agent.advanceTime({ days: 8 });
+    expect(agent.daoManager.getProposal(proposal.id).status).toBe('active');
+  });
+
+  test('should drain in-flight tasks, flush state and refuse new work on shutdown', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'cmt-shutdown-'));
+    const file = join(dir, 'state.json');
+    try {
+      const agent = new CorporateMergeTycoonAgent({ network: 'testnet', storage: { url: `file:${file}`, flushDelay: 60000 } });
+      registerSlowTask(agent, 50);
+      await agent.companyManager.registerCompany({ companyId: 'TECH-abc123', name: 'TechCorp', ticker: 'TECH', totalSupply: 1000 });
+
+      const inFlight = agent.executeTask('SLW001');
+      const shutdown = agent.shutdown();
+      expect(agent.shutdown()).toBe(shutdown);
+
+      expect((await inFlight).success).toBe(true);
+      expect(await shutdown).toEqual({ drained: true, flushed: true });
+      expect(JSON.parse(readFileSync(file, 'utf8')).collections.companies.entries).toHaveLength(1);
+      expect(agent.clock.getStatus().pending_timers).toBe(0);
+
+      const refused = await agent.executeTask('SLW001');
+      expect(refused.error).toBe('Agent is shutting down');
+      expect(() => agent.start()).toThrow('Agent has been shut down');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should close registered servers and give up on tasks past the timeout', async () => {
+    const agent = new CorporateMergeTycoonAgent({ network: 'testnet', shutdownTimeout: 20 });
+    registerSlowTask(agent, 200);
+    const api = new ApiServer(agent, { port: 0, host: '127.0.0.1' });
+    await api.start();
+
+    const inFlight = agent.executeTask('SLW001');
+    expect(await agent.shutdown()).toEqual({ drained: false, flushed: false });
+    expect(api.server).toBeNull();
+    await inFlight;
+  });
+});
+
+describe('Seeded Random', () => {
+  const session = async (seed) => {
+    const agent = new CorporateMergeTycoonAgent({
+      network: 'testnet',
+      random: { seed },
+      clock: { mode: 'manual', start: '2025-01-01T00:00:00.000Z' }
+    });
+    const diligence = await agent.executeTask('MRG001', {
+      target_company: { name: 'InnovaCorp' },
+      analysis_depth: 'comprehensive',
+      risk_tolerance: 'moderate'
+    });
+    const network = await agent.executeTask('BLK001', {});
+    const { proposal } = await agent.daoManager.createProposal({ title: 'Expand', description: 'New market', proposer: 'erd1founder' });
+    return { agent, diligence, network, proposalId: proposal.id };
+  };
+
+  test('should produce the same sequence for the same seed', () => {
+    const a = new SeededRandom({ seed: 'tycoon' });
+    const b = new SeededRandom({ seed: 'tycoon' });
+    const draws = Array.from({ length: 5 }, () => a.next());
+
+    expect(Array.from({ length: 5 }, () => b.next())).toEqual(draws);
+    expect(new SeededRandom({ seed: 'other' }).next()).not.toBe(draws[0]);
+    expect(a.getStatus()).toEqual({ seed: 'tycoon', draws: 5 });
+
+    for (let i = 0; i < 200; i++) {
+      const value = a.int(3, 5);
+      expect(value).toBeGreaterThanOrEqual(3);
+      expect(value).toBeLessThanOrEqual(5);
+    }
+    expect(a.hex(8)).toMatch(/^[0-9a-f]{8}$/);
+    expect(new SeededRandom({ seed: 42 }).seed).toBe('42');
+  });
+
+  test('should resume from a saved generator state', () => {
+    const random = new SeededRandom({ seed: 7 });
+    random.next();
+    const saved = random.getState();
+    const expected = [random.next(), random.next()];
+
+    const resumed = new SeededRandom().setState(saved);
+    expect([resumed.next(), resumed.next()]).toEqual(expected);
+    expect(() => resumed.setState({ seed: 7, state: -1 })).toThrow('Random state must be an unsigned 32-bit integer');
+  });
+
+  test('should replay a session exactly from its seed', async () => {
+    const first = await session('replay-1');
+    const second = await session('replay-1');
+
+    expect(first.diligence.seed).toBe('replay-1');
+    expect(second.diligence.result).toEqual(first.diligence.result);
+    expect(second.network.result).toEqual(first.network.result);
+    expect(second.proposalId).toBe(first.proposalId);
+
+    const other = await session('replay-2');
+    expect(other.diligence.result).not.toEqual(first.diligence.result);
+    [first, second, other].forEach(({ agent }) => agent.dispose());
+  });
+
+  test('should carry the generator state through snapshots', async () => {
+    const { agent } = await session('snapshot-seed');
+    const snapshot = agent.createSnapshot();
+    expect(snapshot.random).toMatchObject({ seed: 'snapshot-seed' });
+    const next = agent.random.next();
+
+    const restored = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    restored.restoreSnapshot(snapshot);
+    expect(restored.random.seed).toBe('snapshot-seed');
+    expect(restored.random.next()).toBe(next);
+
+    expect(() => restored.restoreSnapshot({ ...snapshot, random: { seed: 'x', state: 1.5 } }))
+      .toThrow('Invalid snapshot: random.state expected unsigned 32-bit integer');
+    agent.dispose();
+    restored.dispose();
+  });
+});
+
+describe('Game Engine', () => {
+  let agent;
+  let game;
+
+  const setup = async (settings = {}) => {
+    const session = game.createSession({ name: 'Test League', ...settings });
+    const alice = await game.joinSession(session.id, { playerId: 'alice', company: { name: 'Alpha', ticker: 'ALP', initialPrice: 2 } });
+    const bob = await game.joinSession(session.id, { playerId: 'bob', company: { name: 'Beta', ticker: 'BET' } });
+    game.startSession(session.id);
+    return { session, alpha: alice.companies[0], beta: bob.companies[0] };
+  };
+
+  beforeEach(() => {
+    agent = new CorporateMergeTycoonAgent({
+      network: 'testnet',
+      random: { seed: 'game' },
+      clock: { mode: 'manual', start: '2025-01-01T00:00:00.000Z' }
+    });
+    game = agent.game;
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should require a simulated clock and valid victory conditions', () => {
+    const realTime = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    expect(() => realTime.game.createSession()).toThrow('Game sessions need a manual or accelerated clock');
+    realTime.dispose();
+
+    expect(() => game.createSession({ turnDays: 0, victoryConditions: [{ type: 'market_cap' }, { type: 'luck' }] }))
+      .toThrow('Invalid parameters: turnDays (expected a positive integer), victoryConditions[0].target (expected a positive market cap), victoryConditions[1].type (must be one of market_cap, sector_dominance, turn_limit)');
+  });
+
+  test('should seat players with founding companies and lock the lobby on start', async () => {
+    const { session, alpha } = await setup();
+
+    expect(agent.companyManager.getCompany(alpha).performance).toMatchObject({ token_price: 2, market_cap: 600000 });
+    expect(game.getSession(session.id)).toMatchObject({ status: 'active', turn: 1 });
+    await expect(game.joinSession(session.id, { playerId: 'carol', company: { name: 'Gamma', ticker: 'GAM' } }))
+      .rejects.toThrow('has already started');
+
+    expect(() => game.submitAction(session.id, 'bob', { type: 'issue_tokens', companyId: alpha, amount: 10 }))
+      .toThrow('Invalid parameters: companyId (is not a company of player bob)');
+    expect(() => game.submitAction(session.id, 'mallory', { type: 'vote' })).toThrow('Player mallory not found');
+  });
+
+  test('should run one active session at a time on the shared clock', async () => {
+    const { session } = await setup({ victoryConditions: [{ type: 'turn_limit', turns: 1 }] });
+    const next = game.createSession({ name: 'Second League' });
+    await game.joinSession(next.id, { playerId: 'carol', company: { name: 'Gamma', ticker: 'GAM' } });
+
+    expect(() => game.startSession(next.id)).toThrow(`Game session ${session.id} is still active; finish it before starting ${next.id}`);
+    expect(game.getSession(next.id).status).toBe('lobby');
+
+    await game.endTurn(session.id);
+    expect(game.startSession(next.id)).toMatchObject({ status: 'active', started_at: '2025-01-08T00:00:00.000Z' });
+  });
+
+  test('should apply actions and advance the clock at the end of a turn', async () => {
+    const { session, alpha, beta } = await setup();
+    game.submitAction(session.id, 'alice', { type: 'issue_tokens', companyId: alpha, amount: 1000000 });
+    game.submitAction(session.id, 'bob', { type: 'distribute', companyId: beta, amount: 1000000 });
+
+    const turns = [];
+    game.on('turnResolved', event => turns.push(event));
+    const summary = await game.endTurn(session.id);
+
+    expect(summary).toMatchObject({ turn: 1, started_at: '2025-01-01T00:00:00.000Z', ended_at: '2025-01-08T00:00:00.000Z', winner: null });
+    expect(summary.actions[0]).toMatchObject({ type: 'issue_tokens', status: 'applied', result: { total_supply: 2000000 } });
+    expect(summary.actions[1]).toMatchObject({ type: 'distribute', status: 'rejected', error: 'Insufficient treasury tokens: 250000 available' });
+    expect(summary.market).toHaveLength(2);
+    expect(summary.standings.map(s => s.rank)).toEqual([1, 2]);
+    expect(turns).toEqual([expect.objectContaining({ sessionId: session.id, turn: 1, actions: 2 })]);
+    expect(game.getSession(session.id)).toMatchObject({ turn: 2, pending_actions: [] });
+  });
+
+  test('should decide mergers by a market-cap weighted vote', async () => {
+    const { session, alpha, beta } = await setup();
+    game.submitAction(session.id, 'alice', { type: 'propose_merger', acquirerId: alpha, targetId: beta });
+    const first = await game.endTurn(session.id);
+    const { proposal_id: proposalId } = first.actions[0].result;
+    expect(agent.daoManager.getProposal(proposalId)).toMatchObject({ category: 'merger', proposer: 'alice' });
+    expect(first.mergers).toEqual([]);
+
+    game.submitAction(session.id, 'bob', { type: 'vote', proposalId, vote: 'against' });
+    const second = await game.endTurn(session.id);
+
+    expect(second.mergers).toEqual([expect.objectContaining({ proposal_id: proposalId, status: 'completed' })]);
+    expect(agent.companyManager.getCompany(beta).metadata).toMatchObject({ status: 'merged', merged_into: alpha });
+    expect(agent.mergerEngine.getMerger(`MERGER_${proposalId}`).status).toBe('completed');
+    expect(second.standings.find(s => s.player_id === 'bob')).toMatchObject({ companies: 0, market_cap: 0 });
+  });
+
+  test('should end the game when a victory condition is met', async () => {
+    const { session } = await setup({
+      victoryConditions: [{ type: 'sector_dominance', sector: 'Technology', share: 0.6 }, { type: 'turn_limit', turns: 3 }]
+    });
+
+    const ended = [];
+    game.on('gameEnded', event => ended.push(event));
+    const summary = await game.endTurn(session.id);
+
+    expect(summary.winner).toMatchObject({ player_id: 'alice', condition: 'sector_dominance' });
+    expect(game.getSession(session.id)).toMatchObject({ status: 'finished', winner: summary.winner });
+    expect(ended).toEqual([{ sessionId: session.id, winner: 'alice', condition: 'sector_dominance' }]);
+    await expect(game.endTurn(session.id)).rejects.toThrow('has ended');
+  });
+
+  test('should play a session over the API', async () => {
+    const app = new ApiServer(agent).app;
+    const created = await request(app).post('/api/games').send({ name: 'API League', victoryConditions: [{ type: 'turn_limit', turns: 1 }] });
+    expect(created.status).toBe(201);
+    const sessionId = created.body.data.id;
+
+    const joined = await request(app).post(`/api/games/${sessionId}/players`).send({ playerId: 'alice', company: { name: 'Alpha', ticker: 'ALP' } });
+    expect(joined.status).toBe(201);
+    expect((await request(app).post(`/api/games/${sessionId}/actions`).send({ playerId: 'alice', type: 'vote' })).status).toBe(409);
+    await request(app).post(`/api/games/${sessionId}/start`).expect(200);
+
+    const action = await request(app).post(`/api/games/${sessionId}/actions`).send({ playerId: 'alice', type: 'bribe' });
+    expect(action.status).toBe(400);
+
+    const turn = await request(app).post(`/api/games/${sessionId}/turns`);
+    expect(turn.body.data.winner).toMatchObject({ player_id: 'alice', condition: 'turn_limit' });
+    expect((await request(app).get(`/api/games/${sessionId}/turns`)).body.data).toHaveLength(1);
+    expect((await request(app).get('/api/games/missing')).status).toBe(404);
+  });
+});
+
+describe('Competitor Bots', () => {
+  let agent;
+  let game;
+
+  const createAgent = () => new CorporateMergeTycoonAgent({
+    network: 'testnet',
+    random: { seed: 'rivals' },
+    clock: { mode: 'manual', start: '2025-01-01T00:00:00.000Z' }
+  });
+
+  const setup = async () => {
+    const session = game.createSession({ name: 'Solo', victoryConditions: [{ type: 'turn_limit', turns: 10 }] });
+    await game.joinSession(session.id, { playerId: 'alice', company: { name: 'Alpha', ticker: 'ALP' } });
+    await game.addBot(session.id, { personality: 'aggressive_acquirer', difficulty: 'hard' });
+    await game.addBot(session.id, { personality: 'governance_activist', difficulty: 'hard' });
+    game.startSession(session.id);
+    return session;
+  };
+
+  beforeEach(() => {
+    agent = createAgent();
+    game = agent.game;
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should seat bots with a personality and difficulty', async () => {
+    const session = game.createSession();
+    const bot = await game.addBot(session.id, { personality: 'conservative_holder', difficulty: 'easy' });
+
+    expect(bot).toMatchObject({ id: 'bot-1', name: 'Conservative Holder 1', bot: { personality: 'conservative_holder', difficulty: 'easy' } });
+    expect(agent.companyManager.getCompany(bot.companies[0]).ticker).toBe('BOT1');
+    await expect(game.addBot(session.id, { personality: 'reckless', difficulty: 'impossible' }))
+      .rejects.toThrow('Invalid parameters: bot.personality (must be one of aggressive_acquirer, conservative_holder, governance_activist), bot.difficulty (must be one of easy, normal, hard)');
+  });
+
+  test('should queue explained decisions when the turn ends', async () => {
+    const session = await setup();
+    const first = await game.endTurn(session.id);
+
+    const bid = first.decisions.find(decision => decision.decision === 'propose_merger');
+    expect(bid).toMatchObject({ turn: 1, player_id: 'bot-1', personality: 'aggressive_acquirer', difficulty: 'hard' });
+    expect(bid.reasoning).toMatch(/^Bidding for .+ due diligence says PROCEED/);
+    expect(bid.inputs.candidates).toHaveLength(2);
+    expect(first.decisions.every(decision => decision.reasoning.length > 0)).toBe(true);
+    expect(first.actions.find(action => action.id === bid.action_id)).toMatchObject({ type: 'propose_merger', status: 'applied' });
+
+    // The activist votes its holdings on the open bid through the DAO
+    const second = await game.endTurn(session.id);
+    const vote = second.decisions.find(decision => decision.decision === 'vote');
+    const proposalId = vote.inputs.proposal_id;
+    expect(vote).toMatchObject({ player_id: 'bot-2', inputs: { voting_power: expect.any(Number), recommendation: 'REJECT' } });
+    expect(vote.reasoning).toMatch(/^Voting against on BOT1 acquiring ALP: due diligence says REJECT/);
+    expect(second.actions.find(action => action.id === vote.action_id)).toMatchObject({ type: 'vote', status: 'applied', vote: 'against' });
+    expect(agent.daoManager.votes.get(`${proposalId}_bot-2`)).toMatchObject({ vote: 'against', reason: vote.reasoning, voting_power: expect.any(Number) });
+
+    expect(game.getBotLog(session.id, { playerId: 'bot-2', turn: 2 })).toEqual(second.decisions.filter(d => d.player_id === 'bot-2'));
+  });
+
+  test('should replay bot play exactly from the seed', async () => {
+    const play = async () => {
+      const session = await setup();
+      await game.endTurn(session.id);
+      await game.endTurn(session.id);
+      return game.getBotLog(session.id).map(({ player_id, decision, reasoning }) => ({ player_id, decision, reasoning }));
+    };
+
+    const first = await play();
+    agent.dispose();
+    agent = createAgent();
+    game = agent.game;
+    expect(await play()).toEqual(first);
+  });
+
+  test('should add bots and read their log over the API', async () => {
+    const app = new ApiServer(agent).app;
+    const sessionId = game.createSession().id;
+
+    expect((await request(app).post(`/api/games/${sessionId}/bots`).send({})).status).toBe(400);
+    const added = await request(app).post(`/api/games/${sessionId}/bots`).send({ personality: 'governance_activist' });
+    expect(added.status).toBe(201);
+    game.startSession(sessionId);
+    await game.endTurn(sessionId);
+
+    const log = await request(app).get(`/api/games/${sessionId}/bots/log`).query({ playerId: 'bot-1', turn: 1 });
+    expect(log.body.data.length).toBeGreaterThan(0);
+    expect(log.body.data[0]).toMatchObject({ player_id: 'bot-1', turn: 1, reasoning: expect.any(String) });
+  });
+});
+
+describe('Leaderboards', () => {
+  let agent;
+  let leaderboards;
+
+  const setup = async () => {
+    const game = agent.game;
+    const session = game.createSession({ name: 'League' });
+    const alice = await game.joinSession(session.id, { playerId: 'alice', company: { name: 'Alpha', ticker: 'ALP', initialPrice: 2 } });
+    const bob = await game.joinSession(session.id, { playerId: 'bob', company: { name: 'Beta', ticker: 'BET', sector: 'Finance' } });
+    game.startSession(session.id);
+    return { session, alpha: alice.companies[0], beta: bob.companies[0] };
+  };
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+  const values = (query) => leaderboards.getLeaderboard(query).entries.map(entry => [entry.id, entry.value]);
+
+  beforeEach(() => {
+    agent = new CorporateMergeTycoonAgent({
+      network: 'testnet',
+      random: { seed: 'leaders' },
+      clock: { mode: 'manual', start: '2025-01-01T00:00:00.000Z' }
+    });
+    leaderboards = agent.leaderboards;
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should detach its listeners from the managers when disposed', () => {
+    const listeners = () => [
+      agent.companyManager.listenerCount('tokensIssued'),
+      agent.daoManager.listenerCount('voteSubmitted'),
+      agent.game.listenerCount('turnResolved')
+    ];
+    const before = listeners();
+
+    leaderboards.dispose();
+    expect(listeners()).toEqual(before.map(count => count - 1));
+    leaderboards.dispose();
+    expect(listeners()).toEqual(before.map(count => count - 1));
+  });
+
+  test('should rank companies and players overall and per sector', async () => {
+    const { alpha, beta } = await setup();
+    await agent.companyManager.registerCompany({
+      companyId: 'GAM-1', name: 'Gamma', ticker: 'GAM', totalSupply: 1000000, publicAllocation: 500000, initialPrice: 1.5, sector: 'Finance'
+    });
+
+    const board = leaderboards.getLeaderboard({ metric: 'market_cap' });
+    expect(board).toMatchObject({ metric: 'market_cap', entity: 'companies', period: 'season', number: 1, total: 3 });
+    expect(board.entries.map(entry => [entry.rank, entry.id])).toEqual([[1, 'GAM-1'], [2, alpha], [3, beta]]);
+    expect(leaderboards.getLeaderboard({ sector: 'Finance' }).entries.map(entry => entry.id)).toEqual(['GAM-1', beta]);
+    expect(leaderboards.getLeaderboard({ entity: 'players', limit: 1 }).entries).toEqual([
+      { rank: 1, id: 'alice', name: 'alice', companies: 1, value: 600000 }
+    ]);
+
+    expect(() => leaderboards.getLeaderboard({ metric: 'luck', period: 'monthly' }))
+      .toThrow('Invalid parameters: metric (must be one of market_cap, total_return, mergers, governance, performance_score), period (must be one of weekly, season)');
+  });
+
+  test('should count mergers, votes, returns and performance scores for the period', async () => {
+    const { session, alpha } = await setup();
+    const game = agent.game;
+    game.submitAction(session.id, 'alice', { type: 'propose_merger', acquirerId: alpha, targetId: game.getSession(session.id).players.bob.companies[0] });
+    await game.endTurn(session.id);
+    const { mergers } = await game.endTurn(session.id);
+    expect(mergers).toEqual([expect.objectContaining({ status: 'completed' })]);
+
+    expect(values({ metric: 'mergers', entity: 'players' })).toEqual([['alice', 1]]);
+    expect(values({ metric: 'mergers' })).toEqual([[alpha, 1]]);
+    expect(values({ metric: 'governance', entity: 'players' })).toEqual([['alice', 1]]);
+
+    const price = agent.companyManager.getCompany(alpha).performance.token_price;
+    expect(values({ metric: 'total_return' })).toEqual([[alpha, ((price - 2) / 2) * 100]]);
+
+    expect(leaderboards.getLeaderboard({ metric: 'performance_score' }).total).toBe(0);
+    const scores = await leaderboards.refreshScores();
+    expect(values({ metric: 'performance_score', entity: 'players' })).toEqual([['alice', scores[alpha]]]);
+  });
+
+  test('should archive and reset boards when a period ends', async () => {
+    await setup();
+    const { proposal } = await agent.daoManager.createProposal({ title: 'Fees', description: 'Lower fees', proposer: 'alice' });
+    await agent.daoManager.submitVote({ proposalId: proposal.id, voter: 'bob', vote: 'for' });
+
+    const closed = [];
+    leaderboards.on('periodClosed', event => closed.push(event));
+    await agent.advanceTime({ days: 7 });
+
+    expect(closed).toEqual([{ period: 'weekly', number: 1, archiveId: 'weekly-1', nextEndsAt: '2025-01-15T00:00:00.000Z' }]);
+    expect(leaderboards.getPeriods()).toEqual([
+      { period: 'weekly', number: 2, started_at: '2025-01-08T00:00:00.000Z', ends_at: '2025-01-15T00:00:00.000Z' },
+      { period: 'season', number: 1, started_at: '2025-01-01T00:00:00.000Z', ends_at: '2025-04-01T00:00:00.000Z' }
+    ]);
+    expect(values({ metric: 'governance', entity: 'players', period: 'weekly' })).toEqual([['alice', 0], ['bob', 0]]);
+    expect(values({ metric: 'governance', entity: 'players', period: 'season' })).toEqual([['bob', 1], ['alice', 0]]);
+
+    const archive = leaderboards.getArchive('weekly-1');
+    expect(archive).toMatchObject({ period: 'weekly', number: 1, started_at: '2025-01-01T00:00:00.000Z', ended_at: '2025-01-08T00:00:00.000Z' });
+    expect(archive.boards.find(board => board.entity === 'players' && board.metric === 'governance' && board.sector === null).entries)
+      .toEqual([expect.objectContaining({ rank: 1, id: 'bob', value: 1 }), expect.objectContaining({ rank: 2, id: 'alice', value: 0 })]);
+
+    expect(leaderboards.closePeriod('season')).toMatchObject({ id: 'season-1', ended_at: '2025-01-08T00:00:00.000Z' });
+    expect(leaderboards.getArchives().map(entry => entry.id)).toEqual(['season-1', 'weekly-1']);
+    expect(leaderboards.getArchives({ period: 'weekly' })[0].boards).toBeUndefined();
+  });
+
+  test('should push reorderings and serve the boards over the API', async () => {
+    const { alpha, beta } = await setup();
+    await flush();
+    const updates = [];
+    leaderboards.on('leaderboardUpdated', event => updates.push(event));
+
+    // Bob gains market cap but stays second: nothing to push
+    await agent.companyManager.distributeTreasuryTokens(beta, 100000);
+    await flush();
+    expect(updates).toEqual([]);
+
+    // Alice dilutes below Bob
+    await agent.companyManager.issueTokens(alpha, 1000000);
+    await flush();
+    expect(updates).toHaveLength(1);
+    expect(updates[0].boards).toContainEqual(expect.objectContaining({
+      period: 'season', entity: 'players', metric: 'market_cap', sector: null,
+      entries: [expect.objectContaining({ id: 'bob', value: 400000 }), expect.objectContaining({ id: 'alice', value: 300000 })]
+    }));
+    expect(agent.eventStream.getEventsSince(0, { types: ['leaderboardUpdated'] }).events.at(-1).source).toBe('leaderboards');
+
+    const app = new ApiServer(agent).app;
+    const board = await request(app).get('/api/leaderboards').query({ entity: 'players', limit: 1 });
+    expect(board.body.data.entries).toEqual([expect.objectContaining({ id: 'bob' })]);
+    expect((await request(app).get('/api/leaderboards').query({ metric: 'luck' })).status).toBe(400);
+
+    const reset = await request(app).post('/api/leaderboards/periods/weekly/reset');
+    expect(reset.body.data.id).toBe('weekly-1');
+    expect((await request(app).get('/api/leaderboards/archives')).body.data).toHaveLength(1);
+    expect((await request(app).get('/api/leaderboards/archives/season-9')).status).toBe(404);
+  });
+});
+
+describe('Vesting Engine', () => {
+  let agent;
+  let companies;
+
+  const vest = (companyId, action, employeeId, vestingParams) =>
+    companies.manageEmployeeVesting({ companyId, action, employeeId, vestingParams }).then(outcome => outcome.result);
+
+  beforeEach(async () => {
+    agent = new CorporateMergeTycoonAgent({
+      network: 'testnet',
+      autoStart: false,
+      clock: { mode: 'manual', start: '2025-01-01T00:00:00.000Z' }
+    });
+    companies = agent.companyManager;
+    await companies.registerCompany({
+      companyId: 'TECH-abc123', name: 'TechCorp', ticker: 'TECH', totalSupply: 1000000,
+      founderAllocation: 300000, employeeAllocation: 200000, publicAllocation: 300000, treasuryAllocation: 200000, initialPrice: 1
+    });
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should vest after the cliff on monthly and quarterly release dates', async () => {
+    const created = [];
+    companies.on('vestingGrantCreated', event => created.push(event));
+    const { grant } = await vest('TECH-abc123', 'add_employee', 'alice', { amount: 48000, cliffMonths: 12 });
+    await vest('TECH-abc123', 'add_employee', 'bob', { amount: 40000, durationMonths: 48, releaseFrequency: 'quarterly' });
+
+    expect(grant).toMatchObject({
+      employee_id: 'alice', total_amount: 48000, duration_months: 48, release_frequency: 'monthly', curve: 'linear',
+      cliff_date: '2026-01-01T00:00:00.000Z', end_date: '2029-01-01T00:00:00.000Z', vested: 0, next_vesting_date: '2026-01-01T00:00:00.000Z'
+    });
+    expect(created.map(event => event.employeeId)).toEqual(['alice', 'bob']);
+
+    await agent.clock.advanceTo('2025-12-31T00:00:00.000Z');
+    expect((await vest('TECH-abc123', 'status', 'alice')).grant.vested).toBe(0);
+
+    await agent.clock.advanceTo('2026-02-15T00:00:00.000Z');
+    const status = await vest('TECH-abc123', 'status');
+    expect(status.grants.map(entry => [entry.employee_id, entry.vested, entry.next_vesting_date])).toEqual([
+      ['alice', 13000, '2026-03-01T00:00:00.000Z'],
+      ['bob', 10000, '2026-04-01T00:00:00.000Z']
+    ]);
+    expect(status).toMatchObject({ employee_pool: 200000, granted: 88000, available: 112000, total_vested: 23000 });
+
+    const released = await vest('TECH-abc123', 'release', 'alice');
+    expect(released).toMatchObject({ total_released: 13000, releases: [{ employee_id: 'alice', amount: 13000 }] });
+    expect(companies.getCompany('TECH-abc123').token.circulating_supply).toBe(313000);
+    expect((await vest('TECH-abc123', 'release', 'alice')).total_released).toBe(0);
+  });
+
+  test('should follow graded and back-weighted curves and keep grants within the employee pool', async () => {
+    await vest('TECH-abc123', 'add_employee', 'cto', { amount: 100000, curve: 'back_weighted' });
+    await vest('TECH-abc123', 'add_employee', 'cfo', { amount: 60000, curve: 'graded', tranches: [50, 30, 20], durationMonths: 36 });
+
+    await expect(vest('TECH-abc123', 'add_employee', 'coo', { amount: 50000 }))
+      .rejects.toThrow('Grant of 50000 exceeds the available employee pool of TECH-abc123: 40000 of 200000 left');
+    await expect(vest('TECH-abc123', 'add_employee', 'cto', { amount: 1000 })).rejects.toThrow('already has a vesting grant');
+    await expect(vest('TECH-abc123', 'add_employee', 'coo', { amount: 1000, releaseFrequency: 'weekly', curve: 'graded', tranches: [60, 60] }))
+      .rejects.toThrow(ValidationError);
+
+    await agent.clock.advanceTo('2026-07-01T00:00:00.000Z');
+    const { grants } = await vest('TECH-abc123', 'status');
+    expect(grants.map(entry => [entry.employee_id, entry.tranches, entry.vested])).toEqual([
+      ['cto', [10, 20, 30, 40], 20000],
+      ['cfo', [50, 30, 20], 30000]
+    ]);
+
+    const { grant } = await vest('TECH-abc123', 'update', 'cto', { amount: 120000 });
+    expect(grant).toMatchObject({ total_amount: 120000, vested: 24000, curve: 'back_weighted' });
+    await expect(vest('TECH-abc123', 'update', 'cto', { amount: 150000 })).rejects.toThrow('exceeds the available employee pool');
+  });
+
+  test('should revoke unvested tokens back to the pool on termination', async () => {
+    const revoked = [];
+    companies.on('vestingRevoked', event => revoked.push(event));
+    await vest('TECH-abc123', 'add_employee', 'alice', { amount: 48000, cliffMonths: 12 });
+    await vest('TECH-abc123', 'add_employee', 'bob', { amount: 100000, cliffMonths: 12 });
+
+    await agent.clock.advanceTo('2025-11-01T00:00:00.000Z');
+    expect(await vest('TECH-abc123', 'terminate', 'bob')).toMatchObject({ vested: 0, revoked: 100000 });
+
+    await agent.clock.advanceTo('2026-07-01T00:00:00.000Z');
+    const terminated = await vest('TECH-abc123', 'terminate', 'alice', { cause: true });
+    expect(terminated).toMatchObject({ vested: 18000, revoked: 30000 });
+    expect(revoked).toEqual([
+      { companyId: 'TECH-abc123', employeeId: 'bob', vested: 0, revoked: 100000, cause: false },
+      { companyId: 'TECH-abc123', employeeId: 'alice', vested: 18000, revoked: 30000, cause: true }
+    ]);
+
+    await agent.clock.advanceTo('2027-01-01T00:00:00.000Z');
+    const { grant } = await vest('TECH-abc123', 'status', 'alice');
+    expect(grant).toMatchObject({ status: 'terminated', vested: 18000, releasable: 18000, unvested: 0, next_vesting_date: null });
+    expect(await vest('TECH-abc123', 'status')).toMatchObject({ granted: 18000, available: 182000 });
+    await expect(vest('TECH-abc123', 'terminate', 'alice')).rejects.toThrow('has already been terminated');
+  });
+
+  test('should accelerate on a merger and map CMP003 parameters onto grants', async () => {
+    const { result } = await agent.executeTask('CMP003', {
+      company_token: 'TECH-abc123',
+      employee_list: [
+        { id: 'alice', amount: 48000, acceleration: { trigger: 'single' } },
+        { id: 'bob', amount: 48000, acceleration: { trigger: 'double', percentage: 50, window_months: 12 } }
+      ],
+      vesting_schedule: { vesting_duration: 48, release_frequency: 'monthly' },
+      cliff_period: 12
+    });
+    expect(result.vesting_contracts.map(grant => [grant.employee_id, grant.cliff_months, grant.acceleration.trigger])).toEqual([
+      ['alice', 12, 'single'],
+      ['bob', 12, 'double']
+    ]);
+    expect(result.distribution_schedule).toMatchObject({ granted: 96000, next_release_date: '2026-01-01T00:00:00.000Z' });
+    expect(result.automation_status).toBe('paused');
+
+    await companies.registerCompany({ companyId: 'BIG-1', name: 'BigCorp', ticker: 'BIG', totalSupply: 1000000, publicAllocation: 1000000, initialPrice: 5 });
+    const accelerated = [];
+    companies.on('vestingAccelerated', event => accelerated.push(event));
+
+    await agent.clock.advanceTo('2026-01-01T00:00:00.000Z');
+    await companies.recordAcquisition('BIG-1', 'TECH-abc123');
+    expect(accelerated).toEqual([
+      { companyId: 'TECH-abc123', employeeId: 'alice', trigger: 'single', amount: 36000, timestamp: '2026-01-01T00:00:00.000Z' }
+    ]);
+
+    await agent.clock.advanceTo('2026-04-01T00:00:00.000Z');
+    expect((await vest('TECH-abc123', 'status', 'bob')).grant.vested).toBe(15000);
+    expect(await vest('TECH-abc123', 'terminate', 'bob')).toMatchObject({ vested: 31500, revoked: 16500 });
+    expect(accelerated[1]).toMatchObject({ employeeId: 'bob', trigger: 'double', amount: 16500 });
+    expect((await vest('TECH-abc123', 'status', 'alice')).grant.vested).toBe(48000);
+  });
+});
+
+describe('Shareholder Ledger', () => {
+  let agent;
+  let companies;
+
+  const registerTech = () => companies.registerCompany({
+    companyId: 'TECH-abc123', name: 'TechCorp', ticker: 'TECH', totalSupply: 1000000, founderAddress: 'erd1founder',
+    founderAllocation: 300000, employeeAllocation: 200000, publicAllocation: 300000, treasuryAllocation: 200000, initialPrice: 1
+  });
+  const ledgerTotal = companyId => Object.values(companies.ledger.getBalances(companyId)).reduce((sum, balance) => sum + balance, 0);
+
+  beforeEach(async () => {
+    agent = new CorporateMergeTycoonAgent({
+      network: 'testnet',
+      autoStart: false,
+      clock: { mode: 'manual', start: '2025-01-01T00:00:00.000Z' }
+    });
+    companies = agent.companyManager;
+    await registerTech();
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should track transfers and distributions in the cap table', async () => {
+    expect(companies.ledger.getBalances('TECH-abc123')).toEqual({
+      erd1founder: 300000, employee_pool: 200000, public: 300000, treasury: 200000
+    });
+
+    await companies.transferTokens('TECH-abc123', { from: 'treasury', to: 'alice', amount: 50000 });
+    await companies.transferTokens('TECH-abc123', { from: 'public', to: 'bob', amount: 100000, memo: 'market buy' });
+    await expect(companies.transferTokens('TECH-abc123', { from: 'alice', to: 'carol', amount: 60000 }))
+      .rejects.toThrow('Insufficient balance: alice holds 50000 TECH-abc123 tokens');
+    await expect(companies.transferTokens('TECH-abc123', { from: 'alice', amount: 10 })).rejects.toThrow(ValidationError);
+    for (const amount of ['100', 0, -5, Infinity]) {
+      await expect(companies.transferTokens('TECH-abc123', { from: 'alice', to: 'carol', amount }))
+        .rejects.toMatchObject({ errors: [{ field: 'amount', code: 'minimum' }] });
+    }
+
+    const company = companies.getCompany('TECH-abc123');
+    expect(company.token.allocations).toMatchObject({ treasury: 150000, public: 350000 });
+    expect(company.token.circulating_supply).toBe(350000);
+    expect(company.performance).toMatchObject({ holders_count: 3, transactions_count: 2 });
+
+    const capTable = companies.getCapTable('TECH-abc123');
+    expect(capTable).toMatchObject({ total_supply: 1000000, outstanding: 650000, shareholders: 3, unvested_grants: 0 });
+    expect(capTable.holders.map(entry => [entry.holder, entry.type, entry.balance, entry.ownership])).toEqual([
+      ['erd1founder', 'shareholder', 300000, 30],
+      ['public', 'allocation', 200000, 20],
+      ['employee_pool', 'allocation', 200000, 20],
+      ['treasury', 'allocation', 150000, 15],
+      ['bob', 'shareholder', 100000, 10],
+      ['alice', 'shareholder', 50000, 5]
+    ]);
+    expect(capTable.concentration.top_holder).toBe('erd1founder');
+    expect(capTable.concentration.top_1).toBeCloseTo(46.1538, 3);
+    expect(capTable.concentration.top_5).toBeCloseTo(69.2308, 3);
+
+    await companies.distributeTreasuryTokens('TECH-abc123', 45000, { proRata: true });
+    expect(companies.ledger.getBalances('TECH-abc123', { includeSystem: false })).toEqual({ erd1founder: 330000, alice: 55000, bob: 110000 });
+    expect(company.token.allocations).toMatchObject({ founder: 330000, treasury: 105000 });
+    expect(company.token.circulating_supply).toBe(365000);
+    expect(ledgerTotal('TECH-abc123')).toBe(company.token.total_supply);
+  });
+
+  test('should mint to holders and burn with matching supply and price', async () => {
+    const burned = [];
+    companies.on('tokensBurned', event => burned.push(event));
+
+    await companies.issueTokens('TECH-abc123', 100000, { recipient: 'dave' });
+    const company = companies.getCompany('TECH-abc123');
+    expect(company.token).toMatchObject({ total_supply: 1100000, circulating_supply: 400000 });
+    expect(company.token.allocations.public).toBe(400000);
+    expect(companies.ledger.balanceOf('TECH-abc123', 'dave')).toBe(100000);
+
+    await companies.burnTokens('TECH-abc123', 100000);
+    expect(company.token.total_supply).toBe(1000000);
+    expect(company.token.allocations.treasury).toBe(100000);
+    expect(company.performance.token_price).toBeCloseTo(1, 10);
+    expect(burned).toEqual([{ companyId: 'TECH-abc123', amount: 100000, from: 'treasury', totalSupply: 1000000 }]);
+    await expect(companies.burnTokens('TECH-abc123', 500000, { from: 'dave' })).rejects.toThrow('Insufficient balance');
+
+    expect(companies.ledger.getHistory('TECH-abc123').map(entry => [entry.type, entry.from, entry.to, entry.amount])).toEqual([
+      ['burn', 'treasury', null, 100000],
+      ['issue', null, 'dave', 100000]
+    ]);
+    expect(ledgerTotal('TECH-abc123')).toBe(company.token.total_supply);
+  });
+
+  test('should count unvested grants in the fully diluted cap table', async () => {
+    await companies.manageEmployeeVesting({ companyId: 'TECH-abc123', action: 'add_employee', employeeId: 'emp1', vestingParams: { amount: 48000 } });
+    await agent.clock.advanceTo('2026-01-01T00:00:00.000Z');
+    await companies.manageEmployeeVesting({ companyId: 'TECH-abc123', action: 'release' });
+
+    expect(companies.ledger.getBalances('TECH-abc123')).toMatchObject({ emp1: 12000, employee_pool: 188000 });
+    const capTable = companies.getCapTable('TECH-abc123');
+    expect(capTable).toMatchObject({ outstanding: 612000, unvested_grants: 36000, fully_diluted_supply: 648000 });
+    const employee = capTable.holders.find(entry => entry.holder === 'emp1');
+    expect(employee).toMatchObject({ balance: 12000, unvested: 36000, fully_diluted: 48000 });
+    expect(employee.fully_diluted_ownership).toBeCloseTo(7.4074, 3);
+    expect(capTable.holders.find(entry => entry.holder === 'employee_pool').fully_diluted_ownership).toBeNull();
+
+    const status = await companies.manageEmployeeVesting({ companyId: 'TECH-abc123', action: 'status' });
+    expect(status.result).toMatchObject({ employee_pool: 200000, granted: 48000, available: 152000 });
+  });
+
+  test('should exchange shareholdings on a merger and weight token votes by holdings', async () => {
+    await companies.registerCompany({
+      companyId: 'BIG-1', name: 'BigCorp', ticker: 'BIG', totalSupply: 1000000, founderAddress: 'erd1big',
+      founderAllocation: 400000, publicAllocation: 600000, initialPrice: 5
+    });
+    await companies.transferTokens('TECH-abc123', { from: 'public', to: 'bob', amount: 100000 });
+
+    const { tokens_issued: issued } = await companies.recordAcquisition('BIG-1', 'TECH-abc123');
+    expect(issued).toBe(200000);
+    expect(companies.ledger.getBalances('BIG-1')).toEqual({ erd1big: 400000, public: 720000, erd1founder: 60000, bob: 20000 });
+    expect(companies.ledger.get('TECH-abc123').exchanged_into).toMatchObject({ company_id: 'BIG-1', ratio: 0.2 });
+    expect(companies.getHoldings('bob').map(holding => [holding.company_id, holding.balance])).toEqual([
+      ['TECH-abc123', 100000],
+      ['BIG-1', 20000]
+    ]);
+
+    const dao = agent.daoManager;
+    const { proposal } = await dao.createProposal({ title: 'Buyback', description: 'Token buyback', proposer: 'erd1big', companyId: 'BIG-1' });
+    expect(proposal.governance_params.total_voting_power).toBe(480000);
+    await companies.transferTokens('BIG-1', { from: 'public', to: 'bob', amount: 50000 });
+
+    const { vote_record: vote } = await dao.submitVote({ proposalId: proposal.id, voter: 'bob', vote: 'for' });
+    expect(vote.voting_power).toBe(20000);
+    await expect(dao.submitVote({ proposalId: proposal.id, voter: 'erd1nobody', vote: 'for' }))
+      .rejects.toThrow('Voter erd1nobody held no BIG-1 tokens when the proposal opened');
+    await expect(dao.submitVote({ proposalId: proposal.id, voter: 'erd1big', vote: 'against', votingPower: 500000 }))
+      .rejects.toThrow('exceeds the available balance');
+    for (const votingPower of [-500, 0, '1000', NaN]) {
+      await expect(dao.submitVote({ proposalId: proposal.id, voter: 'erd1big', vote: 'against', votingPower }))
+        .rejects.toMatchObject({ errors: [{ field: 'votingPower', code: 'minimum' }] });
+    }
+    const { proposal: open } = await dao.createProposal({ title: 'Open', description: 'One vote each', proposer: 'erd1big' });
+    await expect(dao.submitVote({ proposalId: open.id, voter: 'erd1big', vote: 'for', votingPower: '-500' }))
+      .rejects.toThrow(ValidationError);
+    expect(dao.getProposal(open.id).voting_stats.voting_power_for).toBe(0);
+
+    const app = new ApiServer(agent).app;
+    const capTable = await request(app).get('/api/companies/BIG/cap-table?limit=2');
+    expect(capTable.status).toBe(200);
+    expect(capTable.body.data).toMatchObject({ shareholders: 3, holders: [{ holder: 'public' }, { holder: 'erd1big' }] });
+
+    const rejected = await request(app).post('/api/companies/BIG-1/transfers').send({ from: 'bob', to: 'carol', amount: 100000 });
+    expect(rejected.status).toBe(409);
+    expect(rejected.body.error.code).toBe('CONFLICT');
+    const self = await request(app).post('/api/companies/BIG-1/transfers').send({ from: 'bob', to: 'bob', amount: 10 });
+    expect(self.status).toBe(400);
+    expect(self.body.error).toMatchObject({ code: 'INVALID_REQUEST', message: 'Cannot transfer tokens to the same holder' });
+    expect((await request(app).post('/api/companies/BIG-1/burn').send({ amount: -5 })).body.error.code).toBe('INVALID_REQUEST');
+    const text = await request(app).post('/api/companies/BIG-1/transfers').send({ from: 'bob', to: 'carol', amount: '100' });
+    expect(text.status).toBe(400);
+    expect(text.body.error).toMatchObject({ code: 'VALIDATION_ERROR', details: [{ field: 'amount', code: 'minimum' }] });
+    const transfer = await request(app).post('/api/companies/BIG-1/transfers').send({ from: 'bob', to: 'carol', amount: 5000 });
+    expect(transfer.status).toBe(201);
+    expect(transfer.body.data).toMatchObject({ type: 'transfer', from: 'bob', to: 'carol', amount: 5000 });
+    expect((await request(app).get('/api/companies/BIG-1/transfers?limit=1')).body.data).toEqual([transfer.body.data]);
+  });
+});
+
+describe('Company Validation', () => {
+  let agent;
+  let companies;
+
+  const techParams = {
+    companyId: 'TECH-abc123', name: 'TechCorp', ticker: 'TECH', tokenAddress: 'TECH-abc123', totalSupply: 1000000,
+    founderAllocation: 300000, employeeAllocation: 200000, publicAllocation: 300000, treasuryAllocation: 200000, initialPrice: 1
+  };
+  const errorCode = promise => promise.then(() => null, error => error.code || error.errors?.map(entry => entry.code));
+
+  beforeEach(async () => {
+    agent = new CorporateMergeTycoonAgent({
+      network: 'testnet',
+      autoStart: false,
+      clock: { mode: 'manual', start: '2025-01-01T00:00:00.000Z' }
+    });
+    companies = agent.companyManager;
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should reject malformed registrations with catalogue codes', async () => {
+    const invalid = await companies.registerCompany({ companyId: 'X', name: '', ticker: 'tech', totalSupply: -5, publicAllocation: -1 })
+      .catch(error => error);
+    expect(invalid).toBeInstanceOf(ValidationError);
+    expect(invalid.errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'name', code: 'required' }),
+      expect.objectContaining({ field: 'ticker', code: 'ticker_format' }),
+      expect.objectContaining({ field: 'totalSupply', code: 'minimum' }),
+      expect.objectContaining({ field: 'publicAllocation', code: 'minimum' })
+    ]));
+
+    expect(await errorCode(companies.registerCompany({ ...techParams, ticker: 'TOOLONGTICKER1' }))).toEqual(['ticker_format']);
+    expect(await errorCode(companies.registerCompany({ ...techParams, tokenAddress: 'TECH-ABC123' }))).toEqual(['token_format']);
+    expect(await errorCode(companies.registerCompany({ ...techParams, tokenAddress: 'CORP-abc123' }))).toEqual(['token_format']);
+    expect(await errorCode(companies.registerCompany({ ...techParams, totalSupply: '1000000' }))).toEqual(['type']);
+
+    const mismatch = await companies.registerCompany({ ...techParams, treasuryAllocation: 250000 }).catch(error => error);
+    expect(mismatch.errors).toEqual([{
+      field: 'allocations',
+      code: 'allocation_mismatch',
+      message: 'founder + employee + public + treasury = 1050000, expected totalSupply 1000000'
+    }]);
+    expect(companies.getAllCompanies()).toHaveLength(0);
+
+    // The treasury takes whatever the other allocations leave
+    const { company } = await companies.registerCompany({ ...techParams, treasuryAllocation: undefined, publicAllocation: 100000 });
+    expect(company.token.allocations).toEqual({ founder: 300000, employees: 200000, public: 100000, treasury: 400000 });
+  });
+
+  test('should keep company ids, tickers and token identifiers unique', async () => {
+    await companies.registerCompany(techParams);
+
+    expect(await errorCode(companies.registerCompany({ ...techParams, name: 'Impostor' }))).toBe('DUPLICATE_COMPANY');
+    expect(await errorCode(companies.registerCompany({ ...techParams, companyId: 'OTHER' }))).toBe('DUPLICATE_TOKEN');
+    expect(await errorCode(companies.registerCompany({ ...techParams, companyId: 'OTHER', tokenAddress: 'TECH-def456' })))
+      .toBe('DUPLICATE_TICKER');
+    expect(companies.getCompany('TECH-abc123').name).toBe('TechCorp');
+
+    const app = new ApiServer(agent).app;
+    const duplicate = await request(app).post('/api/companies').send({ ...techParams, companyId: 'OTHER', tokenAddress: null });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error).toMatchObject({ code: 'DUPLICATE_TICKER', message: 'Ticker TECH is already used by company TECH-abc123' });
+    const invalid = await request(app).post('/api/companies').send({ ...techParams, companyId: 'CORP-1', ticker: 'CORP', tokenAddress: null, founderAllocation: 900000 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.details[0].code).toBe('allocation_mismatch');
+  });
+
+  test('should roll back token mutations that break an invariant', async () => {
+    await companies.registerCompany(techParams);
+    const company = companies.getCompany('TECH-abc123');
+    const history = companies.ledger.getHistory('TECH-abc123');
+
+    // A record that has drifted from its ledger refuses further supply changes
+    company.token.allocations.treasury = 150000;
+    const error = await companies.issueTokens('TECH-abc123', 1000).catch(caught => caught);
+    expect(error).toBeInstanceOf(CompanyError);
+    expect(error).toMatchObject({ code: 'INVARIANT_VIOLATION', status: 409, details: { companyId: 'TECH-abc123', operation: 'issueTokens' } });
+    expect(error.details.violations).toContain('allocations add up to 951000, not the total supply 1001000');
+
+    const restored = companies.getCompany('TECH-abc123');
+    expect(restored.token.total_supply).toBe(1000000);
+    expect(companies.ledger.balanceOf('TECH-abc123', 'treasury')).toBe(200000);
+    expect(companies.ledger.getHistory('TECH-abc123')).toEqual(history);
+
+    restored.token.allocations.treasury = 200000;
+    await companies.burnTokens('TECH-abc123', 50000);
+    expect(companies.getCompany('TECH-abc123').token).toMatchObject({ total_supply: 950000, allocations: { treasury: 150000 } });
+  });
+
+  test('should migrate stored companies whose allocations fall short of the supply', () => {
+    const { document, applied } = migrate({
+      schema_version: 1,
+      collections: {
+        companies: { type: 'map', entries: [['OLD-1', { id: 'OLD-1', token: { total_supply: 1000, allocations: { public: 500, founder: null } } }]] },
+        ledgers: { type: 'map', entries: [['OLD-1', { company_id: 'OLD-1', balances: { public: 500 } }]] }
+      }
+    });
+
+    expect(applied).toEqual([2, 3]);
+    expect(document.collections.companies.entries[0][1].token.allocations).toEqual({ founder: 0, employees: 0, public: 500, treasury: 500 });
+    expect(document.collections.ledgers.entries[0][1].balances).toEqual({ public: 500, treasury: 500 });
+  });
+});
+
+describe('Market Model', () => {
+  let agent;
+  let companies;
+
+  const register = (companyId, ticker, sector, extra = {}) => companies.registerCompany({
+    companyId, name: companyId, ticker, totalSupply: 1000000, sector,
+    founderAllocation: 300000, employeeAllocation: 200000, publicAllocation: 300000, treasuryAllocation: 200000, ...extra
+  });
+  const marketCompany = () => ({
+    metadata: { sector: 'Technology' },
+    token: { circulating_supply: 1000 },
+    performance: { token_price: 2, volume_24h: 0 }
+  });
+
+  beforeEach(async () => {
+    agent = new CorporateMergeTycoonAgent({
+      network: 'testnet',
+      random: { seed: 'market' },
+      clock: { mode: 'manual', start: '2025-01-01T00:00:00.000Z' }
+    });
+    companies = agent.companyManager;
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should move listed prices with sector-driven ticks', async () => {
+    const { company } = await register('TECH-1', 'TECH', 'Technology');
+    await register('BANK-1', 'BANK', 'Finance', { initialPrice: 0 });
+    expect(company.performance.token_price).toBe(1);
+
+    await agent.advanceTime({ days: 3 });
+
+    for (const id of ['TECH-1', 'BANK-1']) {
+      const { performance, token } = companies.getCompany(id);
+      expect(performance.token_price).toBeGreaterThan(0);
+      expect(performance.token_price).not.toBe(1);
+      expect(performance.market_cap).toBeCloseTo(performance.token_price * token.circulating_supply, 6);
+      expect(performance.volume_24h).toBeGreaterThan(0);
+    }
+
+    const history = companies.performanceHistory.get('TECH-1');
+    expect(history).toHaveLength(72);
+    const dayAgo = history[history.length - 25].token_price;
+    expect(companies.getCompany('TECH-1').performance.price_change_24h)
+      .toBeCloseTo(((history[history.length - 1].token_price - dayAgo) / dayAgo) * 100, 10);
+
+    const market = companies.getMarket('BANK-1');
+    expect(market).toMatchObject({ sector: 'Finance', profile: { drift: 0.06, volatility: 0.25 }, last_tick: '2025-01-04T00:00:00.000Z' });
+    expect(market.volatility).toBe(0.25);
+  });
+
+  test('should price float changes and scale volume with volatility', () => {
+    const model = new MarketModel({ random: new SeededRandom({ seed: 'flat' }) });
+    const now = Date.parse('2025-01-01T00:00:00.000Z');
+
+    // Twice the tokens in circulation with no new demand: half the price
+    const diluted = marketCompany();
+    model.open(diluted, now);
+    diluted.token.circulating_supply = 2000;
+    expect(model.step(diluted, now).price).toBeCloseTo(1, 10);
+
+    // Same draws; the shocked market is jumpier and trades more
+    const calm = marketCompany();
+    const shocked = marketCompany();
+    model.open(calm, now);
+    model.open(shocked, now);
+    model.shock(shocked, 'proposal_passed', {}, now);
+    shocked.performance.token_price = 2;
+
+    const hour = now + 3600000;
+    const calmTick = new MarketModel({ random: new SeededRandom({ seed: 'same' }) }).step(calm, hour);
+    const shockedTick = new MarketModel({ random: new SeededRandom({ seed: 'same' }) }).step(shocked, hour);
+    expect(calmTick.volatility).toBe(0.45);
+    expect(shockedTick.volatility).toBeGreaterThan(calmTick.volatility);
+    expect(shockedTick.volume).toBeGreaterThan(calmTick.volume);
+    expect(Math.abs(shockedTick.log_return)).toBeGreaterThan(Math.abs(calmTick.log_return));
+  });
+
+  test('should apply shocks for merger bids, proposal outcomes and vesting unlocks', async () => {
+    await register('TECH-1', 'TECH', 'Technology', { founderAddress: 'erd1founder' });
+    await register('GAME-1', 'GAME', 'Gaming');
+    const shocks = [];
+    companies.on('marketShock', event => shocks.push(event));
+
+    const { acquirer, target } = await companies.announceMerger('TECH-1', 'GAME-1', { premium: 30 });
+    expect(acquirer).toMatchObject({ type: 'merger_announced_acquirer', impact: -0.03, price_before: 1 });
+    expect(target.impact).toBeCloseTo(0.18, 10);
+    expect(companies.getCompany('GAME-1').performance).toMatchObject({ token_price: 1.18, market_cap: 1.18 * 300000 });
+    expect(companies.getCompany('GAME-1').performance.volume_24h).toBeGreaterThan(0);
+    await expect(companies.applyMarketShock('TECH-1', 'meteor')).rejects.toThrow('Unknown market shock: meteor');
+
+    // A token-weighted proposal that passes lifts its company's price
+    const { proposal } = await agent.daoManager.createProposal({ title: 'Buyback', description: 'Burn treasury', proposer: 'erd1founder', companyId: 'TECH-1' });
+    await agent.daoManager.submitVote({ proposalId: proposal.id, voter: 'erd1founder', vote: 'for' });
+    await agent.advanceTime({ days: 8 });
+    expect(shocks.map(shock => shock.type)).toContain('proposal_passed');
+
+    // Vested tokens reaching employees are an overhang
+    await companies.addEmployeeToVesting('TECH-1', 'alice', { amount: 120000, cliffMonths: 0, durationMonths: 1 });
+    await agent.advanceTime({ days: 31 });
+    const unlock = companies.getMarket('TECH-1').shocks.find(shock => shock.type === 'vesting_unlock');
+    expect(unlock.impact).toBeCloseTo(-0.01 - 0.25 * (120000 / 420000), 10);
+
+    const response = await request(new ApiServer(agent).app).get('/api/companies/TECH/market');
+    expect(response.body.data).toMatchObject({ company_id: 'TECH-1', sector: 'Technology' });
+    expect(response.body.data.shocks[0].type).toBe('vesting_unlock');
+  });
+});
+
+describe('AMM Pools', () => {
+  let agent;
+  let amm;
+  let companies;
+
+  beforeEach(async () => {
+    agent = new CorporateMergeTycoonAgent({
+      network: 'testnet',
+      autoStart: false,
+      random: { seed: 'pools' },
+      clock: { mode: 'manual', start: '2025-01-01T00:00:00.000Z' }
+    });
+    amm = agent.amm;
+    companies = agent.companyManager;
+    await companies.registerCompany({
+      companyId: 'TECH-1', name: 'TechCorp', ticker: 'TECH', totalSupply: 1000000, initialPrice: 2,
+      founderAllocation: 300000, employeeAllocation: 200000, publicAllocation: 300000, treasuryAllocation: 200000
+    });
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should stop feeding company prices once disposed', () => {
+    expect(companies.priceFeed).toBe(amm);
+    amm.dispose();
+    expect(companies.priceFeed).toBeNull();
+  });
+
+  test('should seed pools from the treasury and account LP shares', async () => {
+    const { pool } = await amm.createPool('TECH-1', { tokenAmount: 100000 });
+    expect(pool).toMatchObject({ token_reserve: 100000, base_reserve: 200000, spot_price: 2, fee_bps: 30, total_value_locked: 400000 });
+    expect(pool.total_shares).toBeCloseTo(Math.sqrt(100000 * 200000), 6);
+    expect(companies.getCompany('TECH-1').token.allocations).toMatchObject({ treasury: 100000, public: 400000 });
+    expect(companies.ledger.balanceOf('TECH-1', POOL_ACCOUNT)).toBe(100000);
+    await expect(amm.createPool('TECH-1', { tokenAmount: 10 })).rejects.toThrow('Pool for TECH-1 already exists');
+
+    // Liquidity at the pool ratio: 10000 tokens need 20000 EGLD
+    await companies.transferTokens('TECH-1', { from: 'treasury', to: 'alice', amount: 10000 });
+    await expect(amm.addLiquidity('TECH-1', { provider: 'alice', tokenAmount: 10000 }))
+      .rejects.toThrow('Insufficient EGLD balance: alice holds 0 EGLD');
+    amm.deposit('alice', 25000);
+    const added = await amm.addLiquidity('TECH-1', { provider: 'alice', tokenAmount: 10000 });
+    expect(added).toMatchObject({ token_amount: 10000, base_amount: 20000 });
+    expect(amm.getPosition('TECH-1', 'alice').pool_share).toBeCloseTo(100 / 11, 8);
+    expect(amm.getWallet('alice').balance).toBe(5000);
+
+    const removed = await amm.removeLiquidity('TECH-1', { provider: 'alice', shares: added.shares });
+    expect(removed.token_amount).toBeCloseTo(10000, 6);
+    expect(removed.base_amount).toBeCloseTo(20000, 6);
+    expect(amm.getWallet('alice').balance).toBeCloseTo(25000, 6);
+    await expect(amm.removeLiquidity('TECH-1', { provider: 'alice', shares: 1 })).rejects.toThrow('Insufficient LP shares');
+  });
+
+  test('should swap on the constant-product curve with fees and slippage limits', async () => {
+    await amm.createPool('TECH-1', { tokenAmount: 100000 });
+    amm.deposit('bob', 50000);
+
+    const quote = amm.quote('TECH-1', { side: 'buy', amountIn: 20000 });
+    const net = 20000 * 0.997;
+    expect(quote).toMatchObject({ asset_in: 'EGLD', asset_out: 'TECH', fee: 60, spot_price_before: 2 });
+    expect(quote.amount_out).toBeCloseTo(100000 * net / (200000 + net), 8);
+    expect(quote.spot_price_after).toBeCloseTo(220000 / (100000 - quote.amount_out), 8);
+    expect(quote.price_impact).toBeCloseTo((quote.spot_price_after / 2 - 1) * 100, 8);
+    expect(() => amm.quote('TECH-1', { side: 'short', amountIn: -1 })).toThrow(ValidationError);
+
+    await expect(amm.swap('TECH-1', { trader: 'bob', side: 'buy', amountIn: 20000, maxPriceImpact: 5 }))
+      .rejects.toThrow(/^Slippage exceeded: price impact 20\.\d\d% is above the 5% limit/);
+    await expect(amm.swap('TECH-1', { trader: 'bob', side: 'buy', amountIn: 20000, minAmountOut: 9500 }))
+      .rejects.toThrow('Slippage exceeded');
+    expect(amm.getWallet('bob').balance).toBe(50000);
+
+    const { swap, pool } = await amm.swap('TECH-1', { trader: 'bob', side: 'buy', amountIn: 20000, minAmountOut: 9000 });
+    expect(swap.amount_out).toBeCloseTo(quote.amount_out, 8);
+    expect(pool.token_reserve * pool.base_reserve).toBeGreaterThan(100000 * 200000);
+    expect(companies.ledger.balanceOf('TECH-1', 'bob')).toBeCloseTo(quote.amount_out, 8);
+    expect(companies.getCompany('TECH-1').performance).toMatchObject({ token_price: pool.spot_price, volume_24h: 20000 });
+
+    const sold = await amm.swap('TECH-1', { trader: 'bob', side: 'sell', amountIn: 5000 });
+    expect(amm.getWallet('bob').balance).toBeCloseTo(30000 + sold.swap.amount_out, 8);
+    expect(pool.spot_price).toBeGreaterThan(sold.pool.spot_price);
+    await expect(amm.swap('TECH-1', { trader: 'public', side: 'buy', amountIn: 10 })).rejects.toThrow(ValidationError);
+  });
+
+  test('should price pooled tokens from the pool as the market moves', async () => {
+    await amm.createPool('TECH-1', { tokenAmount: 100000 });
+    companies.start();
+    await agent.advanceTime({ days: 2 });
+    companies.stop();
+
+    const pool = amm.getPool('TECH-1');
+    const { performance } = companies.getCompany('TECH-1');
+    expect(pool.swaps).toBeGreaterThan(0);
+    expect(performance.token_price).toBeCloseTo(pool.spot_price, 10);
+    expect(performance.token_price).not.toBe(2);
+    expect(companies.ledger.balanceOf('TECH-1', POOL_ACCOUNT)).toBeCloseTo(pool.token_reserve, 6);
+
+    const { analysis } = await companies.analyzePerformance({ companyId: 'TECH-1', timeframe: '7d' });
+    expect(analysis.metrics.liquidity).toMatchObject({ token_reserve: pool.token_reserve, spot_price: pool.spot_price, swaps: pool.swaps });
+    expect(analysis.metrics.liquidity.depth_2pct).toBeCloseTo(pool.token_reserve * (1 - 1 / Math.sqrt(1.02)), 8);
+  });
+
+  test('should move pooled tokens through the pool on market shocks', async () => {
+    await amm.createPool('TECH-1', { tokenAmount: 100000 });
+    const { shock } = await companies.applyMarketShock('TECH-1', 'proposal_passed');
+
+    const pool = amm.getPool('TECH-1');
+    expect(pool.swaps).toBe(1);
+    expect(shock.price).toBeCloseTo(2.06, 10);
+    expect(pool.spot_price).toBeCloseTo(2.06, 10);
+    expect(companies.getCompany('TECH-1').performance).toMatchObject({ token_price: pool.spot_price, market_cap: pool.spot_price * companies.getCompany('TECH-1').token.circulating_supply });
+  });
+
+  test('should pay LPs out when a pooled company merges or is removed', async () => {
+    await companies.registerCompany({
+      companyId: 'MEGA-1', name: 'MegaCorp', ticker: 'MEGA', totalSupply: 1000000, initialPrice: 4,
+      founderAllocation: 300000, employeeAllocation: 200000, publicAllocation: 300000, treasuryAllocation: 200000
     });
+    await amm.createPool('TECH-1', { tokenAmount: 100000 });
+    await companies.transferTokens('TECH-1', { from: 'treasury', to: 'alice', amount: 10000 });
+    amm.deposit('alice', 20000);
+    const { shares } = await amm.addLiquidity('TECH-1', { provider: 'alice', tokenAmount: 10000 });
+    // The locked minimum is shared out with the providers' shares
+    const portion = shares / (amm.getPool('TECH-1').total_shares - 1);
+
+    const { tokens_issued: issued } = await companies.recordAcquisition('MEGA-1', 'TECH-1');
+    expect(amm.getPool('TECH-1')).toBeNull();
+    expect(amm.getWallet('alice').balance).toBeCloseTo(220000 * portion, 6);
+    expect(amm.getWallet('TECH-1').balance).toBeCloseTo(220000 * (1 - portion), 6);
+
+    // The pool's 110000 TECH were exchanged for MEGA and paid out pro rata
+    expect(companies.ledger.balanceOf('MEGA-1', 'alice')).toBeCloseTo(110000 * portion * issued / 1000000, 6);
+    expect(companies.ledger.balanceOf('MEGA-1', POOL_ACCOUNT)).toBe(0);
+    await expect(amm.removeLiquidity('TECH-1', { provider: 'alice', shares: 1 })).rejects.toThrow('has already merged');
+
+    await amm.createPool('MEGA-1', { tokenAmount: 1000 });
+    await companies.removeCompany('MEGA-1');
+    expect(amm.getPools()).toEqual([]);
+    expect(amm.getWallet('MEGA-1').balance).toBeCloseTo(4000, 6);
+  });
+
+  test('should serve pools, quotes and swaps over HTTP', async () => {
+    const app = new ApiServer(agent).app;
+
+    expect((await request(app).get('/api/amm/pools/TECH')).status).toBe(404);
+    const created = await request(app).post('/api/amm/pools').send({ companyId: 'TECH', tokenAmount: 100000 });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ company_id: 'TECH-1', spot_price: 2 });
+
+    const quote = await request(app).get('/api/amm/pools/TECH/quote?side=sell&amountIn=1000');
+    expect(quote.body.data).toMatchObject({ asset_in: 'TECH', asset_out: 'EGLD', fee: 3 });
+
+    await request(app).post('/api/amm/wallets/carol/deposits').send({ amount: 1000 });
+    const swapped = await request(app).post('/api/amm/pools/TECH/swaps').send({ trader: 'carol', side: 'buy', amountIn: 1000 });
+    expect(swapped.status).toBe(201);
+    const slipped = await request(app).post('/api/amm/pools/TECH/swaps').send({ trader: 'carol', side: 'sell', amountIn: 100, minAmountOut: 1000 });
+    expect(slipped.status).toBe(409);
+    expect((await request(app).get('/api/amm/wallets/carol')).body.data).toEqual({ holder: 'carol', asset: 'EGLD', balance: 0 });
   });
 });
 
@@ -213,6 +2720,7 @@ describe('Task Executor', () => {
       expect(result.analysis.financial_health).toBeGreaterThanOrEqual(0);
       expect(result.analysis.financial_health).toBeLessThanOrEqual(100);
       expect(result.confidence_score).toBeGreaterThanOrEqual(60);
+      expect(result.report.recommendation).toBeDefined();
     });
   });
 
@@ -247,7 +2755,7 @@ describe('Task Executor', () => {
         category: 'unknown_category'
       };
       
-      await expect(executor.execute(mockTask, {})).rejects.toThrow('Unknown task category');
+      await expect(executor.execute(mockTask, {})).rejects.toThrow('No handler registered for task UNKNOWN001');
     });
 
     test('should handle unknown task ID', async () => {
@@ -256,7 +2764,7 @@ describe('Task Executor', () => {
         category: 'blockchain_operations'
       };
       
-      await expect(executor.execute(mockTask, {})).rejects.toThrow('Unknown blockchain task');
+      await expect(executor.execute(mockTask, {})).rejects.toThrow('No handler registered for task BLK999');
     });
   });
 });
@@ -497,6 +3005,255 @@ describe('DAO Manager', () => {
   });
 });
 
+describe('API Server', () => {
+  let agent;
+  let app;
+
+  const companyPayload = {
+    companyId: 'TECH-abc123',
+    name: 'TechCorp',
+    ticker: 'TECH',
+    tokenAddress: 'TECH-abc123',
+    totalSupply: 1000000,
+    founderAllocation: 250000,
+    employeeAllocation: 200000,
+    publicAllocation: 300000,
+    treasuryAllocation: 250000
+  };
+
+  beforeEach(() => {
+    agent = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    app = new ApiServer(agent).app;
+  });
+
+  afterEach(() => {
+    agent.dispose();
+  });
+
+  test('should list and describe tasks', async () => {
+    const list = await request(app).get('/api/tasks?priority=Critical');
+    expect(list.status).toBe(200);
+    expect(list.body.data.every(task => task.priority === 'Critical')).toBeTruthy();
+
+    const task = await request(app).get('/api/tasks/BLK002');
+    expect(task.body.data.task_id).toBe('BLK002');
+  });
+
+  test('should execute tasks and expose metrics', async () => {
+    const response = await request(app)
+      .post('/api/tasks/BLK001/execute')
+      .send({ parameters: {} });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.success).toBeTruthy();
+
+    const metrics = await request(app).get('/api/agent/metrics');
+    expect(metrics.body.data.tasks_executed).toBe(1);
+  });
+
+  test('should return structured validation errors', async () => {
+    const response = await request(app)
+      .post('/api/tasks/BLK002/execute')
+      .send({ parameters: { ticker: 'tech' } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(response.body.error.details.length).toBeGreaterThan(0);
+  });
+
+  test('should use a consistent error shape for unknown resources', async () => {
+    const task = await request(app).get('/api/tasks/NOPE001');
+    const company = await request(app).get('/api/companies/NOPE');
+    const route = await request(app).get('/api/unknown');
+
+    for (const response of [task, company, route]) {
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({
+        success: false,
+        error: { code: 'NOT_FOUND', message: expect.any(String) }
+      });
+    }
+  });
+
+  test('should manage companies', async () => {
+    const created = await request(app).post('/api/companies').send(companyPayload);
+    expect(created.status).toBe(201);
+
+    const duplicate = await request(app).post('/api/companies').send(companyPayload);
+    expect(duplicate.status).toBe(409);
+
+    const updated = await request(app).patch('/api/companies/TECH').send({ sector: 'Gaming' });
+    expect(updated.body.data.metadata.sector).toBe('Gaming');
+
+    const performance = await request(app).get('/api/companies/TECH-abc123/performance?timeframe=7d');
+    expect(performance.body.data.timeframe).toBe('7d');
+
+    const removed = await request(app).delete('/api/companies/TECH-abc123');
+    expect(removed.status).toBe(204);
+    expect(agent.companyManager.getAllCompanies()).toHaveLength(0);
+  });
+
+  test('should run the proposal and voting lifecycle', async () => {
+    const created = await request(app).post('/api/dao/proposals').send({
+      title: 'API Proposal',
+      description: 'Created over HTTP',
+      proposer: 'erd1proposer'
+    });
+    expect(created.status).toBe(201);
+    const proposalId = created.body.data.id;
+
+    const negative = await request(app)
+      .post(`/api/dao/proposals/${proposalId}/vote`)
+      .send({ voter: 'erd1voter', vote: 'for', votingPower: -500 });
+    expect(negative.status).toBe(400);
+    expect(negative.body.error.details).toEqual([expect.objectContaining({ field: 'votingPower' })]);
+
+    const vote = await request(app)
+      .post(`/api/dao/proposals/${proposalId}/vote`)
+      .send({ voter: 'erd1voter', vote: 'for', votingPower: 500000 });
+    expect(vote.status).toBe(201);
+
+    const doubleVote = await request(app)
+      .post(`/api/dao/proposals/${proposalId}/vote`)
+      .send({ voter: 'erd1voter', vote: 'for' });
+    expect(doubleVote.status).toBe(409);
+
+    const votes = await request(app).get(`/api/dao/proposals/${proposalId}/votes`);
+    expect(votes.body.data).toHaveLength(1);
+
+    const early = await request(app)
+      .post(`/api/dao/proposals/${proposalId}/execute`)
+      .send({ executor: 'erd1executor' });
+    expect(early.status).toBe(409);
+  });
+
+  test('should run due diligence and record mergers', async () => {
+    await agent.companyManager.registerCompany(companyPayload);
+
+    const dueDiligence = await request(app)
+      .post('/api/mergers/due-diligence')
+      .send({ targetCompany: 'TECH', acquirerCompany: { name: 'Acquirer' } });
+    expect(dueDiligence.body.data.target.name).toBe('TechCorp');
+
+    const merger = await request(app)
+      .post('/api/mergers')
+      .send({ mergerId: 'M1', targetTokens: 1000, acquirerTokens: 0, exchangeRatio: 1.5 });
+    expect(merger.status).toBe(201);
+
+    const fetched = await request(app).get('/api/mergers/M1');
+    expect(fetched.body.data.phases.token_exchange.acquirerTokensIssued).toBe(1500);
+  });
+
+  test('should manage scheduled jobs', async () => {
+    const created = await request(app)
+      .post('/api/scheduler/jobs')
+      .send({ taskId: 'BLK001', cron: '0 * * * *', paused: true });
+    expect(created.status).toBe(201);
+
+    const run = await request(app).post('/api/scheduler/jobs/BLK001/run');
+    expect(run.body.data.status).toBe('success');
+
+    const history = await request(app).get('/api/scheduler/jobs/BLK001/history');
+    expect(history.body.data).toHaveLength(1);
+
+    const invalid = await request(app).post('/api/scheduler/jobs').send({ taskId: 'GOV001' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.code).toBe('INVALID_SCHEDULE');
+
+    const removed = await request(app).delete('/api/scheduler/jobs/BLK001');
+    expect(removed.status).toBe(204);
+  });
+});
+
+describe('WebSocket Event Stream', () => {
+  let agent;
+  let apiServer;
+  let url;
+
+  // Collect parsed messages until `count` events (messages with a seq) arrived
+  const collectEvents = (socket, count) => new Promise((resolve) => {
+    const events = [];
+    socket.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      if (message.seq !== undefined) events.push(message);
+      if (events.length === count) resolve(events);
+    });
+  });
+
+  const connect = (query = '') => new Promise((resolve) => {
+    const socket = new WebSocket(`${url}${query}`);
+    socket.once('open', () => resolve(socket));
+  });
+
+  beforeEach(async () => {
+    agent = new CorporateMergeTycoonAgent({ network: 'testnet' });
+    apiServer = new ApiServer(agent, { port: 0, host: '127.0.0.1' });
+    await apiServer.start();
+    url = `ws://127.0.0.1:${apiServer.server.address().port}/ws`;
+  });
+
+  afterEach(async () => {
+    await apiServer.stop();
+    agent.dispose();
+  });
+
+  test('should assign increasing sequence numbers to manager events', async () => {
+    await agent.daoManager.createProposal({ title: 'A', description: 'a', proposer: 'erd1a' });
+    await agent.executeTask('BLK001', {});
+
+    const { events } = agent.eventStream.getEventsSince(0);
+    expect(events.map(e => e.type)).toEqual(['proposalCreated', 'taskStarted', 'taskCompleted']);
+    expect(events.map(e => e.seq)).toEqual([1, 2, 3]);
+    expect(events[0].source).toBe('governance');
+  });
+
+  test('should push only events matching the subscription filter', async () => {
+    const socket = await connect('?types=voteSubmitted,proposalCreated');
+    const received = collectEvents(socket, 2);
+
+    const { proposal_id } = await agent.daoManager.createProposal({ title: 'A', description: 'a', proposer: 'erd1a' });
+    await agent.executeTask('BLK001', {});
+    await agent.daoManager.submitVote({ proposalId: proposal_id, voter: 'erd1v', vote: 'for' });
+
+    const events = await received;
+    expect(events.map(e => e.type)).toEqual(['proposalCreated', 'voteSubmitted']);
+    expect(events[1].payload.proposalId).toBe(proposal_id);
+    socket.close();
+  });
+
+  test('should answer malformed frames without dropping the connection', async () => {
+    const socket = await connect();
+    const messages = [];
+    socket.on('message', (data) => messages.push(JSON.parse(data.toString())));
+    const received = collectEvents(socket, 1);
+
+    socket.send('null');
+    socket.send('[1]');
+    socket.send(JSON.stringify({ type: 'subscribe', filter: null }));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(messages.filter(m => m.type === 'error').map(m => m.message)).toEqual(['Message must be a JSON object', 'Message must be a JSON object']);
+    expect(messages.at(-1)).toMatchObject({ type: 'subscribed', filter: { types: [], companyIds: [], proposalIds: [] } });
+
+    await agent.daoManager.createProposal({ title: 'A', description: 'a', proposer: 'erd1a' });
+    expect((await received)[0].type).toBe('proposalCreated');
+    socket.close();
+  });
+
+  test('should replay missed events when resuming from a sequence number', async () => {
+    const first = await agent.daoManager.createProposal({ title: 'A', description: 'a', proposer: 'erd1a' });
+    const second = await agent.daoManager.createProposal({ title: 'B', description: 'b', proposer: 'erd1b' });
+
+    const socket = new WebSocket(`${url}?since=1&proposalId=${second.proposal_id}`);
+    const events = await collectEvents(socket, 1);
+
+    expect(events[0].seq).toBe(2);
+    expect(events[0].payload.proposalId).toBe(second.proposal_id);
+    expect(first.proposal_id).not.toBe(second.proposal_id);
+    socket.close();
+  });
+});
+
 describe('Integration Tests', () => {
   test('should integrate agent with task executor', async () => {
     const agent = new CorporateMergeTycoonAgent({ network: 'testnet' });
@@ -505,6 +3262,7 @@ describe('Integration Tests', () => {
     
     expect(result.success).toBeTruthy();
     expect(result.result.summary).toContain('executed successfully');
+    agent.dispose();
   });
 
   test('should handle end-to-end governance flow', async () => {